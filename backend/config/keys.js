@@ -20,5 +20,12 @@ module.exports = {
   s3Folder: process.env.S3_FOLDER || 'uploads',
   awsAccessKeyId: process.env.AWS_ACCESS_KEY_ID,
   awsSecretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  cloudfrontBaseUrl: process.env.CLOUDFRONT_BASE_URL
+  cloudfrontBaseUrl: process.env.CLOUDFRONT_BASE_URL,
+  fileCleanupDelay: parseInt(process.env.FILE_CLEANUP_DELAY_MS, 10) || 10 * 60 * 1000, // 삭제된 메시지 첨부파일 정리 지연 (기본 10분)
+  defaultPinLimit: parseInt(process.env.DEFAULT_PIN_LIMIT, 10) || 50, // 채팅방별 고정 메시지 기본 최대 개수
+  messageExpirySweepInterval: parseInt(process.env.MESSAGE_EXPIRY_SWEEP_INTERVAL_MS, 10) || 60 * 1000, // 사라지는 메시지 만료 확인 주기 (기본 1분)
+  linkPreviewFetcher: process.env.LINK_PREVIEW_FETCHER || 'http', // 링크 미리보기 수집 방식 (http 또는 오프라인 테스트용 stub)
+  roomExportSyncLimit: parseInt(process.env.ROOM_EXPORT_SYNC_LIMIT, 10) || 5000, // 메시지가 이보다 많으면 대화 기록 내보내기를 백그라운드 작업으로 실행
+  adminEmails: (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean), // 관리자 기능(대화 기록 가져오기 등)을 쓸 수 있는 계정 이메일 (쉼표로 구분)
+  moderationRuleModules: (process.env.MODERATION_RULE_MODULES || '').split(',').map(modulePath => modulePath.trim()).filter(Boolean) // 추가로 등록할 메시지 검토 규칙 모듈 경로 (backend 폴더 기준, 쉼표로 구분)
 };
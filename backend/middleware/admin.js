@@ -0,0 +1,28 @@
+// backend/middleware/admin.js
+// auth 미들웨어 뒤에 사용 (ADMIN_EMAILS에 등록된 계정만 통과)
+const User = require('../models/User');
+const { adminEmails } = require('../config/keys');
+
+const admin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select('email');
+
+    if (!user || !adminEmails.includes(user.email)) {
+      return res.status(403).json({
+        success: false,
+        message: '관리자만 사용할 수 있는 기능입니다.'
+      });
+    }
+
+    req.admin = user;
+    next();
+  } catch (error) {
+    console.error('Admin middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+};
+
+module.exports = admin;
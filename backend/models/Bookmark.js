@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const MAX_TAGS = 10;
+
+// 사용자가 저장한 메시지 (메모와 태그는 본인만 볼 수 있음)
+const BookmarkSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, '메모는 500자를 넘을 수 없습니다.'],
+    default: ''
+  },
+  tags: {
+    type: [{
+      type: String,
+      trim: true,
+      lowercase: true,
+      maxlength: [30, '태그는 30자를 넘을 수 없습니다.']
+    }],
+    validate: {
+      validator: tags => tags.length <= MAX_TAGS,
+      message: `태그는 최대 ${MAX_TAGS}개까지 추가할 수 있습니다.`
+    },
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+BookmarkSchema.index({ user: 1, message: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, createdAt: -1 });
+BookmarkSchema.index({ user: 1, room: 1, createdAt: -1 });
+BookmarkSchema.index({ user: 1, tags: 1, createdAt: -1 });
+BookmarkSchema.index({ message: 1 });
+
+BookmarkSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+// 투표 선택지 (누가 어떤 항목에 투표했는지는 PollVote에 저장하고 여기에는 공개 가능한 집계만 보관)
+const PollOptionSchema = new mongoose.Schema({
+  text: {
+    type: String,
+    required: [true, '투표 항목은 필수입니다.'],
+    trim: true,
+    maxlength: [100, '투표 항목은 100자를 초과할 수 없습니다.']
+  },
+  voteCount: {
+    type: Number,
+    default: 0
+  },
+  // 기명 투표일 때만 투표한 사용자 목록을 공개
+  voters: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+const PollSchema = new mongoose.Schema({
+  options: [PollOptionSchema],
+  multipleChoice: {
+    type: Boolean,
+    default: false
+  },
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  voterCount: {
+    type: Number,
+    default: 0
+  },
+  closesAt: {
+    type: Date
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { _id: false });
+
 const MessageSchema = new mongoose.Schema({
   room: { 
     type: String, 
@@ -19,9 +64,19 @@ const MessageSchema = new mongoose.Schema({
     ref: 'User',
     index: true 
   },
+  // 클라이언트가 생성한 전송 식별자 (재전송 시 중복 저장 방지)
+  clientMessageId: {
+    type: String,
+    trim: true,
+    maxlength: [64, '클라이언트 메시지 ID는 64자를 초과할 수 없습니다.']
+  },
+  // 다른 채팅 도구에서 가져온 메시지의 원본 식별자 (다시 가져와도 중복 저장되지 않도록 사용)
+  importKey: {
+    type: String
+  },
   type: { 
     type: String, 
-    enum: ['text', 'system', 'ai', 'file'], 
+    enum: ['text', 'system', 'ai', 'file', 'poll'], 
     default: 'text',
     index: true
   },
@@ -32,6 +87,14 @@ const MessageSchema = new mongoose.Schema({
       return this.type === 'file';
     }
   },
+  // 투표 메시지 (질문은 content에 저장)
+  poll: {
+    type: PollSchema,
+    default: undefined,
+    required: function() {
+      return this.type === 'poll';
+    }
+  },
   aiType: {
     type: String,
     enum: ['wayneAI', 'consultingAI'],
@@ -48,18 +111,6 @@ const MessageSchema = new mongoose.Schema({
     default: Date.now,
     index: true 
   },
-  readers: [{
-    userId: { 
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    readAt: { 
-      type: Date,
-      default: Date.now,
-      required: true
-    }
-  }],
   reactions: {
     type: Map,
     of: [{
@@ -73,10 +124,96 @@ const MessageSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  replyTo: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    senderName: { type: String },
+    type: { type: String },
+    content: { type: String },
+    isDeleted: { type: Boolean }
+  },
+  // 다른 채팅방에서 전달된 메시지의 원본 정보
+  forwardedFrom: {
+    messageId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message'
+    },
+    roomId: { type: String },
+    roomName: { type: String },
+    senderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    senderName: { type: String },
+    timestamp: { type: Date }
+  },
+  isPinned: {
+    type: Boolean,
+    default: false
+  },
+  pinnedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  pinnedAt: {
+    type: Date
+  },
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  threadReplyCount: {
+    type: Number,
+    default: 0
+  },
+  threadLastReplyAt: {
+    type: Date
+  },
+  editHistory: [{
+    content: {
+      type: String,
+      default: ''
+    },
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    }
+  }],
+  isEdited: {
+    type: Boolean,
+    default: false
+  },
+  editedAt: {
+    type: Date
+  },
   isDeleted: {
     type: Boolean,
     default: false,
     index: true
+  },
+  // 사라지는 메시지 만료 시각 (채팅방 타이머가 켜진 동안 작성된 메시지)
+  expiresAt: {
+    type: Date
+  },
+  deletedAt: {
+    type: Date
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true,
@@ -93,47 +230,36 @@ const MessageSchema = new mongoose.Schema({
 // 복합 인덱스 설정
 MessageSchema.index({ room: 1, timestamp: -1 });
 MessageSchema.index({ room: 1, isDeleted: 1 });
-MessageSchema.index({ 'readers.userId': 1 });
+MessageSchema.index({ room: 1, parentMessage: 1, timestamp: -1 });
+MessageSchema.index({ 'replyTo.messageId': 1 }, { sparse: true });
+MessageSchema.index({ file: 1 }, { sparse: true });
+MessageSchema.index({ room: 1, isPinned: 1, pinnedAt: -1 });
+MessageSchema.index({ expiresAt: 1 }, { sparse: true });
+MessageSchema.index({ mentions: 1, room: 1, timestamp: -1 });
+MessageSchema.index(
+  { sender: 1, clientMessageId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { clientMessageId: { $type: 'string' } }
+  }
+);
+MessageSchema.index(
+  { importKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { importKey: { $type: 'string' } }
+  }
+);
+// 메시지 검색용 텍스트 인덱스 (한국어 형태소 분석기가 없으므로 언어 규칙 미적용)
+MessageSchema.index(
+  { content: 'text' },
+  { name: 'message_content_text', default_language: 'none' }
+);
 MessageSchema.index({ sender: 1 });
 MessageSchema.index({ type: 1 });
 MessageSchema.index({ timestamp: -1 });
 MessageSchema.index({ 'reactions.userId': 1 });
 
-// 읽음 처리 Static 메소드 개선
-MessageSchema.statics.markAsRead = async function(messageIds, userId) {
-  if (!messageIds?.length || !userId) return;
-
-  const bulkOps = messageIds.map(messageId => ({
-    updateOne: {
-      filter: {
-        _id: messageId,
-        isDeleted: false,
-        'readers.userId': { $ne: userId }
-      },
-      update: {
-        $push: {
-          readers: {
-            userId: new mongoose.Types.ObjectId(userId),
-            readAt: new Date()
-          }
-        }
-      }
-    }
-  }));
-
-  try {
-    const result = await this.bulkWrite(bulkOps, { ordered: false });
-    return result.modifiedCount;
-  } catch (error) {
-    console.error('Mark as read error:', {
-      error,
-      messageIds,
-      userId
-    });
-    throw error;
-  }
-};
-
 // 리액션 처리 메소드 개선
 MessageSchema.methods.addReaction = async function(emoji, userId) {
   try {
@@ -188,12 +314,83 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
   }
 };
 
+// 메시지 수정 메소드 (이전 내용은 editHistory에 보관)
+MessageSchema.methods.editContent = async function(newContent, userId) {
+  try {
+    const editedAt = new Date();
+
+    this.editHistory.push({
+      content: this.content,
+      editedBy: userId,
+      editedAt
+    });
+    this.content = newContent;
+    this.isEdited = true;
+    this.editedAt = editedAt;
+
+    await this.save();
+    return this;
+  } catch (error) {
+    console.error('Edit message error:', {
+      error,
+      messageId: this._id,
+      userId
+    });
+    throw error;
+  }
+};
+
+// 메시지 고정/해제 메소드
+MessageSchema.methods.pin = async function(userId) {
+  this.isPinned = true;
+  this.pinnedBy = userId;
+  this.pinnedAt = new Date();
+  await this.save();
+  return this;
+};
+
+MessageSchema.methods.unpin = async function() {
+  this.isPinned = false;
+  this.pinnedBy = undefined;
+  this.pinnedAt = undefined;
+  await this.save();
+  return this;
+};
+
 // 메시지 소프트 삭제 메소드 추가
-MessageSchema.methods.softDelete = async function() {
+MessageSchema.methods.softDelete = async function(userId) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  if (userId) {
+    this.deletedBy = userId;
+  }
+  this.isPinned = false;
+  this.pinnedBy = undefined;
+  this.pinnedAt = undefined;
   await this.save();
 };
 
+// 삭제된 메시지를 내용 없이 자리만 남기는 형태로 변환
+MessageSchema.statics.toTombstone = function(message) {
+  return {
+    _id: message._id,
+    room: message.room,
+    type: message.type,
+    aiType: message.aiType,
+    sender: message.sender,
+    timestamp: message.timestamp,
+    content: '',
+    file: null,
+    mentions: [],
+    reactions: {},
+    metadata: {},
+    isPinned: false,
+    isDeleted: true,
+    deletedAt: message.deletedAt,
+    deletedBy: message.deletedBy
+  };
+};
+
 // 메시지 삭제 전 후크 개선
 MessageSchema.pre('remove', async function(next) {
   try {
@@ -248,6 +445,10 @@ MessageSchema.methods.toJSON = function() {
       obj.reactions = Object.fromEntries(obj.reactions);
     }
 
+    if (obj.metadata instanceof Map) {
+      obj.metadata = Object.fromEntries(obj.metadata);
+    }
+
     return obj;
   } catch (error) {
     console.error('Message toJSON error:', {
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// 검토 규칙에 걸려 방장 검토를 기다리는 메시지 (메시지는 그대로 전송되고 여기에 기록만 남음)
+const ModerationFlagSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // 검토 요청 시점의 내용 (이후 수정되어도 무엇이 걸렸는지 확인할 수 있도록 보관)
+  content: {
+    type: String,
+    maxlength: 10000,
+    default: ''
+  },
+  reasons: [{
+    rule: { type: String, required: true },
+    reason: { type: String }
+  }],
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'removed'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ModerationFlagSchema.index({ message: 1 }, { unique: true });
+ModerationFlagSchema.index({ room: 1, status: 1, createdAt: -1 });
+
+ModerationFlagSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('ModerationFlag', ModerationFlagSchema);
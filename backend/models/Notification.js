@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+const NOTIFICATION_TTL = 90 * 24 * 60 * 60; // 90일이 지난 알림은 자동 삭제
+
+const NotificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['mention', 'reply', 'reaction'],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  roomName: {
+    type: String
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // 스레드 답글이면 원본 메시지 (알림에서 이동할 위치)
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  preview: {
+    type: String,
+    maxlength: 200
+  },
+  reaction: {
+    type: String
+  },
+  isRead: {
+    type: Boolean,
+    default: false
+  },
+  readAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+NotificationSchema.index({ recipient: 1, createdAt: -1 });
+NotificationSchema.index({ recipient: 1, isRead: 1 });
+NotificationSchema.index({ message: 1 });
+NotificationSchema.index({ createdAt: 1 }, { expireAfterSeconds: NOTIFICATION_TTL });
+
+NotificationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('Notification', NotificationSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// 투표 메시지의 사용자별 선택 (익명 투표도 중복 투표 방지를 위해 서버에만 기록)
+// 사용자당 문서 하나에 선택한 항목 전체를 저장해 선택 변경이 한 번의 갱신으로 끝나도록 함
+const PollVoteSchema = new mongoose.Schema({
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  options: [{
+    type: mongoose.Schema.Types.ObjectId
+  }]
+}, {
+  timestamps: true
+});
+
+PollVoteSchema.index({ message: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('PollVote', PollVoteSchema);
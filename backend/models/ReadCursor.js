@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// 사용자별 채팅방 읽음 위치 (이 메시지와 그 이전 메시지는 모두 읽은 것으로 간주)
+const ReadCursorSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: String,
+    required: true
+  },
+  lastReadMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    required: true
+  },
+  // 메시지 순서 비교용 (마지막으로 읽은 메시지의 timestamp)
+  lastReadTimestamp: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+ReadCursorSchema.index({ user: 1, room: 1 }, { unique: true });
+ReadCursorSchema.index({ room: 1 });
+
+module.exports = mongoose.model('ReadCursor', ReadCursorSchema);
@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { defaultPinLimit } = require('../config/keys');
+
+// 사라지는 메시지 타이머로 선택할 수 있는 값 (초): 1시간, 1일, 7일
+const DISAPPEARING_MESSAGE_TTLS = [60 * 60, 24 * 60 * 60, 7 * 24 * 60 * 60];
 
 const RoomSchema = new mongoose.Schema({
   name: {
@@ -27,9 +31,81 @@ const RoomSchema = new mongoose.Schema({
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  topic: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [250, '채팅방 주제는 250자를 초과할 수 없습니다.']
+  },
+  pinLimit: {
+    type: Number,
+    min: [1, '고정 메시지 한도는 1개 이상이어야 합니다.'],
+    max: [100, '고정 메시지 한도는 100개를 초과할 수 없습니다.']
+  },
+  disappearingMessageTtl: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: (value) => value === null || DISAPPEARING_MESSAGE_TTLS.includes(value),
+      message: '지원하지 않는 사라지는 메시지 시간입니다.'
+    }
+  },
+  // 이벤트별 채팅방 속도 제한 (이벤트 이름 → 버킷 크기/분당 충전 개수, 사용자별 기본 한도와 함께 적용)
+  rateLimits: {
+    type: Map,
+    of: new mongoose.Schema({
+      capacity: {
+        type: Number,
+        required: true,
+        min: [1, '한 번에 보낼 수 있는 개수는 1개 이상이어야 합니다.'],
+        max: [100, '한 번에 보낼 수 있는 개수는 100개를 초과할 수 없습니다.']
+      },
+      refillPerMinute: {
+        type: Number,
+        required: true,
+        min: [1, '분당 허용 개수는 1개 이상이어야 합니다.'],
+        max: [600, '분당 허용 개수는 600개를 초과할 수 없습니다.']
+      }
+    }, { _id: false }),
+    default: undefined
+  },
+  // 메시지 검토 규칙 (규칙 이름 → 사용 여부/처리 방식/규칙별 옵션, 없는 규칙은 꺼진 상태)
+  // 금칙어 목록 등이 참여자에게 노출되지 않도록 기본 조회에서 제외
+  moderation: {
+    type: Map,
+    of: new mongoose.Schema({
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      action: {
+        type: String,
+        enum: ['block', 'mask', 'flag'],
+        required: true
+      },
+      options: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+      }
+    }, { _id: false, minimize: false }),
+    default: undefined,
+    select: false
+  },
+  // 다른 채팅 도구에서 가져온 채널의 원본 식별자
+  importKey: {
+    type: String
+  }
 });
 
+RoomSchema.index(
+  { importKey: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { importKey: { $type: 'string' } }
+  }
+);
+
 // 비밀번호 해싱 미들웨어
 RoomSchema.pre('save', async function(next) {
   if (this.isModified('password') && this.password) {
@@ -50,4 +126,17 @@ RoomSchema.methods.checkPassword = async function(password) {
   return await bcrypt.compare(password, room.password);
 };
 
+// 고정 메시지 최대 개수 (방별 설정이 없으면 기본값)
+RoomSchema.methods.getPinLimit = function() {
+  return this.pinLimit || defaultPinLimit;
+};
+
+// 사라지는 메시지 타이머가 켜져 있으면 새 메시지의 만료 시각 반환
+RoomSchema.methods.getMessageExpiresAt = function(from = new Date()) {
+  if (!this.disappearingMessageTtl) return undefined;
+  return new Date(from.getTime() + this.disappearingMessageTtl * 1000);
+};
+
+RoomSchema.statics.DISAPPEARING_MESSAGE_TTLS = DISAPPEARING_MESSAGE_TTLS;
+
 module.exports = mongoose.model('Room', RoomSchema);
\ No newline at end of file
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// 백그라운드로 실행되는 채팅방 대화 기록 내보내기 작업
+const RoomExportSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['json', 'markdown', 'html'],
+    required: true
+  },
+  from: {
+    type: Date
+  },
+  to: {
+    type: Date
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending'
+  },
+  messageCount: {
+    type: Number,
+    default: 0
+  },
+  size: {
+    type: Number,
+    default: 0
+  },
+  error: {
+    type: String
+  },
+  completedAt: {
+    type: Date
+  },
+  // 완료된 파일을 보관하는 기한 (지나면 정리 작업이 파일과 함께 삭제)
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+RoomExportSchema.index({ requestedBy: 1, room: 1, createdAt: -1 });
+RoomExportSchema.index({ expiresAt: 1 }, { sparse: true });
+
+RoomExportSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('RoomExport', RoomExportSchema);
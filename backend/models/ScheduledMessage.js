@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const ScheduledMessageSchema = new mongoose.Schema({
+  room: {
+    type: String,
+    required: [true, '채팅방 ID는 필수입니다.'],
+    index: true
+  },
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  content: {
+    type: String,
+    required: [true, '메시지 내용은 필수입니다.'],
+    trim: true,
+    maxlength: [10000, '메시지는 10000자를 초과할 수 없습니다.']
+  },
+  // reminder는 채팅방에 게시하지 않고 보낸 사람에게만 알림
+  kind: {
+    type: String,
+    enum: ['message', 'reminder'],
+    default: 'message'
+  },
+  scheduledAt: {
+    type: Date,
+    required: [true, '예약 시간은 필수입니다.']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'sent', 'cancelled', 'failed'],
+    default: 'scheduled'
+  },
+  jobId: {
+    type: String
+  },
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  failureReason: {
+    type: String
+  },
+  sentAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+ScheduledMessageSchema.index({ room: 1, sender: 1, status: 1, scheduledAt: 1 });
+ScheduledMessageSchema.index({ status: 1, scheduledAt: 1 });
+
+ScheduledMessageSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.__v;
+  return obj;
+};
+
+module.exports = mongoose.model('ScheduledMessage', ScheduledMessageSchema);
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const multer = require('multer');
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const SlackImportService = require('../../services/slackImportService');
+
+// 가져오기용 ZIP은 임시 폴더에 받아서 처리 후 바로 삭제
+const archiveUpload = multer({
+  dest: os.tmpdir(),
+  limits: {
+    fileSize: SlackImportService.MAX_ARCHIVE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() !== '.zip') {
+      return cb(new Error('ZIP 파일만 업로드할 수 있습니다.'));
+    }
+    cb(null, true);
+  }
+});
+
+const receiveArchive = (req, res, next) => {
+  archiveUpload.single('archive')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: '가져올 파일이 너무 큽니다.'
+      });
+    }
+
+    res.status(400).json({
+      success: false,
+      message: error.message || '파일 업로드 중 오류가 발생했습니다.'
+    });
+  });
+};
+
+// Slack 내보내기 ZIP 가져오기 (dryRun=true면 저장하지 않고 보고서만 반환)
+router.post('/imports/slack', auth, admin, receiveArchive, async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: '가져올 ZIP 파일을 선택해주세요.'
+    });
+  }
+
+  try {
+    const dryRun = req.query.dryRun === 'true' || req.body.dryRun === 'true';
+    const result = await SlackImportService.importArchive(req.file.path, {
+      importedBy: req.admin._id,
+      dryRun
+    });
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: dryRun ? '가져오기 미리보기가 완료되었습니다.' : '대화 기록을 가져왔습니다.',
+      data: result.report
+    });
+  } catch (error) {
+    console.error('Slack import error:', error);
+    res.status(500).json({
+      success: false,
+      message: '대화 기록을 가져오는 중 오류가 발생했습니다.'
+    });
+  } finally {
+    fs.promises.unlink(req.file.path).catch(() => {});
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,162 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const BookmarkService = require('../../services/bookmarkService');
+
+// 저장한 메시지 목록 (최신순, room/tag 필터, before 이전 북마크를 limit개씩)
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await BookmarkService.getBookmarks(req.user.id, req.query);
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks: result.bookmarks,
+        hasMore: result.hasMore,
+        nextCursor: result.nextCursor
+      }
+    });
+  } catch (error) {
+    console.error('Bookmarks fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '저장한 메시지를 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 필터용 채팅방/태그 목록
+router.get('/filters', auth, async (req, res) => {
+  try {
+    const filters = await BookmarkService.getFilters(req.user.id);
+
+    res.json({
+      success: true,
+      data: filters
+    });
+  } catch (error) {
+    console.error('Bookmark filters fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '필터 목록을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 채팅방 안에서 저장한 메시지 ID 목록
+router.get('/rooms/:roomId', auth, async (req, res) => {
+  try {
+    const result = await BookmarkService.getRoomBookmarks(req.user.id, req.params.roomId);
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookmarks: result.bookmarks
+      }
+    });
+  } catch (error) {
+    console.error('Room bookmarks fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '저장한 메시지를 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메시지 저장 (이미 저장했으면 메모/태그 갱신)
+router.post('/', auth, async (req, res) => {
+  try {
+    const result = await BookmarkService.addBookmark(req.user.id, req.body);
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      data: {
+        bookmark: result.bookmark
+      }
+    });
+  } catch (error) {
+    console.error('Bookmark create error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 저장 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 메모/태그 수정
+router.patch('/:bookmarkId', auth, async (req, res) => {
+  try {
+    const result = await BookmarkService.updateBookmark(req.user.id, req.params.bookmarkId, req.body);
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookmark: result.bookmark
+      }
+    });
+  } catch (error) {
+    console.error('Bookmark update error:', error);
+    res.status(500).json({
+      success: false,
+      message: '북마크 수정 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 저장 취소
+router.delete('/:bookmarkId', auth, async (req, res) => {
+  try {
+    const result = await BookmarkService.removeBookmark(req.user.id, req.params.bookmarkId);
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        bookmarkId: result.bookmark._id,
+        messageId: result.bookmark.message
+      }
+    });
+  } catch (error) {
+    console.error('Bookmark delete error:', error);
+    res.status(500).json({
+      success: false,
+      message: '저장 취소 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const SlashCommandService = require('../../services/slashCommandService');
+
+// 슬래시 명령어 목록 (입력창 자동완성용)
+router.get('/', auth, (req, res) => {
+  res.json({
+    success: true,
+    data: SlashCommandService.list()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,83 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const NotificationService = require('../../services/notificationService');
+
+// 알림 목록 (최신순, before 이전 알림을 limit개씩)
+router.get('/', auth, async (req, res) => {
+  try {
+    const result = await NotificationService.getNotifications(req.user.id, req.query);
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notifications: result.notifications,
+        hasMore: result.hasMore,
+        unreadCount: result.unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Notifications fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '알림을 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 모두 읽음 처리
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const result = await NotificationService.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount: result.unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Notifications read-all error:', error);
+    res.status(500).json({
+      success: false,
+      message: '알림 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 알림 하나 읽음 처리
+router.patch('/:notificationId/read', auth, async (req, res) => {
+  try {
+    const result = await NotificationService.markRead(req.user.id, req.params.notificationId);
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        notification: result.notification,
+        unreadCount: result.unreadCount
+      }
+    });
+  } catch (error) {
+    console.error('Notification read error:', error);
+    res.status(500).json({
+      success: false,
+      message: '알림 읽음 처리 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
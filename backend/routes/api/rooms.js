@@ -3,6 +3,15 @@ const router = express.Router();
 const auth = require('../../middleware/auth');
 const Room = require('../../models/Room');
 const User = require('../../models/User');
+const Message = require('../../models/Message');
+const SearchService = require('../../services/searchService');
+const MessageService = require('../../services/messageService');
+const ScheduledMessageService = require('../../services/scheduledMessageService');
+const RoomExportService = require('../../services/roomExportService');
+const RateLimitService = require('../../services/rateLimitService');
+const ModerationService = require('../../services/moderationService');
+const { FORMATTERS } = require('../../services/roomExportFormatters');
+const { roomExportSyncLimit } = require('../../config/keys');
 const { rateLimit } = require('express-rate-limit');
 let io;
 
@@ -21,6 +30,12 @@ const limiter = rateLimit({
   legacyHeaders: false
 });
 
+// 사라지는 메시지 시간(초)을 안내 문구로 변환
+const formatMessageTtl = (seconds) => {
+  if (seconds % (24 * 60 * 60) === 0) return `${seconds / (24 * 60 * 60)}일`;
+  return `${Math.round(seconds / (60 * 60))}시간`;
+};
+
 // Socket.IO 초기화 함수
 const initializeSocket = (socketIO) => {
   io = socketIO;
@@ -94,6 +109,10 @@ router.get('/', [limiter, auth], async (req, res) => {
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
+    // 참여 중인 채팅방만 (메시지 전달 대상 선택 등)
+    if (req.query.joined === 'true') {
+      filter.participants = req.user.id;
+    }
 
     // 총 문서 수 조회
     const totalCount = await Room.countDocuments(filter);
@@ -107,12 +126,19 @@ router.get('/', [limiter, auth], async (req, res) => {
       .limit(pageSize)
       .lean();
 
+    // 참여 중인 방의 안 읽은 메시지 수와 마지막 메시지
+    const joinedRoomIds = rooms
+      .filter(room => room?.participants?.some(p => p?._id?.toString() === req.user.id))
+      .map(room => room._id.toString());
+    const roomActivity = await MessageService.getRoomActivity(req.user.id, joinedRoomIds);
+
     // 안전한 응답 데이터 구성 
     const safeRooms = rooms.map(room => {
       if (!room) return null;
 
       const creator = room.creator || { _id: 'unknown', name: '알 수 없음', email: '' };
       const participants = Array.isArray(room.participants) ? room.participants : [];
+      const activity = roomActivity.get(room._id?.toString());
 
       return {
         _id: room._id?.toString() || 'unknown',
@@ -131,6 +157,10 @@ router.get('/', [limiter, auth], async (req, res) => {
         participantsCount: participants.length,
         createdAt: room.createdAt || new Date(),
         isCreator: creator._id?.toString() === req.user.id,
+        isParticipant: !!activity,
+        unreadCount: activity?.unreadCount || 0,
+        mentioned: activity?.mentioned || false,
+        lastMessage: activity?.lastMessage || null
       };
     }).filter(room => room !== null);
 
@@ -138,9 +168,9 @@ router.get('/', [limiter, auth], async (req, res) => {
     const totalPages = Math.ceil(totalCount / pageSize);
     const hasMore = skip + rooms.length < totalCount;
 
-    // 캐시 설정
+    // 캐시 설정 (안 읽은 수가 포함되므로 캐시하지 않음)
     res.set({
-      'Cache-Control': 'private, max-age=10',
+      'Cache-Control': 'private, no-cache',
       'Last-Modified': new Date().toUTCString()
     });
 
@@ -317,6 +347,589 @@ router.post('/:roomId/join', auth, async (req, res) => {
   }
 });
 
+// 고정 메시지 목록 조회
+router.get('/:roomId/pins', auth, async (req, res) => {
+  try {
+    const room = await Room.findOne({
+      _id: req.params.roomId,
+      participants: req.user.id
+    });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없거나 접근 권한이 없습니다.'
+      });
+    }
+
+    const pins = await Message.find({
+      room: req.params.roomId,
+      isPinned: true,
+      isDeleted: false
+    })
+      .sort({ pinnedAt: -1 })
+      .populate('sender', 'name email profileImage')
+      .populate('pinnedBy', 'name')
+      .populate({
+        path: 'file',
+        select: 'filename originalname mimetype size'
+      })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        pins,
+        pinLimit: room.getPinLimit()
+      }
+    });
+  } catch (error) {
+    console.error('Pinned messages fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '고정 메시지를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 예약 메시지 기능 사용 가능 여부와 채팅방 전송 권한 확인
+const checkScheduledMessageAccess = async (req, res) => {
+  if (!ScheduledMessageService.isAvailable()) {
+    res.status(503).json({
+      success: false,
+      message: '예약 메시지 기능을 사용할 수 없습니다.'
+    });
+    return false;
+  }
+
+  const permission = await MessageService.checkSendPermission(req.user.id, req.params.roomId);
+  if (!permission.isValid) {
+    res.status(403).json({
+      success: false,
+      message: permission.message
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// 내 예약 메시지 목록 조회
+router.get('/:roomId/scheduled-messages', [limiter, auth], async (req, res) => {
+  try {
+    if (!await checkScheduledMessageAccess(req, res)) return;
+
+    const scheduledMessages = await ScheduledMessageService.listScheduledMessages(
+      req.user.id,
+      req.params.roomId
+    );
+
+    res.json({
+      success: true,
+      data: scheduledMessages
+    });
+  } catch (error) {
+    console.error('Scheduled messages fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '예약 메시지를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 예약 메시지 생성
+router.post('/:roomId/scheduled-messages', [limiter, auth], async (req, res) => {
+  try {
+    if (!await checkScheduledMessageAccess(req, res)) return;
+
+    const result = await ScheduledMessageService.createScheduledMessage(
+      req.user.id,
+      req.params.roomId,
+      { content: req.body.content, scheduledAt: req.body.scheduledAt }
+    );
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: result.scheduledMessage
+    });
+  } catch (error) {
+    console.error('Scheduled message create error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 예약에 실패했습니다.'
+    });
+  }
+});
+
+// 예약 메시지 수정 (내용/시간 변경, 실패한 메시지 재예약)
+router.put('/:roomId/scheduled-messages/:scheduledMessageId', [limiter, auth], async (req, res) => {
+  try {
+    if (!await checkScheduledMessageAccess(req, res)) return;
+
+    const result = await ScheduledMessageService.updateScheduledMessage(
+      req.user.id,
+      req.params.roomId,
+      req.params.scheduledMessageId,
+      { content: req.body.content, scheduledAt: req.body.scheduledAt }
+    );
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.scheduledMessage
+    });
+  } catch (error) {
+    console.error('Scheduled message update error:', error);
+    res.status(500).json({
+      success: false,
+      message: '예약 메시지 수정에 실패했습니다.'
+    });
+  }
+});
+
+// 예약 메시지 취소
+router.delete('/:roomId/scheduled-messages/:scheduledMessageId', [limiter, auth], async (req, res) => {
+  try {
+    if (!await checkScheduledMessageAccess(req, res)) return;
+
+    const result = await ScheduledMessageService.cancelScheduledMessage(
+      req.user.id,
+      req.params.roomId,
+      req.params.scheduledMessageId
+    );
+
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      message: '예약 메시지가 취소되었습니다.'
+    });
+  } catch (error) {
+    console.error('Scheduled message cancel error:', error);
+    res.status(500).json({
+      success: false,
+      message: '예약 메시지 취소에 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 메시지 검색
+router.get('/:roomId/messages/search', [limiter, auth], async (req, res) => {
+  try {
+    const room = await Room.exists({
+      _id: req.params.roomId,
+      participants: req.user.id
+    });
+
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없거나 접근 권한이 없습니다.'
+      });
+    }
+
+    const result = await SearchService.searchRoomMessages(req.params.roomId, req.query);
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.results,
+      metadata: result.metadata
+    });
+  } catch (error) {
+    console.error('Message search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 대화 기록 내보내기 (참여자 전용, format=json|markdown|html, from/to 기간 선택)
+// 메시지가 많거나 background=true면 백그라운드 작업으로 만들고 완료 시 다운로드 링크를 알림
+router.get('/:roomId/export', [limiter, auth], async (req, res) => {
+  try {
+    const options = RoomExportService.parseOptions(req.query);
+    if (!options.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: options.message
+      });
+    }
+
+    const room = await RoomExportService.findRoom(req.user.id, req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없거나 접근 권한이 없습니다.'
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const messageCount = await RoomExportService.countMessages(room._id, options);
+
+    if (req.query.background === 'true' || messageCount > roomExportSyncLimit) {
+      const exportJob = await RoomExportService.createJob(req.user.id, room, options, baseUrl);
+      return res.status(202).json({
+        success: true,
+        message: '대화 기록을 준비하고 있습니다. 완료되면 알려드립니다.',
+        data: {
+          export: exportJob,
+          messageCount
+        }
+      });
+    }
+
+    const formatter = FORMATTERS[options.format];
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      RoomExportService.getContentDisposition(RoomExportService.getFileName(room, options.format))
+    );
+    res.setHeader('Cache-Control', 'no-store');
+
+    try {
+      await RoomExportService.writeTranscript(res, room, options, baseUrl);
+      res.end();
+    } catch (error) {
+      if (error.message !== 'EXPORT_ABORTED') {
+        console.error('Room export stream error:', error);
+      }
+      // 이미 본문을 보내기 시작했으므로 연결을 끊어 불완전한 파일임을 알림
+      res.destroy();
+    }
+  } catch (error) {
+    console.error('Room export error:', error);
+    if (res.headersSent) {
+      return res.destroy();
+    }
+    res.status(500).json({
+      success: false,
+      message: '대화 기록을 내보내는 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+// 내가 요청한 최근 내보내기 작업 목록
+router.get('/:roomId/exports', [limiter, auth], async (req, res) => {
+  try {
+    const room = await RoomExportService.findRoom(req.user.id, req.params.roomId);
+    if (!room) {
+      return res.status(404).json({
+        success: false,
+        message: '채팅방을 찾을 수 없거나 접근 권한이 없습니다.'
+      });
+    }
+
+    const exports = await RoomExportService.getRecentExports(req.user.id, room._id);
+
+    res.json({
+      success: true,
+      data: exports
+    });
+  } catch (error) {
+    console.error('Room exports fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '내보내기 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 백그라운드 내보내기 결과 다운로드 (요청한 사용자만, 보관 기간 내)
+router.get('/:roomId/exports/:exportId/download', [limiter, auth], async (req, res) => {
+  try {
+    const room = await RoomExportService.findRoom(req.user.id, req.params.roomId);
+    const exportJob = room && await RoomExportService.getExport(req.user.id, room._id, req.params.exportId);
+
+    if (!exportJob || exportJob.status !== 'completed' || exportJob.expiresAt <= new Date()) {
+      return res.status(404).json({
+        success: false,
+        message: '내보내기 파일을 찾을 수 없습니다.'
+      });
+    }
+
+    const formatter = FORMATTERS[exportJob.format];
+    res.setHeader('Content-Type', formatter.contentType);
+    res.setHeader(
+      'Content-Disposition',
+      RoomExportService.getContentDisposition(RoomExportService.getFileName(room, exportJob.format))
+    );
+    res.sendFile(RoomExportService.getFilePath(exportJob), (error) => {
+      if (!error) return;
+      console.error('Room export download error:', error);
+      if (!res.headersSent) {
+        res.status(404).json({
+          success: false,
+          message: '내보내기 파일을 찾을 수 없습니다.'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Room export download error:', error);
+    res.status(500).json({
+      success: false,
+      message: '내보내기 파일을 다운로드하는데 실패했습니다.'
+    });
+  }
+});
+
+// 방장 전용 기능의 채팅방 조회 (없거나 방장이 아니면 응답을 보내고 null 반환)
+const findOwnedRoom = async (req, res, forbiddenMessage) => {
+  const room = await Room.findById(req.params.roomId);
+
+  if (!room) {
+    res.status(404).json({
+      success: false,
+      message: '채팅방을 찾을 수 없습니다.'
+    });
+    return null;
+  }
+
+  if (room.creator.toString() !== req.user.id) {
+    res.status(403).json({
+      success: false,
+      message: forbiddenMessage
+    });
+    return null;
+  }
+
+  return room;
+};
+
+// 메시지 검토 규칙과 채팅방 설정 조회 (방장 전용)
+router.get('/:roomId/moderation', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res, '방장만 메시지 검토 설정을 볼 수 있습니다.');
+    if (!room) return;
+
+    res.json({
+      success: true,
+      data: {
+        rules: await ModerationService.getRoomRules(room),
+        pendingCount: await ModerationService.getPendingCount(room._id)
+      }
+    });
+  } catch (error) {
+    console.error('Moderation settings fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검토 설정을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 검토 대기열 조회 (status: pending | approved | removed)
+router.get('/:roomId/moderation/queue', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res, '방장만 검토 대기열을 볼 수 있습니다.');
+    if (!room) return;
+
+    const result = await ModerationService.listQueue(room._id, req.query.status || 'pending');
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        flags: result.flags,
+        pendingCount: result.pendingCount
+      }
+    });
+  } catch (error) {
+    console.error('Moderation queue fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '검토 대기열을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 검토 처리 (decision: approve는 그대로 두기, remove는 메시지 삭제)
+router.post('/:roomId/moderation/queue/:flagId', [limiter, auth], async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res, '방장만 메시지를 검토할 수 있습니다.');
+    if (!room) return;
+
+    const { decision } = req.body;
+    const result = await ModerationService.review(room, req.params.flagId, req.user.id, decision);
+    if (!result.isValid) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    if (decision === 'remove') {
+      const message = await Message.findById(result.flag.message);
+      if (message && !message.isDeleted) {
+        await MessageService.deleteMessage(io, message, req.user.id);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: decision === 'remove' ? '메시지를 삭제했습니다.' : '메시지를 그대로 두었습니다.',
+      data: result.flag
+    });
+  } catch (error) {
+    console.error('Moderation review error:', error);
+    res.status(500).json({
+      success: false,
+      message: '메시지 검토 처리에 실패했습니다.'
+    });
+  }
+});
+
+// 채팅방 설정 변경 (방장 전용)
+router.patch('/:roomId/settings', auth, async (req, res) => {
+  try {
+    const room = await findOwnedRoom(req, res, '방장만 채팅방 설정을 변경할 수 있습니다.');
+    if (!room) return;
+
+    const updates = {};
+
+    if (req.body.pinLimit !== undefined) {
+      const pinLimit = parseInt(req.body.pinLimit, 10);
+      if (Number.isNaN(pinLimit)) {
+        return res.status(400).json({
+          success: false,
+          message: '고정 메시지 한도는 숫자여야 합니다.'
+        });
+      }
+      updates.pinLimit = pinLimit;
+    }
+
+    // 사라지는 메시지 타이머 (null 또는 0이면 끄기)
+    if (req.body.disappearingMessageTtl !== undefined) {
+      const ttl = req.body.disappearingMessageTtl
+        ? parseInt(req.body.disappearingMessageTtl, 10)
+        : null;
+      if (ttl !== null && !Room.DISAPPEARING_MESSAGE_TTLS.includes(ttl)) {
+        return res.status(400).json({
+          success: false,
+          message: '지원하지 않는 사라지는 메시지 시간입니다.'
+        });
+      }
+      updates.disappearingMessageTtl = ttl;
+    }
+
+    // 이벤트별 채팅방 속도 제한 (보낸 값으로 전체 교체, null이면 모두 해제하고 기본 한도만 적용)
+    if (req.body.rateLimits !== undefined) {
+      const validation = RateLimitService.validateRoomLimits(req.body.rateLimits);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.message
+        });
+      }
+      updates.rateLimits = validation.rateLimits;
+    }
+
+    // 메시지 검토 규칙 (보낸 값으로 전체 교체, null이면 모두 끄기)
+    if (req.body.moderation !== undefined) {
+      const validation = ModerationService.validateRoomConfig(req.body.moderation);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: validation.message
+        });
+      }
+      updates.moderation = validation.moderation;
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: '변경할 설정이 없습니다.'
+      });
+    }
+
+    // save()를 쓰면 비밀번호 해싱 훅이 hasPassword를 초기화하므로 직접 갱신
+    const updatedRoom = await Room.findOneAndUpdate(
+      { _id: room._id },
+      { $set: updates },
+      { new: true, runValidators: true }
+    )
+      .populate('creator', 'name email')
+      .populate('participants', 'name email');
+
+    if (io) {
+      io.to(req.params.roomId).emit('roomUpdate', {
+        ...updatedRoom.toObject(),
+        password: undefined
+      });
+    }
+
+    // 사라지는 메시지 설정 변경은 채팅방에 시스템 메시지로 안내
+    if (updates.disappearingMessageTtl !== undefined &&
+        updates.disappearingMessageTtl !== (room.disappearingMessageTtl || null)) {
+      const systemMessage = await Message.create({
+        room: req.params.roomId,
+        content: updates.disappearingMessageTtl
+          ? `사라지는 메시지가 켜졌습니다. 이후 메시지는 ${formatMessageTtl(updates.disappearingMessageTtl)} 뒤 삭제됩니다.`
+          : '사라지는 메시지가 꺼졌습니다.',
+        type: 'system',
+        timestamp: new Date()
+      });
+
+      if (io) {
+        io.to(req.params.roomId).emit('message', systemMessage);
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...updatedRoom.toObject(),
+        password: undefined
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0]?.message;
+      return res.status(400).json({
+        success: false,
+        message: message || '잘못된 설정 값입니다.'
+      });
+    }
+
+    console.error('Room settings update error:', error);
+    res.status(500).json({
+      success: false,
+      message: '채팅방 설정 변경에 실패했습니다.'
+    });
+  }
+});
+
 module.exports = {
   router,
   initializeSocket
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const SearchService = require('../../services/searchService');
+const { rateLimit } = require('express-rate-limit');
+
+// 속도 제한 설정
+const limiter = rateLimit({
+  windowMs: 1 * 60 * 1000, // 1분
+  max: 30, // IP당 최대 요청 수
+  message: {
+    success: false,
+    error: {
+      message: '너무 많은 요청이 발생했습니다. 잠시 후 다시 시도해주세요.',
+      code: 'TOO_MANY_REQUESTS'
+    }
+  },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// 통합 검색 (메시지, 파일명, 채팅방 이름)
+router.get('/', [limiter, auth], async (req, res) => {
+  try {
+    const result = await SearchService.searchGlobal(req.user.id, req.query);
+
+    if (!result.isValid) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        rooms: result.rooms,
+        groups: result.groups
+      },
+      metadata: result.metadata
+    });
+  } catch (error) {
+    console.error('Global search error:', error);
+    res.status(500).json({
+      success: false,
+      message: '검색 중 오류가 발생했습니다.'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,11 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const searchRoutes = require('./api/search');
+const commandRoutes = require('./api/commands');
+const notificationRoutes = require('./api/notifications');
+const bookmarkRoutes = require('./api/bookmarks');
+const adminRoutes = require('./api/admin');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -25,8 +30,13 @@ router.get('/', (req, res) => {
         }
       },
       users: '/users',
+      bookmarks: '/users/me/bookmarks',
       rooms: '/rooms',
       files: '/files',
+      search: '/search',
+      commands: '/commands',
+      notifications: '/notifications',
+      admin: '/admin',
       ai: '/ai'
     }
   });
@@ -34,8 +44,13 @@ router.get('/', (req, res) => {
 
 // Mount routes
 router.use('/auth', authRoutes);
+router.use('/users/me/bookmarks', bookmarkRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/search', searchRoutes);
+router.use('/commands', commandRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/admin', adminRoutes);
 
 module.exports = router;
\ No newline at end of file
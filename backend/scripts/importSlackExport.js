@@ -0,0 +1,57 @@
+// Slack 내보내기 ZIP에서 채널과 메시지를 가져옴
+// 사용법: node scripts/importSlackExport.js <export.zip> --admin-email=<이메일> [--dry-run]
+//  - 이메일이 같은 기존 사용자에 연결하고, 없으면 로그인할 수 없는 임시 계정을 만듦
+//  - 채널 생성자를 찾을 수 없는 채팅방은 --admin-email 사용자를 생성자로 지정
+//  - 이미 가져온 채널과 메시지는 건너뛰므로 여러 번 실행해도 안전 (--dry-run이면 보고서만 출력)
+const mongoose = require('mongoose');
+const { mongoURI } = require('../config/keys');
+const User = require('../models/User');
+const SlackImportService = require('../services/slackImportService');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const archivePath = args.find(arg => !arg.startsWith('--'));
+const adminEmail = args.find(arg => arg.startsWith('--admin-email='))?.split('=')[1]?.trim().toLowerCase();
+
+const run = async () => {
+  if (!archivePath || !adminEmail) {
+    throw new Error('사용법: node scripts/importSlackExport.js <export.zip> --admin-email=<이메일> [--dry-run]');
+  }
+
+  await mongoose.connect(mongoURI);
+  console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+  const admin = await User.findOne({ email: adminEmail }).select('_id');
+  if (!admin) {
+    throw new Error(`사용자를 찾을 수 없습니다: ${adminEmail}`);
+  }
+
+  const result = await SlackImportService.importArchive(archivePath, {
+    importedBy: admin._id,
+    dryRun
+  });
+  if (!result.isValid) {
+    throw new Error(result.message);
+  }
+
+  const { users, channels, messages, reactions, attachments, skippedConversations, warnings } = result.report;
+  console.log(`Users: ${users.total} total, ${users.matched} matched by email, ${users.created} placeholders created, ${users.existing} placeholders reused`);
+  channels.forEach(channel => {
+    console.log(
+      `#${channel.name}${channel.isPrivate ? ' (private)' : ''} [${channel.status}]: ` +
+      `${channel.messages.imported} imported, ${channel.messages.alreadyImported} already imported, ${channel.messages.skipped} skipped`
+    );
+  });
+  console.log(`Messages: ${messages.imported} imported (${messages.threadReplies} thread replies), ${messages.alreadyImported} already imported, ${messages.skipped} skipped`);
+  console.log(`Reactions: ${reactions}, attachments: ${attachments.uploaded} uploaded, ${attachments.linked} linked`);
+  console.log(`Skipped conversations: ${skippedConversations.dms} DMs, ${skippedConversations.mpims} group DMs`);
+  warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Slack import error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+// 항목별 투표 기록(option 하나당 문서 하나)을 사용자별 문서(options 배열)로 변환
+// 사용법: node scripts/migratePollVotes.js [--dry-run]
+//  - 같은 투표의 같은 사용자 기록을 하나로 합치고, 합친 뒤 예전 형식 문서를 삭제
+//  - 이미 변환된 문서는 건드리지 않으므로 여러 번 실행해도 안전
+//  - 마지막에 인덱스를 새 스키마에 맞춤 ({message, user, option} → {message, user})
+const mongoose = require('mongoose');
+const { mongoURI } = require('../config/keys');
+const PollVote = require('../models/PollVote');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(mongoURI);
+  console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+  // option은 스키마에서 제거되었으므로 컬렉션을 직접 집계
+  const entries = PollVote.collection.aggregate([
+    { $match: { option: { $exists: true } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: { message: '$message', user: '$user' },
+        options: { $addToSet: '$option' },
+        createdAt: { $first: '$createdAt' },
+        updatedAt: { $max: '$updatedAt' }
+      }
+    }
+  ], { allowDiskUse: true });
+
+  let total = 0;
+  for await (const entry of entries) {
+    total++;
+    if (dryRun) continue;
+
+    const { message, user } = entry._id;
+    await PollVote.collection.updateOne(
+      { message, user, option: { $exists: false } },
+      {
+        $addToSet: { options: { $each: entry.options } },
+        $setOnInsert: { createdAt: entry.createdAt },
+        $max: { updatedAt: entry.updatedAt }
+      },
+      { upsert: true }
+    );
+    await PollVote.collection.deleteMany({ message, user, option: { $exists: true } });
+  }
+
+  console.log(`Poll votes: ${total} voters found${dryRun ? '' : ', merged'}`);
+
+  if (!dryRun) {
+    await PollVote.syncIndexes();
+    console.log('Poll vote indexes synced');
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Poll vote migration error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -0,0 +1,61 @@
+// 메시지별 readers 배열을 사용자/채팅방별 읽음 커서(ReadCursor)로 변환
+// 사용법: node scripts/migrateReadCursors.js [--dry-run]
+//  - 사용자가 읽은 메시지 중 채팅방에서 가장 최근 메시지를 커서로 저장
+//  - 이미 더 뒤에 있는 커서는 그대로 두므로 여러 번 실행해도 안전
+//  - 변환이 끝나면 메시지의 readers 필드를 제거 (--dry-run이면 집계만 출력)
+const mongoose = require('mongoose');
+const { mongoURI } = require('../config/keys');
+const Message = require('../models/Message');
+const ReadCursorService = require('../services/readCursorService');
+
+const dryRun = process.argv.includes('--dry-run');
+
+const migrate = async () => {
+  await mongoose.connect(mongoURI);
+  console.log(`MongoDB Connected${dryRun ? ' (dry run)' : ''}`);
+
+  // readers는 스키마에서 제거되었으므로 컬렉션을 직접 집계
+  const entries = Message.collection.aggregate([
+    { $match: { 'readers.0': { $exists: true } } },
+    { $sort: { timestamp: -1, _id: -1 } },
+    { $unwind: '$readers' },
+    {
+      $group: {
+        _id: { room: '$room', user: '$readers.userId' },
+        lastReadMessage: { $first: '$_id' },
+        lastReadTimestamp: { $first: '$timestamp' }
+      }
+    }
+  ], { allowDiskUse: true });
+
+  let total = 0;
+  let moved = 0;
+  for await (const entry of entries) {
+    total++;
+    if (dryRun) continue;
+
+    const cursor = await ReadCursorService.moveTo(entry._id.user, entry._id.room, {
+      _id: entry.lastReadMessage,
+      timestamp: entry.lastReadTimestamp
+    });
+    if (cursor) moved++;
+  }
+
+  console.log(`Read cursors: ${total} found, ${moved} created or advanced`);
+
+  if (!dryRun) {
+    const result = await Message.collection.updateMany(
+      { readers: { $exists: true } },
+      { $unset: { readers: '' } }
+    );
+    console.log(`Removed readers from ${result.modifiedCount} messages`);
+  }
+};
+
+migrate()
+  .then(() => mongoose.disconnect())
+  .catch(async (error) => {
+    console.error('Read cursor migration error:', error);
+    await mongoose.disconnect();
+    process.exit(1);
+  });
@@ -7,6 +7,14 @@ const socketIO = require("socket.io");
 const path = require("path");
 const { router: roomsRouter, initializeSocket } = require("./routes/api/rooms");
 const routes = require("./routes");
+const FileCleanupService = require("./services/fileCleanupService");
+const ScheduledMessageService = require("./services/scheduledMessageService");
+const MessageExpiryService = require("./services/messageExpiryService");
+const NotificationService = require("./services/notificationService");
+const LinkPreviewService = require("./services/linkPreviewService");
+const RoomExportService = require("./services/roomExportService");
+const ModerationService = require("./services/moderationService");
+const { fileCleanupDelay, messageExpirySweepInterval } = require("./config/keys");
 
 const app = express();
 const server = http.createServer(app);
@@ -31,7 +39,7 @@ const corsOptions = {
     'https://chat.goorm-ktb-002.goorm.team',
   ],
   credentials: true,
-  methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+  methods: ["GET", "POST", "PUT", "PATCH", "DELETE", "OPTIONS"],
   allowedHeaders: [
     "Content-Type",
     "Authorization",
@@ -82,6 +90,12 @@ require("./sockets/chat")(io);
 
 // Socket.IO 객체 전달
 initializeSocket(io);
+ScheduledMessageService.initialize(io);
+MessageExpiryService.initialize(io);
+NotificationService.initialize(io);
+LinkPreviewService.initialize(io);
+RoomExportService.initialize(io);
+ModerationService.initialize(io);
 
 // 404 에러 핸들러
 app.use((req, res) => {
@@ -113,6 +127,27 @@ mongoose
       console.log(`📦 Environment: ${process.env.NODE_ENV}`);
       console.log(`📡 API Base URL: http://0.0.0.0:${PORT}/api`);
     });
+
+    // 삭제된 메시지 첨부파일 정리 (재시작 시 유실된 예약 포함)
+    FileCleanupService.sweepPendingCleanups();
+    setInterval(() => {
+      FileCleanupService.sweepPendingCleanups();
+    }, fileCleanupDelay).unref();
+
+    // 예약 메시지 작업 복구
+    ScheduledMessageService.restorePendingJobs();
+
+    // 만료된 사라지는 메시지 정리
+    MessageExpiryService.sweepExpiredMessages();
+    setInterval(() => {
+      MessageExpiryService.sweepExpiredMessages();
+    }, messageExpirySweepInterval).unref();
+
+    // 보관 기간이 지난 대화 기록 내보내기 파일 정리
+    RoomExportService.cleanupExpired();
+    setInterval(() => {
+      RoomExportService.cleanupExpired();
+    }, 60 * 60 * 1000).unref();
   })
   .catch((err) => {
     console.error("Server startup error:", err);
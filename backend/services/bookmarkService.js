@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../models/Bookmark');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+
+class BookmarkService {
+  static DEFAULT_LIMIT = 20;
+  static MAX_LIMIT = 50;
+  static MAX_NOTE_LENGTH = 500;
+  static MAX_TAGS = 10;
+  static MAX_TAG_LENGTH = 30;
+
+  // 배열 또는 쉼표로 구분한 문자열을 받아 소문자/중복 제거한 태그 목록으로 변환
+  static normalizeTags(value) {
+    if (value === undefined || value === null) {
+      return { isValid: true, tags: [] };
+    }
+
+    const raw = Array.isArray(value) ? value : String(value).split(',');
+    if (raw.some(tag => typeof tag !== 'string')) {
+      return { isValid: false, message: '태그 형식이 올바르지 않습니다.' };
+    }
+
+    const tags = [...new Set(
+      raw.map(tag => tag.trim().replace(/^#+/, '').toLowerCase()).filter(Boolean)
+    )];
+
+    if (tags.length > this.MAX_TAGS) {
+      return { isValid: false, message: `태그는 최대 ${this.MAX_TAGS}개까지 추가할 수 있습니다.` };
+    }
+    if (tags.some(tag => tag.length > this.MAX_TAG_LENGTH)) {
+      return { isValid: false, message: `태그는 ${this.MAX_TAG_LENGTH}자를 넘을 수 없습니다.` };
+    }
+
+    return { isValid: true, tags };
+  }
+
+  static validateNote(note) {
+    if (note === undefined || note === null) {
+      return { isValid: true, note: '' };
+    }
+    if (typeof note !== 'string') {
+      return { isValid: false, message: '메모 형식이 올바르지 않습니다.' };
+    }
+
+    const trimmed = note.trim();
+    if (trimmed.length > this.MAX_NOTE_LENGTH) {
+      return { isValid: false, message: `메모는 ${this.MAX_NOTE_LENGTH}자를 넘을 수 없습니다.` };
+    }
+    return { isValid: true, note: trimmed };
+  }
+
+  // 요청 본문의 note/tags 중 전달된 값만 검증해서 반환
+  static buildChanges(body = {}) {
+    const changes = {};
+
+    if (body.note !== undefined) {
+      const note = this.validateNote(body.note);
+      if (!note.isValid) return note;
+      changes.note = note.note;
+    }
+
+    if (body.tags !== undefined) {
+      const tags = this.normalizeTags(body.tags);
+      if (!tags.isValid) return tags;
+      changes.tags = tags.tags;
+    }
+
+    return { isValid: true, changes };
+  }
+
+  // 현재 참여 중인 채팅방 (나간 방의 북마크는 목록에서 제외)
+  static async getAccessibleRoomIds(userId) {
+    const roomIds = await Room.find({ participants: userId }).distinct('_id');
+    return roomIds.map(id => id.toString());
+  }
+
+  static async getBookmarks(userId, query = {}) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || this.DEFAULT_LIMIT, 1),
+      this.MAX_LIMIT
+    );
+
+    const accessibleRoomIds = await this.getAccessibleRoomIds(userId);
+    const roomIds = query.room
+      ? accessibleRoomIds.filter(id => id === String(query.room))
+      : accessibleRoomIds;
+
+    const filter = { user: userId, room: { $in: roomIds } };
+    if (query.tag) {
+      filter.tags = String(query.tag).trim().replace(/^#+/, '').toLowerCase();
+    }
+    if (query.before) {
+      const before = new Date(query.before);
+      if (isNaN(before)) {
+        return { isValid: false, message: '조회 기준 시간이 올바르지 않습니다.' };
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const results = await Bookmark.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit + 1)
+      .populate({
+        path: 'message',
+        select: 'room sender type content file aiType timestamp isDeleted parentMessage',
+        populate: [
+          { path: 'sender', select: 'name email profileImage' },
+          { path: 'file', select: 'filename originalname mimetype size' }
+        ]
+      })
+      .lean();
+
+    const hasMore = results.length > limit;
+    const page = results.slice(0, limit);
+    const nextCursor = hasMore ? page[page.length - 1].createdAt : null;
+
+    // 삭제된 메시지의 북마크는 건너뜀 (삭제 시 함께 지워지지만 남아 있을 수 있음)
+    const bookmarks = page.filter(bookmark => bookmark.message && !bookmark.message.isDeleted);
+
+    const rooms = await Room.find({
+      _id: { $in: [...new Set(bookmarks.map(bookmark => bookmark.room))] }
+    }).select('name').lean();
+    const roomNames = new Map(rooms.map(room => [room._id.toString(), room.name]));
+
+    return {
+      isValid: true,
+      bookmarks: bookmarks.map(bookmark => ({
+        ...bookmark,
+        roomName: roomNames.get(bookmark.room) || null
+      })),
+      hasMore,
+      nextCursor
+    };
+  }
+
+  // 저장 페이지의 채팅방/태그 필터 목록 (접근 가능한 채팅방 기준 개수 포함)
+  static async getFilters(userId) {
+    const accessibleRoomIds = await this.getAccessibleRoomIds(userId);
+    const match = {
+      user: new mongoose.Types.ObjectId(userId),
+      room: { $in: accessibleRoomIds }
+    };
+
+    const [roomCounts, tagCounts] = await Promise.all([
+      Bookmark.aggregate([
+        { $match: match },
+        { $group: { _id: '$room', count: { $sum: 1 } } }
+      ]),
+      Bookmark.aggregate([
+        { $match: match },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ])
+    ]);
+
+    const rooms = await Room.find({ _id: { $in: roomCounts.map(item => item._id) } })
+      .select('name')
+      .lean();
+    const roomNames = new Map(rooms.map(room => [room._id.toString(), room.name]));
+
+    return {
+      rooms: roomCounts
+        .map(item => ({ _id: item._id, name: roomNames.get(item._id), count: item.count }))
+        .filter(room => room.name)
+        .sort((a, b) => a.name.localeCompare(b.name)),
+      tags: tagCounts.map(item => ({ tag: item._id, count: item.count }))
+    };
+  }
+
+  // 채팅방 화면에서 북마크 표시용 (메시지 ID → 북마크 ID)
+  static async getRoomBookmarks(userId, roomId) {
+    const room = await Room.exists({ _id: roomId, participants: userId });
+    if (!room) {
+      return { isValid: false, status: 403, message: '채팅방 접근 권한이 없습니다.' };
+    }
+
+    const bookmarks = await Bookmark.find({ user: userId, room: String(roomId) })
+      .select('message')
+      .lean();
+
+    return { isValid: true, bookmarks };
+  }
+
+  // 이미 저장한 메시지면 전달된 메모/태그만 갱신
+  static async addBookmark(userId, body = {}) {
+    const { messageId } = body;
+    if (!mongoose.isValidObjectId(messageId)) {
+      return { isValid: false, status: 404, message: '메시지를 찾을 수 없습니다.' };
+    }
+
+    const result = this.buildChanges(body);
+    if (!result.isValid) {
+      return { ...result, status: 400 };
+    }
+
+    const message = await Message.findById(messageId).select('room type isDeleted');
+    if (!message || message.isDeleted) {
+      return { isValid: false, status: 404, message: '메시지를 찾을 수 없습니다.' };
+    }
+    if (message.type === 'system') {
+      return { isValid: false, status: 400, message: '시스템 메시지는 저장할 수 없습니다.' };
+    }
+
+    const room = await Room.exists({ _id: message.room, participants: userId });
+    if (!room) {
+      return { isValid: false, status: 403, message: '채팅방 접근 권한이 없습니다.' };
+    }
+
+    const existing = await Bookmark.findOne({ user: userId, message: message._id });
+    if (existing) {
+      existing.set(result.changes);
+      await existing.save();
+      return { isValid: true, bookmark: existing, created: false };
+    }
+
+    try {
+      const bookmark = await Bookmark.create({
+        user: userId,
+        message: message._id,
+        room: message.room,
+        ...result.changes
+      });
+      return { isValid: true, bookmark, created: true };
+    } catch (error) {
+      // 동시에 같은 메시지를 저장한 경우
+      if (error.code === 11000) {
+        const bookmark = await Bookmark.findOne({ user: userId, message: message._id });
+        return { isValid: true, bookmark, created: false };
+      }
+      throw error;
+    }
+  }
+
+  static async updateBookmark(userId, bookmarkId, body = {}) {
+    if (!mongoose.isValidObjectId(bookmarkId)) {
+      return { isValid: false, status: 404, message: '북마크를 찾을 수 없습니다.' };
+    }
+
+    const result = this.buildChanges(body);
+    if (!result.isValid) {
+      return { ...result, status: 400 };
+    }
+
+    const bookmark = await Bookmark.findOneAndUpdate(
+      { _id: bookmarkId, user: userId },
+      { $set: result.changes },
+      { new: true }
+    );
+    if (!bookmark) {
+      return { isValid: false, status: 404, message: '북마크를 찾을 수 없습니다.' };
+    }
+
+    return { isValid: true, bookmark };
+  }
+
+  static async removeBookmark(userId, bookmarkId) {
+    if (!mongoose.isValidObjectId(bookmarkId)) {
+      return { isValid: false, status: 404, message: '북마크를 찾을 수 없습니다.' };
+    }
+
+    const bookmark = await Bookmark.findOneAndDelete({ _id: bookmarkId, user: userId });
+    if (!bookmark) {
+      return { isValid: false, status: 404, message: '북마크를 찾을 수 없습니다.' };
+    }
+
+    return { isValid: true, bookmark };
+  }
+
+  // 삭제되거나 만료된 메시지의 북마크 제거
+  static async removeForMessages(messageIds) {
+    if (!messageIds?.length) return;
+    await Bookmark.deleteMany({ message: { $in: messageIds } });
+  }
+}
+
+module.exports = BookmarkService;
@@ -0,0 +1,106 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const { uploadDir } = require('../middleware/upload');
+const { s3Bucket, s3Folder, fileCleanupDelay } = require('../config/keys');
+const s3 = require('./s3Client');
+
+class FileCleanupService {
+  static pendingCleanups = new Map();
+
+  // 삭제된 메시지의 첨부파일 정리 예약
+  static scheduleCleanup(fileId, delay = fileCleanupDelay) {
+    if (!fileId) return;
+
+    const key = fileId.toString();
+    if (this.pendingCleanups.has(key)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingCleanups.delete(key);
+      this.cleanupFile(key).catch(error => {
+        console.error('Scheduled file cleanup error:', error);
+      });
+    }, delay);
+
+    // 대기 중인 정리 작업이 프로세스 종료를 막지 않도록 처리
+    timer.unref?.();
+    this.pendingCleanups.set(key, timer);
+  }
+
+  // 더 이상 참조하는 메시지가 없을 때만 실제 파일과 메타데이터 삭제
+  // 다른 메시지(전달된 사본 등)가 아직 쓰고 있으면 삭제된 메시지의 참조만 끊어
+  // 정리 확인 대상에서 빠지게 함 (파일은 마지막 참조 메시지가 삭제될 때 정리)
+  static async cleanupFile(fileId) {
+    const stillReferenced = await Message.exists({
+      file: fileId,
+      isDeleted: false
+    });
+
+    if (!stillReferenced) {
+      const file = await File.findById(fileId);
+      if (file) {
+        await this.removeStoredObject(file);
+        await file.deleteOne();
+      }
+    }
+
+    await this.detachDeletedMessages(fileId);
+    return !stillReferenced;
+  }
+
+  static async detachDeletedMessages(fileId) {
+    await Message.updateMany(
+      { file: fileId, isDeleted: true },
+      { $unset: { file: 1 } }
+    );
+  }
+
+  // 로컬 업로드는 디스크에서, 그 외에는 S3에서 삭제
+  static async removeStoredObject(file) {
+    try {
+      const localPath = path.resolve(file.path || '');
+      if (file.path && path.isAbsolute(file.path) && localPath.startsWith(path.resolve(uploadDir))) {
+        await fs.unlink(localPath);
+        return;
+      }
+
+      if (s3Bucket) {
+        await s3.send(new DeleteObjectCommand({
+          Bucket: s3Bucket,
+          Key: `${s3Folder}/${file.filename}`
+        }));
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      console.error('Stored file removal error:', {
+        fileId: file._id,
+        error: error.message
+      });
+    }
+  }
+
+  // 서버 재시작 등으로 예약이 유실된 정리 작업 처리
+  static async sweepPendingCleanups() {
+    try {
+      const threshold = new Date(Date.now() - fileCleanupDelay);
+      const fileIds = await Message.distinct('file', {
+        isDeleted: true,
+        file: { $ne: null },
+        deletedAt: { $lte: threshold }
+      });
+
+      for (const fileId of fileIds) {
+        await this.cleanupFile(fileId);
+      }
+
+      return fileIds.length;
+    } catch (error) {
+      console.error('File cleanup sweep error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = FileCleanupService;
@@ -0,0 +1,302 @@
+const http = require('http');
+const https = require('https');
+const dns = require('dns').promises;
+const net = require('net');
+
+const FETCH_TIMEOUT = 5000;
+const MAX_RESPONSE_SIZE = 512 * 1024; // 미리보기 정보는 <head>에 있으므로 앞부분만 읽음
+const MAX_REDIRECTS = 3;
+const ALLOWED_PORTS = ['', '80', '443'];
+const TITLE_LENGTH = 200;
+const DESCRIPTION_LENGTH = 300;
+const USER_AGENT = 'ChatAppLinkPreview/1.0';
+
+// 사설망, 루프백, 링크 로컬, 멀티캐스트 등 외부 인터넷이 아닌 주소
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (address) =>
+  address.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+
+const isBlockedIPv4 = (address) => {
+  const value = ipv4ToNumber(address);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(base);
+    return value >= start && value < start + size;
+  });
+};
+
+// IPv6 주소를 16바이트 배열로 변환 (:: 생략 표기와 끝부분 IPv4 표기 포함)
+const ipv6ToBytes = (address) => {
+  let text = address.toLowerCase().split('%')[0];
+
+  const dotted = text.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+  if (dotted) {
+    const [a, b, c, d] = dotted.slice(1).map(Number);
+    text = `${text.slice(0, dotted.index)}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  return groups.flatMap(group => {
+    const value = parseInt(group, 16);
+    return [value >> 8, value & 0xff];
+  });
+};
+
+const bytesToIPv4 = (bytes) => bytes.join('.');
+
+// 표기 방식(::ffff:7f00:1, ::ffff:127.0.0.1 등)과 관계없이 바이트 단위로 대역 확인
+const isBlockedIPv6 = (address) => {
+  const bytes = ipv6ToBytes(address);
+  const startsWith = (...prefix) => prefix.every((value, index) => bytes[index] === value);
+  const zeroUntil = (end) => bytes.slice(0, end).every(value => value === 0);
+
+  // ::ffff:0:0/96 IPv4 매핑 주소는 IPv4 규칙으로 확인
+  if (zeroUntil(10) && bytes[10] === 0xff && bytes[11] === 0xff) {
+    return isBlockedIPv4(bytesToIPv4(bytes.slice(12)));
+  }
+  // 2002::/16 6to4 주소는 안에 담긴 IPv4로 확인
+  if (startsWith(0x20, 0x02)) {
+    return isBlockedIPv4(bytesToIPv4(bytes.slice(2, 6)));
+  }
+
+  return zeroUntil(12) ||                                  // ::, ::1, IPv4 호환 주소(::/96)
+    startsWith(0x00, 0x64, 0xff, 0x9b) ||                  // 64:ff9b::/96 NAT64, 64:ff9b:1::/48
+    startsWith(0x20, 0x01, 0x00, 0x00) ||                  // 2001::/32 Teredo
+    startsWith(0x20, 0x01, 0x0d, 0xb8) ||                  // 2001:db8::/32 문서용
+    (bytes[0] & 0xfe) === 0xfc ||                          // fc00::/7 고유 로컬
+    (bytes[0] === 0xfe && (bytes[1] & 0x80) === 0x80) ||   // fe80::/10 링크 로컬, fec0::/10 사이트 로컬
+    bytes[0] === 0xff;                                     // 멀티캐스트
+};
+
+const isBlockedAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 4) return isBlockedIPv4(address);
+  if (family === 6) return isBlockedIPv6(address);
+  return true;
+};
+
+// DNS 조회 결과를 검증한 주소로만 연결 (조회 후 주소가 바뀌는 DNS rebinding 방지)
+const safeLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { all: true })
+    .then(addresses => {
+      if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+        const error = new Error('내부 네트워크 주소는 미리보기를 가져올 수 없습니다.');
+        error.code = 'BLOCKED_ADDRESS';
+        throw error;
+      }
+      const { address, family } = addresses[0];
+      if (options?.all) {
+        callback(null, [{ address, family }]);
+      } else {
+        callback(null, address, family);
+      }
+    })
+    .catch(error => callback(error));
+};
+
+const validateUrl = (value) => {
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return null;
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) return null;
+  if (url.username || url.password) return null;
+  if (!ALLOWED_PORTS.includes(url.port)) return null;
+  // IP를 직접 입력한 경우 DNS 조회 없이 바로 확인
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) return null;
+
+  return url;
+};
+
+const getCharset = (contentType = '', head = '') => {
+  const fromHeader = contentType.match(/charset=["']?([\w-]+)/i);
+  if (fromHeader) return fromHeader[1].toLowerCase();
+  const fromMeta = head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+  return fromMeta ? fromMeta[1].toLowerCase() : 'utf-8';
+};
+
+const decodeBody = (buffer, contentType) => {
+  const charset = getCharset(contentType, buffer.toString('latin1', 0, 2048));
+  try {
+    return new TextDecoder(charset).decode(buffer);
+  } catch {
+    return buffer.toString('utf8');
+  }
+};
+
+// 크기 제한과 시간 제한을 두고 HTML 앞부분만 읽음
+// 시간 제한은 유휴 시간이 아니라 연결부터 본문 수신까지 전체에 적용 (조금씩 보내는 서버가 작업을 붙잡지 않도록)
+const request = (url, deadline = Date.now() + FETCH_TIMEOUT) => {
+  let timer;
+
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, {
+      lookup: safeLookup,
+      headers: {
+        'User-Agent': USER_AGENT,
+        Accept: 'text/html,application/xhtml+xml'
+      }
+    }, (res) => {
+      const { statusCode, headers } = res;
+
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        res.resume();
+        // 응답 콜백 안의 예외는 Promise로 잡히지 않으므로 잘못된 Location은 미리보기 없음으로 처리
+        try {
+          resolve({ redirect: new URL(headers.location, url).toString() });
+        } catch {
+          resolve({ body: null });
+        }
+        return;
+      }
+
+      const contentType = headers['content-type'] || '';
+      if (statusCode !== 200 || !/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+        res.resume();
+        resolve({ body: null });
+        return;
+      }
+
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        chunks.push(chunk);
+        if (size >= MAX_RESPONSE_SIZE) {
+          res.destroy();
+          resolve({ body: decodeBody(Buffer.concat(chunks).subarray(0, MAX_RESPONSE_SIZE), contentType) });
+        }
+      });
+      res.on('end', () => {
+        resolve({ body: decodeBody(Buffer.concat(chunks), contentType) });
+      });
+      res.on('error', reject);
+      res.on('close', () => {
+        reject(new Error('Link preview response closed early'));
+      });
+    });
+
+    timer = setTimeout(() => {
+      req.destroy(new Error('Link preview request timed out'));
+    }, Math.max(0, deadline - Date.now()));
+    req.on('error', reject);
+  }).finally(() => clearTimeout(timer));
+};
+
+const decodeEntities = (value = '') => value
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, '\'')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+const clean = (value, maxLength) => {
+  if (!value) return null;
+  const text = decodeEntities(value).replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.slice(0, maxLength)}…` : text;
+};
+
+// OpenGraph, 트위터 카드, 기본 <title>/description 순으로 사용
+const parseMetadata = (html, pageUrl) => {
+  const head = html.split(/<\/head>/i)[0];
+  const meta = {};
+
+  for (const [tag] of head.matchAll(/<meta\s[^>]*>/gi)) {
+    const attrs = {};
+    for (const [, name, , value] of tag.matchAll(/([\w:-]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+      attrs[name.toLowerCase()] = value;
+    }
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content !== undefined && meta[key] === undefined) {
+      meta[key] = attrs.content;
+    }
+  }
+
+  const titleTag = head.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+  const title = clean(meta['og:title'] || meta['twitter:title'] || titleTag?.[1], TITLE_LENGTH);
+  if (!title) return null;
+
+  let image = null;
+  const imageValue = meta['og:image'] || meta['og:image:url'] || meta['twitter:image'];
+  if (imageValue) {
+    try {
+      const imageUrl = new URL(decodeEntities(imageValue), pageUrl);
+      image = ['http:', 'https:'].includes(imageUrl.protocol) ? imageUrl.toString() : null;
+    } catch {
+      image = null;
+    }
+  }
+
+  return {
+    title,
+    description: clean(
+      meta['og:description'] || meta['twitter:description'] || meta.description,
+      DESCRIPTION_LENGTH
+    ),
+    image,
+    siteName: clean(meta['og:site_name'], TITLE_LENGTH) || new URL(pageUrl).hostname
+  };
+};
+
+// URL의 미리보기 정보를 가져옴 (가져올 수 없으면 null)
+// 리다이렉트를 따라가는 경우에도 전체 시간 제한은 한 번만 적용
+const fetchLinkPreview = async (value) => {
+  const deadline = Date.now() + FETCH_TIMEOUT;
+  let current = value;
+
+  for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+    const url = validateUrl(current);
+    if (!url) return null;
+
+    const result = await request(url, deadline);
+    if (result.redirect) {
+      current = result.redirect;
+      continue;
+    }
+    if (!result.body) return null;
+
+    const metadata = parseMetadata(result.body, url.toString());
+    return metadata && { url: value, ...metadata };
+  }
+
+  return null;
+};
+
+module.exports = {
+  fetchLinkPreview,
+  parseMetadata,
+  request,
+  isBlockedAddress,
+  validateUrl
+};
@@ -0,0 +1,155 @@
+const Queue = require('bull');
+const Message = require('../models/Message');
+const redisClient = require('../utils/redisClient');
+const httpFetcher = require('./linkPreviewFetcher');
+const stubFetcher = require('./linkPreviewStubFetcher');
+const { redisHost, redisPort, redisPassword, linkPreviewFetcher } = require('../config/keys');
+
+class LinkPreviewService {
+  static QUEUE_NAME = 'link-previews';
+  static MAX_PREVIEWS = 3; // 메시지당 미리보기를 만드는 URL 수
+  static CACHE_PREFIX = 'link-preview:';
+  static CACHE_TTL = 24 * 60 * 60; // 24시간
+  static FAILURE_CACHE_TTL = 60 * 60; // 가져오지 못한 URL은 1시간 동안 다시 시도하지 않음
+  static URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+  static TRAILING_PUNCTUATION = /[)\]}>.,!?;:'"]+$/;
+
+  static queue = null;
+  static io = null;
+  // 테스트 등에서 setFetcher로 교체 가능 (url => preview | null)
+  static fetcher = linkPreviewFetcher === 'stub'
+    ? stubFetcher.fetchLinkPreview
+    : httpFetcher.fetchLinkPreview;
+
+  // Redis 설정이 없으면 큐 없이 현재 프로세스에서 바로 처리
+  static initialize(io) {
+    this.io = io;
+
+    if (this.queue || !redisHost || !redisPort) return this.queue;
+
+    this.queue = new Queue(this.QUEUE_NAME, {
+      redis: {
+        host: redisHost,
+        port: Number(redisPort),
+        password: redisPassword || undefined
+      }
+    });
+
+    this.queue.process(async (job) => this.processJob(job));
+
+    this.queue.on('failed', (job, error) => {
+      console.error('Link preview job error:', {
+        jobId: job.id,
+        messageId: job.data.messageId,
+        error: error.message
+      });
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('Link preview queue error:', error);
+    });
+
+    return this.queue;
+  }
+
+  static setFetcher(fetcher) {
+    this.fetcher = fetcher;
+  }
+
+  static extractUrls(content) {
+    if (typeof content !== 'string') return [];
+
+    const urls = [];
+    for (const [match] of content.matchAll(this.URL_PATTERN)) {
+      const url = match.replace(this.TRAILING_PUNCTUATION, '');
+      if (!urls.includes(url)) {
+        urls.push(url);
+      }
+      if (urls.length >= this.MAX_PREVIEWS) break;
+    }
+    return urls;
+  }
+
+  // 메시지 저장/수정 후 호출 - URL이 있거나 기존 미리보기를 지워야 할 때만 작업 등록
+  static enqueue(message) {
+    const hasPreviews = !!message.metadata?.get?.('linkPreviews')?.length;
+    if (!hasPreviews && this.extractUrls(message.content).length === 0) return;
+
+    const data = { messageId: message._id.toString() };
+
+    if (this.queue) {
+      this.queue.add(data, { removeOnComplete: true, removeOnFail: true })
+        .catch(error => console.error('Link preview enqueue error:', error));
+      return;
+    }
+
+    setImmediate(() => {
+      this.processJob({ data }).catch(error => {
+        console.error('Link preview job error:', {
+          messageId: data.messageId,
+          error: error.message
+        });
+      });
+    });
+  }
+
+  // 캐시를 먼저 확인하고, 없으면 가져온 결과(실패 포함)를 캐시
+  static async getPreview(url) {
+    const cacheKey = `${this.CACHE_PREFIX}${url}`;
+
+    try {
+      const cached = await redisClient.get(cacheKey);
+      if (cached) return cached.preview || null;
+    } catch (error) {
+      console.error('Link preview cache read error:', error.message);
+    }
+
+    let preview = null;
+    try {
+      preview = await this.fetcher(url);
+    } catch (error) {
+      if (error.code !== 'BLOCKED_ADDRESS') {
+        console.error('Link preview fetch error:', { url, error: error.message });
+      }
+    }
+
+    try {
+      await redisClient.setEx(
+        cacheKey,
+        preview ? this.CACHE_TTL : this.FAILURE_CACHE_TTL,
+        { preview }
+      );
+    } catch (error) {
+      console.error('Link preview cache write error:', error.message);
+    }
+
+    return preview;
+  }
+
+  static async processJob(job) {
+    const message = await Message.findById(job.data.messageId);
+    if (!message || message.isDeleted) return;
+
+    const urls = this.extractUrls(message.content);
+    const previews = (await Promise.all(urls.map(url => this.getPreview(url)))).filter(Boolean);
+    const currentPreviews = message.metadata?.get('linkPreviews') || [];
+    if (previews.length === 0 && currentPreviews.length === 0) return;
+
+    // 가져오는 동안 메시지가 수정되었으면 저장하지 않음 (수정 시 새 작업이 등록됨)
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, content: message.content, isDeleted: false },
+      previews.length > 0
+        ? { $set: { 'metadata.linkPreviews': previews } }
+        : { $unset: { 'metadata.linkPreviews': 1 } }
+    );
+    if (!updated) return;
+
+    this.io?.to(message.room).emit('linkPreviewsUpdated', {
+      messageId: message._id,
+      parentMessageId: message.parentMessage || null,
+      linkPreviews: previews
+    });
+  }
+}
+
+module.exports = LinkPreviewService;
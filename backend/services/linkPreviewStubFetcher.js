@@ -0,0 +1,21 @@
+const { validateUrl } = require('./linkPreviewFetcher');
+
+// 네트워크 없이 링크 미리보기를 확인하기 위한 로컬 스텁 (LINK_PREVIEW_FETCHER=stub)
+// - 실제 요청을 보내지 않고 URL만으로 미리보기를 만듦 (내부 주소 차단 규칙은 동일하게 적용)
+// - 호스트가 .invalid로 끝나면 미리보기를 가져올 수 없는 경우로 처리
+const fetchLinkPreview = async (value) => {
+  const url = validateUrl(value);
+  if (!url || url.hostname.endsWith('.invalid')) {
+    return null;
+  }
+
+  return {
+    url: value,
+    title: `${url.hostname} 미리보기`,
+    description: `${url.pathname}${url.search}`,
+    image: null,
+    siteName: url.hostname
+  };
+};
+
+module.exports = { fetchLinkPreview };
@@ -0,0 +1,131 @@
+const Message = require('../models/Message');
+const PollVote = require('../models/PollVote');
+const FileCleanupService = require('./fileCleanupService');
+const NotificationService = require('./notificationService');
+const BookmarkService = require('./bookmarkService');
+const ModerationService = require('./moderationService');
+
+class MessageExpiryService {
+  static BATCH_SIZE = 500;
+  static io = null;
+  static sweeping = false;
+
+  static initialize(io) {
+    this.io = io;
+  }
+
+  // 만료 시각이 지난 사라지는 메시지를 완전히 삭제하고 채팅방에 알림
+  static async sweepExpiredMessages() {
+    if (this.sweeping) return 0;
+    this.sweeping = true;
+
+    let expiredCount = 0;
+
+    try {
+      while (true) {
+        const expiredMessages = await Message.find({
+          expiresAt: { $lte: new Date() }
+        })
+          .select('_id room file parentMessage isDeleted')
+          .limit(this.BATCH_SIZE)
+          .lean();
+
+        if (expiredMessages.length === 0) break;
+
+        await this.expireMessages(expiredMessages);
+        expiredCount += expiredMessages.length;
+
+        if (expiredMessages.length < this.BATCH_SIZE) break;
+      }
+    } catch (error) {
+      console.error('Message expiry sweep error:', error);
+    } finally {
+      this.sweeping = false;
+    }
+
+    return expiredCount;
+  }
+
+  static async expireMessages(expiredMessages) {
+    const messageIds = expiredMessages.map(message => message._id);
+
+    await Message.deleteMany({ _id: { $in: messageIds } });
+    await PollVote.deleteMany({ message: { $in: messageIds } });
+    await NotificationService.removeForMessages(messageIds);
+    await BookmarkService.removeForMessages(messageIds);
+    await ModerationService.removeForMessages(messageIds);
+
+    // 만료된 메시지를 인용한 답장의 스냅샷 내용도 제거
+    await Message.updateMany(
+      { 'replyTo.messageId': { $in: messageIds } },
+      { $set: { 'replyTo.content': '', 'replyTo.isDeleted': true } }
+    );
+
+    // 첨부파일은 다른 메시지가 참조하지 않으면 바로 삭제
+    const fileIds = [...new Set(
+      expiredMessages.filter(message => message.file).map(message => message.file.toString())
+    )];
+    for (const fileId of fileIds) {
+      try {
+        await FileCleanupService.cleanupFile(fileId);
+      } catch (error) {
+        console.error('Expired message file cleanup error:', { fileId, error: error.message });
+      }
+    }
+
+    const threadUpdates = await this.updateThreadCounts(expiredMessages);
+    this.broadcast(expiredMessages, threadUpdates);
+  }
+
+  // 만료된 스레드 답글 수만큼 원본 메시지의 답글 수 감소
+  // 삭제된 답글은 삭제 시점에 이미 감소했으므로 제외
+  static async updateThreadCounts(expiredMessages) {
+    const replyCounts = new Map();
+    expiredMessages.forEach(message => {
+      if (!message.parentMessage || message.isDeleted) return;
+      const parentId = message.parentMessage.toString();
+      replyCounts.set(parentId, (replyCounts.get(parentId) || 0) + 1);
+    });
+
+    const threadUpdates = [];
+    for (const [parentId, count] of replyCounts) {
+      const parent = await Message.findByIdAndUpdate(
+        parentId,
+        { $inc: { threadReplyCount: -count } },
+        { new: true }
+      ).select('room threadReplyCount threadLastReplyAt');
+
+      if (parent) {
+        threadUpdates.push({
+          room: parent.room,
+          parentMessageId: parent._id,
+          threadReplyCount: Math.max(0, parent.threadReplyCount),
+          threadLastReplyAt: parent.threadLastReplyAt
+        });
+      }
+    }
+
+    return threadUpdates;
+  }
+
+  static broadcast(expiredMessages, threadUpdates) {
+    if (!this.io) return;
+
+    const messagesByRoom = new Map();
+    expiredMessages.forEach(message => {
+      const roomMessages = messagesByRoom.get(message.room) || [];
+      roomMessages.push(message._id);
+      messagesByRoom.set(message.room, roomMessages);
+    });
+
+    for (const [roomId, messageIds] of messagesByRoom) {
+      this.io.to(roomId).emit('messagesExpired', { roomId, messageIds });
+    }
+
+    threadUpdates.forEach(({ room, ...update }) => {
+      this.io.to(room).emit('threadUpdated', update);
+    });
+  }
+}
+
+module.exports = MessageExpiryService;
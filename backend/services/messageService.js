@@ -0,0 +1,376 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const File = require('../models/File');
+const NotificationService = require('./notificationService');
+const ReadCursorService = require('./readCursorService');
+const BookmarkService = require('./bookmarkService');
+const FileCleanupService = require('./fileCleanupService');
+const ModerationService = require('./moderationService');
+
+const MENTION_WORD_CHAR = /[\p{L}\p{N}_]/u;
+const MENTION_PREVIEW_LENGTH = 100;
+const ROOM_PREVIEW_LENGTH = 80;
+const UNREAD_COUNT_LIMIT = 100; // 목록에는 99+까지만 표시하므로 그 이상은 세지 않음
+const FORWARDABLE_TYPES = ['text', 'file', 'ai'];
+const AI_NAMES = {
+  wayneAI: 'Wayne AI',
+  consultingAI: 'Consulting AI'
+};
+
+class MessageService {
+  // 채팅 메시지 전송 권한 확인 (실시간 전송과 예약 전송이 같은 규칙을 사용)
+  static async checkSendPermission(userId, roomId) {
+    if (!userId || !roomId || !mongoose.isValidObjectId(roomId)) {
+      return {
+        isValid: false,
+        message: '채팅방 정보가 없습니다.'
+      };
+    }
+
+    const userExists = await User.exists({ _id: userId });
+    if (!userExists) {
+      return {
+        isValid: false,
+        message: '사용자를 찾을 수 없습니다.'
+      };
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      participants: userId
+    });
+
+    if (!room) {
+      return {
+        isValid: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      };
+    }
+
+    return { isValid: true, room };
+  }
+
+  // 메시지를 다른 채팅방으로 전달 (원본 채팅방과 작성자 정보를 함께 저장)
+  // 파일 메시지는 원본 채팅방에 접근할 수 있을 때만 같은 File 문서를 다시 참조
+  static async forwardMessage(userId, messageId, targetRoomId) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      return { isValid: false, status: 404, message: '메시지를 찾을 수 없습니다.' };
+    }
+
+    const original = await Message.findById(messageId).populate('sender', 'name');
+    if (!original || original.isDeleted) {
+      return { isValid: false, status: 404, message: '메시지를 찾을 수 없습니다.' };
+    }
+
+    if (!FORWARDABLE_TYPES.includes(original.type)) {
+      return { isValid: false, status: 400, message: '전달할 수 없는 메시지입니다.' };
+    }
+
+    if (original.room === String(targetRoomId)) {
+      return { isValid: false, status: 400, message: '같은 채팅방으로는 전달할 수 없습니다.' };
+    }
+
+    const sourceRoom = await Room.findOne({
+      _id: original.room,
+      participants: userId
+    }).select('name');
+    if (!sourceRoom) {
+      return { isValid: false, status: 403, message: '원본 메시지에 접근할 권한이 없습니다.' };
+    }
+
+    const permission = await this.checkSendPermission(userId, targetRoomId);
+    if (!permission.isValid) {
+      return { isValid: false, status: 403, message: permission.message };
+    }
+
+    let file = null;
+    if (original.type === 'file') {
+      file = original.file && await File.findById(original.file);
+      if (!file) {
+        return { isValid: false, status: 404, message: '원본 파일을 찾을 수 없습니다.' };
+      }
+    }
+
+    // 받는 채팅방의 검토 규칙 적용
+    const moderation = await ModerationService.moderate(original.content || '', {
+      room: permission.room,
+      userId
+    });
+    if (!moderation.isValid) {
+      return { isValid: false, status: 400, code: moderation.code, message: moderation.message };
+    }
+
+    const linkPreviews = original.metadata?.get('linkPreviews');
+    const message = new Message({
+      room: permission.room._id.toString(),
+      sender: userId,
+      type: file ? 'file' : 'text',
+      content: moderation.content,
+      file: file?._id,
+      expiresAt: permission.room.getMessageExpiresAt(),
+      timestamp: new Date(),
+      reactions: {},
+      metadata: file
+        ? {
+          fileType: file.mimetype,
+          fileSize: file.size,
+          originalName: file.originalname
+        }
+        : { ...(linkPreviews && { linkPreviews }) },
+      forwardedFrom: {
+        messageId: original._id,
+        roomId: original.room,
+        roomName: sourceRoom.name,
+        senderId: original.type === 'ai' ? undefined : original.sender?._id,
+        senderName: original.type === 'ai'
+          ? AI_NAMES[original.aiType] || original.aiType
+          : original.sender?.name,
+        timestamp: original.timestamp
+      }
+    });
+
+    await message.save();
+    await ModerationService.flagMessage(message, permission.room, moderation.flags);
+    await message.populate([
+      { path: 'sender', select: 'name email profileImage' },
+      { path: 'file', select: 'filename originalname mimetype size' }
+    ]);
+
+    return { isValid: true, message, room: permission.room };
+  }
+
+  // 메시지를 삭제 상태로 바꾸고 관련 데이터 정리 후 채팅방에 알림 (작성자 삭제와 방장 검토 삭제가 같은 처리를 사용)
+  static async deleteMessage(io, message, deletedBy) {
+    const wasPinned = message.isPinned;
+    await message.softDelete(deletedBy);
+
+    // 이 메시지를 인용한 답장의 스냅샷 내용도 숨김
+    await Message.updateMany(
+      { 'replyTo.messageId': message._id },
+      { $set: { 'replyTo.content': '', 'replyTo.isDeleted': true } }
+    );
+
+    // 첨부파일은 일정 시간 후 정리
+    if (message.file) {
+      FileCleanupService.scheduleCleanup(message.file);
+    }
+
+    await NotificationService.removeForMessages([message._id]);
+    await BookmarkService.removeForMessages([message._id]);
+    await ModerationService.removeForMessages([message._id], { keepReviewed: true });
+
+    io?.to(message.room).emit('messageDeleted', {
+      messageId: message._id.toString(),
+      deletedAt: message.deletedAt,
+      deletedBy: deletedBy.toString()
+    });
+
+    if (wasPinned) {
+      io?.to(message.room).emit('messageUnpinned', { messageId: message._id.toString() });
+    }
+
+    // 스레드 답글이면 원본 메시지의 답글 수 감소 (만료 처리와 같은 형태로 알림)
+    // 마지막 답글 시각은 남아 있는 답글 중 가장 최근 것으로 다시 계산
+    if (message.parentMessage) {
+      const lastReply = await Message.findOne({
+        room: message.room,
+        parentMessage: message.parentMessage,
+        isDeleted: false
+      })
+        .sort({ timestamp: -1 })
+        .select('timestamp')
+        .lean();
+
+      const parent = await Message.findByIdAndUpdate(
+        message.parentMessage,
+        {
+          $inc: { threadReplyCount: -1 },
+          ...(lastReply
+            ? { $set: { threadLastReplyAt: lastReply.timestamp } }
+            : { $unset: { threadLastReplyAt: 1 } })
+        },
+        { new: true }
+      ).select('threadReplyCount threadLastReplyAt');
+
+      if (parent) {
+        io?.to(message.room).emit('threadUpdated', {
+          parentMessageId: parent._id.toString(),
+          threadReplyCount: Math.max(0, parent.threadReplyCount),
+          threadLastReplyAt: parent.threadLastReplyAt
+        });
+      }
+    }
+  }
+
+  // 본문의 @이름을 채팅방 참여자 ID로 변환
+  // 이름에 공백이 있을 수 있으므로 긴 이름부터 비교 ("@Kim Lee"가 "Kim"으로 잘리지 않도록)
+  static extractUserMentions(content, participants = []) {
+    if (typeof content !== 'string' || !content.includes('@')) return [];
+
+    const candidates = participants
+      .filter(participant => participant?.name)
+      .map(participant => ({
+        id: participant._id.toString(),
+        name: participant.name.toLowerCase()
+      }))
+      .sort((a, b) => b.name.length - a.name.length);
+
+    const text = content.toLowerCase();
+    const mentions = new Set();
+    let index = text.indexOf('@');
+
+    while (index !== -1) {
+      // 이메일 주소처럼 @ 앞에 문자가 붙어 있으면 멘션이 아님
+      const isBoundary = index === 0 || !MENTION_WORD_CHAR.test(text.charAt(index - 1));
+      const rest = text.slice(index + 1);
+      const matched = isBoundary && candidates.find(candidate =>
+        rest.startsWith(candidate.name) &&
+        !MENTION_WORD_CHAR.test(rest.charAt(candidate.name.length))
+      );
+
+      if (matched) {
+        // 같은 이름의 참여자가 여럿이면 모두 멘션
+        candidates
+          .filter(candidate => candidate.name === matched.name)
+          .forEach(candidate => mentions.add(candidate.id));
+        index = text.indexOf('@', index + 1 + matched.name.length);
+      } else {
+        index = text.indexOf('@', index + 1);
+      }
+    }
+
+    return [...mentions];
+  }
+
+  static async resolveMentions(content, room) {
+    if (typeof content !== 'string' || !content.includes('@') || !room?.participants?.length) {
+      return [];
+    }
+
+    const participants = await User.find({ _id: { $in: room.participants } })
+      .select('name')
+      .lean();
+
+    return this.extractUserMentions(content, participants);
+  }
+
+  // 멘션된 사용자의 개인 채널로 알림 (다른 채팅방에 있어도 받을 수 있도록)
+  // 알림함에도 저장해 접속하지 않은 동안의 멘션도 확인할 수 있게 함
+  static async notifyMentions(io, message, room, sender, userIds = message.mentions) {
+    if (!userIds?.length) return;
+
+    const payload = {
+      messageId: message._id,
+      roomId: room._id,
+      roomName: room.name,
+      parentMessageId: message.parentMessage || null,
+      sender: {
+        _id: sender._id || sender.id,
+        name: sender.name
+      },
+      content: message.content?.slice(0, MENTION_PREVIEW_LENGTH) || '',
+      timestamp: message.timestamp
+    };
+
+    const senderId = (sender._id || sender.id).toString();
+    const recipients = userIds.filter(userId => userId.toString() !== senderId);
+    recipients.forEach(userId => io?.to(`user:${userId}`).emit('mentioned', payload));
+
+    await NotificationService.notifyMentions(message, room, senderId, recipients);
+  }
+
+  // 채팅방 목록에 표시할 마지막 메시지 요약
+  static buildRoomPreview(message) {
+    let content = message.content || '';
+    if (message.type === 'file') {
+      const originalName = message.metadata?.get?.('originalName') || message.metadata?.originalName;
+      content = content || `파일: ${originalName || '첨부파일'}`;
+    } else if (message.type === 'poll') {
+      content = `투표: ${content}`;
+    }
+
+    const sender = message.type === 'ai'
+      ? { _id: message.aiType, name: AI_NAMES[message.aiType] || message.aiType }
+      : message.sender && {
+        _id: message.sender._id || message.sender,
+        name: message.sender.name
+      };
+
+    return {
+      _id: message._id,
+      type: message.type,
+      content: content.length > ROOM_PREVIEW_LENGTH
+        ? `${content.slice(0, ROOM_PREVIEW_LENGTH)}…`
+        : content,
+      sender: sender || null,
+      timestamp: message.timestamp
+    };
+  }
+
+  // 채팅방별 안 읽은 메시지 수, 마지막 메시지, 나를 멘션한 안 읽은 메시지 여부
+  // 스레드 답글과 입장/퇴장 같은 시스템 메시지는 제외
+  static async getRoomActivity(userId, roomIds) {
+    const cursors = await ReadCursorService.getUserCursors(userId, roomIds);
+
+    const entries = await Promise.all(roomIds.map(async roomId => {
+      const timelineFilter = {
+        room: roomId,
+        isDeleted: false,
+        parentMessage: null,
+        type: { $ne: 'system' }
+      };
+      const unreadFilter = {
+        ...timelineFilter,
+        sender: { $ne: userId },
+        ...ReadCursorService.buildUnreadFilter(cursors.get(roomId))
+      };
+
+      const [unreadCount, mentioned, lastMessage] = await Promise.all([
+        Message.countDocuments(unreadFilter, { limit: UNREAD_COUNT_LIMIT }),
+        Message.exists({ ...unreadFilter, mentions: userId }),
+        Message.findOne(timelineFilter)
+          .sort({ timestamp: -1 })
+          .select('type content sender aiType timestamp metadata')
+          .populate('sender', 'name')
+          .lean()
+      ]);
+
+      return [roomId, {
+        unreadCount,
+        mentioned: !!mentioned,
+        lastMessage: lastMessage ? this.buildRoomPreview(lastMessage) : null
+      }];
+    }));
+
+    return new Map(entries);
+  }
+
+  // 채팅방 목록을 보고 있는 참여자에게 새 메시지 알림
+  // 미리보기가 포함되므로 room-list 전체가 아닌 참여자별 room-list 채널로만 전송
+  static emitRoomActivity(io, room, message) {
+    if (!io || !room?.participants?.length || message.parentMessage || message.type === 'system') {
+      return;
+    }
+
+    io.to(room.participants.map(participant => `room-list:${participant._id || participant}`))
+      .emit('roomActivity', {
+        roomId: room._id.toString(),
+        lastMessage: this.buildRoomPreview(message),
+        senderId: message.sender?._id || message.sender || null,
+        mentions: message.mentions || []
+      });
+  }
+
+  // 읽음 처리 후 채팅방 목록의 안 읽은 수를 다시 계산해 본인에게 전송
+  static async emitRoomRead(io, userId, roomId) {
+    if (!io) return;
+
+    const activity = await this.getRoomActivity(userId, [roomId]);
+    const { unreadCount, mentioned } = activity.get(roomId);
+    io.to(`room-list:${userId}`).emit('roomRead', { roomId, unreadCount, mentioned });
+  }
+}
+
+module.exports = MessageService;
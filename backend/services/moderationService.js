@@ -0,0 +1,455 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const ModerationFlag = require('../models/ModerationFlag');
+const SearchService = require('./searchService');
+const { moderationRuleModules } = require('../config/keys');
+
+const ACTIONS = ['block', 'mask', 'flag'];
+const FLAG_STATUSES = ['pending', 'approved', 'removed'];
+const REVIEW_DECISIONS = {
+  approve: 'approved',
+  remove: 'removed'
+};
+
+const MAX_WORDS = 200;
+const MAX_WORD_LENGTH = 50;
+const MAX_DOMAINS = 100;
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+const URL_PATTERN = /https?:\/\/[^\s<>"'`]+/gi;
+const TRAILING_PUNCTUATION = /[)\]}>.,!?;:'"]+$/;
+const MASKED_LINK = '[링크 삭제됨]';
+const MASK_CHAR = '＊'; // 메시지가 마크다운으로 표시되므로 강조 문법으로 해석되지 않는 전각 별표 사용
+
+class ModerationService {
+  static io = null;
+  static rules = new Map();
+  static QUEUE_LIMIT = 50;
+
+  static initialize(io) {
+    this.io = io;
+  }
+
+  // 검토 규칙 등록 (등록한 순서대로 실행되고, 앞 규칙이 가린 내용을 다음 규칙이 검사)
+  //   name: 채팅방 설정에서 사용하는 규칙 이름
+  //   actions: 지원하는 처리 방식 (block | mask | flag, 첫 번째가 기본값)
+  //   defaultOptions: 설정 화면에서 처음 보여줄 옵션
+  //   validateOptions(options): { isValid: true, options } 또는 { isValid: false, message }
+  //   check(content, { room, userId, options }): 문제가 없으면 null, 걸리면 { reason, masked? }
+  //     mask를 지원하는 규칙은 가린 내용을 masked로 반환
+  static register(definition) {
+    if (!definition?.name || typeof definition.check !== 'function') {
+      throw new Error('검토 규칙에는 name과 check 함수가 필요합니다.');
+    }
+
+    const rule = {
+      description: definition.name,
+      defaultOptions: {},
+      validateOptions: (options) => ({ isValid: true, options: options || {} }),
+      ...definition,
+      actions: (definition.actions || ACTIONS).filter(action => ACTIONS.includes(action))
+    };
+    if (rule.actions.length === 0) {
+      throw new Error(`검토 규칙 ${rule.name}에 지원하는 처리 방식이 없습니다.`);
+    }
+
+    this.rules.set(rule.name, rule);
+    return rule;
+  }
+
+  // 설정에 지정한 사용자 규칙 모듈 등록 (backend 폴더 기준 경로, 모듈은 규칙 정의 하나 또는 배열을 내보냄)
+  static loadRuleModules(modulePaths = []) {
+    modulePaths.forEach(modulePath => {
+      const exported = require(path.resolve(__dirname, '..', modulePath));
+      [].concat(exported).forEach(definition => this.register(definition));
+    });
+  }
+
+  // 방장 설정 화면용 규칙 목록
+  static list() {
+    return Array.from(this.rules.values(), ({ name, description, actions, defaultOptions }) => ({
+      name,
+      description,
+      actions,
+      defaultOptions
+    }));
+  }
+
+  static async getRoomConfig(roomOrId) {
+    const roomId = roomOrId?._id || roomOrId;
+    if (!mongoose.isValidObjectId(roomId)) return null;
+
+    const room = await Room.findById(roomId).select('+moderation').lean();
+    return room?.moderation || null;
+  }
+
+  // 채팅방 설정과 함께 규칙 목록 반환 (설정하지 않은 규칙은 config가 null)
+  static async getRoomRules(roomOrId) {
+    const config = await this.getRoomConfig(roomOrId) || {};
+    return this.list().map(rule => ({
+      ...rule,
+      config: config[rule.name] || null
+    }));
+  }
+
+  // 메시지 저장 전 채팅방에 켜진 규칙을 차례로 실행
+  //   차단: { isValid: false, code: 'MESSAGE_BLOCKED', rule, message }
+  //   통과: { isValid: true, content(가린 내용), flags: [{ rule, reason }] }
+  static async moderate(content, { room, userId }) {
+    const passed = { isValid: true, content, flags: [] };
+    if (typeof content !== 'string' || !content.trim() || this.rules.size === 0) {
+      return passed;
+    }
+
+    let config;
+    try {
+      config = await this.getRoomConfig(room);
+    } catch (error) {
+      console.error('Moderation config load error:', { room: room?._id || room, error: error.message });
+      return passed;
+    }
+    if (!config) return passed;
+
+    let current = content;
+    const flags = [];
+
+    for (const rule of this.rules.values()) {
+      const ruleConfig = config[rule.name];
+      if (!ruleConfig?.enabled) continue;
+
+      let result;
+      try {
+        result = await rule.check(current, {
+          room,
+          userId,
+          options: ruleConfig.options || {}
+        });
+      } catch (error) {
+        // 규칙 하나의 오류로 메시지 전송 전체가 막히지 않도록 건너뜀
+        console.error('Moderation rule error:', { rule: rule.name, error: error.message });
+        continue;
+      }
+      if (!result) continue;
+
+      const action = rule.actions.includes(ruleConfig.action) ? ruleConfig.action : rule.actions[0];
+      const reason = result.reason || '채팅방 규칙에 맞지 않는 메시지입니다.';
+
+      if (action === 'block') {
+        return { isValid: false, code: 'MESSAGE_BLOCKED', rule: rule.name, message: reason };
+      }
+      if (action === 'mask' && typeof result.masked === 'string') {
+        current = result.masked;
+        continue;
+      }
+      flags.push({ rule: rule.name, reason });
+    }
+
+    return { isValid: true, content: current, flags };
+  }
+
+  // 채팅방 설정으로 받은 규칙 검증 (null이면 모두 끄기, 규칙별 null이면 해당 규칙 설정 삭제)
+  static validateRoomConfig(input) {
+    if (input === null) {
+      return { isValid: true, moderation: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { isValid: false, message: '메시지 검토 설정 형식이 올바르지 않습니다.' };
+    }
+
+    const moderation = {};
+    for (const [name, value] of Object.entries(input)) {
+      const rule = this.rules.get(name);
+      if (!rule) {
+        return { isValid: false, message: `알 수 없는 검토 규칙입니다: ${name}` };
+      }
+      if (value === null) continue;
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return { isValid: false, message: `${rule.description} 설정 형식이 올바르지 않습니다.` };
+      }
+
+      const action = value.action ?? rule.actions[0];
+      if (!rule.actions.includes(action)) {
+        return { isValid: false, message: `${rule.description} 규칙에서 지원하지 않는 처리 방식입니다: ${action}` };
+      }
+
+      const options = rule.validateOptions(value.options ?? rule.defaultOptions);
+      if (!options.isValid) return options;
+
+      moderation[name] = {
+        enabled: value.enabled !== false,
+        action,
+        options: options.options
+      };
+    }
+
+    return { isValid: true, moderation: Object.keys(moderation).length ? moderation : null };
+  }
+
+  // 규칙에 걸린 메시지를 검토 대기열에 추가 (수정으로 다시 걸리면 최신 내용과 사유로 다시 대기)
+  static async flagMessage(message, room, flags) {
+    if (!flags?.length) return null;
+
+    const flag = await ModerationFlag.findOneAndUpdate(
+      { message: message._id },
+      {
+        $set: {
+          room: message.room,
+          sender: message.sender?._id || message.sender,
+          content: this.getReviewContent(message),
+          reasons: flags,
+          status: 'pending'
+        },
+        $unset: { reviewedBy: 1, reviewedAt: 1 }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.emitQueueUpdate(room);
+    return flag;
+  }
+
+  // 투표는 선택지까지 함께 남겨 방장이 어느 부분이 걸렸는지 확인할 수 있게 함
+  static getReviewContent(message) {
+    if (message.type !== 'poll') return message.content || '';
+    return [message.content, ...(message.poll?.options || []).map(option => `- ${option.text}`)].join('\n');
+  }
+
+  static async getPendingCount(roomId) {
+    return ModerationFlag.countDocuments({ room: roomId.toString(), status: 'pending' });
+  }
+
+  // 방장의 개인 채널로 대기 중인 검토 수 전송
+  static async emitQueueUpdate(roomOrId) {
+    if (!this.io) return;
+
+    try {
+      const room = roomOrId?.creator
+        ? roomOrId
+        : await Room.findById(roomOrId).select('creator').lean();
+      if (!room) return;
+
+      const pendingCount = await this.getPendingCount(room._id);
+      this.io.to(`user:${room.creator}`).emit('moderationQueueUpdated', {
+        roomId: room._id.toString(),
+        pendingCount
+      });
+    } catch (error) {
+      console.error('Moderation queue update error:', error);
+    }
+  }
+
+  static async listQueue(roomId, status = 'pending') {
+    if (!FLAG_STATUSES.includes(status)) {
+      return { isValid: false, status: 400, message: '지원하지 않는 검토 상태입니다.' };
+    }
+
+    const flags = await ModerationFlag.find({ room: roomId.toString(), status })
+      .sort({ createdAt: -1 })
+      .limit(this.QUEUE_LIMIT)
+      .populate('sender', 'name email profileImage')
+      .populate('reviewedBy', 'name')
+      .lean();
+
+    return {
+      isValid: true,
+      flags,
+      pendingCount: await this.getPendingCount(roomId)
+    };
+  }
+
+  // 대기 중인 항목 검토 처리 (메시지 삭제는 호출한 쪽에서 처리)
+  static async review(room, flagId, reviewerId, decision) {
+    const status = REVIEW_DECISIONS[decision];
+    if (!status) {
+      return { isValid: false, status: 400, message: '검토 결과는 approve 또는 remove여야 합니다.' };
+    }
+    if (!mongoose.isValidObjectId(flagId)) {
+      return { isValid: false, status: 404, message: '검토 항목을 찾을 수 없습니다.' };
+    }
+
+    const flag = await ModerationFlag.findOneAndUpdate(
+      { _id: flagId, room: room._id.toString(), status: 'pending' },
+      { $set: { status, reviewedBy: reviewerId, reviewedAt: new Date() } },
+      { new: true }
+    );
+    if (!flag) {
+      const exists = await ModerationFlag.exists({ _id: flagId, room: room._id.toString() });
+      return exists
+        ? { isValid: false, status: 409, message: '이미 검토한 항목입니다.' }
+        : { isValid: false, status: 404, message: '검토 항목을 찾을 수 없습니다.' };
+    }
+
+    await this.emitQueueUpdate(room);
+    return { isValid: true, flag };
+  }
+
+  // 메시지 삭제 시 검토 항목 정리 (keepReviewed면 검토가 끝난 기록은 남김)
+  static async removeForMessages(messageIds, { keepReviewed = false } = {}) {
+    if (!messageIds?.length) return;
+
+    const filter = {
+      message: { $in: messageIds },
+      ...(keepReviewed && { status: 'pending' })
+    };
+    const pendingRooms = await ModerationFlag.distinct('room', { ...filter, status: 'pending' });
+    await ModerationFlag.deleteMany(filter);
+
+    for (const roomId of pendingRooms) {
+      await this.emitQueueUpdate(roomId);
+    }
+  }
+}
+
+const normalizeWords = (words) => [...new Set(
+  words
+    .map(word => (typeof word === 'string' ? word.trim().toLowerCase() : ''))
+    .filter(Boolean)
+)];
+
+// 도메인 입력값에서 scheme, 경로, 와일드카드 접두사 제거 (example.com은 하위 도메인까지 포함)
+const normalizeDomain = (value) => (typeof value === 'string' ? value : '')
+  .trim()
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/[/?#].*$/, '')
+  .replace(/^\*?\./, '');
+
+const matchesDomain = (hostname, domain) => hostname === domain || hostname.endsWith(`.${domain}`);
+
+const extractLinks = (content) => {
+  const links = [];
+  for (const [match] of content.matchAll(URL_PATTERN)) {
+    const url = match.replace(TRAILING_PUNCTUATION, '');
+    if (links.some(link => link.url === url)) continue;
+    try {
+      links.push({ url, hostname: new URL(url).hostname.toLowerCase() });
+    } catch (error) {
+      // 주소로 해석되지 않는 문자열은 링크로 보지 않음
+    }
+  }
+  return links;
+};
+
+// 금칙어: 대소문자 구분 없이 포함 여부 확인 (한국어는 띄어쓰기로 단어를 나눌 수 없어 부분 일치)
+ModerationService.register({
+  name: 'wordFilter',
+  description: '금칙어',
+  actions: ['mask', 'block', 'flag'],
+  defaultOptions: { words: [] },
+  validateOptions: ({ words } = {}) => {
+    if (!Array.isArray(words)) {
+      return { isValid: false, message: '금칙어 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const normalized = normalizeWords(words);
+    if (normalized.length === 0) {
+      return { isValid: false, message: '금칙어를 하나 이상 입력해주세요.' };
+    }
+    if (normalized.length > MAX_WORDS) {
+      return { isValid: false, message: `금칙어는 최대 ${MAX_WORDS}개까지 등록할 수 있습니다.` };
+    }
+    if (normalized.some(word => word.length > MAX_WORD_LENGTH)) {
+      return { isValid: false, message: `금칙어는 ${MAX_WORD_LENGTH}자를 넘을 수 없습니다.` };
+    }
+
+    return { isValid: true, options: { words: normalized } };
+  },
+  check: (content, { options }) => {
+    const words = normalizeWords(options.words || []);
+    if (words.length === 0) return null;
+
+    // 긴 단어부터 비교해 겹치는 금칙어가 있어도 전체를 가림
+    const pattern = new RegExp(
+      words.sort((a, b) => b.length - a.length).map(SearchService.escapeRegex).join('|'),
+      'giu'
+    );
+    const masked = content.replace(pattern, match => MASK_CHAR.repeat([...match].length));
+    if (masked === content) return null;
+
+    return { reason: '금칙어가 포함된 메시지입니다.', masked };
+  }
+});
+
+// 링크: 허용 목록(목록 밖 링크 금지) 또는 차단 목록(목록의 링크 금지)
+ModerationService.register({
+  name: 'linkFilter',
+  description: '링크 허용/차단 목록',
+  actions: ['block', 'mask', 'flag'],
+  defaultOptions: { mode: 'blocklist', domains: [] },
+  validateOptions: ({ mode = 'blocklist', domains = [] } = {}) => {
+    if (!['allowlist', 'blocklist'].includes(mode)) {
+      return { isValid: false, message: '링크 규칙은 allowlist 또는 blocklist여야 합니다.' };
+    }
+    if (!Array.isArray(domains)) {
+      return { isValid: false, message: '도메인 목록 형식이 올바르지 않습니다.' };
+    }
+
+    const normalized = [...new Set(domains.map(normalizeDomain).filter(Boolean))];
+    const invalidDomain = normalized.find(domain => !DOMAIN_PATTERN.test(domain));
+    if (invalidDomain) {
+      return { isValid: false, message: `도메인 형식이 올바르지 않습니다: ${invalidDomain}` };
+    }
+    if (normalized.length > MAX_DOMAINS) {
+      return { isValid: false, message: `도메인은 최대 ${MAX_DOMAINS}개까지 등록할 수 있습니다.` };
+    }
+    // 빈 허용 목록은 모든 링크 금지로 사용할 수 있지만 빈 차단 목록은 의미가 없음
+    if (mode === 'blocklist' && normalized.length === 0) {
+      return { isValid: false, message: '차단할 도메인을 하나 이상 입력해주세요.' };
+    }
+
+    return { isValid: true, options: { mode, domains: normalized } };
+  },
+  check: (content, { options }) => {
+    const domains = options.domains || [];
+    const isAllowlist = options.mode === 'allowlist';
+    const violations = extractLinks(content).filter(({ hostname }) => {
+      const listed = domains.some(domain => matchesDomain(hostname, domain));
+      return isAllowlist ? !listed : listed;
+    });
+    if (violations.length === 0) return null;
+
+    return {
+      reason: isAllowlist
+        ? '허용되지 않은 링크가 포함된 메시지입니다.'
+        : '차단된 링크가 포함된 메시지입니다.',
+      masked: violations.reduce((result, { url }) => result.split(url).join(MASKED_LINK), content)
+    };
+  }
+});
+
+// 도배: 같은 사용자가 짧은 시간 안에 같은 내용을 반복해서 보냈는지 확인
+ModerationService.register({
+  name: 'spamFilter',
+  description: '같은 메시지 반복',
+  actions: ['block', 'flag'],
+  defaultOptions: { maxRepeats: 3, windowSeconds: 60 },
+  validateOptions: ({ maxRepeats = 3, windowSeconds = 60 } = {}) => {
+    const repeats = Number(maxRepeats);
+    const window = Number(windowSeconds);
+    if (!Number.isInteger(repeats) || repeats < 1 || repeats > 20) {
+      return { isValid: false, message: '반복 허용 횟수는 1~20 사이여야 합니다.' };
+    }
+    if (!Number.isInteger(window) || window < 10 || window > 3600) {
+      return { isValid: false, message: '반복 확인 시간은 10~3600초 사이여야 합니다.' };
+    }
+    return { isValid: true, options: { maxRepeats: repeats, windowSeconds: window } };
+  },
+  check: async (content, { room, userId, options }) => {
+    const { maxRepeats = 3, windowSeconds = 60 } = options;
+    const repeats = await Message.countDocuments({
+      room: (room?._id || room).toString(),
+      sender: userId,
+      content: content.trim(),
+      isDeleted: false,
+      timestamp: { $gte: new Date(Date.now() - windowSeconds * 1000) }
+    });
+    if (repeats < maxRepeats) return null;
+
+    return { reason: `같은 메시지는 ${windowSeconds}초 안에 ${maxRepeats}번까지만 보낼 수 있습니다.` };
+  }
+});
+
+ModerationService.loadRuleModules(moderationRuleModules);
+
+module.exports = ModerationService;
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+
+class NotificationService {
+  static io = null;
+  static PREVIEW_LENGTH = 100;
+  static DEFAULT_LIMIT = 20;
+  static MAX_LIMIT = 50;
+
+  static initialize(io) {
+    this.io = io;
+  }
+
+  static buildPreview(message) {
+    const content = message.content ||
+      message.metadata?.get?.('originalName') ||
+      message.metadata?.originalName ||
+      '';
+    return content.length > this.PREVIEW_LENGTH
+      ? `${content.slice(0, this.PREVIEW_LENGTH)}…`
+      : content;
+  }
+
+  // 알림을 저장하고 받는 사람의 개인 채널로 전송 (자기 자신의 행동은 알리지 않음)
+  static async create(entries) {
+    const docs = entries.filter(entry =>
+      entry.recipient &&
+      entry.actor &&
+      entry.recipient.toString() !== entry.actor.toString()
+    );
+    if (docs.length === 0) return [];
+
+    const notifications = await Notification.insertMany(docs);
+    await Notification.populate(notifications, { path: 'actor', select: 'name email profileImage' });
+
+    await Promise.all(notifications.map(async notification => {
+      const unreadCount = await this.getUnreadCount(notification.recipient);
+      this.io?.to(`user:${notification.recipient}`).emit('notification', {
+        notification,
+        unreadCount
+      });
+    }));
+
+    return notifications;
+  }
+
+  static buildEntry(type, message, room, actorId, recipientId, extra = {}) {
+    return {
+      recipient: recipientId,
+      type,
+      actor: actorId,
+      room: room._id.toString(),
+      roomName: room.name,
+      message: message._id,
+      parentMessage: message.parentMessage || undefined,
+      preview: this.buildPreview(message),
+      ...extra
+    };
+  }
+
+  static async notifyMentions(message, room, actorId, userIds = message.mentions) {
+    if (!userIds?.length) return [];
+    return this.create(userIds.map(userId =>
+      this.buildEntry('mention', message, room, actorId, userId)
+    ));
+  }
+
+  // 답장 또는 스레드 답글 (같은 메시지에서 이미 멘션된 사용자는 제외)
+  static async notifyReply(message, room, actorId, recipientId) {
+    if (!recipientId || message.mentions?.includes(recipientId.toString())) return [];
+    return this.create([this.buildEntry('reply', message, room, actorId, recipientId)]);
+  }
+
+  static async notifyReaction(message, room, actorId, reaction) {
+    if (!message.sender) return [];
+    return this.create([
+      this.buildEntry('reaction', message, room, actorId, message.sender, { reaction })
+    ]);
+  }
+
+  // 리액션을 취소하면 아직 읽지 않은 리액션 알림도 제거
+  static async removeReaction(messageId, actorId, reaction) {
+    const filter = {
+      type: 'reaction',
+      message: messageId,
+      actor: actorId,
+      reaction,
+      isRead: false
+    };
+    const recipients = await Notification.distinct('recipient', filter);
+    if (recipients.length === 0) return;
+
+    await Notification.deleteMany(filter);
+    await this.emitRemoved(recipients);
+  }
+
+  // 삭제되거나 만료된 메시지의 알림 제거
+  static async removeForMessages(messageIds) {
+    if (!messageIds?.length) return;
+
+    const filter = { message: { $in: messageIds } };
+    const recipients = await Notification.distinct('recipient', { ...filter, isRead: false });
+
+    await Notification.deleteMany(filter);
+    await this.emitRemoved(recipients);
+  }
+
+  static async emitRemoved(recipients) {
+    await Promise.all(recipients.map(async recipient => {
+      const unreadCount = await this.getUnreadCount(recipient);
+      this.io?.to(`user:${recipient}`).emit('notificationsUpdated', {
+        unreadCount,
+        removed: true
+      });
+    }));
+  }
+
+  static async getUnreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, isRead: false });
+  }
+
+  static async getNotifications(userId, query = {}) {
+    const limit = Math.min(
+      Math.max(parseInt(query.limit, 10) || this.DEFAULT_LIMIT, 1),
+      this.MAX_LIMIT
+    );
+
+    const filter = { recipient: userId };
+    if (query.unread === 'true') {
+      filter.isRead = false;
+    }
+    if (query.before) {
+      const before = new Date(query.before);
+      if (isNaN(before)) {
+        return { isValid: false, message: '조회 기준 시간이 올바르지 않습니다.' };
+      }
+      filter.createdAt = { $lt: before };
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .populate('actor', 'name email profileImage')
+        .lean(),
+      this.getUnreadCount(userId)
+    ]);
+
+    const hasMore = notifications.length > limit;
+    return {
+      isValid: true,
+      notifications: notifications.slice(0, limit),
+      hasMore,
+      unreadCount
+    };
+  }
+
+  static async markRead(userId, notificationId) {
+    if (!mongoose.isValidObjectId(notificationId)) {
+      return { isValid: false, status: 404, message: '알림을 찾을 수 없습니다.' };
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, recipient: userId },
+      { $set: { isRead: true, readAt: new Date() } },
+      { new: true }
+    );
+    if (!notification) {
+      return { isValid: false, status: 404, message: '알림을 찾을 수 없습니다.' };
+    }
+
+    // 다른 탭/기기의 알림 목록도 함께 갱신
+    const unreadCount = await this.getUnreadCount(userId);
+    this.io?.to(`user:${userId}`).emit('notificationsUpdated', {
+      unreadCount,
+      readIds: [notification._id]
+    });
+
+    return { isValid: true, notification, unreadCount };
+  }
+
+  static async markAllRead(userId) {
+    await Notification.updateMany(
+      { recipient: userId, isRead: false },
+      { $set: { isRead: true, readAt: new Date() } }
+    );
+
+    this.io?.to(`user:${userId}`).emit('notificationsUpdated', {
+      unreadCount: 0,
+      allRead: true
+    });
+
+    return { isValid: true, unreadCount: 0 };
+  }
+}
+
+module.exports = NotificationService;
@@ -0,0 +1,195 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const PollVote = require('../models/PollVote');
+const Room = require('../models/Room');
+
+class PollService {
+  static MAX_QUESTION_LENGTH = 300;
+  static MIN_OPTIONS = 2;
+  static MAX_OPTIONS = 10;
+  static MAX_DURATION = 30 * 24 * 60 * 60 * 1000; // 마감 시간은 최대 30일 뒤
+
+  // 투표 생성 데이터 검증
+  static validatePoll(question, pollData) {
+    const trimmedQuestion = typeof question === 'string' ? question.trim() : '';
+    if (!trimmedQuestion) {
+      return { isValid: false, message: '투표 질문을 입력해주세요.' };
+    }
+    if (trimmedQuestion.length > this.MAX_QUESTION_LENGTH) {
+      return { isValid: false, message: `투표 질문은 ${this.MAX_QUESTION_LENGTH}자를 초과할 수 없습니다.` };
+    }
+
+    const options = Array.isArray(pollData?.options)
+      ? pollData.options
+        .map(option => (typeof option === 'string' ? option : option?.text || '').trim())
+        .filter(Boolean)
+      : [];
+
+    if (options.length < this.MIN_OPTIONS || options.length > this.MAX_OPTIONS) {
+      return {
+        isValid: false,
+        message: `투표 항목은 ${this.MIN_OPTIONS}개 이상 ${this.MAX_OPTIONS}개 이하로 입력해주세요.`
+      };
+    }
+    if (options.some(option => option.length > 100)) {
+      return { isValid: false, message: '투표 항목은 100자를 초과할 수 없습니다.' };
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      return { isValid: false, message: '같은 투표 항목이 중복되었습니다.' };
+    }
+
+    let closesAt;
+    if (pollData.closesAt) {
+      closesAt = new Date(pollData.closesAt);
+      const delay = closesAt.getTime() - Date.now();
+      if (isNaN(closesAt) || delay <= 0) {
+        return { isValid: false, message: '마감 시간은 현재 이후여야 합니다.' };
+      }
+      if (delay > this.MAX_DURATION) {
+        return { isValid: false, message: '마감 시간은 30일 이내여야 합니다.' };
+      }
+    }
+
+    return {
+      isValid: true,
+      question: trimmedQuestion,
+      poll: {
+        options: options.map(text => ({ text })),
+        multipleChoice: !!pollData.multipleChoice,
+        anonymous: !!pollData.anonymous,
+        closesAt
+      }
+    };
+  }
+
+  static isClosed(poll) {
+    return !!poll.closedAt || (!!poll.closesAt && poll.closesAt.getTime() <= Date.now());
+  }
+
+  // 투표 메시지와 채팅방 참여 여부 확인
+  static async findPollMessage(userId, messageId) {
+    if (!mongoose.isValidObjectId(messageId)) {
+      return { isValid: false, message: '투표를 찾을 수 없습니다.' };
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || message.type !== 'poll' || message.isDeleted || !message.poll) {
+      return { isValid: false, message: '투표를 찾을 수 없습니다.' };
+    }
+
+    const room = await Room.findOne({ _id: message.room, participants: userId });
+    if (!room) {
+      return { isValid: false, message: '채팅방 접근 권한이 없습니다.' };
+    }
+
+    return { isValid: true, message, room };
+  }
+
+  static async getUserVotes(userId, messageId) {
+    const vote = await PollVote.findOne({ message: messageId, user: userId })
+      .select('options')
+      .lean();
+    return (vote?.options || []).map(optionId => optionId.toString());
+  }
+
+  // 사용자의 선택을 optionIds로 교체 (빈 배열이면 투표 취소)
+  static async vote(userId, messageId, optionIds) {
+    const result = await this.findPollMessage(userId, messageId);
+    if (!result.isValid) return result;
+
+    const { message } = result;
+    if (this.isClosed(message.poll)) {
+      return { isValid: false, message: '마감된 투표입니다.' };
+    }
+
+    const selected = [...new Set(Array.isArray(optionIds) ? optionIds.map(String) : [])];
+    const validOptionIds = message.poll.options.map(option => option._id.toString());
+    if (selected.some(optionId => !validOptionIds.includes(optionId))) {
+      return { isValid: false, message: '존재하지 않는 투표 항목입니다.' };
+    }
+    if (!message.poll.multipleChoice && selected.length > 1) {
+      return { isValid: false, message: '하나의 항목만 선택할 수 있습니다.' };
+    }
+
+    // 삭제 후 추가로 나누면 연속 클릭 시 선택이 섞이므로 사용자 문서 하나를 통째로 교체
+    if (selected.length > 0) {
+      await PollVote.updateOne(
+        { message: message._id, user: userId },
+        { $set: { options: selected } },
+        { upsert: true }
+      );
+    } else {
+      await PollVote.deleteOne({ message: message._id, user: userId });
+    }
+
+    const poll = await this.refreshTally(message);
+    return { isValid: true, message, poll, myVotes: selected };
+  }
+
+  static async closePoll(userId, messageId) {
+    const result = await this.findPollMessage(userId, messageId);
+    if (!result.isValid) return result;
+
+    const { message, room } = result;
+    const isAuthor = message.sender?.toString() === userId;
+    const isOwner = room.creator.toString() === userId;
+    if (!isAuthor && !isOwner) {
+      return { isValid: false, message: '투표를 만든 사람이나 방장만 마감할 수 있습니다.' };
+    }
+
+    const closedAt = new Date();
+    const update = await Message.updateOne(
+      { _id: message._id, 'poll.closedAt': { $exists: false } },
+      { $set: { 'poll.closedAt': closedAt, 'poll.closedBy': userId } }
+    );
+    if (update.modifiedCount === 0) {
+      return { isValid: false, message: '이미 마감된 투표입니다.' };
+    }
+
+    message.poll.closedAt = closedAt;
+    message.poll.closedBy = userId;
+
+    return { isValid: true, message, poll: message.poll };
+  }
+
+  // 투표 기록으로 항목별 집계를 다시 계산 (동시 투표에도 기록과 집계가 어긋나지 않도록)
+  static async refreshTally(message) {
+    const votes = await PollVote.find({ message: message._id })
+      .sort({ createdAt: 1 })
+      .select('user options')
+      .lean();
+
+    const votersByOption = new Map();
+    const voterIds = new Set();
+    votes.forEach(vote => {
+      (vote.options || []).forEach(optionId => {
+        const voters = votersByOption.get(optionId.toString()) || [];
+        voters.push(vote.user);
+        votersByOption.set(optionId.toString(), voters);
+      });
+      if (vote.options?.length) voterIds.add(vote.user.toString());
+    });
+
+    const options = message.poll.options.map(option => {
+      const voters = votersByOption.get(option._id.toString()) || [];
+      return {
+        _id: option._id,
+        text: option.text,
+        voteCount: voters.length,
+        voters: message.poll.anonymous ? [] : voters
+      };
+    });
+
+    // 다른 투표의 저장과 충돌하지 않도록 문서 저장 대신 집계 필드만 갱신
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { 'poll.options': options, 'poll.voterCount': voterIds.size } }
+    );
+
+    message.poll.options = options;
+    message.poll.voterCount = voterIds.size;
+    return message.poll;
+  }
+}
+
+module.exports = PollService;
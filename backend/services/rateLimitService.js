@@ -0,0 +1,215 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const redisClient = require('../utils/redisClient');
+
+// 이벤트별 기본 한도: capacity만큼 연속으로 보낼 수 있고, 분당 refillPerMinute개씩 다시 채워짐
+const DEFAULT_LIMITS = {
+  chatMessage: { capacity: 15, refillPerMinute: 60 },
+  messageReaction: { capacity: 20, refillPerMinute: 60 },
+  fetchPreviousMessages: { capacity: 20, refillPerMinute: 60 },
+  aiMention: { capacity: 5, refillPerMinute: 10 }
+};
+
+const LIMIT_MESSAGES = {
+  chatMessage: '메시지를 너무 빠르게 보내고 있습니다.',
+  messageReaction: '리액션을 너무 빠르게 누르고 있습니다.',
+  fetchPreviousMessages: '이전 메시지를 너무 자주 불러오고 있습니다.',
+  aiMention: 'AI 호출 한도를 초과했습니다.'
+};
+
+const MAX_CAPACITY = 100;
+const MAX_REFILL_PER_MINUTE = 600;
+
+// 토큰 버킷을 Redis 안에서 원자적으로 갱신 (여러 서버가 같은 버킷을 공유하도록 Redis 시각 사용)
+// 반환: { 허용 여부(1/0), 다시 시도까지 남은 ms, 남은 토큰 수 }
+const TOKEN_BUCKET_SCRIPT = `
+local capacity = tonumber(ARGV[1])
+local refillPerMs = tonumber(ARGV[2])
+local cost = tonumber(ARGV[3])
+local time = redis.call('TIME')
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'updatedAt')
+local tokens = tonumber(bucket[1]) or capacity
+local updatedAt = tonumber(bucket[2]) or now
+tokens = math.min(capacity, tokens + math.max(0, now - updatedAt) * refillPerMs)
+
+local allowed = 0
+local retryAfter = 0
+if tokens >= cost then
+  tokens = tokens - cost
+  allowed = 1
+else
+  retryAfter = math.ceil((cost - tokens) / refillPerMs)
+end
+
+redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'updatedAt', now)
+redis.call('PEXPIRE', KEYS[1], math.ceil(capacity / refillPerMs) + 1000)
+return { allowed, retryAfter, math.floor(tokens) }
+`;
+
+class RateLimitService {
+  static DEFAULT_LIMITS = DEFAULT_LIMITS;
+  static LOCAL_BUCKET_LIMIT = 10000;
+
+  // Redis가 없을 때 사용하는 프로세스 내 버킷 (서버 한 대에서만 유효)
+  static localBuckets = new Map();
+
+  // 채팅방에 따로 설정한 한도 (없으면 null)
+  static getRoomLimit(event, room) {
+    const overrides = room?.rateLimits;
+    const override = overrides instanceof Map ? overrides.get(event) : overrides?.[event];
+    return override?.capacity && override?.refillPerMinute
+      ? { capacity: override.capacity, refillPerMinute: override.refillPerMinute }
+      : null;
+  }
+
+  // 채팅방 ID만 받은 경우 설정을 읽어옴 (문서를 받으면 그대로 사용)
+  static async resolveRoom(room) {
+    if (room && typeof room === 'object' && !(room instanceof mongoose.Types.ObjectId)) {
+      return room;
+    }
+    if (!mongoose.isValidObjectId(room)) return null;
+    return Room.findById(room).select('rateLimits').lean();
+  }
+
+  // 기본 버킷은 사용자·이벤트 단위 (여러 채팅방을 오가도 한도가 늘어나지 않음), 채팅방 버킷은 채팅방별로 따로 둠
+  static getKey(event, userId, roomId = null) {
+    return roomId
+      ? `ratelimit:${event}:room:${roomId}:${userId}`
+      : `ratelimit:${event}:${userId}`;
+  }
+
+  static takeLocal(key, { capacity, refillPerMinute }, cost) {
+    const now = Date.now();
+    const refillPerMs = refillPerMinute / 60000;
+
+    if (this.localBuckets.size > this.LOCAL_BUCKET_LIMIT) {
+      this.pruneLocalBuckets(now);
+    }
+
+    const bucket = this.localBuckets.get(key) || { tokens: capacity, updatedAt: now, fullAt: now };
+    let tokens = Math.min(capacity, bucket.tokens + Math.max(0, now - bucket.updatedAt) * refillPerMs);
+    let retryAfter = 0;
+
+    if (tokens >= cost) {
+      tokens -= cost;
+    } else {
+      retryAfter = Math.ceil((cost - tokens) / refillPerMs);
+    }
+
+    this.localBuckets.set(key, {
+      tokens,
+      updatedAt: now,
+      fullAt: now + Math.ceil((capacity - tokens) / refillPerMs)
+    });
+    return { allowed: retryAfter === 0, retryAfter, remaining: Math.floor(tokens) };
+  }
+
+  // 이미 가득 찬 버킷은 기본 상태와 같으므로 삭제
+  static pruneLocalBuckets(now) {
+    for (const [key, bucket] of this.localBuckets) {
+      if (bucket.fullAt <= now) {
+        this.localBuckets.delete(key);
+      }
+    }
+  }
+
+  static async take(key, limit, cost) {
+    if (!redisClient.isConnected) {
+      await redisClient.connect();
+    }
+    if (redisClient.useMock) {
+      return this.takeLocal(key, limit, cost);
+    }
+
+    const [allowed, retryAfter, remaining] = await redisClient.eval(TOKEN_BUCKET_SCRIPT, {
+      keys: [key],
+      arguments: [
+        String(limit.capacity),
+        String(limit.refillPerMinute / 60000),
+        String(cost)
+      ]
+    });
+    return { allowed: allowed === 1, retryAfter, remaining };
+  }
+
+  // 사용자·이벤트별 기본 버킷에서 토큰을 꺼냄 (부족하면 RATE_LIMITED와 재시도까지 남은 초 반환)
+  // 채팅방에 한도가 설정돼 있으면 그 채팅방 버킷도 함께 통과해야 함
+  static async consume(userId, event, roomOrId, cost = 1) {
+    if (!DEFAULT_LIMITS[event]) {
+      return { isValid: true };
+    }
+
+    let result;
+    try {
+      const room = await this.resolveRoom(roomOrId);
+      const roomLimit = this.getRoomLimit(event, room);
+
+      // 채팅방 버킷을 먼저 확인해 채팅방 한도에 막힌 요청이 기본 버킷을 소모하지 않도록 함
+      // 버킷보다 큰 요청은 영원히 통과하지 못하므로 버킷 크기로 제한
+      if (roomLimit) {
+        const roomId = room?._id || roomOrId;
+        result = await this.take(this.getKey(event, userId, roomId), roomLimit, Math.min(cost, roomLimit.capacity));
+      }
+      if (!result || result.allowed) {
+        const limit = DEFAULT_LIMITS[event];
+        const userResult = await this.take(this.getKey(event, userId), limit, Math.min(cost, limit.capacity));
+        result = {
+          ...userResult,
+          remaining: Math.min(userResult.remaining, result?.remaining ?? Infinity)
+        };
+      }
+    } catch (error) {
+      // 제한 저장소 장애로 채팅 전체가 멈추지 않도록 통과시킴
+      console.error('Rate limit check error:', { event, userId, error: error.message });
+      return { isValid: true };
+    }
+
+    if (result.allowed) {
+      return { isValid: true, remaining: result.remaining };
+    }
+
+    const retryAfter = Math.max(1, Math.ceil(result.retryAfter / 1000));
+    return {
+      isValid: false,
+      code: 'RATE_LIMITED',
+      event,
+      retryAfter,
+      reason: LIMIT_MESSAGES[event],
+      message: `${LIMIT_MESSAGES[event]} ${retryAfter}초 후에 다시 시도해주세요.`
+    };
+  }
+
+  // 채팅방 설정으로 받은 한도 검증 (null이면 해당 이벤트는 기본 한도만 적용)
+  static validateRoomLimits(input) {
+    if (input === null) {
+      return { isValid: true, rateLimits: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      return { isValid: false, message: '속도 제한 설정 형식이 올바르지 않습니다.' };
+    }
+
+    const rateLimits = {};
+    for (const [event, value] of Object.entries(input)) {
+      if (!DEFAULT_LIMITS[event]) {
+        return { isValid: false, message: `속도 제한을 설정할 수 없는 이벤트입니다: ${event}` };
+      }
+      if (value === null) continue;
+
+      const capacity = Number(value?.capacity);
+      const refillPerMinute = Number(value?.refillPerMinute);
+      if (!Number.isInteger(capacity) || capacity < 1 || capacity > MAX_CAPACITY) {
+        return { isValid: false, message: `한 번에 보낼 수 있는 개수는 1~${MAX_CAPACITY} 사이여야 합니다.` };
+      }
+      if (!Number.isInteger(refillPerMinute) || refillPerMinute < 1 || refillPerMinute > MAX_REFILL_PER_MINUTE) {
+        return { isValid: false, message: `분당 허용 개수는 1~${MAX_REFILL_PER_MINUTE} 사이여야 합니다.` };
+      }
+      rateLimits[event] = { capacity, refillPerMinute };
+    }
+
+    return { isValid: true, rateLimits: Object.keys(rateLimits).length ? rateLimits : null };
+  }
+}
+
+module.exports = RateLimitService;
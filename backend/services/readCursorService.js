@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ReadCursor = require('../models/ReadCursor');
+
+class ReadCursorService {
+  // 메시지가 커서보다 뒤(아직 읽지 않음)인지 확인 - timestamp, _id 순으로 비교
+  static isAfterCursor(message, cursor) {
+    if (!cursor) return true;
+
+    const diff = new Date(message.timestamp) - new Date(cursor.lastReadTimestamp);
+    if (diff !== 0) return diff > 0;
+    return String(message._id) > String(cursor.lastReadMessage);
+  }
+
+  // 커서 이후의 메시지만 조회하는 조건
+  static buildUnreadFilter(cursor) {
+    if (!cursor) return {};
+
+    return {
+      $or: [
+        { timestamp: { $gt: cursor.lastReadTimestamp } },
+        { timestamp: cursor.lastReadTimestamp, _id: { $gt: cursor.lastReadMessage } }
+      ]
+    };
+  }
+
+  // 커서를 message 위치로 이동 (이미 더 뒤에 있으면 그대로 두고 null 반환)
+  static async moveTo(userId, roomId, message) {
+    try {
+      return await ReadCursor.findOneAndUpdate(
+        {
+          user: userId,
+          room: roomId,
+          $or: [
+            { lastReadTimestamp: { $lt: message.timestamp } },
+            { lastReadTimestamp: message.timestamp, lastReadMessage: { $lt: message._id } }
+          ]
+        },
+        {
+          $set: {
+            lastReadMessage: message._id,
+            lastReadTimestamp: message.timestamp
+          }
+        },
+        { new: true, upsert: true }
+      );
+    } catch (error) {
+      // 커서가 이미 더 뒤에 있으면 조건이 맞지 않아 upsert가 중복 키 오류로 실패
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+
+  // 읽은 메시지 중 가장 최근 메시지까지 커서를 이동
+  static async advance(userId, messageIds, roomId = null) {
+    const ids = (messageIds || []).filter(id => mongoose.isValidObjectId(id));
+    if (ids.length === 0) return null;
+
+    const latest = await Message.findOne({
+      _id: { $in: ids },
+      ...(roomId && { room: roomId })
+    })
+      .sort({ timestamp: -1, _id: -1 })
+      .select('_id room timestamp')
+      .lean();
+
+    if (!latest) return null;
+
+    return this.moveTo(userId, latest.room, latest);
+  }
+
+  static async getUserCursors(userId, roomIds) {
+    const cursors = await ReadCursor.find({
+      user: userId,
+      room: { $in: roomIds }
+    }).lean();
+
+    return new Map(cursors.map(cursor => [cursor.room, cursor]));
+  }
+
+  // 채팅방 커서로 메시지별 읽은 사용자 목록(readers) 계산
+  static async attachReaders(roomId, messages) {
+    if (!messages?.length) return messages;
+
+    const cursors = await ReadCursor.find({ room: roomId })
+      .select('user lastReadMessage lastReadTimestamp updatedAt')
+      .lean();
+
+    return messages.map(message => ({
+      ...message,
+      readers: cursors
+        .filter(cursor => !this.isAfterCursor(message, cursor))
+        .map(cursor => ({ userId: cursor.user, readAt: cursor.updatedAt }))
+    }));
+  }
+}
+
+module.exports = ReadCursorService;
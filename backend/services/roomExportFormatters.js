@@ -0,0 +1,172 @@
+// 채팅방 대화 기록 내보내기 형식 (header → message × N → footer 순서로 조각을 만들어 스트리밍)
+// 각 메시지는 roomExportService.toRecord가 만든 공통 레코드를 받는다.
+
+const formatTime = (value) => (
+  value ? `${new Date(value).toISOString().replace('T', ' ').slice(0, 19)} UTC` : ''
+);
+
+const formatSize = (bytes = 0) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+const formatRange = ({ from, to }) => {
+  if (!from && !to) return '전체';
+  return `${from ? formatTime(from) : '처음'} ~ ${to ? formatTime(to) : '현재'}`;
+};
+
+const getSenderLabel = (record) => {
+  if (record.type === 'system') return '시스템';
+  return record.sender?.name || '알 수 없는 사용자';
+};
+
+const getMarkers = (record) => {
+  const markers = [];
+  if (record.threadParentId) markers.push('스레드 답글');
+  if (record.forwardedFrom) markers.push(`${record.forwardedFrom.roomName}에서 전달됨`);
+  if (record.isEdited) markers.push(`수정됨 ${formatTime(record.editedAt)}`);
+  return markers;
+};
+
+const escapeHtml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// 인용문/목록 안에 들어가도록 여러 줄 본문의 각 줄에 접두사를 붙임
+const prefixLines = (text, prefix) => text.split('\n').map(line => `${prefix}${line}`).join('\n');
+
+const json = {
+  contentType: 'application/json; charset=utf-8',
+  extension: 'json',
+  header: ({ room, exportedAt, range }) => (
+    `{"room":${JSON.stringify({ id: room._id, name: room.name })},` +
+    `"exportedAt":${JSON.stringify(exportedAt)},` +
+    `"range":${JSON.stringify({ from: range.from || null, to: range.to || null })},` +
+    '"messages":[\n'
+  ),
+  message: (record, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(record)}`,
+  footer: () => '\n]}\n'
+};
+
+const markdown = {
+  contentType: 'text/markdown; charset=utf-8',
+  extension: 'md',
+  header: ({ room, exportedAt, range }) => [
+    `# ${room.name} 대화 기록`,
+    '',
+    `- 내보낸 시각: ${formatTime(exportedAt)}`,
+    `- 기간: ${formatRange(range)}`,
+    '',
+    '---',
+    '',
+    ''
+  ].join('\n'),
+  message: (record) => {
+    const lines = [];
+    const markers = getMarkers(record);
+    lines.push(
+      `**${getSenderLabel(record)}** · ${formatTime(record.timestamp)}` +
+      (markers.length ? ` _(${markers.join(', ')})_` : '')
+    );
+
+    if (record.isDeleted) {
+      lines.push('', '_삭제된 메시지입니다._');
+    } else {
+      if (record.content) {
+        lines.push('', record.type === 'system' ? `_${record.content}_` : record.content);
+      }
+      if (record.file) {
+        const fileName = record.file.name.replace(/([[\]])/g, '\\$1');
+        lines.push('', `📎 [${fileName}](${record.file.url}) (${formatSize(record.file.size)})`);
+      }
+      if (record.poll) {
+        lines.push('', ...record.poll.options.map(option => `- ${option.text}: ${option.voteCount}표`));
+        if (record.poll.closedAt) lines.push(`- _투표 마감 ${formatTime(record.poll.closedAt)}_`);
+      }
+      if (record.reactions.length) {
+        lines.push('', record.reactions.map(({ emoji, count }) => `${emoji} ${count}`).join(' · '));
+      }
+    }
+
+    if (record.threadParentId) {
+      return `${prefixLines(lines.join('\n'), '> ')}\n\n`;
+    }
+    return `${lines.join('\n')}\n\n`;
+  },
+  footer: () => ''
+};
+
+const html = {
+  contentType: 'text/html; charset=utf-8',
+  extension: 'html',
+  header: ({ room, exportedAt, range }) => `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(room.name)} 대화 기록</title>
+<style>
+body { max-width: 800px; margin: 2rem auto; padding: 0 1rem; font-family: sans-serif; line-height: 1.5; color: #222; }
+.meta { color: #666; font-size: 0.875rem; }
+.message { padding: 0.75rem 0; border-bottom: 1px solid #eee; }
+.message.thread-reply { margin-left: 2rem; }
+.message.system { color: #666; font-style: italic; }
+.sender { font-weight: bold; }
+.time, .markers { color: #888; font-size: 0.8rem; margin-left: 0.5rem; }
+.content { white-space: pre-wrap; word-break: break-word; margin-top: 0.25rem; }
+.deleted { color: #999; font-style: italic; }
+.reactions { margin-top: 0.25rem; font-size: 0.875rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(room.name)} 대화 기록</h1>
+<p class="meta">내보낸 시각: ${escapeHtml(formatTime(exportedAt))}<br>기간: ${escapeHtml(formatRange(range))}</p>
+`,
+  message: (record) => {
+    const classes = ['message', record.type];
+    if (record.threadParentId) classes.push('thread-reply');
+
+    const markers = getMarkers(record);
+    const parts = [
+      `<div class="${classes.join(' ')}" id="message-${escapeHtml(record.id)}">`,
+      `<span class="sender">${escapeHtml(getSenderLabel(record))}</span>` +
+      `<span class="time">${escapeHtml(formatTime(record.timestamp))}</span>` +
+      (markers.length ? `<span class="markers">${escapeHtml(markers.join(', '))}</span>` : '')
+    ];
+
+    if (record.isDeleted) {
+      parts.push('<div class="content deleted">삭제된 메시지입니다.</div>');
+    } else {
+      if (record.content) {
+        parts.push(`<div class="content">${escapeHtml(record.content)}</div>`);
+      }
+      if (record.file) {
+        parts.push(
+          `<div class="file">📎 <a href="${escapeHtml(record.file.url)}">${escapeHtml(record.file.name)}</a> ` +
+          `(${escapeHtml(formatSize(record.file.size))})</div>`
+        );
+      }
+      if (record.poll) {
+        parts.push(`<ul class="poll">${record.poll.options.map(option => (
+          `<li>${escapeHtml(option.text)}: ${option.voteCount}표</li>`
+        )).join('')}</ul>`);
+      }
+      if (record.reactions.length) {
+        parts.push(`<div class="reactions">${record.reactions.map(({ emoji, count }) => (
+          `${escapeHtml(emoji)} ${count}`
+        )).join(' · ')}</div>`);
+      }
+    }
+
+    parts.push('</div>\n');
+    return parts.join('\n');
+  },
+  footer: () => '</body>\n</html>\n'
+};
+
+const FORMATTERS = { json, markdown, html };
+
+module.exports = { FORMATTERS };
@@ -0,0 +1,345 @@
+const fs = require('fs');
+const path = require('path');
+const Queue = require('bull');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const RoomExport = require('../models/RoomExport');
+const { FORMATTERS } = require('./roomExportFormatters');
+const { redisHost, redisPort, redisPassword } = require('../config/keys');
+
+const AI_NAMES = {
+  wayneAI: 'Wayne AI',
+  consultingAI: 'Consulting AI'
+};
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class RoomExportService {
+  static QUEUE_NAME = 'room-exports';
+  static EXPORT_DIR = path.join(__dirname, '../exports');
+  static BATCH_SIZE = 500;
+  static FILE_TTL = 24 * 60 * 60 * 1000; // 완료된 내보내기 파일 보관 기간
+  static RECENT_LIMIT = 5;
+
+  static queue = null;
+  static io = null;
+
+  // Redis 설정이 없으면 큐 없이 현재 프로세스에서 바로 처리
+  static initialize(io) {
+    this.io = io;
+
+    if (this.queue || !redisHost || !redisPort) return this.queue;
+
+    this.queue = new Queue(this.QUEUE_NAME, {
+      redis: {
+        host: redisHost,
+        port: Number(redisPort),
+        password: redisPassword || undefined
+      }
+    });
+
+    this.queue.process(async (job) => this.processJob(job));
+
+    this.queue.on('failed', (job, error) => {
+      console.error('Room export job error:', {
+        jobId: job.id,
+        exportId: job.data.exportId,
+        error: error.message
+      });
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('Room export queue error:', error);
+    });
+
+    return this.queue;
+  }
+
+  static parseDate(value, { endOfDay = false } = {}) {
+    const date = new Date(value);
+    if (isNaN(date)) return null;
+
+    // 날짜만 지정한 종료일은 그 날 전체를 포함
+    if (endOfDay && DATE_ONLY_PATTERN.test(value)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCMilliseconds(-1);
+    }
+    return date;
+  }
+
+  static parseOptions(query = {}) {
+    const format = query.format || 'json';
+    if (!FORMATTERS[format]) {
+      return { isValid: false, message: '지원하지 않는 형식입니다. (json, markdown, html)' };
+    }
+
+    const from = query.from ? this.parseDate(query.from) : null;
+    const to = query.to ? this.parseDate(query.to, { endOfDay: true }) : null;
+    if ((query.from && !from) || (query.to && !to)) {
+      return { isValid: false, message: '기간 형식이 올바르지 않습니다.' };
+    }
+    if (from && to && from > to) {
+      return { isValid: false, message: '시작일이 종료일보다 늦을 수 없습니다.' };
+    }
+
+    return { isValid: true, format, from, to };
+  }
+
+  static async findRoom(userId, roomId) {
+    if (!mongoose.isValidObjectId(roomId)) return null;
+    return Room.findOne({ _id: roomId, participants: userId }).select('name');
+  }
+
+  static buildFilter(roomId, { from, to }) {
+    const filter = { room: String(roomId) };
+    if (from || to) {
+      filter.timestamp = {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to })
+      };
+    }
+    return filter;
+  }
+
+  static countMessages(roomId, options) {
+    return Message.countDocuments(this.buildFilter(roomId, options));
+  }
+
+  static getFileName(room, format) {
+    const date = new Date().toISOString().slice(0, 10);
+    return `${room.name}-${date}.${FORMATTERS[format].extension}`;
+  }
+
+  static getContentDisposition(fileName) {
+    const asciiName = fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+  }
+
+  // 형식과 무관한 공통 레코드 (삭제된 메시지는 내용 없이 표시만 남김)
+  static toRecord(message, baseUrl) {
+    const isDeleted = !!message.isDeleted;
+    const reactions = Object.entries(message.reactions || {})
+      .filter(([, users]) => users?.length)
+      .map(([emoji, users]) => ({ emoji, count: users.length }));
+
+    return {
+      id: message._id.toString(),
+      type: message.type,
+      timestamp: message.timestamp,
+      sender: message.type === 'ai'
+        ? { id: null, name: AI_NAMES[message.aiType] || message.aiType }
+        : message.sender
+          ? { id: message.sender._id.toString(), name: message.sender.name }
+          : null,
+      content: isDeleted ? null : (message.content || null),
+      isDeleted,
+      deletedAt: message.deletedAt || null,
+      isEdited: !!message.isEdited,
+      editedAt: message.editedAt || null,
+      threadParentId: message.parentMessage ? message.parentMessage.toString() : null,
+      replyToId: message.replyTo?.messageId ? message.replyTo.messageId.toString() : null,
+      forwardedFrom: message.forwardedFrom?.messageId
+        ? {
+          roomName: message.forwardedFrom.roomName,
+          senderName: message.forwardedFrom.senderName,
+          timestamp: message.forwardedFrom.timestamp
+        }
+        : null,
+      file: !isDeleted && message.file
+        ? {
+          name: message.file.originalname,
+          mimetype: message.file.mimetype,
+          size: message.file.size,
+          url: `${baseUrl}/api/files/download/${encodeURIComponent(message.file.filename)}`
+        }
+        : null,
+      poll: !isDeleted && message.poll
+        ? {
+          options: message.poll.options.map(option => ({
+            text: option.text,
+            voteCount: option.voteCount
+          })),
+          closedAt: message.poll.closedAt || null
+        }
+        : null,
+      reactions: isDeleted ? [] : reactions
+    };
+  }
+
+  // 쓰기 버퍼가 가득 차면 비워질 때까지 대기 (받는 쪽이 끊기면 중단)
+  static write(writable, chunk) {
+    if (writable.destroyed) {
+      return Promise.reject(new Error('EXPORT_ABORTED'));
+    }
+    if (writable.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const cleanup = () => {
+        writable.off('drain', handleDrain);
+        writable.off('close', handleClose);
+      };
+      const handleDrain = () => {
+        cleanup();
+        resolve();
+      };
+      const handleClose = () => {
+        cleanup();
+        reject(new Error('EXPORT_ABORTED'));
+      };
+      writable.on('drain', handleDrain);
+      writable.on('close', handleClose);
+    });
+  }
+
+  // 메시지를 커서로 조금씩 읽어 형식에 맞게 writable에 기록 (스레드 답글, 시스템/AI/파일 메시지 포함)
+  static async writeTranscript(writable, room, options, baseUrl) {
+    const formatter = FORMATTERS[options.format];
+    const cursor = Message.find(this.buildFilter(room._id, options))
+      .sort({ timestamp: 1, _id: 1 })
+      .select('-editHistory -mentions -metadata -clientMessageId')
+      .populate('sender', 'name')
+      .populate('file', 'filename originalname mimetype size')
+      .lean()
+      .batchSize(this.BATCH_SIZE)
+      .cursor();
+
+    let count = 0;
+    try {
+      await this.write(writable, formatter.header({
+        room,
+        exportedAt: new Date().toISOString(),
+        range: { from: options.from, to: options.to }
+      }));
+
+      for await (const message of cursor) {
+        await this.write(writable, formatter.message(this.toRecord(message, baseUrl), count));
+        count += 1;
+      }
+
+      await this.write(writable, formatter.footer());
+    } finally {
+      await cursor.close().catch(() => {});
+    }
+
+    return count;
+  }
+
+  static async createJob(userId, room, options, baseUrl) {
+    const exportJob = await RoomExport.create({
+      room: room._id.toString(),
+      requestedBy: userId,
+      format: options.format,
+      from: options.from || undefined,
+      to: options.to || undefined
+    });
+
+    const data = { exportId: exportJob._id.toString(), baseUrl };
+
+    if (this.queue) {
+      await this.queue.add(data, { removeOnComplete: true, removeOnFail: true });
+    } else {
+      setImmediate(() => {
+        this.processJob({ data }).catch(error => {
+          console.error('Room export job error:', {
+            exportId: data.exportId,
+            error: error.message
+          });
+        });
+      });
+    }
+
+    return exportJob;
+  }
+
+  static getFilePath(exportJob) {
+    return path.join(this.EXPORT_DIR, `${exportJob._id}.${FORMATTERS[exportJob.format].extension}`);
+  }
+
+  static async processJob(job) {
+    const exportJob = await RoomExport.findOneAndUpdate(
+      { _id: job.data.exportId, status: 'pending' },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    if (!exportJob) return;
+
+    const room = await Room.findById(exportJob.room).select('name');
+    const filePath = this.getFilePath(exportJob);
+    const tempPath = `${filePath}.part`;
+
+    try {
+      if (!room) {
+        throw new Error('채팅방을 찾을 수 없습니다.');
+      }
+
+      await fs.promises.mkdir(this.EXPORT_DIR, { recursive: true });
+      const output = fs.createWriteStream(tempPath);
+      let messageCount;
+      try {
+        messageCount = await this.writeTranscript(output, room, exportJob, job.data.baseUrl);
+      } finally {
+        await new Promise(resolve => output.end(resolve));
+      }
+      await fs.promises.rename(tempPath, filePath);
+      const { size } = await fs.promises.stat(filePath);
+
+      exportJob.set({
+        status: 'completed',
+        messageCount,
+        size,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + this.FILE_TTL)
+      });
+      await exportJob.save();
+    } catch (error) {
+      console.error('Room export error:', { exportId: exportJob._id, error: error.message });
+      await fs.promises.unlink(tempPath).catch(() => {});
+      exportJob.set({
+        status: 'failed',
+        error: '대화 기록을 내보내지 못했습니다.',
+        expiresAt: new Date(Date.now() + this.FILE_TTL)
+      });
+      await exportJob.save();
+    }
+
+    // 요청한 사용자에게 다운로드 링크 안내
+    this.io?.to(`user:${exportJob.requestedBy}`).emit('roomExportUpdated', {
+      export: exportJob.toJSON(),
+      roomName: room?.name || null
+    });
+  }
+
+  static async getRecentExports(userId, roomId) {
+    return RoomExport.find({ requestedBy: userId, room: String(roomId) })
+      .sort({ createdAt: -1 })
+      .limit(this.RECENT_LIMIT)
+      .lean();
+  }
+
+  static async getExport(userId, roomId, exportId) {
+    if (!mongoose.isValidObjectId(exportId)) return null;
+    return RoomExport.findOne({ _id: exportId, requestedBy: userId, room: String(roomId) });
+  }
+
+  // 보관 기간이 지난 내보내기 파일과 작업 기록 정리
+  static async cleanupExpired() {
+    try {
+      const expired = await RoomExport.find({ expiresAt: { $lte: new Date() } })
+        .select('format')
+        .limit(this.BATCH_SIZE);
+
+      for (const exportJob of expired) {
+        await fs.promises.unlink(this.getFilePath(exportJob)).catch(error => {
+          if (error.code !== 'ENOENT') throw error;
+        });
+      }
+      await RoomExport.deleteMany({ _id: { $in: expired.map(exportJob => exportJob._id) } });
+    } catch (error) {
+      console.error('Room export cleanup error:', error);
+    }
+  }
+}
+
+module.exports = RoomExportService;
@@ -0,0 +1,353 @@
+const Queue = require('bull');
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const ScheduledMessage = require('../models/ScheduledMessage');
+const MessageService = require('./messageService');
+const ModerationService = require('./moderationService');
+const LinkPreviewService = require('./linkPreviewService');
+const { redisHost, redisPort, redisPassword } = require('../config/keys');
+
+class ScheduledMessageService {
+  static QUEUE_NAME = 'scheduled-messages';
+  static MIN_DELAY = 60 * 1000; // 최소 1분 뒤
+  static MAX_DELAY = 30 * 24 * 60 * 60 * 1000; // 최대 30일 뒤
+  static MAX_PENDING_PER_ROOM = 20; // 사용자별 채팅방당 대기 중인 예약 메시지 수
+  static JOB_ATTEMPTS = 3;
+
+  static queue = null;
+  static io = null;
+
+  // 예약 전송 큐 초기화 (Redis 설정이 없으면 예약 기능 비활성화)
+  static initialize(io) {
+    this.io = io;
+
+    if (this.queue) return this.queue;
+
+    if (!redisHost || !redisPort) {
+      console.log('Redis configuration not found, scheduled messages are disabled');
+      return null;
+    }
+
+    this.queue = new Queue(this.QUEUE_NAME, {
+      redis: {
+        host: redisHost,
+        port: Number(redisPort),
+        password: redisPassword || undefined
+      }
+    });
+
+    this.queue.process(async (job) => this.processJob(job));
+
+    this.queue.on('failed', (job, error) => {
+      console.error('Scheduled message job error:', {
+        jobId: job.id,
+        attemptsMade: job.attemptsMade,
+        error: error.message
+      });
+
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        this.markFailed(job.data.scheduledMessageId, '예약 메시지 전송 중 오류가 발생했습니다.')
+          .catch(markError => console.error('Scheduled message status error:', markError));
+      }
+    });
+
+    this.queue.on('error', (error) => {
+      console.error('Scheduled message queue error:', error);
+    });
+
+    return this.queue;
+  }
+
+  static isAvailable() {
+    return !!this.queue;
+  }
+
+  static validateSchedule({ content, scheduledAt }, { partial = false } = {}) {
+    const result = { isValid: true, update: {} };
+
+    if (!partial || content !== undefined) {
+      const trimmedContent = typeof content === 'string' ? content.trim() : '';
+      if (!trimmedContent) {
+        return { isValid: false, message: '메시지 내용을 입력해주세요.' };
+      }
+      if (trimmedContent.length > 10000) {
+        return { isValid: false, message: '메시지는 10000자를 초과할 수 없습니다.' };
+      }
+      result.update.content = trimmedContent;
+    }
+
+    if (!partial || scheduledAt !== undefined) {
+      const date = new Date(scheduledAt);
+      if (!scheduledAt || isNaN(date)) {
+        return { isValid: false, message: '예약 시간이 올바르지 않습니다.' };
+      }
+
+      const delay = date.getTime() - Date.now();
+      if (delay < this.MIN_DELAY) {
+        return { isValid: false, message: '예약 시간은 현재로부터 1분 이후여야 합니다.' };
+      }
+      if (delay > this.MAX_DELAY) {
+        return { isValid: false, message: '예약 시간은 30일 이내여야 합니다.' };
+      }
+      result.update.scheduledAt = date;
+    }
+
+    return result;
+  }
+
+  static async listScheduledMessages(userId, roomId) {
+    return ScheduledMessage.find({
+      room: roomId,
+      sender: userId,
+      status: { $in: ['scheduled', 'failed'] }
+    })
+      .sort({ scheduledAt: 1 })
+      .lean();
+  }
+
+  static async createScheduledMessage(userId, roomId, data, { kind = 'message' } = {}) {
+    const validation = this.validateSchedule(data);
+    if (!validation.isValid) return validation;
+
+    const pendingCount = await ScheduledMessage.countDocuments({
+      room: roomId,
+      sender: userId,
+      status: 'scheduled'
+    });
+    if (pendingCount >= this.MAX_PENDING_PER_ROOM) {
+      return {
+        isValid: false,
+        message: `예약 메시지는 채팅방당 최대 ${this.MAX_PENDING_PER_ROOM}개까지 가능합니다.`
+      };
+    }
+
+    const scheduledMessage = new ScheduledMessage({
+      room: roomId,
+      sender: userId,
+      kind,
+      ...validation.update
+    });
+    await scheduledMessage.save();
+
+    try {
+      await this.enqueue(scheduledMessage);
+    } catch (error) {
+      await scheduledMessage.deleteOne();
+      throw error;
+    }
+
+    return { isValid: true, scheduledMessage };
+  }
+
+  static async updateScheduledMessage(userId, roomId, scheduledMessageId, data) {
+    const scheduledMessage = await this.findOwnScheduledMessage(userId, roomId, scheduledMessageId);
+    if (!scheduledMessage) {
+      return { isValid: false, status: 404, message: '예약 메시지를 찾을 수 없습니다.' };
+    }
+    if (!['scheduled', 'failed'].includes(scheduledMessage.status)) {
+      return { isValid: false, message: '이미 전송되었거나 취소된 예약 메시지입니다.' };
+    }
+
+    const validation = this.validateSchedule(data, {
+      // 실패한 메시지를 다시 예약할 때는 새 시간이 필요
+      partial: scheduledMessage.status === 'scheduled'
+    });
+    if (!validation.isValid) return validation;
+
+    await this.removeJob(scheduledMessage.jobId);
+
+    Object.assign(scheduledMessage, validation.update, {
+      status: 'scheduled',
+      failureReason: undefined
+    });
+    await scheduledMessage.save();
+    await this.enqueue(scheduledMessage);
+
+    return { isValid: true, scheduledMessage };
+  }
+
+  static async cancelScheduledMessage(userId, roomId, scheduledMessageId) {
+    const scheduledMessage = await this.findOwnScheduledMessage(userId, roomId, scheduledMessageId);
+    if (!scheduledMessage) {
+      return { isValid: false, status: 404, message: '예약 메시지를 찾을 수 없습니다.' };
+    }
+    if (!['scheduled', 'failed'].includes(scheduledMessage.status)) {
+      return { isValid: false, message: '이미 전송되었거나 취소된 예약 메시지입니다.' };
+    }
+
+    await this.removeJob(scheduledMessage.jobId);
+
+    scheduledMessage.status = 'cancelled';
+    scheduledMessage.cancelledAt = new Date();
+    await scheduledMessage.save();
+
+    return { isValid: true, scheduledMessage };
+  }
+
+  static async findOwnScheduledMessage(userId, roomId, scheduledMessageId) {
+    if (!mongoose.isValidObjectId(scheduledMessageId)) return null;
+    return ScheduledMessage.findOne({
+      _id: scheduledMessageId,
+      room: roomId,
+      sender: userId
+    });
+  }
+
+  // 예약 시간이 바뀔 때마다 새 작업 ID를 사용해 이전 작업과 구분
+  static async enqueue(scheduledMessage) {
+    if (!this.queue) {
+      throw new Error('예약 메시지 큐가 초기화되지 않았습니다.');
+    }
+
+    const scheduledAt = scheduledMessage.scheduledAt.getTime();
+    const jobId = `${scheduledMessage._id}:${scheduledAt}`;
+
+    await this.queue.add({
+      scheduledMessageId: scheduledMessage._id.toString(),
+      scheduledAt
+    }, {
+      jobId,
+      delay: Math.max(0, scheduledAt - Date.now()),
+      attempts: this.JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: 5000 },
+      removeOnComplete: true,
+      removeOnFail: true
+    });
+
+    if (scheduledMessage.jobId !== jobId) {
+      scheduledMessage.jobId = jobId;
+      await scheduledMessage.save();
+    }
+  }
+
+  static async removeJob(jobId) {
+    if (!this.queue || !jobId) return;
+
+    try {
+      const job = await this.queue.getJob(jobId);
+      await job?.remove();
+    } catch (error) {
+      // 실행 중인 작업은 삭제되지 않지만 처리 시 상태/시간 확인으로 무시됨
+      console.error('Scheduled message job removal error:', error.message);
+    }
+  }
+
+  static async markFailed(scheduledMessageId, reason) {
+    await ScheduledMessage.updateOne(
+      { _id: scheduledMessageId, status: 'scheduled' },
+      { $set: { status: 'failed', failureReason: reason } }
+    );
+  }
+
+  // 예약 시간이 되면 실시간 전송과 같은 권한 확인 후 메시지 저장 및 브로드캐스트
+  // 예약 전송은 접속 세션 없이 실행되므로 세션 대신 전송 시점의 사용자·채팅방 권한을 확인
+  static async processJob(job) {
+    const { scheduledMessageId, scheduledAt } = job.data;
+    const scheduledMessage = await ScheduledMessage.findById(scheduledMessageId);
+
+    if (!scheduledMessage || scheduledMessage.status !== 'scheduled') {
+      return { skipped: true };
+    }
+
+    // 예약 시간이 변경된 이전 작업
+    if (scheduledMessage.scheduledAt.getTime() !== scheduledAt) {
+      return { skipped: true };
+    }
+
+    // 리마인더는 채팅방에 저장하지 않고 보낸 사람의 개인 채널로만 전달
+    if (scheduledMessage.kind === 'reminder') {
+      this.io?.to(`user:${scheduledMessage.sender}`).emit('reminder', {
+        _id: scheduledMessage._id,
+        room: scheduledMessage.room,
+        content: scheduledMessage.content,
+        scheduledAt: scheduledMessage.scheduledAt
+      });
+
+      scheduledMessage.status = 'sent';
+      scheduledMessage.sentAt = new Date();
+      await scheduledMessage.save();
+
+      return { reminded: true };
+    }
+
+    const permission = await MessageService.checkSendPermission(
+      scheduledMessage.sender.toString(),
+      scheduledMessage.room
+    );
+    if (!permission.isValid) {
+      await this.markFailed(scheduledMessage._id, permission.message);
+      return { failed: true, reason: permission.message };
+    }
+
+    // 작업 재시도 시 같은 메시지가 두 번 저장되지 않도록 클라이언트 메시지 ID 사용
+    const clientMessageId = `scheduled-${scheduledMessage._id}`;
+    let message = await Message.findOne({
+      sender: scheduledMessage.sender,
+      clientMessageId
+    });
+
+    if (!message) {
+      // 검토 규칙은 예약 시점이 아니라 실제 전송 시점의 채팅방 설정으로 적용
+      const moderation = await ModerationService.moderate(scheduledMessage.content, {
+        room: permission.room,
+        userId: scheduledMessage.sender
+      });
+      if (!moderation.isValid) {
+        await this.markFailed(scheduledMessage._id, moderation.message);
+        return { failed: true, reason: moderation.message };
+      }
+
+      message = new Message({
+        room: scheduledMessage.room,
+        sender: scheduledMessage.sender,
+        content: moderation.content,
+        type: 'text',
+        clientMessageId,
+        mentions: await MessageService.resolveMentions(moderation.content, permission.room),
+        timestamp: new Date(),
+        expiresAt: permission.room.getMessageExpiresAt(),
+        reactions: {},
+        metadata: {
+          scheduledMessageId: scheduledMessage._id.toString()
+        }
+      });
+      await message.save();
+      await ModerationService.flagMessage(message, permission.room, moderation.flags);
+    }
+
+    await message.populate([
+      { path: 'sender', select: 'name email profileImage' },
+      { path: 'file', select: 'filename originalname mimetype size' }
+    ]);
+
+    this.io?.to(scheduledMessage.room).emit('message', message);
+    MessageService.emitRoomActivity(this.io, permission.room, message);
+    LinkPreviewService.enqueue(message);
+    await MessageService.notifyMentions(this.io, message, permission.room, message.sender);
+
+    scheduledMessage.status = 'sent';
+    scheduledMessage.sentAt = new Date();
+    scheduledMessage.message = message._id;
+    await scheduledMessage.save();
+
+    return { messageId: message._id.toString() };
+  }
+
+  // Redis 데이터 유실 등으로 사라진 예약 작업 복구 (같은 작업 ID는 중복 등록되지 않음)
+  static async restorePendingJobs() {
+    if (!this.queue) return 0;
+
+    try {
+      const pendingMessages = await ScheduledMessage.find({ status: 'scheduled' });
+      for (const scheduledMessage of pendingMessages) {
+        await this.enqueue(scheduledMessage);
+      }
+      return pendingMessages.length;
+    } catch (error) {
+      console.error('Scheduled message restore error:', error);
+      return 0;
+    }
+  }
+}
+
+module.exports = ScheduledMessageService;
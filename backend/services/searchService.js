@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const File = require('../models/File');
+
+const SNIPPET_LENGTH = 120;
+const MAX_QUERY_LENGTH = 100;
+const SEARCHABLE_TYPES = ['text', 'file', 'ai'];
+
+class SearchService {
+  static escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  // 텍스트 인덱스 검색어에서 하이라이트에 쓸 단어 추출 (제외어/따옴표 제거)
+  static extractTerms(query) {
+    return query
+      .split(/\s+/)
+      .filter(term => term && !term.startsWith('-'))
+      .map(term => term.replace(/"/g, ''))
+      .filter(Boolean);
+  }
+
+  // 첫 일치 위치를 중심으로 본문 일부를 잘라내고 강조 구간을 계산
+  static buildSnippet(content, terms = []) {
+    content = content || '';
+    const lowerContent = content.toLowerCase();
+    const lowerTerms = terms.map(term => term.toLowerCase());
+
+    const firstMatch = lowerTerms.reduce((min, term) => {
+      const index = lowerContent.indexOf(term);
+      return index !== -1 && (min === -1 || index < min) ? index : min;
+    }, -1);
+
+    let start = 0;
+    if (firstMatch > SNIPPET_LENGTH / 2) {
+      start = firstMatch - Math.floor(SNIPPET_LENGTH / 3);
+    }
+    const end = Math.min(content.length, start + SNIPPET_LENGTH);
+
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < content.length ? '…' : '';
+    const snippet = prefix + content.slice(start, end) + suffix;
+
+    const lowerSnippet = snippet.toLowerCase();
+    const ranges = [];
+    lowerTerms.forEach(term => {
+      let index = lowerSnippet.indexOf(term);
+      while (index !== -1) {
+        ranges.push([index, index + term.length]);
+        index = lowerSnippet.indexOf(term, index + term.length);
+      }
+    });
+
+    // 겹치는 구간 병합
+    ranges.sort((a, b) => a[0] - b[0]);
+    const highlights = ranges.reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range[0] <= last[1]) {
+        last[1] = Math.max(last[1], range[1]);
+      } else {
+        merged.push([...range]);
+      }
+      return merged;
+    }, []);
+
+    return { snippet, highlights };
+  }
+
+  // 검색 조건 검증 후 MongoDB 필터 생성
+  static buildFilter(roomId, { q, sender, type, from, to }) {
+    const query = q?.trim();
+    if (!query) {
+      return { isValid: false, message: '검색어를 입력해주세요.' };
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return { isValid: false, message: `검색어는 ${MAX_QUERY_LENGTH}자를 초과할 수 없습니다.` };
+    }
+
+    const filter = {
+      room: roomId,
+      isDeleted: false,
+      $text: { $search: query }
+    };
+
+    if (type) {
+      if (!SEARCHABLE_TYPES.includes(type)) {
+        return { isValid: false, message: '지원하지 않는 메시지 유형입니다.' };
+      }
+      filter.type = type;
+    } else {
+      filter.type = { $in: SEARCHABLE_TYPES };
+    }
+
+    if (sender) {
+      if (!mongoose.Types.ObjectId.isValid(sender)) {
+        return { isValid: false, message: '잘못된 보낸 사람 ID입니다.' };
+      }
+      filter.sender = sender;
+    }
+
+    if (from || to) {
+      const fromDate = from ? new Date(from) : null;
+      const toDate = to ? new Date(to) : null;
+
+      if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+        return { isValid: false, message: '잘못된 날짜 형식입니다.' };
+      }
+      if (fromDate && toDate && fromDate > toDate) {
+        return { isValid: false, message: '시작 날짜가 종료 날짜보다 늦습니다.' };
+      }
+
+      filter.timestamp = {};
+      if (fromDate) filter.timestamp.$gte = fromDate;
+      if (toDate) filter.timestamp.$lte = toDate;
+    }
+
+    return { isValid: true, filter, query };
+  }
+
+  // 채팅방 메시지 검색
+  static async searchRoomMessages(roomId, params = {}) {
+    const page = Math.max(0, parseInt(params.page) || 0);
+    const pageSize = Math.min(Math.max(1, parseInt(params.pageSize) || 20), 50);
+    const validation = this.buildFilter(roomId, params);
+    if (!validation.isValid) {
+      return validation;
+    }
+    const { filter, query } = validation;
+
+    const [total, messages] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ timestamp: -1, _id: -1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .populate('sender', 'name email profileImage')
+        .populate({
+          path: 'file',
+          select: 'filename originalname mimetype size'
+        })
+        .lean()
+    ]);
+
+    const terms = this.extractTerms(query);
+    const results = messages.map(message => ({
+      _id: message._id,
+      room: message.room,
+      type: message.type,
+      aiType: message.aiType,
+      sender: message.sender,
+      file: message.file,
+      timestamp: message.timestamp,
+      parentMessage: message.parentMessage || null,
+      score: message.score,
+      ...this.buildSnippet(message.content || message.file?.originalname, terms)
+    }));
+
+    return {
+      isValid: true,
+      results,
+      metadata: {
+        total,
+        page,
+        pageSize,
+        hasMore: (page + 1) * pageSize < total
+      }
+    };
+  }
+  // 참여 중인 모든 채팅방의 메시지/파일명/채팅방 이름 통합 검색
+  static async searchGlobal(userId, params = {}) {
+    const query = params.q?.trim();
+    if (!query) {
+      return { isValid: false, message: '검색어를 입력해주세요.' };
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return { isValid: false, message: `검색어는 ${MAX_QUERY_LENGTH}자를 초과할 수 없습니다.` };
+    }
+
+    const page = Math.max(0, parseInt(params.page) || 0);
+    const pageSize = Math.min(Math.max(1, parseInt(params.pageSize) || 20), 50);
+    const nameRegex = new RegExp(this.escapeRegex(query), 'i');
+
+    const rooms = await Room.find({ participants: userId })
+      .select('name participants')
+      .lean();
+
+    if (rooms.length === 0) {
+      return {
+        isValid: true,
+        rooms: [],
+        groups: [],
+        metadata: { total: 0, page, pageSize, hasMore: false }
+      };
+    }
+
+    const roomMap = new Map(rooms.map(room => [room._id.toString(), room]));
+    const roomIds = Array.from(roomMap.keys());
+
+    // 파일명은 부분 일치, 메시지 본문은 텍스트 인덱스로 검색
+    // 파일명은 참여 중인 채팅방의 파일 메시지에서 시작해 찾음 (다른 사용자의 업로드까지 훑지 않도록)
+    const matchedFiles = await Message.aggregate([
+      {
+        $match: {
+          room: { $in: roomIds },
+          isDeleted: false,
+          type: 'file',
+          file: { $ne: null }
+        }
+      },
+      {
+        $lookup: {
+          from: File.collection.name,
+          localField: 'file',
+          foreignField: '_id',
+          as: 'fileInfo'
+        }
+      },
+      { $match: { 'fileInfo.originalname': nameRegex } },
+      { $group: { _id: '$file' } }
+    ]);
+    const matchedFileIds = matchedFiles.map(file => file._id);
+
+    const matchConditions = [{ $text: { $search: query } }];
+    if (matchedFileIds.length > 0) {
+      matchConditions.push({ file: { $in: matchedFileIds } });
+    }
+
+    const filter = {
+      room: { $in: roomIds },
+      isDeleted: false,
+      type: { $in: SEARCHABLE_TYPES },
+      $or: matchConditions
+    };
+
+    const [total, messages] = await Promise.all([
+      Message.countDocuments(filter),
+      Message.find(filter)
+        .sort({ timestamp: -1, _id: -1 })
+        .skip(page * pageSize)
+        .limit(pageSize)
+        .populate('sender', 'name email profileImage')
+        .populate({
+          path: 'file',
+          select: 'filename originalname mimetype size'
+        })
+        .lean()
+    ]);
+
+    const terms = this.extractTerms(query);
+    const matchedFileSet = new Set(matchedFileIds.map(id => id.toString()));
+
+    // 현재 페이지 결과를 채팅방별로 묶되, 최신 메시지가 있는 채팅방 순서 유지
+    const groupMap = new Map();
+    messages.forEach(message => {
+      const room = roomMap.get(message.room);
+      if (!room) return;
+
+      if (!groupMap.has(message.room)) {
+        groupMap.set(message.room, {
+          room: { _id: message.room, name: room.name },
+          messages: []
+        });
+      }
+
+      const matchedFile = message.file && matchedFileSet.has(message.file._id.toString());
+      groupMap.get(message.room).messages.push({
+        _id: message._id,
+        type: message.type,
+        aiType: message.aiType,
+        sender: message.sender,
+        file: message.file,
+        timestamp: message.timestamp,
+        parentMessage: message.parentMessage || null,
+        matchedField: matchedFile ? 'file' : 'content',
+        ...(matchedFile
+          ? this.buildSnippet(message.file.originalname, [query])
+          : this.buildSnippet(message.content, terms))
+      });
+    });
+
+    // 채팅방 이름 일치 결과는 첫 페이지에만 포함
+    const matchedRooms = page === 0
+      ? rooms
+          .filter(room => nameRegex.test(room.name))
+          .map(room => ({
+            _id: room._id,
+            name: room.name,
+            participantsCount: room.participants?.length || 0,
+            ...this.buildSnippet(room.name, [query])
+          }))
+      : [];
+
+    return {
+      isValid: true,
+      rooms: matchedRooms,
+      groups: Array.from(groupMap.values()),
+      metadata: {
+        total,
+        page,
+        pageSize,
+        hasMore: (page + 1) * pageSize < total
+      }
+    };
+  }
+}
+
+module.exports = SearchService;
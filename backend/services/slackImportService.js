@@ -0,0 +1,629 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const File = require('../models/File');
+const ZipReader = require('../utils/zipReader');
+const { uploadDir, ALLOWED_TYPES } = require('../middleware/upload');
+
+// 입퇴장, 주제 변경 등은 시스템 메시지로 가져옴
+const SYSTEM_SUBTYPES = new Set([
+  'channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name',
+  'channel_archive', 'channel_unarchive', 'group_join', 'group_leave', 'group_topic',
+  'group_purpose', 'group_name', 'group_archive', 'group_unarchive'
+]);
+// 최종 상태가 이미 원본 메시지에 반영된 이벤트성 기록
+const SKIPPED_SUBTYPES = new Set([
+  'message_changed', 'message_deleted', 'message_replied', 'tombstone', 'ekm_access_denied'
+]);
+// 자주 쓰는 Slack 이모지 코드 (나머지는 :name: 그대로 사용)
+const EMOJI_MAP = {
+  '+1': '👍', thumbsup: '👍', '-1': '👎', thumbsdown: '👎', heart: '❤️', joy: '😂',
+  smile: '😄', grinning: '😀', laughing: '😆', slightly_smiling_face: '🙂', sob: '😭',
+  cry: '😢', thinking_face: '🤔', eyes: '👀', tada: '🎉', fire: '🔥', pray: '🙏',
+  clap: '👏', raised_hands: '🙌', ok_hand: '👌', muscle: '💪', wave: '👋', rocket: '🚀',
+  '100': '💯', white_check_mark: '✅', heavy_check_mark: '✔️', x: '❌', star: '⭐',
+  sparkles: '✨', bulb: '💡', warning: '⚠️', sweat_smile: '😅', open_mouth: '😮'
+};
+const DAY_FILE_PATTERN = /^(.+)\/\d{4}-\d{2}-\d{2}\.json$/;
+// 파일까지 포함된 내보내기 형식 (__uploads/<파일ID>/<이름>, <채널>/attachments/<파일ID>-<이름>)
+const UPLOAD_ENTRY_PATTERNS = [
+  /(?:^|\/)__uploads\/(F[A-Z0-9]+)\/[^/]+$/,
+  /\/attachments\/(F[A-Z0-9]+)-[^/]+$/
+];
+const PLACEHOLDER_EMAIL_DOMAIN = 'import.invalid';
+const MAX_CONTENT_LENGTH = 10000;
+const MAX_TOPIC_LENGTH = 250;
+const MAX_WARNINGS = 100;
+
+const normalizeEmail = (email) => {
+  const value = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : null;
+};
+
+const toDate = (ts) => {
+  const seconds = parseFloat(ts);
+  return Number.isFinite(seconds) ? new Date(Math.round(seconds * 1000)) : null;
+};
+
+const unescapeSlack = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+class SlackImportService {
+  static MAX_ARCHIVE_SIZE = 500 * 1024 * 1024;
+  static MAX_FILE_SIZE = 50 * 1024 * 1024;
+
+  // 같은 데이터를 동시에 가져오지 않도록 한 번에 하나만 실행
+  static running = false;
+
+  // Slack 내보내기 ZIP을 읽어 사용자/채팅방/메시지를 가져옴 (dryRun이면 저장 없이 보고서만 생성)
+  static async importArchive(filePath, { importedBy, dryRun = false }) {
+    if (this.running) {
+      return { isValid: false, status: 409, message: '이미 진행 중인 가져오기 작업이 있습니다.' };
+    }
+
+    this.running = true;
+    let zip = null;
+    try {
+      try {
+        zip = await ZipReader.open(filePath);
+      } catch (error) {
+        return { isValid: false, message: error.message };
+      }
+
+      const archive = await this.readArchive(zip);
+      if (!archive.isValid) return archive;
+
+      const context = {
+        zip,
+        archive,
+        dryRun,
+        importedBy,
+        users: new Map(),
+        report: this.createReport(dryRun, archive)
+      };
+
+      await this.importUsers(context);
+      for (const channel of archive.channels) {
+        await this.importChannel(context, channel);
+      }
+
+      return { isValid: true, report: context.report };
+    } finally {
+      this.running = false;
+      await zip?.close().catch(() => {});
+    }
+  }
+
+  static createReport(dryRun, archive) {
+    return {
+      dryRun,
+      users: { total: 0, matched: 0, created: 0, existing: 0 },
+      channels: [],
+      skippedConversations: archive.skippedConversations,
+      messages: { imported: 0, alreadyImported: 0, skipped: 0, threadReplies: 0, orphanReplies: 0 },
+      reactions: 0,
+      attachments: { uploaded: 0, linked: 0 },
+      warnings: []
+    };
+  }
+
+  static warn(context, message) {
+    const { warnings } = context.report;
+    if (warnings.length < MAX_WARNINGS) {
+      warnings.push(message);
+    } else if (warnings.length === MAX_WARNINGS) {
+      warnings.push('경고가 너무 많아 이후 항목은 생략합니다.');
+    }
+  }
+
+  // users.json이 있는 위치를 기준으로 읽음 (최상위 폴더째 압축한 경우 포함)
+  static async readArchive(zip) {
+    const names = zip.getEntryNames();
+    const usersEntry = names
+      .filter(name => name === 'users.json' || name.endsWith('/users.json'))
+      .sort((a, b) => a.length - b.length)[0];
+
+    if (!usersEntry) {
+      return { isValid: false, message: 'users.json이 없습니다. Slack 내보내기 파일인지 확인해주세요.' };
+    }
+
+    const root = usersEntry.slice(0, -'users.json'.length);
+    const readList = async (name) => {
+      const data = zip.has(root + name) ? await zip.readJson(root + name) : [];
+      if (!Array.isArray(data)) throw new Error(`${name} 형식이 올바르지 않습니다.`);
+      return data;
+    };
+
+    let users;
+    let publicChannels;
+    let privateChannels;
+    let dms;
+    let mpims;
+    try {
+      [users, publicChannels, privateChannels, dms, mpims] = await Promise.all(
+        ['users.json', 'channels.json', 'groups.json', 'dms.json', 'mpims.json'].map(readList)
+      );
+    } catch (error) {
+      return { isValid: false, message: error.message };
+    }
+
+    const channels = [
+      ...publicChannels.map(channel => ({ ...channel, isPrivate: false })),
+      ...privateChannels.map(channel => ({ ...channel, isPrivate: true }))
+    ].filter(channel => channel?.id && channel?.name);
+
+    if (channels.length === 0) {
+      return { isValid: false, message: '가져올 채널이 없습니다.' };
+    }
+
+    const dayFiles = new Map();
+    const fileEntries = new Map();
+    for (const name of names) {
+      if (!name.startsWith(root)) continue;
+      const relative = name.slice(root.length);
+
+      const dayMatch = relative.match(DAY_FILE_PATTERN);
+      if (dayMatch) {
+        if (!dayFiles.has(dayMatch[1])) dayFiles.set(dayMatch[1], []);
+        dayFiles.get(dayMatch[1]).push(name);
+        continue;
+      }
+
+      for (const pattern of UPLOAD_ENTRY_PATTERNS) {
+        const uploadMatch = relative.match(pattern);
+        if (uploadMatch) {
+          fileEntries.set(uploadMatch[1], name);
+          break;
+        }
+      }
+    }
+    dayFiles.forEach(files => files.sort());
+
+    return {
+      isValid: true,
+      users: users.filter(user => user?.id),
+      channels,
+      dayFiles,
+      fileEntries,
+      // 1:1 대화와 그룹 DM은 채팅방 개념이 달라 가져오지 않음
+      skippedConversations: { dms: dms.length, mpims: mpims.length }
+    };
+  }
+
+  static getDisplayName(slackUser) {
+    const profile = slackUser.profile || {};
+    const name = [profile.real_name, slackUser.real_name, profile.display_name, slackUser.name]
+      .find(value => typeof value === 'string' && value.trim())?.trim().slice(0, 50);
+    return name && name.length >= 2 ? name : `Slack ${slackUser.id}`;
+  }
+
+  // 원래 이메일로 가입한 사용자가 나중에 계정을 만들 수 있도록 임시 계정은 별도 주소를 사용
+  static getPlaceholderEmail(slackId) {
+    return `slack-${slackId.toLowerCase().replace(/[^a-z0-9_-]/g, '')}@${PLACEHOLDER_EMAIL_DOMAIN}`;
+  }
+
+  static async createPlaceholder(context, slackId, name) {
+    const email = this.getPlaceholderEmail(slackId);
+    const existing = await User.findOne({ email }).select('name');
+    if (existing) {
+      context.report.users.existing++;
+      return { id: existing._id, name: existing.name };
+    }
+
+    // 아무도 모르는 임의 비밀번호로 만들어 로그인할 수 없는 계정
+    const user = new User({
+      name,
+      email,
+      password: crypto.randomBytes(24).toString('hex')
+    });
+    if (!context.dryRun) {
+      await user.save();
+    }
+    context.report.users.created++;
+    return { id: user._id, name };
+  }
+
+  static async importUsers(context) {
+    const slackUsers = context.archive.users;
+    const emails = slackUsers
+      .map(slackUser => normalizeEmail(slackUser.profile?.email))
+      .filter(Boolean);
+    const existingUsers = await User.find({ email: { $in: emails } }).select('name email');
+    const usersByEmail = new Map(existingUsers.map(user => [user.email, user]));
+
+    for (const slackUser of slackUsers) {
+      context.report.users.total++;
+      const matched = usersByEmail.get(normalizeEmail(slackUser.profile?.email));
+
+      if (matched) {
+        context.report.users.matched++;
+        context.users.set(slackUser.id, { id: matched._id, name: matched.name });
+        continue;
+      }
+
+      context.users.set(
+        slackUser.id,
+        await this.createPlaceholder(context, slackUser.id, this.getDisplayName(slackUser))
+      );
+    }
+  }
+
+  // users.json에 없는 사용자나 봇은 메시지에 남은 이름으로 임시 계정을 만듦
+  static async resolveUser(context, slackId, fallbackName) {
+    if (!slackId) return null;
+    if (context.users.has(slackId)) return context.users.get(slackId);
+
+    context.report.users.total++;
+    const user = await this.createPlaceholder(
+      context,
+      slackId,
+      this.getDisplayName({ id: slackId, name: fallbackName })
+    );
+    context.users.set(slackId, user);
+    return user;
+  }
+
+  static resolveSender(context, message) {
+    if (message.user) {
+      return this.resolveUser(context, message.user, message.user_profile?.real_name || message.user_profile?.name);
+    }
+    if (message.subtype === 'bot_message' || message.bot_id) {
+      const botName = message.username || message.bot_profile?.name;
+      return this.resolveUser(context, message.bot_id || `bot-${botName || 'unknown'}`, botName);
+    }
+    return null;
+  }
+
+  // Slack 마크업(<@U1>, <#C1|이름>, <!here>, <url|텍스트>)을 일반 텍스트로 변환
+  static async convertText(context, text) {
+    if (typeof text !== 'string' || !text) return { content: '', mentions: [] };
+
+    const mentionIds = [...new Set([...text.matchAll(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g)].map(match => match[1]))];
+    const mentioned = new Map();
+    for (const slackId of mentionIds) {
+      mentioned.set(slackId, await this.resolveUser(context, slackId));
+    }
+
+    const content = unescapeSlack(text
+      .replace(/<@([A-Z0-9]+)(?:\|[^>]*)?>/g, (match, slackId) => `@${mentioned.get(slackId).name}`)
+      .replace(/<#[A-Z0-9]+\|([^>]*)>/g, '#$1')
+      .replace(/<!(here|channel|everyone)(?:\|[^>]*)?>/g, '@$1')
+      .replace(/<!subteam\^[A-Z0-9]+\|([^>]*)>/g, '$1')
+      .replace(/<((?:https?|mailto):[^|>]+)\|([^>]+)>/g, (match, url, label) => (
+        label === url ? url : `${label} (${url})`
+      ))
+      .replace(/<((?:https?|mailto):[^>]+)>/g, '$1'));
+
+    return {
+      content: content.trim(),
+      mentions: [...mentioned.values()].map(user => user.id.toString())
+    };
+  }
+
+  static async convertReactions(context, reactions) {
+    const result = {};
+    if (!Array.isArray(reactions)) return result;
+
+    for (const reaction of reactions) {
+      if (!reaction?.name || !Array.isArray(reaction.users)) continue;
+
+      // 피부색 변형(:+1::skin-tone-2:)은 기본 이모지로 합침 (Map 키에 쓸 수 없는 . $ 는 치환)
+      const name = reaction.name.split('::')[0].replace(/[.$]/g, '_');
+      const emoji = EMOJI_MAP[name] || `:${name}:`;
+      const userIds = result[emoji] || [];
+
+      for (const slackId of reaction.users) {
+        const user = await this.resolveUser(context, slackId);
+        if (user && !userIds.some(id => id.equals(user.id))) {
+          userIds.push(user.id);
+        }
+      }
+      if (userIds.length) {
+        result[emoji] = userIds;
+      }
+    }
+
+    return result;
+  }
+
+  static async getSystemContent(context, message) {
+    const user = await this.resolveUser(context, message.user, message.user_profile?.real_name);
+    if (message.subtype.endsWith('_join') && user) return `${user.name}님이 입장하였습니다.`;
+    if (message.subtype.endsWith('_leave') && user) return `${user.name}님이 퇴장하였습니다.`;
+    return (await this.convertText(context, message.text)).content;
+  }
+
+  // 파일 본문이 ZIP에 들어 있고 업로드 가능한 형식이면 실제 파일 메시지로 가져옴
+  static canUpload(context, file) {
+    const ext = path.extname(file.name || '').toLowerCase();
+    return context.archive.fileEntries.has(file.id) &&
+      !!ALLOWED_TYPES[file.mimetype]?.includes(ext) &&
+      (file.size || 0) <= this.MAX_FILE_SIZE;
+  }
+
+  static async saveFile(context, file, senderId, timestamp) {
+    const data = await context.zip.read(context.archive.fileEntries.get(file.id));
+    if (data.length > this.MAX_FILE_SIZE) {
+      throw new Error('파일 크기가 너무 큽니다.');
+    }
+
+    const ext = path.extname(file.name).toLowerCase();
+    const filename = `${Date.now()}_${crypto.randomBytes(8).toString('hex')}${ext}`;
+    const filePath = path.join(uploadDir, filename);
+    await fs.promises.writeFile(filePath, data);
+
+    try {
+      const savedFile = await File.create({
+        filename,
+        originalname: file.name,
+        mimetype: file.mimetype,
+        size: data.length,
+        user: senderId,
+        path: filePath,
+        uploadDate: timestamp
+      });
+      return savedFile._id;
+    } catch (error) {
+      await fs.promises.unlink(filePath).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Slack 메시지 하나를 저장할 메시지 목록으로 변환 (본문 + ZIP에 포함된 파일마다 파일 메시지)
+  static async planMessage(context, room, channel, message) {
+    if (message?.type !== 'message' || SKIPPED_SUBTYPES.has(message.subtype)) return null;
+
+    const ts = String(message.ts || '');
+    const timestamp = toDate(ts);
+    if (!timestamp) return null;
+
+    const key = `slack:${channel.id}:${ts}`;
+    const base = { room: room._id.toString(), timestamp, createdAt: timestamp };
+
+    if (SYSTEM_SUBTYPES.has(message.subtype)) {
+      const content = (await this.getSystemContent(context, message)).slice(0, MAX_CONTENT_LENGTH);
+      return content
+        ? { ts, threadTs: null, items: [{ key, doc: { ...base, type: 'system', content, importKey: key } }] }
+        : null;
+    }
+
+    const sender = await this.resolveSender(context, message);
+    if (!sender) return null;
+
+    const isBroadcast = message.subtype === 'thread_broadcast';
+    const threadTs = message.thread_ts && String(message.thread_ts) !== ts && !isBroadcast
+      ? String(message.thread_ts)
+      : null;
+
+    const { content, mentions } = await this.convertText(context, message.text);
+    const reactions = await this.convertReactions(context, message.reactions);
+    const files = (Array.isArray(message.files) ? message.files : [])
+      .filter(file => file?.id && file.mode !== 'tombstone' && file.mode !== 'hidden_by_limit');
+    const uploads = files.filter(file => this.canUpload(context, file));
+    const links = files.filter(file => !uploads.includes(file));
+
+    // ZIP에 없는 파일은 원본 링크만 남김 (Slack 링크는 원래 워크스페이스 로그인이 필요)
+    const text = [
+      content,
+      ...links.map(file => {
+        const url = file.url_private_download || file.url_private || file.permalink;
+        return `📎 ${file.name || file.title || '첨부파일'}${url ? ` (${url})` : ''}`;
+      })
+    ].filter(Boolean).join('\n').slice(0, MAX_CONTENT_LENGTH);
+
+    const common = { ...base, sender: sender.id };
+    const edited = message.edited?.ts ? toDate(message.edited.ts) : null;
+    const items = [];
+
+    if (text) {
+      items.push({
+        key,
+        doc: {
+          ...common,
+          type: 'text',
+          content: text,
+          mentions,
+          ...(edited && { isEdited: true, editedAt: edited }),
+          ...(links.length && {
+            metadata: {
+              importedAttachments: links.map(file => ({
+                name: file.name || file.title || null,
+                mimetype: file.mimetype || null,
+                size: file.size || null,
+                url: file.url_private || file.permalink || null
+              }))
+            }
+          })
+        },
+        links: links.length
+      });
+    }
+
+    uploads.forEach(file => {
+      items.push({
+        key: `${key}:${file.id}`,
+        doc: { ...common, type: 'file', content: '' },
+        file
+      });
+    });
+
+    if (items.length === 0) return null;
+
+    // 리액션은 첫 번째 메시지에만 붙임
+    items[0].doc.reactions = reactions;
+    items[0].reactionCount = Object.values(reactions).reduce((sum, users) => sum + users.length, 0);
+    items.forEach(item => {
+      item.doc.importKey = item.key;
+    });
+
+    return { ts, threadTs, items };
+  }
+
+  static async importChannel(context, channel) {
+    const { report, dryRun } = context;
+    const importKey = `slack:${channel.id}`;
+    const channelReport = {
+      id: channel.id,
+      name: channel.name,
+      isPrivate: channel.isPrivate,
+      status: 'created',
+      roomId: null,
+      messages: { imported: 0, alreadyImported: 0, skipped: 0 }
+    };
+    report.channels.push(channelReport);
+
+    const members = [];
+    for (const slackId of Array.isArray(channel.members) ? channel.members : []) {
+      const member = await this.resolveUser(context, slackId);
+      if (member) members.push(member.id);
+    }
+    const creatorId = context.users.get(channel.creator)?.id || context.importedBy;
+    const participants = [...new Map(
+      [creatorId, ...members].map(id => [id.toString(), id])
+    ).values()];
+
+    let room = await Room.findOne({ importKey }).select('name');
+    if (room) {
+      channelReport.status = 'existing';
+      if (!dryRun) {
+        await Room.updateOne({ _id: room._id }, { $addToSet: { participants: { $each: participants } } });
+      }
+    } else {
+      room = new Room({
+        name: channel.name,
+        creator: creatorId,
+        participants,
+        topic: (channel.topic?.value || channel.purpose?.value || '').slice(0, MAX_TOPIC_LENGTH),
+        createdAt: toDate(channel.created) || new Date(),
+        importKey,
+        // 비공개 채널은 아무도 모르는 비밀번호를 걸어 기존 멤버만 볼 수 있게 함
+        ...(channel.isPrivate && { password: crypto.randomBytes(24).toString('hex') })
+      });
+      if (!dryRun) {
+        await room.save();
+      }
+    }
+    channelReport.roomId = dryRun && channelReport.status === 'created' ? null : room._id;
+
+    const tsToId = new Map();
+    const threadParents = new Set();
+
+    for (const entryName of context.archive.dayFiles.get(channel.name) || []) {
+      let messages;
+      try {
+        messages = await context.zip.readJson(entryName);
+      } catch (error) {
+        this.warn(context, error.message);
+        continue;
+      }
+      if (!Array.isArray(messages)) {
+        this.warn(context, `메시지 목록이 아닙니다: ${entryName}`);
+        continue;
+      }
+
+      const plans = [];
+      for (const message of messages) {
+        const plan = await this.planMessage(context, room, channel, message);
+        if (plan) {
+          plans.push(plan);
+        } else {
+          channelReport.messages.skipped++;
+        }
+      }
+      plans.sort((a, b) => parseFloat(a.ts) - parseFloat(b.ts));
+
+      const keys = plans.flatMap(plan => plan.items.map(item => item.key));
+      const existing = await Message.find({ importKey: { $in: keys } }).select('importKey').lean();
+      const existingIds = new Map(existing.map(message => [message.importKey, message._id]));
+
+      const docs = [];
+      for (const plan of plans) {
+        const parentId = plan.threadTs ? tsToId.get(plan.threadTs) : null;
+        if (plan.threadTs && !parentId) {
+          report.messages.orphanReplies++;
+        }
+
+        for (const item of plan.items) {
+          const existingId = existingIds.get(item.key);
+          if (existingId) {
+            channelReport.messages.alreadyImported++;
+            if (!tsToId.has(plan.ts)) tsToId.set(plan.ts, existingId);
+            continue;
+          }
+
+          const doc = new Message({ ...item.doc, parentMessage: parentId || null });
+          if (item.file) {
+            if (!dryRun) {
+              try {
+                doc.file = await this.saveFile(context, item.file, doc.sender, doc.timestamp);
+              } catch (error) {
+                this.warn(context, `파일을 가져오지 못했습니다: ${item.file.name} (${error.message})`);
+                continue;
+              }
+            }
+            report.attachments.uploaded++;
+          }
+
+          if (!tsToId.has(plan.ts)) tsToId.set(plan.ts, doc._id);
+          if (parentId) {
+            threadParents.add(parentId.toString());
+            report.messages.threadReplies++;
+          }
+          report.attachments.linked += item.links || 0;
+          report.reactions += item.reactionCount || 0;
+          channelReport.messages.imported++;
+          docs.push(doc);
+        }
+      }
+
+      if (!dryRun && docs.length) {
+        await Message.insertMany(docs, { ordered: true });
+      }
+    }
+
+    if (!dryRun && threadParents.size) {
+      await this.updateThreadCounts(room._id.toString(), [...threadParents]);
+    }
+
+    report.messages.imported += channelReport.messages.imported;
+    report.messages.alreadyImported += channelReport.messages.alreadyImported;
+    report.messages.skipped += channelReport.messages.skipped;
+  }
+
+  // 가져온 답글 수에 맞춰 스레드 원본 메시지의 답글 수와 마지막 답글 시각을 다시 계산
+  static async updateThreadCounts(roomId, parentIds) {
+    const counts = await Message.aggregate([
+      {
+        $match: {
+          room: roomId,
+          parentMessage: { $in: parentIds.map(id => new mongoose.Types.ObjectId(id)) },
+          isDeleted: false
+        }
+      },
+      {
+        $group: {
+          _id: '$parentMessage',
+          count: { $sum: 1 },
+          lastReplyAt: { $max: '$timestamp' }
+        }
+      }
+    ]);
+
+    if (counts.length === 0) return;
+
+    await Message.bulkWrite(counts.map(({ _id, count, lastReplyAt }) => ({
+      updateOne: {
+        filter: { _id },
+        update: { $set: { threadReplyCount: count, threadLastReplyAt: lastReplyAt } }
+      }
+    })));
+  }
+}
+
+module.exports = SlackImportService;
@@ -0,0 +1,362 @@
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const ScheduledMessageService = require('./scheduledMessageService');
+const ModerationService = require('./moderationService');
+const SearchService = require('./searchService');
+
+const AI_PERSONAS = ['wayneAI', 'consultingAI'];
+// 예약 검증이 조금 뒤의 현재 시각으로 최소 지연을 확인하므로 그 사이 흐른 시간만큼 여유를 둠
+const REMINDER_MARGIN = 1000;
+
+// 10m, 2h, 1d 또는 10분, 2시간, 1일 형식의 기간을 밀리초로 변환
+const DURATION_UNITS = {
+  m: 60 * 1000,
+  분: 60 * 1000,
+  h: 60 * 60 * 1000,
+  시간: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  일: 24 * 60 * 60 * 1000
+};
+
+const parseDuration = (value) => {
+  const match = /^(\d+)(m|h|d|분|시간|일)$/i.exec(value || '');
+  if (!match) return null;
+  return parseInt(match[1], 10) * DURATION_UNITS[match[2].toLowerCase()];
+};
+
+const formatDuration = (ms) => {
+  if (ms % DURATION_UNITS.d === 0) return `${ms / DURATION_UNITS.d}일`;
+  if (ms % DURATION_UNITS.h === 0) return `${ms / DURATION_UNITS.h}시간`;
+  return `${Math.round(ms / DURATION_UNITS.m)}분`;
+};
+
+class SlashCommandService {
+  static commands = new Map();
+
+  // 명령어 등록
+  // args: 순서대로 파싱할 인자 스키마
+  //   type: text(남은 입력 전체) | user | duration | enum
+  //   마지막 인자는 띄어쓰기를 포함한 남은 입력 전체를 받는다
+  // permission: participant(기본) | owner
+  static register(definition) {
+    const command = {
+      args: [],
+      permission: 'participant',
+      ...definition
+    };
+    this.commands.set(command.name, command);
+    return command;
+  }
+
+  // 클라이언트 자동완성용 명령어 목록
+  static list() {
+    return Array.from(this.commands.values(), ({ name, description, usage, args, permission }) => ({
+      name,
+      description,
+      usage,
+      permission,
+      args: args.map(({ name: argName, type, required = false, options, placeholder }) => ({
+        name: argName,
+        type,
+        required,
+        options,
+        placeholder
+      }))
+    }));
+  }
+
+  // "/"로 시작하고 바로 영문자가 오는 경우만 명령어로 처리 ("//"로 시작하면 일반 메시지)
+  static isCommand(content) {
+    return typeof content === 'string' && /^\/[a-z]/i.test(content.trim());
+  }
+
+  static unescape(content) {
+    return typeof content === 'string' ? content.replace(/^(\s*)\/\//, '$1/') : content;
+  }
+
+  static parse(content) {
+    const trimmed = content.trim();
+    const match = /^\/([a-z][\w-]*)(?:\s+([\s\S]*))?$/i.exec(trimmed);
+    if (!match) return null;
+    return {
+      name: match[1].toLowerCase(),
+      rest: (match[2] || '').trim()
+    };
+  }
+
+  static parseArgs(command, rest) {
+    const args = {};
+    let remaining = rest;
+
+    for (let i = 0; i < command.args.length; i++) {
+      const schema = command.args[i];
+      const isLast = i === command.args.length - 1;
+      let value;
+
+      if (isLast || schema.type === 'text') {
+        value = remaining;
+        remaining = '';
+      } else {
+        const match = /^(\S+)\s*([\s\S]*)$/.exec(remaining);
+        value = match ? match[1] : '';
+        remaining = match ? match[2] : '';
+      }
+
+      if (!value) {
+        if (schema.required) {
+          return { isValid: false, message: `사용법: ${command.usage}` };
+        }
+        continue;
+      }
+
+      switch (schema.type) {
+        case 'enum': {
+          const option = schema.options.find(item => item.toLowerCase() === value.toLowerCase());
+          if (!option) {
+            return {
+              isValid: false,
+              message: `${schema.placeholder || schema.name}: ${schema.options.join(', ')} 중 하나를 입력해주세요.`
+            };
+          }
+          args[schema.name] = option;
+          break;
+        }
+        case 'duration': {
+          const duration = parseDuration(value);
+          if (!duration) {
+            return { isValid: false, message: '시간은 10m, 2h, 1d 형식으로 입력해주세요.' };
+          }
+          args[schema.name] = duration;
+          break;
+        }
+        case 'user':
+          args[schema.name] = value.replace(/^@/, '').trim();
+          break;
+        default:
+          args[schema.name] = value;
+      }
+    }
+
+    return { isValid: true, args };
+  }
+
+  static checkPermission(command, { user, room }) {
+    if (command.permission === 'owner' && room.creator.toString() !== user.id) {
+      return { isValid: false, message: `/${command.name} 명령어는 방장만 사용할 수 있습니다.` };
+    }
+    return { isValid: true };
+  }
+
+  // 명령어 실행 결과
+  //   { isValid: false, message }          : 오류
+  //   { isValid: true, post: {...} }       : 반환된 내용으로 일반 메시지 저장을 이어서 진행
+  //   { isValid: true, notice? }           : 명령어만 실행하고 메시지는 저장하지 않음
+  static async execute(content, context) {
+    const parsed = this.parse(content);
+    const command = parsed && this.commands.get(parsed.name);
+    if (!command) {
+      return {
+        isValid: false,
+        message: `알 수 없는 명령어입니다: /${parsed?.name || ''} (일반 메시지는 //로 시작하세요)`
+      };
+    }
+
+    const permission = this.checkPermission(command, context);
+    if (!permission.isValid) return permission;
+
+    const parsedArgs = this.parseArgs(command, parsed.rest);
+    if (!parsedArgs.isValid) return parsedArgs;
+
+    const result = await command.execute(context, parsedArgs.args);
+    return { command: command.name, ...result };
+  }
+
+  static async createSystemMessage(io, roomId, content) {
+    const systemMessage = await Message.create({
+      room: roomId,
+      content,
+      type: 'system',
+      timestamp: new Date()
+    });
+    io?.to(roomId).emit('message', systemMessage);
+    return systemMessage;
+  }
+
+  // 이메일 또는 이름(대소문자 무시)이 정확히 일치하는 사용자 조회
+  static async findUser(value) {
+    const users = await User.find({
+      $or: [
+        { email: value.toLowerCase() },
+        { name: new RegExp(`^${SearchService.escapeRegex(value)}$`, 'i') }
+      ]
+    })
+      .select('name email')
+      .limit(2)
+      .lean();
+
+    if (users.length === 0) {
+      return { isValid: false, message: `사용자를 찾을 수 없습니다: ${value}` };
+    }
+    if (users.length > 1) {
+      return { isValid: false, message: '같은 이름의 사용자가 여러 명입니다. 이메일로 지정해주세요.' };
+    }
+    return { isValid: true, user: users[0] };
+  }
+}
+
+SlashCommandService.register({
+  name: 'me',
+  description: '내 행동을 3인칭으로 표시합니다.',
+  usage: '/me <행동>',
+  args: [{ name: 'action', type: 'text', required: true, placeholder: '행동' }],
+  execute: async (context, args) => ({
+    isValid: true,
+    post: {
+      content: args.action,
+      metadata: { command: 'me' }
+    }
+  })
+});
+
+SlashCommandService.register({
+  name: 'shrug',
+  description: '메시지 끝에 ¯\\_(ツ)_/¯ 를 붙입니다.',
+  usage: '/shrug [메시지]',
+  args: [{ name: 'text', type: 'text', placeholder: '메시지' }],
+  execute: async (context, args) => ({
+    isValid: true,
+    post: {
+      // 마크다운으로 렌더링되므로 역슬래시와 밑줄을 이스케이프
+      content: [args.text, '¯\\\\\\_(ツ)\\_/¯'].filter(Boolean).join(' ')
+    }
+  })
+});
+
+SlashCommandService.register({
+  name: 'topic',
+  description: '채팅방 주제를 변경합니다. 비워두면 주제를 지웁니다.',
+  usage: '/topic [주제]',
+  permission: 'owner',
+  args: [{ name: 'topic', type: 'text', placeholder: '새 주제' }],
+  execute: async ({ io, user, room }, args) => {
+    if ((args.topic || '').length > 250) {
+      return { isValid: false, message: '채팅방 주제는 250자를 초과할 수 없습니다.' };
+    }
+
+    // 주제도 참여자 모두에게 보이므로 메시지와 같은 검토 규칙 적용 (차단/가리기만 반영)
+    const moderation = await ModerationService.moderate(args.topic || '', { room, userId: user.id });
+    if (!moderation.isValid) {
+      return { isValid: false, message: moderation.message };
+    }
+    const topic = moderation.content;
+
+    const updatedRoom = await Room.findOneAndUpdate(
+      { _id: room._id },
+      { $set: { topic } },
+      { new: true, runValidators: true }
+    )
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage');
+
+    io?.to(room._id.toString()).emit('roomUpdate', {
+      ...updatedRoom.toObject(),
+      password: undefined
+    });
+
+    await SlashCommandService.createSystemMessage(
+      io,
+      room._id.toString(),
+      topic
+        ? `${user.name}님이 채팅방 주제를 변경했습니다: ${topic}`
+        : `${user.name}님이 채팅방 주제를 지웠습니다.`
+    );
+
+    return { isValid: true };
+  }
+});
+
+SlashCommandService.register({
+  name: 'invite',
+  description: '사용자를 채팅방 참여자로 추가합니다.',
+  usage: '/invite @사용자',
+  args: [{ name: 'user', type: 'user', required: true, placeholder: '@이름 또는 이메일' }],
+  execute: async ({ io, user, room }, args) => {
+    const result = await SlashCommandService.findUser(args.user);
+    if (!result.isValid) return result;
+
+    const invitee = result.user;
+    const roomId = room._id.toString();
+
+    if (room.participants.some(participant => participant.toString() === invitee._id.toString())) {
+      return { isValid: false, message: `${invitee.name}님은 이미 채팅방에 참여 중입니다.` };
+    }
+
+    const updatedRoom = await Room.findByIdAndUpdate(
+      room._id,
+      { $addToSet: { participants: invitee._id } },
+      { new: true, runValidators: true }
+    ).populate('participants', 'name email profileImage');
+
+    await SlashCommandService.createSystemMessage(
+      io,
+      roomId,
+      `${user.name}님이 ${invitee.name}님을 초대했습니다.`
+    );
+    io?.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+
+    return { isValid: true, notice: `${invitee.name}님을 초대했습니다.` };
+  }
+});
+
+SlashCommandService.register({
+  name: 'remind',
+  description: '지정한 시간 뒤에 나에게 알림을 보냅니다.',
+  usage: '/remind <시간> <내용>',
+  args: [
+    { name: 'duration', type: 'duration', required: true, options: ['10m', '30m', '1h', '1d'], placeholder: '시간' },
+    { name: 'text', type: 'text', required: true, placeholder: '알림 내용' }
+  ],
+  execute: async ({ user, room }, args) => {
+    if (!ScheduledMessageService.isAvailable()) {
+      return { isValid: false, message: '리마인더를 사용할 수 없습니다.' };
+    }
+
+    const delay = args.duration;
+    if (delay < ScheduledMessageService.MIN_DELAY) {
+      return { isValid: false, message: `리마인더는 ${formatDuration(ScheduledMessageService.MIN_DELAY)} 이상 뒤로 설정해주세요.` };
+    }
+
+    const result = await ScheduledMessageService.createScheduledMessage(
+      user.id,
+      room._id.toString(),
+      {
+        content: args.text,
+        scheduledAt: new Date(Date.now() + delay + REMINDER_MARGIN).toISOString()
+      },
+      { kind: 'reminder' }
+    );
+    if (!result.isValid) return result;
+
+    return { isValid: true, notice: `${formatDuration(delay)} 뒤에 알려드릴게요.` };
+  }
+});
+
+SlashCommandService.register({
+  name: 'ai',
+  description: 'AI에게 질문합니다.',
+  usage: '/ai <persona> <질문>',
+  args: [
+    { name: 'persona', type: 'enum', required: true, options: AI_PERSONAS, placeholder: 'AI' },
+    { name: 'prompt', type: 'text', required: true, placeholder: '질문' }
+  ],
+  // 일반 AI 멘션 메시지로 변환해 기존 AI 응답 흐름을 그대로 사용
+  execute: async (context, args) => ({
+    isValid: true,
+    post: {
+      content: `@${args.persona} ${args.prompt}`
+    }
+  })
+});
+
+module.exports = SlashCommandService;
@@ -1,3 +1,4 @@
+const mongoose = require('mongoose');
 const Message = require('../models/Message');
 const Room = require('../models/Room');
 const User = require('../models/User');
@@ -6,6 +7,14 @@ const jwt = require('jsonwebtoken');
 const { jwtSecret } = require('../config/keys');
 const redisClient = require('../utils/redisClient');
 const SessionService = require('../services/sessionService');
+const MessageService = require('../services/messageService');
+const SlashCommandService = require('../services/slashCommandService');
+const PollService = require('../services/pollService');
+const NotificationService = require('../services/notificationService');
+const ReadCursorService = require('../services/readCursorService');
+const LinkPreviewService = require('../services/linkPreviewService');
+const RateLimitService = require('../services/rateLimitService');
+const ModerationService = require('../services/moderationService');
 const aiService = require('../services/aiService');
 
 module.exports = function(io) {
@@ -14,12 +23,17 @@ module.exports = function(io) {
   const userRooms = new Map();
   const messageQueues = new Map();
   const messageLoadRetries = new Map();
+  const typingUsers = new Map(); // roomId -> Map(userId -> { name, timer })
   const BATCH_SIZE = 30;  // 한 번에 로드할 메시지 수
   const LOAD_DELAY = 300; // 메시지 로드 딜레이 (ms)
   const MAX_RETRIES = 3;  // 최대 재시도 횟수
   const MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
   const RETRY_DELAY = 2000; // 재시도 간격 (2초)
   const DUPLICATE_LOGIN_TIMEOUT = 10000; // 중복 로그인 타임아웃 (10초)
+  const REPLY_SNAPSHOT_LENGTH = 200; // 답장 인용 스냅샷 최대 길이
+  const AROUND_LIMIT = 15; // 특정 메시지 앞뒤로 로드할 메시지 수
+  const CLIENT_MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/; // 클라이언트 메시지 ID 형식
+  const TYPING_TIMEOUT = 6000; // typingStart 갱신이 없으면 입력 중 상태 자동 만료 (6초)
 
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
@@ -29,8 +43,110 @@ module.exports = function(io) {
     });
   };
 
+  // 페이지 커서: "타임스탬프(ms)_메시지ID" 형식으로 같은 시각의 메시지도 구분
+  const encodeCursor = (message) => {
+    if (!message?.timestamp || !message?._id) return null;
+    return `${new Date(message.timestamp).getTime()}_${message._id}`;
+  };
+
+  // 이전 클라이언트가 보내는 타임스탬프 문자열도 커서로 허용
+  const parseCursor = (cursor) => {
+    if (!cursor) return null;
+
+    const [time, id] = String(cursor).split('_');
+    const timestamp = /^\d+$/.test(time) ? new Date(Number(time)) : new Date(time);
+    if (isNaN(timestamp)) {
+      throw new Error('잘못된 메시지 커서입니다.');
+    }
+
+    return {
+      timestamp,
+      id: id && mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : null
+    };
+  };
+
+  const buildCursorQuery = (cursor, direction) => {
+    const operator = direction === 'after' ? '$gt' : '$lt';
+    if (!cursor.id) {
+      return { timestamp: { [operator]: cursor.timestamp } };
+    }
+    return {
+      $or: [
+        { timestamp: { [operator]: cursor.timestamp } },
+        { timestamp: cursor.timestamp, _id: { [operator]: cursor.id } }
+      ]
+    };
+  };
+
+  // 같은 발신자가 같은 클라이언트 메시지 ID로 이미 저장한 메시지 조회
+  const findClientMessage = async (senderId, clientMessageId) => {
+    return Message.findOne({ sender: senderId, clientMessageId })
+      .populate('sender', 'name email profileImage')
+      .populate('file', 'filename originalname mimetype size');
+  };
+
+  // 채팅방의 현재 입력 중인 사용자 목록 전송
+  const emitTypingUsers = (roomId) => {
+    const roomTyping = typingUsers.get(roomId);
+    const users = roomTyping
+      ? Array.from(roomTyping, ([userId, { name }]) => ({ userId, name }))
+      : [];
+    io.to(roomId).emit('typingUsers', { roomId, users });
+  };
+
+  const stopTyping = (roomId, userId) => {
+    const roomTyping = typingUsers.get(roomId);
+    const entry = roomTyping?.get(userId);
+    if (!entry) return;
+
+    clearTimeout(entry.timer);
+    roomTyping.delete(userId);
+    if (roomTyping.size === 0) {
+      typingUsers.delete(roomId);
+    }
+    emitTypingUsers(roomId);
+  };
+
+  // 속도 제한을 넘으면 rateLimited 이벤트로 알리고 RATE_LIMITED 오류로 처리를 중단
+  const assertRateLimit = async (socket, event, room, cost = 1) => {
+    const result = await RateLimitService.consume(socket.user.id, event, room, cost);
+    if (result.isValid) return;
+
+    socket.emit('rateLimited', {
+      event: result.event,
+      retryAfter: result.retryAfter,
+      reason: result.reason,
+      message: result.message
+    });
+
+    const error = new Error(result.message);
+    error.code = result.code;
+    error.retryAfter = result.retryAfter;
+    throw error;
+  };
+
+  // 채팅방 검토 규칙 적용 (차단되면 MESSAGE_BLOCKED 오류로 처리를 중단, 통과하면 가린 내용과 검토 요청 사유 반환)
+  const moderateContent = async (socket, content, room) => {
+    const result = await ModerationService.moderate(content, {
+      room,
+      userId: socket.user.id
+    });
+    if (result.isValid) return result;
+
+    const error = new Error(result.message);
+    error.code = result.code;
+    throw error;
+  };
+
+  const compareMessages = (a, b) => {
+    const diff = new Date(a.timestamp) - new Date(b.timestamp);
+    return diff !== 0 ? diff : String(a._id).localeCompare(String(b._id));
+  };
+
   // 메시지 일괄 로드 함수 개선
-  const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
+  // - parentMessageId가 있으면 해당 스레드의 답글만 로드
+  // - direction이 'after'이면 커서 이후(더 최근) 메시지를 로드
+  const loadMessages = async (socket, roomId, cursor, limit = BATCH_SIZE, parentMessageId = null, direction = 'before') => {
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => {
         reject(new Error('Message loading timed out'));
@@ -39,10 +155,15 @@ module.exports = function(io) {
 
     try {
       // 쿼리 구성
-      const query = { room: roomId };
-      if (before) {
-        query.timestamp = { $lt: new Date(before) };
+      const query = {
+        room: roomId,
+        parentMessage: parentMessageId || null
+      };
+      const parsedCursor = parseCursor(cursor);
+      if (parsedCursor) {
+        Object.assign(query, buildCursorQuery(parsedCursor, direction));
       }
+      const sortOrder = direction === 'after' ? 1 : -1;
 
       // 메시지 로드 with profileImage
       const messages = await Promise.race([
@@ -52,50 +173,36 @@ module.exports = function(io) {
             path: 'file',
             select: 'filename originalname mimetype size'
           })
-          .sort({ timestamp: -1 })
+          .sort({ timestamp: sortOrder, _id: sortOrder })
           .limit(limit + 1)
           .lean(),
         timeoutPromise
       ]);
 
-      // 결과 처리
+      // 결과 처리 (삭제된 메시지는 내용을 숨긴 채 자리만 유지)
       const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
-      const sortedMessages = resultMessages.sort((a, b) => 
-        new Date(a.timestamp) - new Date(b.timestamp)
+      const resultMessages = messages.slice(0, limit).map(msg =>
+        msg.isDeleted ? Message.toTombstone(msg) : msg
+      );
+      // 읽은 사용자 목록은 참여자별 읽음 커서로 계산 (실제 읽음 처리는 markMessagesAsRead에서)
+      const sortedMessages = await ReadCursorService.attachReaders(
+        roomId,
+        resultMessages.sort(compareMessages)
       );
-
-      // 읽음 상태 비동기 업데이트
-      if (sortedMessages.length > 0 && socket.user) {
-        const messageIds = sortedMessages.map(msg => msg._id);
-        Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            'readers.userId': { $ne: socket.user.id }
-          },
-          {
-            $push: {
-              readers: {
-                userId: socket.user.id,
-                readAt: new Date()
-              }
-            }
-          }
-        ).exec().catch(error => {
-          console.error('Read status update error:', error);
-        });
-      }
 
       return {
         messages: sortedMessages,
         hasMore,
-        oldestTimestamp: sortedMessages[0]?.timestamp || null
+        oldestTimestamp: sortedMessages[0]?.timestamp || null,
+        oldestCursor: encodeCursor(sortedMessages[0]),
+        newestCursor: encodeCursor(sortedMessages[sortedMessages.length - 1])
       };
     } catch (error) {
       if (error.message === 'Message loading timed out') {
         logDebug('message load timeout', {
           roomId,
-          before,
+          cursor,
+          direction,
           limit
         });
       } else {
@@ -103,7 +210,8 @@ module.exports = function(io) {
           error: error.message,
           stack: error.stack,
           roomId,
-          before,
+          cursor,
+          direction,
           limit
         });
       }
@@ -278,6 +386,9 @@ module.exports = function(io) {
       
       // 새로운 연결 정보 저장
       connectedUsers.set(socket.user.id, socket.id);
+
+      // 리마인더 등 사용자 개인에게 보내는 이벤트용 채널
+      socket.join(`user:${socket.user.id}`);
     }
 
     // 이전 메시지 로딩 처리 개선
@@ -307,6 +418,8 @@ module.exports = function(io) {
           return;
         }
 
+        await assertRateLimit(socket, 'fetchPreviousMessages', room);
+
         messageQueues.set(queueKey, true);
         socket.emit('messageLoadStart');
 
@@ -325,6 +438,8 @@ module.exports = function(io) {
         console.error('Fetch previous messages error:', error);
         socket.emit('error', {
           type: 'LOAD_ERROR',
+          code: error.code,
+          retryAfter: error.retryAfter,
           message: error.message || '이전 메시지를 불러오는 중 오류가 발생했습니다.'
         });
       } finally {
@@ -334,6 +449,132 @@ module.exports = function(io) {
       }
     });
     
+    // 특정 메시지 주변 메시지 로드 (검색 결과, 인용, 링크로 이동할 때)
+    socket.on('fetchMessagesAround', async ({ roomId, messageId, limit }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const room = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id
+        });
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(messageId)) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        let target = await Message.findOne({ _id: messageId, room: roomId })
+          .populate('sender', 'name email profileImage')
+          .populate({
+            path: 'file',
+            select: 'filename originalname mimetype size'
+          })
+          .lean();
+
+        // 스레드 답글이면 본문 목록에 있는 원본 메시지를 기준으로 로드
+        if (target?.parentMessage) {
+          target = await Message.findById(target.parentMessage)
+            .populate('sender', 'name email profileImage')
+            .populate({
+              path: 'file',
+              select: 'filename originalname mimetype size'
+            })
+            .lean();
+        }
+
+        if (!target) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        const sideLimit = Math.min(Math.max(1, parseInt(limit) || AROUND_LIMIT), BATCH_SIZE);
+        const cursor = encodeCursor(target);
+
+        const [older, newer] = await Promise.all([
+          loadMessages(socket, roomId, cursor, sideLimit, null, 'before'),
+          loadMessages(socket, roomId, cursor, sideLimit, null, 'after')
+        ]);
+
+        const [targetMessage] = await ReadCursorService.attachReaders(roomId, [
+          target.isDeleted ? Message.toTombstone(target) : target
+        ]);
+        const messages = [
+          ...older.messages,
+          targetMessage,
+          ...newer.messages
+        ];
+
+        socket.emit('messagesAroundLoaded', {
+          roomId,
+          messageId: target._id,
+          messages,
+          hasMoreBefore: older.hasMore,
+          hasMoreAfter: newer.hasMore,
+          oldestCursor: encodeCursor(messages[0]),
+          newestCursor: encodeCursor(messages[messages.length - 1])
+        });
+
+        logDebug('messages around loaded', {
+          roomId,
+          messageId: target._id,
+          messageCount: messages.length,
+          hasMoreBefore: older.hasMore,
+          hasMoreAfter: newer.hasMore
+        });
+
+      } catch (error) {
+        console.error('Fetch messages around error:', error);
+        socket.emit('error', {
+          type: 'LOAD_ERROR',
+          message: error.message || '메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 커서 이후(더 최근) 메시지 로드
+    socket.on('fetchNewerMessages', async ({ roomId, after }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        if (!after) {
+          throw new Error('기준 메시지 정보가 없습니다.');
+        }
+
+        const room = await Room.findOne({
+          _id: roomId,
+          participants: socket.user.id
+        });
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const result = await loadMessages(socket, roomId, after, BATCH_SIZE, null, 'after');
+
+        logDebug('newer messages loaded', {
+          roomId,
+          messageCount: result.messages.length,
+          hasMore: result.hasMore
+        });
+
+        socket.emit('newerMessagesLoaded', result);
+
+      } catch (error) {
+        console.error('Fetch newer messages error:', error);
+        socket.emit('error', {
+          type: 'LOAD_ERROR',
+          message: error.message || '메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
     // 채팅방 입장 처리 개선
     socket.on('joinRoom', async (roomId) => {
       try {
@@ -360,6 +601,7 @@ module.exports = function(io) {
           });
           socket.leave(currentRoom);
           userRooms.delete(socket.user.id);
+          stopTyping(currentRoom, socket.user.id);
           
           socket.to(currentRoom).emit('userLeft', {
             userId: socket.user.id,
@@ -439,7 +681,16 @@ module.exports = function(io) {
     });
     
     // 메시지 전송 처리
-    socket.on('chatMessage', async (messageData) => {
+    // callback이 있으면 저장된 메시지(또는 이미 저장된 중복 메시지)로 응답
+    socket.on('chatMessage', async (messageData, callback) => {
+      // 저장 후 AI 응답 처리 중 발생한 오류가 이미 보낸 응답을 덮어쓰지 않도록 한 번만 응답
+      let acknowledged = false;
+      const ack = (response) => {
+        if (acknowledged || typeof callback !== 'function') return;
+        acknowledged = true;
+        callback(response);
+      };
+
       try {
         if (!socket.user) {
           throw new Error('Unauthorized');
@@ -449,20 +700,23 @@ module.exports = function(io) {
           throw new Error('메시지 데이터가 없습니다.');
         }
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, fileData, replyToId, clientMessageId } = messageData;
+        let { content } = messageData;
+        let commandMetadata;
 
         if (!room) {
           throw new Error('채팅방 정보가 없습니다.');
         }
 
-        // 채팅방 권한 확인
-        const chatRoom = await Room.findOne({
-          _id: room,
-          participants: socket.user.id
-        });
+        if (clientMessageId !== undefined && clientMessageId !== null &&
+            (typeof clientMessageId !== 'string' || !CLIENT_MESSAGE_ID_PATTERN.test(clientMessageId))) {
+          throw new Error('클라이언트 메시지 ID 형식이 올바르지 않습니다.');
+        }
 
-        if (!chatRoom) {
-          throw new Error('채팅방 접근 권한이 없습니다.');
+        // 채팅방 권한 확인
+        const permission = await MessageService.checkSendPermission(socket.user.id, room);
+        if (!permission.isValid) {
+          throw new Error(permission.message);
         }
 
         // 세션 유효성 재확인
@@ -475,8 +729,75 @@ module.exports = function(io) {
           throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
         }
 
-        // AI 멘션 확인
+        // 재전송된 메시지는 다시 저장하지 않고 기존 메시지로 응답
+        if (clientMessageId) {
+          const existingMessage = await findClientMessage(socket.user.id, clientMessageId);
+          if (existingMessage) {
+            if (existingMessage.room !== room) {
+              throw new Error('이미 다른 채팅방에서 사용된 클라이언트 메시지 ID입니다.');
+            }
+
+            logDebug('duplicate message ignored', {
+              messageId: existingMessage._id,
+              clientMessageId,
+              room
+            });
+            ack({ success: true, duplicate: true, message: existingMessage });
+            return;
+          }
+        }
+
+        await assertRateLimit(socket, 'chatMessage', permission.room);
+
+        // 슬래시 명령어는 메시지를 저장하기 전에 실행
+        if (type === 'text' && SlashCommandService.isCommand(content)) {
+          let commandResult;
+          try {
+            commandResult = await SlashCommandService.execute(content, {
+              io,
+              user: socket.user,
+              room: permission.room
+            });
+          } catch (commandError) {
+            console.error('Slash command error:', commandError);
+            commandResult = { isValid: false, message: '명령어 실행 중 오류가 발생했습니다.' };
+          }
+
+          if (!commandResult.isValid) {
+            ack({
+              success: false,
+              error: { code: 'COMMAND_ERROR', message: commandResult.message }
+            });
+            return;
+          }
+
+          logDebug('slash command executed', {
+            command: commandResult.command,
+            room,
+            userId: socket.user.id
+          });
+
+          // 메시지를 남기지 않는 명령어
+          if (!commandResult.post) {
+            ack({ success: true, command: commandResult.command, notice: commandResult.notice });
+            return;
+          }
+
+          content = commandResult.post.content;
+          commandMetadata = commandResult.post.metadata;
+        } else if (type === 'text') {
+          content = SlashCommandService.unescape(content);
+        }
+
+        // 답장 대상 메시지 스냅샷
+        const replyTo = replyToId ? await buildReplySnapshot(replyToId, room) : undefined;
+
+        // AI 멘션 확인 (AI 응답은 유료 호출이므로 멘션한 AI 수만큼 별도 한도에서 차감)
         const aiMentions = extractAIMentions(content);
+        if (aiMentions.length > 0) {
+          await assertRateLimit(socket, 'aiMention', permission.room, aiMentions.length);
+        }
+        const expiresAt = permission.room.getMessageExpiresAt();
         let message;
 
         logDebug('message received', {
@@ -509,6 +830,9 @@ module.exports = function(io) {
               type: 'file',
               file: file._id,
               content: content || '',
+              clientMessageId: clientMessageId || undefined,
+              replyTo,
+              expiresAt,
               timestamp: new Date(),
               reactions: {},
               metadata: {
@@ -519,9 +843,38 @@ module.exports = function(io) {
             });
             break;
 
+          case 'poll': {
+            const pollValidation = PollService.validatePoll(content, messageData.poll);
+            if (!pollValidation.isValid) {
+              ack({
+                success: false,
+                error: { code: 'MESSAGE_ERROR', message: pollValidation.message }
+              });
+              return;
+            }
+
+            message = new Message({
+              room,
+              sender: socket.user.id,
+              content: pollValidation.question,
+              clientMessageId: clientMessageId || undefined,
+              type: 'poll',
+              poll: pollValidation.poll,
+              replyTo,
+              expiresAt,
+              timestamp: new Date(),
+              reactions: {}
+            });
+            break;
+          }
+
           case 'text':
             const messageContent = content?.trim() || messageData.msg?.trim();
             if (!messageContent) {
+              ack({
+                success: false,
+                error: { code: 'MESSAGE_ERROR', message: '메시지 내용이 없습니다.' }
+              });
               return;
             }
 
@@ -529,9 +882,13 @@ module.exports = function(io) {
               room,
               sender: socket.user.id,
               content: messageContent,
+              clientMessageId: clientMessageId || undefined,
               type: 'text',
+              replyTo,
+              expiresAt,
               timestamp: new Date(),
-              reactions: {}
+              reactions: {},
+              metadata: commandMetadata
             });
             break;
 
@@ -539,18 +896,59 @@ module.exports = function(io) {
             throw new Error('지원하지 않는 메시지 타입입니다.');
         }
 
-        await message.save();
+        // 저장 전 검토 규칙 적용 (파일 설명도 같은 규칙 사용)
+        const moderation = await moderateContent(socket, message.content, permission.room);
+        message.content = moderation.content;
+
+        // 투표 선택지도 질문과 같은 규칙으로 검토 (같은 규칙에 여러 번 걸리면 한 번만 기록)
+        const moderationFlags = new Map(moderation.flags.map(flag => [flag.rule, flag]));
+        if (message.type === 'poll') {
+          for (const option of message.poll.options) {
+            const optionModeration = await moderateContent(socket, option.text, permission.room);
+            option.text = optionModeration.content;
+            optionModeration.flags.forEach(flag => {
+              if (!moderationFlags.has(flag.rule)) moderationFlags.set(flag.rule, flag);
+            });
+          }
+        }
+
+        // 본문의 @이름을 채팅방 참여자 ID로 변환
+        message.mentions = await MessageService.resolveMentions(message.content, permission.room);
+
+        try {
+          await message.save();
+        } catch (saveError) {
+          // 동시에 도착한 재전송 요청이 먼저 저장된 경우
+          if (saveError.code === 11000 && clientMessageId) {
+            const existingMessage = await findClientMessage(socket.user.id, clientMessageId);
+            if (existingMessage) {
+              ack({ success: true, duplicate: true, message: existingMessage });
+              return;
+            }
+          }
+          throw saveError;
+        }
+
+        await ModerationService.flagMessage(message, permission.room, [...moderationFlags.values()]);
         await message.populate([
           { path: 'sender', select: 'name email profileImage' },
           { path: 'file', select: 'filename originalname mimetype size' }
         ]);
 
         io.to(room).emit('message', message);
+        ack({ success: true, message });
+        stopTyping(room, socket.user.id);
+        LinkPreviewService.enqueue(message);
+        MessageService.emitRoomActivity(io, permission.room, message);
+        await MessageService.notifyMentions(io, message, permission.room, socket.user);
+        if (replyTo?.senderId) {
+          await NotificationService.notifyReply(message, permission.room, socket.user.id, replyTo.senderId);
+        }
 
         // AI 멘션이 있는 경우 AI 응답 생성
         if (aiMentions.length > 0) {
           for (const ai of aiMentions) {
-            const query = content.replace(new RegExp(`@${ai}\\b`, 'g'), '').trim();
+            const query = message.content.replace(new RegExp(`@${ai}\\b`, 'g'), '').trim();
             await handleAIResponse(io, room, ai, query);
           }
         }
@@ -565,13 +963,47 @@ module.exports = function(io) {
 
       } catch (error) {
         console.error('Message handling error:', error);
-        socket.emit('error', {
+        const errorPayload = {
           code: error.code || 'MESSAGE_ERROR',
-          message: error.message || '메시지 전송 중 오류가 발생했습니다.'
-        });
+          message: error.message || '메시지 전송 중 오류가 발생했습니다.',
+          ...(error.retryAfter && { retryAfter: error.retryAfter })
+        };
+        socket.emit('error', errorPayload);
+        ack({ success: false, error: errorPayload });
+      }
+    });
+
+    // 입력 중 상태 시작/갱신 (클라이언트가 주기적으로 보내며, 갱신이 끊기면 자동 만료)
+    socket.on('typingStart', ({ roomId } = {}) => {
+      if (!socket.user || !roomId || userRooms.get(socket.user.id) !== roomId) return;
+
+      let roomTyping = typingUsers.get(roomId);
+      if (!roomTyping) {
+        roomTyping = new Map();
+        typingUsers.set(roomId, roomTyping);
+      }
+
+      const existing = roomTyping.get(socket.user.id);
+      if (existing) {
+        clearTimeout(existing.timer);
+      }
+
+      roomTyping.set(socket.user.id, {
+        name: socket.user.name,
+        timer: setTimeout(() => stopTyping(roomId, socket.user.id), TYPING_TIMEOUT)
+      });
+
+      // 목록이 바뀐 경우에만 브로드캐스트
+      if (!existing) {
+        emitTypingUsers(roomId);
       }
     });
 
+    socket.on('typingStop', ({ roomId } = {}) => {
+      if (!socket.user || !roomId) return;
+      stopTyping(roomId, socket.user.id);
+    });
+
     // 채팅방 퇴장 처리
     socket.on('leaveRoom', async (roomId) => {
       try {
@@ -599,6 +1031,7 @@ module.exports = function(io) {
 
         socket.leave(roomId);
         userRooms.delete(socket.user.id);
+        stopTyping(roomId, socket.user.id);
 
         // 퇴장 메시지 생성 및 저장
         const leaveMessage = await Message.create({
@@ -661,6 +1094,9 @@ module.exports = function(io) {
 
         const roomId = userRooms.get(socket.user.id);
         userRooms.delete(socket.user.id);
+        if (roomId) {
+          stopTyping(roomId, socket.user.id);
+        }
 
         // 메시지 큐 정리
         const userQueues = Array.from(messageQueues.keys())
@@ -744,6 +1180,19 @@ module.exports = function(io) {
       }
     });
 
+    // 채팅방 목록 구독 (목록 갱신과 참여 중인 방의 새 메시지/안 읽은 수 알림)
+    socket.on('joinRoomList', () => {
+      if (!socket.user) return;
+      socket.join('room-list');
+      socket.join(`room-list:${socket.user.id}`);
+    });
+
+    socket.on('leaveRoomList', () => {
+      if (!socket.user) return;
+      socket.leave('room-list');
+      socket.leave(`room-list:${socket.user.id}`);
+    });
+
     // 메시지 읽음 상태 처리
     socket.on('markMessagesAsRead', async ({ roomId, messageIds }) => {
       try {
@@ -755,28 +1204,33 @@ module.exports = function(io) {
           return;
         }
 
-        // 읽음 상태 업데이트
-        await Message.updateMany(
-          {
-            _id: { $in: messageIds },
-            room: roomId,
-            'readers.userId': { $ne: socket.user.id }
-          },
-          {
-            $push: {
-              readers: {
-                userId: socket.user.id,
-                readAt: new Date()
-              }
-            }
-          }
+        // 참여 중인 채팅방의 메시지만 읽음 처리
+        const readRoomId = roomId || (
+          mongoose.isValidObjectId(messageIds[0]) &&
+          (await Message.findById(messageIds[0]).select('room').lean())?.room
         );
+        if (
+          !mongoose.isValidObjectId(readRoomId) ||
+          !(await Room.exists({ _id: readRoomId, participants: socket.user.id }))
+        ) {
+          return;
+        }
+
+        // 읽음 커서를 읽은 메시지 중 가장 최근 위치로 이동 (이미 더 뒤에 있으면 변경 없음)
+        const cursor = await ReadCursorService.advance(socket.user.id, messageIds, readRoomId);
+        if (!cursor) return;
 
-        socket.to(roomId).emit('messagesRead', {
+        // 커서 이전 메시지는 모두 읽은 것으로 표시하도록 커서 위치도 함께 전송
+        socket.to(readRoomId).emit('messagesRead', {
           userId: socket.user.id,
-          messageIds
+          messageIds,
+          lastReadMessageId: cursor.lastReadMessage,
+          lastReadTimestamp: cursor.lastReadTimestamp,
+          timestamp: cursor.updatedAt
         });
 
+        await MessageService.emitRoomRead(io, socket.user.id, readRoomId);
+
       } catch (error) {
         console.error('Mark messages as read error:', error);
         socket.emit('error', {
@@ -793,11 +1247,24 @@ module.exports = function(io) {
         }
 
         const message = await Message.findById(messageId);
-        if (!message) {
+        if (!message || message.isDeleted) {
           throw new Error('메시지를 찾을 수 없습니다.');
         }
 
+        // 채팅방 참여자만 리액션 가능
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id
+        }).select('name rateLimits');
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        await assertRateLimit(socket, 'messageReaction', chatRoom);
+
         // 리액션 추가/제거
+        const alreadyReacted = !!message.reactions?.get(reaction)?.includes(socket.user.id);
         if (type === 'add') {
           await message.addReaction(reaction, socket.user.id);
         } else if (type === 'remove') {
@@ -810,41 +1277,606 @@ module.exports = function(io) {
           reactions: message.reactions
         });
 
+        // 내 메시지에 새로 달린 리액션은 작성자에게 알림
+        if (type === 'add' && !alreadyReacted) {
+          await NotificationService.notifyReaction(message, chatRoom, socket.user.id, reaction);
+        } else if (type === 'remove' && alreadyReacted) {
+          await NotificationService.removeReaction(message._id, socket.user.id, reaction);
+        }
+
       } catch (error) {
         console.error('Message reaction error:', error);
         socket.emit('error', {
+          code: error.code,
+          retryAfter: error.retryAfter,
           message: error.message || '리액션 처리 중 오류가 발생했습니다.'
         });
       }
     });
-  });
 
-  // AI 멘션 추출 함수
-  function extractAIMentions(content) {
-    if (!content) return [];
-    
-    const aiTypes = ['wayneAI', 'consultingAI'];
-    const mentions = new Set();
-    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) {
-        mentions.add(match[1]);
-      }
-    }
-    
-    return Array.from(mentions);
-  }
+    // 메시지 수정 처리
+    socket.on('editMessage', async ({ messageId, content }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
 
-  // AI 응답 처리 함수 개선
-  async function handleAIResponse(io, room, aiName, query) {
-    const messageId = `${aiName}-${Date.now()}`;
-    let accumulatedContent = '';
-    const timestamp = new Date();
+        const newContent = content?.trim();
+        if (!newContent) {
+          throw new Error('수정할 메시지 내용이 없습니다.');
+        }
 
-    // 스트리밍 세션 초기화
-    streamingSessions.set(messageId, {
+        const message = await Message.findById(messageId);
+        if (!message || message.isDeleted) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        // 작성자 본인만 수정 가능
+        if (message.sender?.toString() !== socket.user.id) {
+          throw new Error('메시지를 수정할 권한이 없습니다.');
+        }
+
+        if (message.type !== 'text') {
+          throw new Error('텍스트 메시지만 수정할 수 있습니다.');
+        }
+
+        // 채팅방 권한 확인
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id
+        });
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        if (message.content === newContent) {
+          return;
+        }
+
+        // 수정한 내용에도 검토 규칙 적용
+        const moderation = await moderateContent(socket, newContent, chatRoom);
+
+        // 수정으로 새로 추가된 멘션에만 알림
+        const previousMentions = message.mentions || [];
+        message.mentions = await MessageService.resolveMentions(moderation.content, chatRoom);
+        const addedMentions = message.mentions.filter(userId => !previousMentions.includes(userId));
+
+        await message.editContent(moderation.content, socket.user.id);
+        await ModerationService.flagMessage(message, chatRoom, moderation.flags);
+
+        io.to(message.room).emit('messageUpdated', {
+          messageId,
+          content: message.content,
+          isEdited: message.isEdited,
+          editedAt: message.editedAt,
+          editHistory: message.editHistory,
+          mentions: message.mentions
+        });
+        LinkPreviewService.enqueue(message);
+        await MessageService.notifyMentions(io, message, chatRoom, socket.user, addedMentions);
+
+        logDebug('message edited', {
+          messageId,
+          userId: socket.user.id,
+          revisions: message.editHistory.length
+        });
+
+      } catch (error) {
+        console.error('Edit message error:', error);
+        socket.emit('error', {
+          code: error.code || 'EDIT_ERROR',
+          message: error.message || '메시지 수정 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 다른 채팅방으로 메시지 전달
+    socket.on('forwardMessage', async ({ messageId, targetRoomId } = {}, callback) => {
+      const ack = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        // 전달도 받는 채팅방에 새 메시지를 만드므로 메시지 전송 한도를 사용
+        await assertRateLimit(socket, 'chatMessage', targetRoomId);
+
+        const result = await MessageService.forwardMessage(socket.user.id, messageId, targetRoomId);
+        if (!result.isValid) {
+          ack({ success: false, error: { code: result.code || 'FORWARD_ERROR', message: result.message } });
+          return;
+        }
+
+        const { message, room } = result;
+        io.to(message.room).emit('message', message);
+        MessageService.emitRoomActivity(io, room, message);
+        LinkPreviewService.enqueue(message);
+        ack({ success: true, roomId: message.room, messageId: message._id });
+
+        logDebug('message forwarded', {
+          messageId: message._id,
+          originalMessageId: messageId,
+          targetRoomId: message.room
+        });
+
+      } catch (error) {
+        console.error('Forward message error:', error);
+        ack({
+          success: false,
+          error: error.code === 'RATE_LIMITED'
+            ? { code: error.code, message: error.message, retryAfter: error.retryAfter }
+            : { code: 'FORWARD_ERROR', message: '메시지 전달 중 오류가 발생했습니다.' }
+        });
+      }
+    });
+
+    // 메시지 삭제 처리
+    socket.on('deleteMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        if (message.isDeleted) {
+          return;
+        }
+
+        if (message.type === 'system') {
+          throw new Error('시스템 메시지는 삭제할 수 없습니다.');
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id
+        });
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        // 작성자 또는 방장만 삭제 가능
+        const isSender = message.sender?.toString() === socket.user.id;
+        const isRoomOwner = chatRoom.creator?.toString() === socket.user.id;
+
+        if (!isSender && !isRoomOwner) {
+          throw new Error('메시지를 삭제할 권한이 없습니다.');
+        }
+
+        await MessageService.deleteMessage(io, message, socket.user.id);
+
+        logDebug('message deleted', {
+          messageId,
+          userId: socket.user.id,
+          byOwner: !isSender,
+          hasFile: !!message.file
+        });
+
+      } catch (error) {
+        console.error('Delete message error:', error);
+        socket.emit('error', {
+          code: 'DELETE_ERROR',
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 메시지 고정
+    socket.on('pinMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message || message.isDeleted) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        if (message.type === 'system') {
+          throw new Error('시스템 메시지는 고정할 수 없습니다.');
+        }
+
+        if (message.isPinned) {
+          return;
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id
+        });
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const pinLimit = chatRoom.getPinLimit();
+        const pinnedCount = await Message.countDocuments({
+          room: message.room,
+          isPinned: true,
+          isDeleted: false
+        });
+
+        if (pinnedCount >= pinLimit) {
+          throw new Error(`고정 메시지는 최대 ${pinLimit}개까지 가능합니다.`);
+        }
+
+        await message.pin(socket.user.id);
+
+        io.to(message.room).emit('messagePinned', {
+          messageId,
+          pinnedBy: {
+            _id: socket.user.id,
+            name: socket.user.name
+          },
+          pinnedAt: message.pinnedAt
+        });
+
+        logDebug('message pinned', {
+          messageId,
+          userId: socket.user.id,
+          pinnedCount: pinnedCount + 1,
+          pinLimit
+        });
+
+      } catch (error) {
+        console.error('Pin message error:', error);
+        socket.emit('error', {
+          code: 'PIN_ERROR',
+          message: error.message || '메시지 고정 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 메시지 고정 해제
+    socket.on('unpinMessage', async ({ messageId }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const message = await Message.findById(messageId);
+        if (!message) {
+          throw new Error('메시지를 찾을 수 없습니다.');
+        }
+
+        if (!message.isPinned) {
+          return;
+        }
+
+        const chatRoom = await Room.findOne({
+          _id: message.room,
+          participants: socket.user.id
+        });
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        await message.unpin();
+
+        io.to(message.room).emit('messageUnpinned', { messageId });
+
+        logDebug('message unpinned', {
+          messageId,
+          userId: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('Unpin message error:', error);
+        socket.emit('error', {
+          code: 'PIN_ERROR',
+          message: error.message || '메시지 고정 해제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 투표 (optionIds로 내 선택을 교체, 빈 배열이면 투표 취소)
+    socket.on('pollVote', async ({ messageId, optionIds } = {}, callback) => {
+      const ack = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const result = await PollService.vote(socket.user.id, messageId, optionIds);
+        if (!result.isValid) {
+          ack({ success: false, error: { code: 'POLL_ERROR', message: result.message } });
+          return;
+        }
+
+        io.to(result.message.room.toString()).emit('pollUpdated', {
+          messageId: result.message._id,
+          poll: result.message.toJSON().poll
+        });
+        ack({ success: true, myVotes: result.myVotes });
+
+      } catch (error) {
+        console.error('Poll vote error:', error);
+        ack({
+          success: false,
+          error: { code: 'POLL_ERROR', message: '투표 처리 중 오류가 발생했습니다.' }
+        });
+      }
+    });
+
+    socket.on('closePoll', async ({ messageId } = {}, callback) => {
+      const ack = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const result = await PollService.closePoll(socket.user.id, messageId);
+        if (!result.isValid) {
+          ack({ success: false, error: { code: 'POLL_ERROR', message: result.message } });
+          return;
+        }
+
+        io.to(result.message.room.toString()).emit('pollUpdated', {
+          messageId: result.message._id,
+          poll: result.message.toJSON().poll
+        });
+        ack({ success: true });
+
+      } catch (error) {
+        console.error('Poll close error:', error);
+        ack({
+          success: false,
+          error: { code: 'POLL_ERROR', message: '투표 마감 중 오류가 발생했습니다.' }
+        });
+      }
+    });
+
+    // 내가 선택한 항목 조회 (익명 투표는 메시지에 투표자 정보가 없음)
+    socket.on('fetchPollVotes', async ({ messageId } = {}, callback) => {
+      const ack = typeof callback === 'function' ? callback : () => {};
+
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const result = await PollService.findPollMessage(socket.user.id, messageId);
+        if (!result.isValid) {
+          ack({ success: false, error: { code: 'POLL_ERROR', message: result.message } });
+          return;
+        }
+
+        const myVotes = await PollService.getUserVotes(socket.user.id, result.message._id);
+        ack({ success: true, myVotes });
+
+      } catch (error) {
+        console.error('Poll votes fetch error:', error);
+        ack({
+          success: false,
+          error: { code: 'POLL_ERROR', message: '투표 정보를 불러오는 중 오류가 발생했습니다.' }
+        });
+      }
+    });
+
+    // 스레드 메시지 로드
+    socket.on('fetchThreadMessages', async ({ parentMessageId, before }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const parentMessage = await Message.findById(parentMessageId)
+          .populate('sender', 'name email profileImage')
+          .populate({
+            path: 'file',
+            select: 'filename originalname mimetype size'
+          })
+          .lean();
+
+        if (!parentMessage || parentMessage.parentMessage) {
+          throw new Error('스레드를 찾을 수 없습니다.');
+        }
+
+        const room = await Room.findOne({
+          _id: parentMessage.room,
+          participants: socket.user.id
+        });
+
+        if (!room) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const result = await loadMessages(
+          socket,
+          parentMessage.room,
+          before,
+          BATCH_SIZE,
+          parentMessage._id
+        );
+
+        socket.emit('threadMessagesLoaded', {
+          parentMessageId,
+          parentMessage: before ? undefined : (
+            parentMessage.isDeleted ? Message.toTombstone(parentMessage) : parentMessage
+          ),
+          ...result
+        });
+
+        logDebug('thread messages loaded', {
+          parentMessageId,
+          messageCount: result.messages.length,
+          hasMore: result.hasMore
+        });
+
+      } catch (error) {
+        console.error('Fetch thread messages error:', error);
+        socket.emit('error', {
+          type: 'LOAD_ERROR',
+          message: error.message || '스레드 메시지를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 스레드 답글 전송
+    socket.on('threadMessage', async ({ parentMessageId, content }) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const messageContent = content?.trim();
+        if (!messageContent) {
+          return;
+        }
+
+        const parentMessage = await Message.findById(parentMessageId);
+        if (!parentMessage || parentMessage.isDeleted) {
+          throw new Error('원본 메시지를 찾을 수 없습니다.');
+        }
+
+        // 스레드는 한 단계까지만 허용
+        if (parentMessage.parentMessage || parentMessage.type === 'system') {
+          throw new Error('이 메시지에는 스레드를 만들 수 없습니다.');
+        }
+
+        const room = parentMessage.room;
+        const chatRoom = await Room.findOne({
+          _id: room,
+          participants: socket.user.id
+        });
+
+        if (!chatRoom) {
+          throw new Error('채팅방 접근 권한이 없습니다.');
+        }
+
+        const sessionValidation = await SessionService.validateSession(
+          socket.user.id,
+          socket.user.sessionId
+        );
+
+        if (!sessionValidation.isValid) {
+          throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
+        }
+
+        // 스레드 답글도 일반 메시지와 같은 한도를 사용
+        await assertRateLimit(socket, 'chatMessage', chatRoom);
+        const moderation = await moderateContent(socket, messageContent, chatRoom);
+
+        const message = new Message({
+          room,
+          sender: socket.user.id,
+          content: moderation.content,
+          type: 'text',
+          parentMessage: parentMessage._id,
+          mentions: await MessageService.resolveMentions(moderation.content, chatRoom),
+          timestamp: new Date(),
+          expiresAt: chatRoom.getMessageExpiresAt(),
+          reactions: {}
+        });
+
+        await message.save();
+        await ModerationService.flagMessage(message, chatRoom, moderation.flags);
+        await message.populate('sender', 'name email profileImage');
+
+        const updatedParent = await Message.findByIdAndUpdate(
+          parentMessage._id,
+          {
+            $inc: { threadReplyCount: 1 },
+            $set: { threadLastReplyAt: message.timestamp }
+          },
+          { new: true }
+        );
+
+        io.to(room).emit('threadUpdated', {
+          parentMessageId: parentMessage._id,
+          threadReplyCount: updatedParent.threadReplyCount,
+          threadLastReplyAt: updatedParent.threadLastReplyAt,
+          message
+        });
+        LinkPreviewService.enqueue(message);
+        await MessageService.notifyMentions(io, message, chatRoom, socket.user);
+        await NotificationService.notifyReply(message, chatRoom, socket.user.id, parentMessage.sender);
+
+        await SessionService.updateLastActivity(socket.user.id);
+
+        logDebug('thread message processed', {
+          messageId: message._id,
+          parentMessageId,
+          room
+        });
+
+      } catch (error) {
+        console.error('Thread message error:', error);
+        socket.emit('error', {
+          code: error.code || 'THREAD_ERROR',
+          retryAfter: error.retryAfter,
+          message: error.message || '스레드 답글 전송 중 오류가 발생했습니다.'
+        });
+      }
+    });
+  });
+
+  // 답장 인용 스냅샷 생성 함수
+  async function buildReplySnapshot(replyToId, roomId) {
+    const original = await Message.findOne({
+      _id: replyToId,
+      room: roomId
+    }).populate('sender', 'name');
+
+    if (!original || original.isDeleted || original.type === 'system') {
+      throw new Error('답장할 메시지를 찾을 수 없습니다.');
+    }
+
+    const senderName = original.type === 'ai'
+      ? (original.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
+      : original.sender?.name;
+
+    const quotedContent = original.content ||
+      original.metadata?.get?.('originalName') ||
+      '';
+
+    return {
+      messageId: original._id,
+      senderId: original.sender?._id,
+      senderName: senderName || '알 수 없음',
+      type: original.type,
+      content: quotedContent.length > REPLY_SNAPSHOT_LENGTH
+        ? `${quotedContent.slice(0, REPLY_SNAPSHOT_LENGTH)}…`
+        : quotedContent
+    };
+  }
+
+  // AI 멘션 추출 함수
+  function extractAIMentions(content) {
+    if (!content) return [];
+    
+    const aiTypes = ['wayneAI', 'consultingAI'];
+    const mentions = new Set();
+    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
+    let match;
+    
+    while ((match = mentionRegex.exec(content)) !== null) {
+      if (aiTypes.includes(match[1])) {
+        mentions.add(match[1]);
+      }
+    }
+    
+    return Array.from(mentions);
+  }
+
+  // AI 응답 처리 함수 개선
+  async function handleAIResponse(io, room, aiName, query) {
+    const messageId = `${aiName}-${Date.now()}`;
+    let accumulatedContent = '';
+    const timestamp = new Date();
+
+    // 스트리밍 세션 초기화
+    streamingSessions.set(messageId, {
       room,
       aiType: aiName,
       content: '',
@@ -900,13 +1932,15 @@ module.exports = function(io) {
           // 스트리밍 세션 정리
           streamingSessions.delete(messageId);
 
-          // AI 메시지 저장
+          // AI 메시지 저장 (응답 완료 시점의 사라지는 메시지 설정 적용)
+          const chatRoom = await Room.findById(room);
           const aiMessage = await Message.create({
             room,
             content: finalContent.content,
             type: 'ai',
             aiType: aiName,
             timestamp: new Date(),
+            expiresAt: chatRoom?.getMessageExpiresAt(),
             reactions: {},
             metadata: {
               query,
@@ -916,6 +1950,8 @@ module.exports = function(io) {
             }
           });
 
+          MessageService.emitRoomActivity(io, chatRoom, aiMessage);
+
           // 완료 메시지 전송
           io.to(room).emit('aiMessageComplete', {
             messageId,
@@ -923,6 +1959,7 @@ module.exports = function(io) {
             content: finalContent.content,
             aiType: aiName,
             timestamp: new Date(),
+            expiresAt: aiMessage.expiresAt,
             isComplete: true,
             query,
             reactions: {}
@@ -0,0 +1,84 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { isBlockedAddress, validateUrl, request } = require('../services/linkPreviewFetcher');
+
+test('IPv4 매핑 주소는 표기 방식과 관계없이 차단', () => {
+  [
+    'http://[::ffff:127.0.0.1]/',
+    'http://[::ffff:7f00:1]/',
+    'http://[0:0:0:0:0:ffff:7f00:1]/',
+    'http://[::ffff:a9fe:a9fe]/',
+    'http://[::ffff:10.0.0.1]/'
+  ].forEach(url => {
+    assert.strictEqual(validateUrl(url), null, url);
+  });
+});
+
+test('NAT64, 6to4, 루프백 등 내부로 이어지는 IPv6 주소 차단', () => {
+  [
+    '::',
+    '::1',
+    '::127.0.0.1',
+    '64:ff9b::7f00:1',
+    '64:ff9b::808:808',
+    '2002:7f00:1::',
+    'fe80::1%eth0',
+    'fd12:3456::1',
+    'ff02::1',
+    '2001:db8::1'
+  ].forEach(address => {
+    assert.strictEqual(isBlockedAddress(address), true, address);
+  });
+});
+
+test('외부 주소는 허용', () => {
+  ['8.8.8.8', '::ffff:808:808', '::ffff:8.8.8.8', '2606:4700:4700::1111', '2002:808:808::'].forEach(address => {
+    assert.strictEqual(isBlockedAddress(address), false, address);
+  });
+  assert.ok(validateUrl('https://example.com/page'));
+  assert.ok(validateUrl('http://[2606:4700:4700::1111]/'));
+});
+
+test('본문을 조금씩 보내는 서버도 전체 시간 제한에서 중단', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    const timer = setInterval(() => res.write('<'), 50);
+    res.on('close', () => clearInterval(timer));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { port } = server.address();
+    const startedAt = Date.now();
+    await assert.rejects(
+      request(new URL(`http://127.0.0.1:${port}/`), Date.now() + 300),
+      /timed out/
+    );
+    assert.ok(Date.now() - startedAt < 2000);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
+
+test('리다이렉트 주소를 따라가고 잘못된 Location은 미리보기 없음으로 처리', async () => {
+  const server = http.createServer((req, res) => {
+    const location = req.url === '/bad' ? 'http://[bad' : '/next';
+    res.writeHead(302, { Location: location });
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const { port } = server.address();
+    assert.deepStrictEqual(
+      await request(new URL(`http://127.0.0.1:${port}/good`)),
+      { redirect: `http://127.0.0.1:${port}/next` }
+    );
+    assert.deepStrictEqual(await request(new URL(`http://127.0.0.1:${port}/bad`)), { body: null });
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,56 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const RateLimitService = require('../services/rateLimitService');
+const redisClient = require('../utils/redisClient');
+
+const newUserId = () => new mongoose.Types.ObjectId().toString();
+const newRoom = (rateLimits) => ({ _id: new mongoose.Types.ObjectId(), ...(rateLimits && { rateLimits }) });
+
+const drain = async (userId, event, rooms, count) => {
+  const results = [];
+  for (let i = 0; i < count; i++) {
+    results.push(await RateLimitService.consume(userId, event, rooms[i % rooms.length]));
+  }
+  return results;
+};
+
+after(async () => {
+  await redisClient.quit();
+});
+
+test('기본 한도는 채팅방을 바꿔가며 보내도 사용자별로 공유', async () => {
+  const userId = newUserId();
+  const { capacity } = RateLimitService.DEFAULT_LIMITS.chatMessage;
+  const rooms = [newRoom(), newRoom(), newRoom()];
+
+  const results = await drain(userId, 'chatMessage', rooms, capacity);
+  assert.ok(results.every(result => result.isValid));
+
+  const blocked = await RateLimitService.consume(userId, 'chatMessage', newRoom());
+  assert.strictEqual(blocked.isValid, false);
+  assert.strictEqual(blocked.code, 'RATE_LIMITED');
+  assert.ok(blocked.retryAfter >= 1);
+});
+
+test('채팅방 한도는 기본 한도에 더해 해당 채팅방에만 적용', async () => {
+  const userId = newUserId();
+  const strictRoom = newRoom({ chatMessage: { capacity: 2, refillPerMinute: 1 } });
+
+  const results = await drain(userId, 'chatMessage', [strictRoom], 3);
+  assert.deepStrictEqual(results.map(result => result.isValid), [true, true, false]);
+
+  // 다른 채팅방은 남은 기본 한도로 계속 보낼 수 있음
+  const other = await RateLimitService.consume(userId, 'chatMessage', newRoom());
+  assert.strictEqual(other.isValid, true);
+});
+
+test('채팅방 한도가 기본값보다 커도 사용자별 기본 한도는 넘을 수 없음', async () => {
+  const userId = newUserId();
+  const { capacity } = RateLimitService.DEFAULT_LIMITS.messageReaction;
+  const looseRoom = newRoom({ messageReaction: { capacity: 100, refillPerMinute: 600 } });
+
+  const results = await drain(userId, 'messageReaction', [looseRoom], capacity + 1);
+  assert.strictEqual(results.filter(result => result.isValid).length, capacity);
+  assert.strictEqual(results[capacity].isValid, false);
+});
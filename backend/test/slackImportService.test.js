@@ -0,0 +1,187 @@
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const SlackImportService = require('../services/slackImportService');
+const { buildZip } = require('./helpers/zip');
+
+// DB를 쓰는 테스트는 TEST_MONGO_URI가 있을 때만 실행 (전용 데이터베이스를 만들고 끝나면 삭제)
+const TEST_MONGO_URI = process.env.TEST_MONGO_URI;
+const TEST_DB_NAME = 'chat_app_slack_import_test';
+
+const PARENT_TS = '1704067200.000100';
+const REPLY_TS = '1704067260.000200';
+
+const slackExport = {
+  'export/users.json': [
+    { id: 'U1', name: 'alice', profile: { real_name: 'Alice Kim', email: 'Alice@Example.com' } },
+    { id: 'U2', name: 'bob', profile: { real_name: 'Bob Lee', email: 'bob@elsewhere.example' } }
+  ],
+  'export/channels.json': [
+    { id: 'C1', name: 'general', creator: 'U1', members: ['U1', 'U2'], topic: { value: '공지' } }
+  ],
+  'export/dms.json': [{ id: 'D1', members: ['U1', 'U2'] }],
+  'export/general/2024-01-01.json': [
+    {
+      type: 'message',
+      user: 'U1',
+      ts: PARENT_TS,
+      thread_ts: PARENT_TS,
+      text: '안녕하세요 <@U2> &amp; 모두',
+      reactions: [{ name: '+1::skin-tone-2', users: ['U2'] }]
+    },
+    { type: 'message', user: 'U2', ts: REPLY_TS, thread_ts: PARENT_TS, text: '반가워요' },
+    { type: 'message', subtype: 'message_changed', ts: '1704067300.000300' }
+  ]
+};
+
+let tmpDir;
+
+const writeArchive = (name, buffer) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slack-import-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('잘리거나 손상된 ZIP은 저장 없이 오류로 반환', async () => {
+  const valid = buildZip(slackExport);
+  const archives = [
+    writeArchive('truncated.zip', valid.subarray(0, Math.floor(valid.length / 2))),
+    writeArchive('garbage.zip', Buffer.from('PK but not really a zip'))
+  ];
+
+  for (const archive of archives) {
+    const result = await SlackImportService.importArchive(archive, { dryRun: true });
+    assert.strictEqual(result.isValid, false);
+    assert.match(result.message, /ZIP/);
+  }
+
+  // 실패 후에도 다음 가져오기를 막지 않음
+  assert.strictEqual(SlackImportService.running, false);
+});
+
+test('Slack 내보내기 형식이 아니면 거부', async () => {
+  const noUsers = await SlackImportService.importArchive(
+    writeArchive('no-users.zip', buildZip({ 'readme.txt': 'hello' })),
+    { dryRun: true }
+  );
+  assert.strictEqual(noUsers.isValid, false);
+  assert.match(noUsers.message, /users\.json/);
+
+  const badJson = await SlackImportService.importArchive(
+    writeArchive('bad-json.zip', buildZip({ 'users.json': '[{"id": "U1"', 'channels.json': [] })),
+    { dryRun: true }
+  );
+  assert.strictEqual(badJson.isValid, false);
+  assert.match(badJson.message, /JSON 형식이 올바르지 않습니다/);
+});
+
+describe('DB 저장', { skip: !TEST_MONGO_URI && 'TEST_MONGO_URI가 설정되지 않음' }, () => {
+  let archivePath;
+  let admin;
+  let alice;
+
+  before(async () => {
+    await mongoose.connect(TEST_MONGO_URI, { dbName: TEST_DB_NAME });
+    archivePath = writeArchive('export.zip', buildZip(slackExport, { deflate: true }));
+  });
+
+  after(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.disconnect();
+  });
+
+  beforeEach(async () => {
+    await Promise.all([User.deleteMany({}), Room.deleteMany({}), Message.deleteMany({})]);
+    await Promise.all([User.init(), Room.init(), Message.init()]);
+    admin = await User.create({ name: 'Admin', email: 'admin@example.com', password: 'password123' });
+    alice = await User.create({ name: '김앨리스', email: 'alice@example.com', password: 'password123' });
+  });
+
+  test('dry-run은 보고서만 만들고 아무것도 저장하지 않음', async () => {
+    const result = await SlackImportService.importArchive(archivePath, { importedBy: admin._id, dryRun: true });
+
+    assert.strictEqual(result.isValid, true);
+    const { report } = result;
+    assert.strictEqual(report.dryRun, true);
+    assert.deepStrictEqual(report.users, { total: 2, matched: 1, created: 1, existing: 0 });
+    assert.strictEqual(report.channels.length, 1);
+    assert.strictEqual(report.channels[0].status, 'created');
+    assert.strictEqual(report.channels[0].roomId, null);
+    assert.strictEqual(report.messages.imported, 2);
+    assert.strictEqual(report.messages.skipped, 1);
+    assert.strictEqual(report.messages.threadReplies, 1);
+    assert.strictEqual(report.reactions, 1);
+    assert.deepStrictEqual(report.skippedConversations, { dms: 1, mpims: 0 });
+
+    assert.strictEqual(await User.countDocuments(), 2);
+    assert.strictEqual(await Room.countDocuments(), 0);
+    assert.strictEqual(await Message.countDocuments(), 0);
+  });
+
+  test('이메일이 같은 사용자는 기존 계정에, 나머지는 임시 계정에 연결', async () => {
+    const result = await SlackImportService.importArchive(archivePath, { importedBy: admin._id });
+    assert.strictEqual(result.isValid, true);
+
+    const placeholder = await User.findOne({ email: 'slack-u2@import.invalid' });
+    assert.ok(placeholder);
+    assert.strictEqual(placeholder.name, 'Bob Lee');
+
+    const room = await Room.findOne({ importKey: 'slack:C1' });
+    assert.strictEqual(room.name, 'general');
+    assert.ok(room.creator.equals(alice._id));
+    assert.deepStrictEqual(
+      room.participants.map(id => id.toString()).sort(),
+      [alice._id.toString(), placeholder._id.toString()].sort()
+    );
+
+    const parent = await Message.findOne({ importKey: `slack:C1:${PARENT_TS}` });
+    assert.ok(parent.sender.equals(alice._id));
+    assert.strictEqual(parent.content, '안녕하세요 @Bob Lee & 모두');
+    assert.deepStrictEqual(parent.mentions, [placeholder._id.toString()]);
+    assert.deepStrictEqual(parent.reactions.get('👍').map(id => id.toString()), [placeholder._id.toString()]);
+    assert.strictEqual(parent.threadReplyCount, 1);
+
+    const reply = await Message.findOne({ importKey: `slack:C1:${REPLY_TS}` });
+    assert.ok(reply.sender.equals(placeholder._id));
+    assert.ok(reply.parentMessage.equals(parent._id));
+  });
+
+  test('다시 가져와도 사용자/채팅방/메시지가 중복되지 않음', async () => {
+    await SlackImportService.importArchive(archivePath, { importedBy: admin._id });
+    const counts = {
+      users: await User.countDocuments(),
+      rooms: await Room.countDocuments(),
+      messages: await Message.countDocuments()
+    };
+
+    const result = await SlackImportService.importArchive(archivePath, { importedBy: admin._id });
+    assert.strictEqual(result.isValid, true);
+    assert.deepStrictEqual(result.report.users, { total: 2, matched: 1, created: 0, existing: 1 });
+    assert.strictEqual(result.report.channels[0].status, 'existing');
+    assert.strictEqual(result.report.messages.imported, 0);
+    assert.strictEqual(result.report.messages.alreadyImported, 2);
+
+    assert.deepStrictEqual({
+      users: await User.countDocuments(),
+      rooms: await Room.countDocuments(),
+      messages: await Message.countDocuments()
+    }, counts);
+
+    const parent = await Message.findOne({ importKey: `slack:C1:${PARENT_TS}` });
+    assert.strictEqual(parent.threadReplyCount, 1);
+  });
+});
@@ -0,0 +1,98 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ZipReader = require('../utils/zipReader');
+const { buildZip } = require('./helpers/zip');
+
+let tmpDir;
+
+const writeZip = (name, buffer) => {
+  const filePath = path.join(tmpDir, name);
+  fs.writeFileSync(filePath, buffer);
+  return filePath;
+};
+
+before(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'zip-reader-'));
+});
+
+after(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test('저장/deflate 항목을 읽고 디렉터리 항목은 건너뜀', async () => {
+  for (const deflate of [false, true]) {
+    const zip = await ZipReader.open(writeZip(`valid-${deflate}.zip`, buildZip({
+      'export/': '',
+      'export/users.json': [{ id: 'U1' }],
+      'export/notes.txt': '\uFEFF안녕하세요'
+    }, { deflate })));
+
+    try {
+      assert.deepStrictEqual(zip.getEntryNames(), ['export/users.json', 'export/notes.txt']);
+      assert.deepStrictEqual(await zip.readJson('export/users.json'), [{ id: 'U1' }]);
+      assert.strictEqual((await zip.read('export/notes.txt')).toString('utf8'), '\uFEFF안녕하세요');
+      assert.strictEqual(await zip.read('missing.json'), null);
+    } finally {
+      await zip.close();
+    }
+  }
+});
+
+test('ZIP이 아니거나 끝이 잘린 파일은 거부', async () => {
+  await assert.rejects(
+    ZipReader.open(writeZip('text.zip', Buffer.from('not a zip file at all, just some text'))),
+    /올바른 ZIP 파일이 아닙니다/
+  );
+
+  const valid = buildZip({ 'users.json': [{ id: 'U1' }], 'channels.json': [] });
+  await assert.rejects(
+    ZipReader.open(writeZip('truncated.zip', valid.subarray(0, valid.length - 30))),
+    /올바른 ZIP 파일이 아닙니다/
+  );
+});
+
+test('목차가 파일 범위를 벗어나거나 항목 헤더가 손상된 경우 거부', async () => {
+  const valid = buildZip({ 'users.json': [{ id: 'U1' }] });
+
+  // 앞부분이 잘려 목차 위치가 파일 크기를 넘음
+  await assert.rejects(
+    ZipReader.open(writeZip('cut-head.zip', valid.subarray(20))),
+    /ZIP 파일이 손상되었습니다/
+  );
+
+  const corrupted = Buffer.from(valid);
+  corrupted.writeUInt32LE(0, 0);
+  const zip = await ZipReader.open(writeZip('bad-local.zip', corrupted));
+  try {
+    await assert.rejects(zip.read('users.json'), /ZIP 항목이 손상되었습니다/);
+  } finally {
+    await zip.close();
+  }
+});
+
+test('목차보다 크게 풀리는 항목과 크기 제한을 넘는 항목은 거부', async () => {
+  const bomb = buildZip({ 'big.json': 'a'.repeat(4096) }, { deflate: true });
+  // 목차의 원본 크기를 작게 조작
+  const directoryOffset = bomb.readUInt32LE(bomb.length - 6);
+  bomb.writeUInt32LE(10, directoryOffset + 24);
+
+  const zip = await ZipReader.open(writeZip('bomb.zip', bomb));
+  try {
+    await assert.rejects(zip.read('big.json'));
+  } finally {
+    await zip.close();
+  }
+
+  const limited = await ZipReader.open(
+    writeZip('limited.zip', buildZip({ 'big.json': 'a'.repeat(100) })),
+    { maxEntrySize: 10 }
+  );
+  try {
+    await assert.rejects(limited.read('big.json'), /항목 크기가 너무 큽니다/);
+  } finally {
+    await limited.close();
+  }
+});
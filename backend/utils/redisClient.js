@@ -233,6 +233,22 @@ class RedisClient {
     }
   }
 
+  // Lua 스크립트 실행 (메모리 mock에서는 지원하지 않으므로 호출 전에 useMock 확인 필요)
+  async eval(script, options) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+      if (this.useMock) {
+        throw new Error('EVAL is not supported by in-memory mock');
+      }
+      return await this.client.eval(script, options);
+    } catch (error) {
+      console.error('Redis eval error:', error);
+      throw error;
+    }
+  }
+
   async quit() {
     if (this.client) {
       try {
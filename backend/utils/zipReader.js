@@ -0,0 +1,155 @@
+// backend/utils/zipReader.js
+// 외부 의존성 없이 ZIP 파일의 목차(central directory)를 읽고 필요한 항목만 꺼내는 최소 구현
+// - 저장(stored) / deflate 방식만 지원, 암호화와 ZIP64 형식은 지원하지 않음
+// - 디스크에 풀지 않고 메모리로만 읽으므로 항목 경로를 그대로 키로 사용
+const fs = require('fs');
+const zlib = require('zlib');
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+class ZipReader {
+  static DEFAULT_MAX_ENTRY_SIZE = 100 * 1024 * 1024; // 항목 하나를 풀었을 때 최대 크기
+
+  constructor(handle, entries, { maxEntrySize }) {
+    this.handle = handle;
+    this.entries = entries;
+    this.maxEntrySize = maxEntrySize;
+  }
+
+  static async open(filePath, { maxEntrySize = ZipReader.DEFAULT_MAX_ENTRY_SIZE } = {}) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+      const { size } = await handle.stat();
+      const entries = await this.readCentralDirectory(handle, size);
+      return new ZipReader(handle, entries, { maxEntrySize });
+    } catch (error) {
+      await handle.close();
+      throw error;
+    }
+  }
+
+  static async readAt(handle, position, length) {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, position);
+    return buffer.subarray(0, bytesRead);
+  }
+
+  // 파일 끝의 주석 영역까지 감안해 End of Central Directory 레코드를 찾음
+  static async findEndOfCentralDirectory(handle, size) {
+    const length = Math.min(size, EOCD_MIN_SIZE + MAX_COMMENT_SIZE);
+    const tail = await this.readAt(handle, size - length, length);
+
+    for (let i = tail.length - EOCD_MIN_SIZE; i >= 0; i--) {
+      if (tail.readUInt32LE(i) === EOCD_SIGNATURE) {
+        return tail.subarray(i);
+      }
+    }
+    throw new Error('올바른 ZIP 파일이 아닙니다.');
+  }
+
+  static async readCentralDirectory(handle, size) {
+    const eocd = await this.findEndOfCentralDirectory(handle, size);
+    const totalEntries = eocd.readUInt16LE(10);
+    const directorySize = eocd.readUInt32LE(12);
+    const directoryOffset = eocd.readUInt32LE(16);
+
+    if (totalEntries === 0xffff || directorySize === 0xffffffff || directoryOffset === 0xffffffff) {
+      throw new Error('ZIP64 형식은 지원하지 않습니다.');
+    }
+    if (directoryOffset + directorySize > size) {
+      throw new Error('ZIP 파일이 손상되었습니다.');
+    }
+
+    const directory = await this.readAt(handle, directoryOffset, directorySize);
+    const entries = new Map();
+    let offset = 0;
+
+    for (let i = 0; i < totalEntries; i++) {
+      if (offset + 46 > directory.length || directory.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+        throw new Error('ZIP 파일이 손상되었습니다.');
+      }
+
+      const nameLength = directory.readUInt16LE(offset + 28);
+      const extraLength = directory.readUInt16LE(offset + 30);
+      const commentLength = directory.readUInt16LE(offset + 32);
+      const name = directory.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      // 디렉터리 항목은 건너뜀
+      if (!name.endsWith('/')) {
+        entries.set(name, {
+          name,
+          flags: directory.readUInt16LE(offset + 8),
+          method: directory.readUInt16LE(offset + 10),
+          compressedSize: directory.readUInt32LE(offset + 20),
+          size: directory.readUInt32LE(offset + 24),
+          localHeaderOffset: directory.readUInt32LE(offset + 42)
+        });
+      }
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  getEntryNames() {
+    return [...this.entries.keys()];
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  async read(name) {
+    const entry = this.entries.get(name);
+    if (!entry) return null;
+
+    if (entry.flags & 0x1) {
+      throw new Error(`암호화된 항목은 읽을 수 없습니다: ${name}`);
+    }
+    if (entry.size > this.maxEntrySize) {
+      throw new Error(`항목 크기가 너무 큽니다: ${name}`);
+    }
+
+    const header = await ZipReader.readAt(this.handle, entry.localHeaderOffset, 30);
+    if (header.length < 30 || header.readUInt32LE(0) !== LOCAL_SIGNATURE) {
+      throw new Error(`ZIP 항목이 손상되었습니다: ${name}`);
+    }
+
+    const dataOffset = entry.localHeaderOffset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+    const data = await ZipReader.readAt(this.handle, dataOffset, entry.compressedSize);
+
+    switch (entry.method) {
+      case METHOD_STORED:
+        return data;
+      case METHOD_DEFLATE:
+        // 목차에 적힌 크기보다 크게 풀리는 항목(압축 폭탄)은 거부
+        return zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+      default:
+        throw new Error(`지원하지 않는 압축 방식입니다: ${name}`);
+    }
+  }
+
+  async readJson(name) {
+    const data = await this.read(name);
+    if (!data) return null;
+
+    try {
+      return JSON.parse(data.toString('utf8').replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error(`JSON 형식이 올바르지 않습니다: ${name}`);
+    }
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
+
+module.exports = ZipReader;
@@ -1,5 +1,6 @@
 // test/messaging/advanced-messaging.spec.ts
 import { test, expect } from '@playwright/test';
+import fs from 'fs';
 import { TestHelpers } from '../helpers/test-helpers';
 import { MessageService } from '../services/message-service';
 
@@ -81,4 +82,556 @@ test.describe('고급 메시징 테스트', () => {
     // const checklistItems = await page.locator('input[type="checkbox"]').count();
     // expect(checklistItems).toBeGreaterThanOrEqual(3);
   });
-});
\ No newline at end of file
+
+  test('메시지 수정 및 수정 기록 확인', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(3);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Edit');
+
+    const originalText = `수정 전 메시지 ${Date.now()}`;
+    const editedText = `수정 후 메시지 ${Date.now()}`;
+
+    await page.fill('.chat-input-textarea', originalText);
+    await page.keyboard.press('Enter');
+
+    const myMessage = page.locator('.message-group.mine', { hasText: originalText }).last();
+    await expect(myMessage).toBeVisible({ timeout: 30000 });
+
+    // 수정 버튼으로 인라인 편집 시작
+    await myMessage.hover();
+    await myMessage.getByRole('button', { name: '메시지 수정' }).click();
+
+    const editInput = myMessage.locator('.message-edit-input');
+    await editInput.fill(editedText);
+    await editInput.press('Enter');
+
+    // 수정된 내용과 수정 표시 확인
+    await expect(myMessage.locator('.message-content')).toContainText(editedText, { timeout: 30000 });
+    await expect(myMessage.locator('.message-edited')).toBeVisible();
+
+    // 수정 기록에서 원본 내용 확인
+    await myMessage.locator('.message-edited').click();
+    await page.getByRole('button', { name: '이전 버전' }).click();
+    await expect(page.locator('.message-edit-history-content')).toContainText(originalText);
+  });
+
+  test('메시지 삭제 시 삭제 표시 확인', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(4);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Delete');
+
+    const text = `삭제할 메시지 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+
+    const myMessage = page.locator('.message-group.mine', { hasText: text }).last();
+    await expect(myMessage).toBeVisible({ timeout: 30000 });
+
+    page.once('dialog', dialog => dialog.accept());
+    await myMessage.hover();
+    await myMessage.getByRole('button', { name: '메시지 삭제' }).click();
+
+    // 원본 내용은 사라지고 삭제 표시만 남아야 함
+    await expect(page.locator('.message-content', { hasText: text })).toHaveCount(0, { timeout: 30000 });
+    await expect(page.locator('.message-deleted').last()).toContainText('삭제된 메시지입니다.');
+  });
+
+  test('스레드 답글 작성 및 답글 수 표시', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(5);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Thread');
+
+    const parentText = `스레드 원본 ${Date.now()}`;
+    const replyText = `스레드 답글 ${Date.now()}`;
+
+    await page.fill('.chat-input-textarea', parentText);
+    await page.keyboard.press('Enter');
+
+    const parentMessage = page.locator('.message-list .message-group.mine', { hasText: parentText }).last();
+    await expect(parentMessage).toBeVisible({ timeout: 30000 });
+
+    await parentMessage.hover();
+    await parentMessage.getByRole('button', { name: '스레드에서 답글' }).click();
+
+    const threadPane = page.locator('.thread-pane');
+    await expect(threadPane).toBeVisible();
+
+    await threadPane.locator('.thread-pane-textarea').fill(replyText);
+    await threadPane.locator('.thread-pane-textarea').press('Enter');
+
+    // 스레드 패널과 원본 메시지의 답글 수 갱신 확인
+    await expect(threadPane.locator('.message-content', { hasText: replyText })).toBeVisible({ timeout: 30000 });
+    await expect(parentMessage.locator('.thread-summary')).toContainText('답글 1개');
+
+    // 답글은 본문 목록에 표시되지 않아야 함
+    await expect(page.locator('.message-list .message-content', { hasText: replyText })).toHaveCount(0);
+  });
+
+  test('인용 답장 작성 및 원본으로 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(6);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Reply');
+
+    const originalText = `인용할 메시지 ${Date.now()}`;
+    const replyText = `인용 답장 ${Date.now()}`;
+
+    await page.fill('.chat-input-textarea', originalText);
+    await page.keyboard.press('Enter');
+
+    const original = page.locator('.message-list .message-group.mine', { hasText: originalText }).last();
+    await expect(original).toBeVisible({ timeout: 30000 });
+
+    await original.hover();
+    await original.getByRole('button', { name: '답장' }).click();
+    await expect(page.locator('.reply-preview')).toContainText(originalText);
+
+    await page.fill('.chat-input-textarea', replyText);
+    await page.keyboard.press('Enter');
+
+    const reply = page.locator('.message-list .message-group.mine', { hasText: replyText }).last();
+    await expect(reply.locator('.message-quote')).toContainText(originalText, { timeout: 30000 });
+    await expect(page.locator('.reply-preview')).toHaveCount(0);
+
+    // 인용을 클릭하면 원본 메시지가 강조됨
+    await reply.locator('.message-quote').click();
+    await expect(page.locator('.message-highlight')).toBeVisible();
+  });
+
+  test('메시지 고정 및 고정 목록에서 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(7);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Pin');
+
+    const pinText = `고정할 메시지 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', pinText);
+    await page.keyboard.press('Enter');
+
+    const message = page.locator('.message-list .message-group.mine', { hasText: pinText }).last();
+    await expect(message).toBeVisible({ timeout: 30000 });
+
+    await message.hover();
+    await message.getByRole('button', { name: '메시지 고정' }).click();
+    await expect(message.locator('.message-pinned-label')).toBeVisible({ timeout: 30000 });
+
+    // 헤더의 고정 목록에서 메시지로 이동
+    await page.getByRole('button', { name: '고정된 메시지' }).click();
+    const pinItem = page.locator('.pinned-drawer-item', { hasText: pinText });
+    await expect(pinItem).toBeVisible({ timeout: 30000 });
+    await pinItem.click();
+    await expect(page.locator('.message-highlight')).toBeVisible();
+
+    // 고정 해제
+    await message.hover();
+    await message.getByRole('button', { name: '고정 해제' }).click();
+    await expect(message.locator('.message-pinned-label')).toHaveCount(0, { timeout: 30000 });
+  });
+
+  test('채팅방 메시지 검색 및 결과로 이동', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(8);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Search');
+
+    const keyword = `searchkey${Date.now()}`;
+    const searchText = `검색 대상 ${keyword} 메시지`;
+    await page.fill('.chat-input-textarea', searchText);
+    await page.keyboard.press('Enter');
+    await expect(
+      page.locator('.message-list .message-group.mine', { hasText: searchText }).last()
+    ).toBeVisible({ timeout: 30000 });
+
+    await page.getByRole('button', { name: '메시지 검색' }).click();
+    await page.fill('.message-search-input', keyword);
+    await page.locator('.message-search-form').getByRole('button', { name: '검색' }).click();
+
+    const hit = page.locator('.message-search-item', { hasText: keyword }).first();
+    await expect(hit).toBeVisible({ timeout: 30000 });
+    await expect(hit.locator('mark')).toHaveText(keyword);
+
+    await hit.click();
+    await expect(page.locator('.message-highlight')).toBeVisible();
+  });
+
+  test('통합 검색으로 다른 화면에서 메시지 찾기', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(9);
+    await helpers.registerUser(page, creds);
+    const roomName = await helpers.joinOrCreateRoom(page, 'GlobalSearch');
+
+    const keyword = `globalkey${Date.now()}`;
+    await page.fill('.chat-input-textarea', `통합 검색 ${keyword}`);
+    await page.keyboard.press('Enter');
+    await expect(
+      page.locator('.message-list .message-group.mine', { hasText: keyword }).last()
+    ).toBeVisible({ timeout: 30000 });
+
+    await page.goto('/chat-rooms');
+    await page.getByRole('searchbox', { name: '통합 검색' }).fill(keyword);
+
+    const panel = page.locator('.global-search-panel');
+    await expect(panel.locator('.global-search-section-title', { hasText: roomName })).toBeVisible({ timeout: 30000 });
+
+    await panel.locator('.global-search-item.message', { hasText: keyword }).first().click();
+    await expect(page).toHaveURL(/\/chat\?room=/);
+    await expect(page.locator('.message-highlight')).toBeVisible({ timeout: 30000 });
+  });
+
+  test('메시지 링크로 입장하면 해당 위치에서 앞뒤로 스크롤', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(10);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Permalink');
+
+    const targetText = `링크 대상 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', targetText);
+    await page.keyboard.press('Enter');
+
+    const target = page.locator('.message-list .messages', { hasText: targetText }).last();
+    await expect(target).toBeVisible({ timeout: 30000 });
+    const messageId = await target.getAttribute('data-message-id');
+    const roomUrl = new URL(page.url());
+    const roomId = roomUrl.searchParams.get('room');
+
+    // 뒤에 메시지를 더 보낸 뒤 링크로 다시 입장
+    for (let i = 0; i < 3; i++) {
+      await page.fill('.chat-input-textarea', `이후 메시지 ${i}`);
+      await page.keyboard.press('Enter');
+    }
+
+    await page.goto(`/chat?room=${roomId}&message=${messageId}`);
+    await expect(page.locator(`[data-message-id="${messageId}"].message-highlight`)).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.message-list .messages', { hasText: '이후 메시지 2' })).toBeVisible();
+  });
+
+  test('전송한 메시지는 확인 후 한 번만 표시', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(11);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Delivery');
+
+    const text = `전송 확인 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+
+    await expect(
+      page.locator('.message-list .messages[data-message-id]', { hasText: text })
+    ).toHaveCount(1, { timeout: 30000 });
+    await expect(page.locator('.message-outgoing')).toHaveCount(0);
+  });
+
+  test('메시지 예약 후 목록에서 취소', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(12);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Scheduled');
+
+    const text = `예약 메시지 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.getByRole('button', { name: '예약 전송' }).click();
+
+    const panel = page.getByRole('dialog', { name: '예약 전송' });
+    await panel.getByRole('button', { name: '예약', exact: true }).click();
+
+    const item = panel.locator('.schedule-message-item', { hasText: text });
+    await expect(item).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.chat-input-textarea')).toHaveValue('');
+
+    await item.getByRole('button', { name: '예약 취소' }).click();
+    await expect(item).toHaveCount(0);
+  });
+
+  test('방장이 사라지는 메시지 타이머 설정', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(13);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Disappearing');
+
+    await page.getByRole('button', { name: '사라지는 메시지' }).click();
+    await page.getByRole('menuitemradio', { name: '1일' }).click();
+
+    await expect(
+      page.locator('.message-system', { hasText: '사라지는 메시지가 켜졌습니다' })
+    ).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.disappearing-menu-label')).toHaveText('1일');
+
+    const text = `사라지는 메시지 ${Date.now()}`;
+    await helpers.sendMessage(page, text);
+    const message = page.locator('.message-group', {
+      has: page.locator('.message-content', { hasText: text })
+    });
+    await expect(message.locator('.message-expiry-label')).toBeVisible({ timeout: 30000 });
+  });
+
+  test('슬래시 명령어 자동완성과 실행', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(14);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Commands');
+
+    const input = page.locator('.chat-input-textarea');
+
+    // 명령어 이름 자동완성
+    await input.fill('/shr');
+    const dropdown = page.getByRole('listbox', { name: '명령어 목록' });
+    await expect(dropdown.locator('.command-item', { hasText: '/shrug' })).toBeVisible();
+    await input.press('Enter');
+    await expect(input).toHaveValue('/shrug ');
+
+    const text = `어깨 ${Date.now()}`;
+    await input.pressSequentially(text);
+    await input.press('Enter');
+    await expect(
+      page.locator('.message-content', { hasText: `${text} ¯\\_(ツ)_/¯` })
+    ).toBeVisible({ timeout: 30000 });
+
+    // 방장 전용 명령어
+    const topic = `주제 ${Date.now()}`;
+    await input.fill(`/topic ${topic}`);
+    await input.press('Enter');
+    await expect(page.locator('.chat-room-topic')).toHaveText(topic, { timeout: 30000 });
+
+    // 알 수 없는 명령어는 입력 내용을 유지
+    await input.fill('/unknown');
+    await input.press('Enter');
+    await expect(input).toHaveValue('/unknown');
+  });
+
+  test('투표 생성과 실시간 집계', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(15);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Polls');
+
+    const question = `점심 메뉴 ${Date.now()}`;
+    await page.getByRole('button', { name: '투표 만들기' }).click();
+    const panel = page.getByRole('dialog', { name: '투표 만들기' });
+    await panel.getByLabel('투표 질문').fill(question);
+    await panel.getByLabel('투표 항목 1').fill('김치찌개');
+    await panel.getByLabel('투표 항목 2').fill('비빔밥');
+    await panel.getByRole('button', { name: '항목 추가' }).click();
+    await panel.getByLabel('투표 항목 3').fill('냉면');
+    await panel.getByRole('button', { name: '투표 올리기' }).click();
+
+    const poll = page.locator('.message-content.poll', { hasText: question });
+    await expect(poll).toBeVisible({ timeout: 30000 });
+    await expect(poll.locator('.poll-option')).toHaveCount(3);
+
+    // 단일 선택 투표: 다른 항목을 고르면 선택이 옮겨감
+    await poll.locator('.poll-option', { hasText: '비빔밥' }).click();
+    await expect(poll.locator('.poll-option', { hasText: '비빔밥' })).toContainText('1표 (100%)', { timeout: 30000 });
+    await poll.locator('.poll-option', { hasText: '냉면' }).click();
+    await expect(poll.locator('.poll-option', { hasText: '냉면' })).toContainText('1표', { timeout: 30000 });
+    await expect(poll.locator('.poll-option', { hasText: '비빔밥' })).toContainText('0표');
+    await expect(poll.locator('.poll-status')).toContainText('1명 참여');
+
+    // 마감 후에는 투표 불가
+    page.once('dialog', dialog => dialog.accept());
+    await poll.getByRole('button', { name: '투표 마감' }).click();
+    await expect(poll.locator('.poll-closed-label')).toBeVisible({ timeout: 30000 });
+    await expect(poll.locator('.poll-option').first()).toBeDisabled();
+  });
+
+  test('사용자 멘션 강조', async ({ browser }) => {
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(16);
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinOrCreateRoom(sender, 'Mentions');
+    const roomParam = new URLSearchParams(new URL(sender.url()).search).get('room');
+
+    const receiver = await browser.newPage();
+    const receiverCreds = helpers.generateUserCredentials(17);
+    await helpers.registerUser(receiver, receiverCreds);
+    await helpers.joinRoomByURLParam(receiver, roomParam!);
+
+    const text = `확인 부탁드려요 ${Date.now()}`;
+    await sender.locator('.chat-input-textarea').fill(`@${receiverCreds.name} ${text}`);
+    await sender.keyboard.press('Enter');
+
+    // 멘션된 사용자에게만 내 이름이 강조되어 보임
+    const receivedMessage = receiver.locator('.message-content', { hasText: text });
+    await expect(receivedMessage.locator('.mention-self')).toHaveText(`@${receiverCreds.name}`, { timeout: 30000 });
+
+    const sentMessage = sender.locator('.message-content', { hasText: text });
+    await expect(sentMessage).toBeVisible({ timeout: 30000 });
+    await expect(sentMessage.locator('.mention-self')).toHaveCount(0);
+
+    await Promise.all([sender.close(), receiver.close()]);
+  });
+
+  test('링크 미리보기 카드 표시', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(24);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'LinkPreview');
+
+    // 오프라인 환경에서는 백엔드를 LINK_PREVIEW_FETCHER=stub으로 실행
+    const url = `https://example.com/?t=${Date.now()}`;
+    await page.fill('.chat-input-textarea', `이 링크 확인해주세요 ${url}`);
+    await page.keyboard.press('Enter');
+
+    const message = page.locator('.message-group.mine', { hasText: url }).last();
+    const preview = message.locator('.link-preview');
+    await expect(preview).toBeVisible({ timeout: 30000 });
+    await expect(preview).toHaveAttribute('href', url);
+    await expect(preview.locator('.link-preview-site')).toHaveText('example.com');
+    await expect(preview.locator('.link-preview-title')).not.toBeEmpty();
+
+    // 내부 네트워크 주소는 미리보기를 만들지 않음
+    const internalUrl = `http://127.0.0.1/?t=${Date.now()}`;
+    await page.fill('.chat-input-textarea', internalUrl);
+    await page.keyboard.press('Enter');
+    const internalMessage = page.locator('.message-group.mine', { hasText: internalUrl }).last();
+    await expect(internalMessage).toBeVisible({ timeout: 30000 });
+    await page.waitForTimeout(3000);
+    await expect(internalMessage.locator('.link-preview')).toHaveCount(0);
+  });
+
+  test('다른 채팅방으로 메시지 전달', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(25);
+    await helpers.registerUser(page, creds);
+
+    const suffix = Date.now();
+    const targetRoomName = `Forward-Target-${suffix}`;
+    await helpers.createRoom(page, targetRoomName);
+    const targetRoomId = new URLSearchParams(new URL(page.url()).search).get('room');
+
+    const sourceRoomName = `Forward-Source-${suffix}`;
+    await helpers.createRoom(page, sourceRoomName);
+
+    const text = `전달할 메시지 ${suffix}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+
+    const message = page.locator('.message-group.mine', { hasText: text }).last();
+    await expect(message).toBeVisible({ timeout: 30000 });
+    await message.hover();
+    await message.getByRole('button', { name: '메시지 전달' }).click();
+
+    // 현재 채팅방은 목록에서 제외되고, 내가 참여한 다른 채팅방만 보임
+    await page.fill('.forward-dialog-search', targetRoomName);
+    const targetItem = page.locator('.forward-room-item', { hasText: targetRoomName });
+    await expect(targetItem).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.forward-room-item', { hasText: sourceRoomName })).toHaveCount(0);
+    await targetItem.click();
+    await expect(page.locator('.forward-dialog')).toHaveCount(0, { timeout: 30000 });
+
+    // 전달된 메시지에는 원본 채팅방과 작성자가 표시됨
+    await helpers.joinRoomByURLParam(page, targetRoomId!);
+    const forwarded = page.locator('.message-group', { hasText: text }).last();
+    await expect(forwarded).toBeVisible({ timeout: 30000 });
+    await expect(forwarded.locator('.message-forwarded-source')).toHaveText(`${sourceRoomName}에서 전달됨`);
+    await expect(forwarded.locator('.message-forwarded-author')).toContainText(creds.name);
+  });
+
+  test('메시지 저장과 저장한 메시지 페이지', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(26);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Bookmarks');
+
+    const text = `나중에 다시 볼 메시지 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+
+    const message = page.locator('.message-group.mine', { hasText: text }).last();
+    await expect(message).toBeVisible({ timeout: 30000 });
+    await message.hover();
+    await message.getByRole('button', { name: '메시지 저장' }).click();
+    await message.hover();
+    await expect(message.getByRole('button', { name: '저장 취소' })).toBeVisible({ timeout: 30000 });
+
+    // 저장한 메시지 페이지에서 메모와 태그 추가
+    await page.goto('/saved');
+    const item = page.locator('.saved-item', { hasText: text });
+    await expect(item).toBeVisible({ timeout: 30000 });
+    await item.getByRole('button', { name: '메모/태그 편집' }).click();
+    await item.locator('.saved-item-note-input').fill('회의 전에 확인');
+    await item.locator('.saved-item-tags-input').fill('#Todo, 회의');
+    await item.getByRole('button', { name: '저장', exact: true }).click();
+    await expect(item.locator('.saved-item-note')).toHaveText('회의 전에 확인', { timeout: 30000 });
+    await expect(item.locator('.saved-tag')).toHaveText(['#todo', '#회의']);
+
+    // 태그 필터
+    await page.locator('.saved-tag-filters .saved-tag', { hasText: '#todo' }).click();
+    await expect(page.locator('.saved-item', { hasText: text })).toBeVisible({ timeout: 30000 });
+
+    // 저장 취소하면 목록에서 사라짐
+    await item.getByRole('button', { name: '저장 취소' }).click();
+    await expect(page.locator('.saved-item', { hasText: text })).toHaveCount(0, { timeout: 30000 });
+  });
+
+  test('대화 기록 내보내기', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(27);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Export');
+
+    const text = `보관할 메시지 ${Date.now()}`;
+    await page.fill('.chat-input-textarea', text);
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-group.mine', { hasText: text }).last()).toBeVisible({ timeout: 30000 });
+
+    await page.getByRole('button', { name: '대화 기록 내보내기' }).click();
+    const panel = page.locator('.export-menu-panel');
+    await panel.getByLabel('Markdown').check();
+
+    const downloadPromise = page.waitForEvent('download');
+    await panel.getByRole('button', { name: '내보내기' }).click();
+    const download = await downloadPromise;
+
+    expect(download.suggestedFilename()).toMatch(/\.md$/);
+    const transcript = fs.readFileSync((await download.path())!, 'utf-8');
+    expect(transcript).toContain('대화 기록');
+    expect(transcript).toContain(text);
+    expect(transcript).toContain(`**${creds.name}**`);
+  });
+
+  test('메시지 연속 전송 속도 제한', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(28);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'RateLimit');
+
+    // 기본 한도(연속 15개)를 넘도록 대기 없이 전송
+    for (let i = 0; i < 20; i++) {
+      await page.fill('.chat-input-textarea', `도배 메시지 ${i}`);
+      await page.keyboard.press('Enter');
+    }
+
+    const notice = page.locator('.rate-limit-notice');
+    await expect(notice).toBeVisible({ timeout: 30000 });
+    await expect(notice).toContainText('초 후에 다시 시도해주세요');
+    await expect(page.getByRole('button', { name: '메시지 보내기' })).toBeDisabled();
+  });
+
+  test('방장이 설정한 금칙어 가리기', async ({ browser }) => {
+    const page = await browser.newPage();
+    const creds = helpers.generateUserCredentials(29);
+    await helpers.registerUser(page, creds);
+    await helpers.joinOrCreateRoom(page, 'Moderation');
+
+    await page.getByRole('button', { name: '메시지 검토' }).click();
+    const panel = page.getByRole('dialog', { name: '메시지 검토' });
+    await panel.getByRole('tab', { name: '규칙 설정' }).click();
+    await panel.getByRole('checkbox', { name: '금칙어', exact: true }).check();
+    await panel.getByLabel('금칙어 (한 줄에 하나)').fill('바나나');
+
+    const saveResponse = page.waitForResponse(response =>
+      response.url().includes('/settings') && response.request().method() === 'PATCH'
+    );
+    await panel.getByRole('button', { name: '저장' }).click();
+    expect((await saveResponse).ok()).toBeTruthy();
+    await page.getByRole('button', { name: '메시지 검토' }).click();
+
+    await page.fill('.chat-input-textarea', '오늘 바나나 먹었다');
+    await page.keyboard.press('Enter');
+    await expect(page.locator('.message-group.mine', { hasText: '오늘 ＊＊＊ 먹었다' }).last()).toBeVisible({ timeout: 30000 });
+    await expect(page.locator('.message-content', { hasText: '바나나' })).toHaveCount(0);
+  });
+});
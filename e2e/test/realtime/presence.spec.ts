@@ -22,8 +22,13 @@ test.describe('실시간 상태 테스트', () => {
     await helpers.joinRoomByURLParam(user2, user1RoomParam);
 
     // 타이핑 표시 확인
-    // await user1.fill('.chat-input-textarea', 'typing...');
-    // await expect(user2.locator('.typing-indicator')).toBeVisible();
+    await user1.fill('.chat-input-textarea', 'typing...');
+    await expect(user2.locator('.typing-indicator')).toBeVisible();
+    await expect(user2.locator('.chat-typing-indicator')).toContainText(user1Creds.name);
+
+    // 입력을 지우면 타이핑 표시 사라짐
+    await user1.fill('.chat-input-textarea', '');
+    await expect(user2.locator('.chat-typing-indicator')).toHaveCount(0);
 
     // 탭 전환 시 상태 변경 확인
     // await user1.evaluate(() => document.hidden = true);
@@ -47,4 +47,101 @@ test.describe('실시간 기능 테스트', () => {
     //   ]);
     // }
   });
-});
\ No newline at end of file
+
+  test('멘션 알림함', async ({ browser }) => {
+    const receiver = await browser.newPage();
+    const receiverCreds = helpers.generateUserCredentials(18);
+    await helpers.registerUser(receiver, receiverCreds);
+    await helpers.joinOrCreateRoom(receiver, 'Notify');
+    const roomParam = new URLSearchParams(new URL(receiver.url()).search).get('room');
+
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(19);
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinRoomByURLParam(sender, roomParam!);
+
+    // 받는 사람은 채팅방 목록으로 이동한 상태에서 알림을 받음
+    await receiver.goto('/chat-rooms');
+
+    const text = `알림 확인 ${Date.now()}`;
+    await sender.locator('.chat-input-textarea').fill(`@${receiverCreds.name} ${text}`);
+    await sender.keyboard.press('Enter');
+
+    await expect(receiver.locator('.notification-badge')).toHaveText(/\d+/, { timeout: 30000 });
+    await receiver.locator('.notification-bell button[aria-expanded]').click();
+
+    const item = receiver.locator('.notification-item.unread', { hasText: text });
+    await expect(item).toContainText(`${senderCreds.name}님이 회원님을 멘션했습니다.`);
+
+    // 알림을 누르면 해당 메시지로 이동하고 읽음 처리
+    await item.click();
+    await expect(receiver).toHaveURL(new RegExp(`room=${roomParam}`), { timeout: 30000 });
+    await expect(receiver.locator('.message-content', { hasText: text })).toBeVisible({ timeout: 30000 });
+
+    await Promise.all([receiver.close(), sender.close()]);
+  });
+
+  test('채팅방 목록의 안 읽은 메시지 표시', async ({ browser }) => {
+    const reader = await browser.newPage();
+    const readerCreds = helpers.generateUserCredentials(20);
+    await helpers.registerUser(reader, readerCreds);
+    const roomName = await helpers.joinOrCreateRoom(reader, 'Unread');
+    const roomParam = new URLSearchParams(new URL(reader.url()).search).get('room');
+
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(21);
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinRoomByURLParam(sender, roomParam!);
+
+    await reader.goto('/chat-rooms');
+    const row = reader.locator('tr', { hasText: roomName });
+    await expect(row).toBeVisible({ timeout: 30000 });
+
+    const text = `목록 미리보기 ${Date.now()}`;
+    await sender.locator('.chat-input-textarea').fill(text);
+    await sender.keyboard.press('Enter');
+
+    // 목록을 새로 불러오지 않아도 실시간으로 갱신
+    await expect(row.locator('.room-unread-badge')).toHaveText('1', { timeout: 30000 });
+    await expect(row.locator('.room-last-message')).toContainText(`${senderCreds.name}: ${text}`);
+
+    // 채팅방에 들어가 읽고 나오면 표시가 사라짐
+    await helpers.joinRoomByURLParam(reader, roomParam!);
+    await expect(reader.locator('.message-content', { hasText: text })).toBeVisible({ timeout: 30000 });
+    await reader.goto('/chat-rooms');
+    await expect(reader.locator('tr', { hasText: roomName }).locator('.room-unread-badge')).toHaveCount(0, { timeout: 30000 });
+
+    await Promise.all([reader.close(), sender.close()]);
+  });
+
+  test('읽음 커서 기반 읽음 표시', async ({ browser }) => {
+    const sender = await browser.newPage();
+    const senderCreds = helpers.generateUserCredentials(22);
+    await helpers.registerUser(sender, senderCreds);
+    await helpers.joinOrCreateRoom(sender, 'ReadCursor');
+    const roomParam = new URLSearchParams(new URL(sender.url()).search).get('room');
+
+    const reader = await browser.newPage();
+    const readerCreds = helpers.generateUserCredentials(23);
+    await helpers.registerUser(reader, readerCreds);
+    await helpers.joinRoomByURLParam(reader, roomParam!);
+    await reader.goto('/chat-rooms');
+
+    // 받는 사람이 채팅방 밖에 있는 동안 보낸 메시지는 안 읽음으로 표시
+    const texts = [`커서 첫 메시지 ${Date.now()}`, `커서 두 번째 메시지 ${Date.now()}`];
+    for (const text of texts) {
+      await sender.locator('.chat-input-textarea').fill(text);
+      await sender.keyboard.press('Enter');
+      await expect(sender.locator('.message-content', { hasText: text })).toBeVisible({ timeout: 30000 });
+    }
+    const firstMessage = sender.locator('.message-group', { hasText: texts[0] });
+    await expect(firstMessage.locator('.read-status')).toContainText('1명 안 읽음', { timeout: 30000 });
+
+    // 마지막 메시지까지 읽으면 이전 메시지도 모두 읽음으로 바뀜
+    await helpers.joinRoomByURLParam(reader, roomParam!);
+    await expect(reader.locator('.message-content', { hasText: texts[1] })).toBeVisible({ timeout: 30000 });
+    await expect(firstMessage.locator('.read-status')).toContainText('모두 읽음', { timeout: 30000 });
+
+    await Promise.all([sender.close(), reader.close()]);
+  });
+});
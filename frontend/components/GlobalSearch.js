@@ -0,0 +1,161 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Button, Text } from '@vapor-ui/core';
+import { SearchOutlineIcon, FileIcon, GroupIcon } from '@vapor-ui/icons';
+import HighlightedText from './common/HighlightedText';
+import { useGlobalSearch } from '../hooks/useGlobalSearch';
+
+const getSenderName = (message) => {
+  if (message.type === 'ai') {
+    return message.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI';
+  }
+  return message.sender?.name || '알 수 없음';
+};
+
+const GlobalSearch = () => {
+  const router = useRouter();
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const {
+    query,
+    rooms,
+    groups,
+    total,
+    hasMore,
+    loading,
+    error,
+    setQuery,
+    loadMore,
+    reset
+  } = useGlobalSearch();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const navigate = useCallback((roomId, messageId = null) => {
+    setIsOpen(false);
+    reset();
+    router.push({
+      pathname: '/chat',
+      query: messageId ? { room: roomId, message: messageId } : { room: roomId }
+    });
+  }, [router, reset]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  }, []);
+
+  // 스레드 답글은 원본 메시지 위치로 이동
+  const getTargetMessageId = (message) => message.parentMessage || message._id;
+
+  const hasQuery = query.trim().length > 0;
+  const hasResults = rooms.length > 0 || groups.length > 0;
+
+  return (
+    <div className="global-search" ref={containerRef}>
+      <div className="global-search-box">
+        <SearchOutlineIcon size={16} />
+        <input
+          type="search"
+          className="global-search-input"
+          placeholder="메시지, 파일, 채팅방 검색"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          maxLength={100}
+          aria-label="통합 검색"
+        />
+      </div>
+
+      {isOpen && hasQuery && (
+        <div className="global-search-panel" role="listbox" aria-label="검색 결과">
+          {error && <div className="global-search-empty">{error}</div>}
+          {!error && !loading && !hasResults && (
+            <div className="global-search-empty">검색 결과가 없습니다.</div>
+          )}
+
+          {rooms.length > 0 && (
+            <div className="global-search-section">
+              <Text typography="body3" className="global-search-section-title">채팅방</Text>
+              {rooms.map(room => (
+                <button
+                  type="button"
+                  key={room._id}
+                  className="global-search-item"
+                  onClick={() => navigate(room._id)}
+                >
+                  <GroupIcon size={14} />
+                  <HighlightedText text={room.snippet} highlights={room.highlights} />
+                  <span className="global-search-item-meta">{room.participantsCount}명</span>
+                </button>
+              ))}
+            </div>
+          )}
+
+          {groups.length > 0 && (
+            <div className="global-search-count">메시지 {total}건</div>
+          )}
+
+          {groups.map(group => (
+            <div key={group.room._id} className="global-search-section">
+              <Text typography="body3" className="global-search-section-title">
+                {group.room.name}
+              </Text>
+              {group.messages.map(message => (
+                <button
+                  type="button"
+                  key={message._id}
+                  className="global-search-item message"
+                  onClick={() => navigate(group.room._id, getTargetMessageId(message))}
+                >
+                  <span className="global-search-item-meta">
+                    <span className="global-search-item-author">{getSenderName(message)}</span>
+                    <span>
+                      {new Date(message.timestamp).toLocaleString('ko-KR', {
+                        year: 'numeric',
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                        hour12: false
+                      })}
+                    </span>
+                  </span>
+                  <span className="global-search-item-text">
+                    {message.matchedField === 'file' && <FileIcon size={12} />}
+                    <HighlightedText text={message.snippet} highlights={message.highlights} />
+                  </span>
+                </button>
+              ))}
+            </div>
+          ))}
+
+          {loading && <div className="global-search-empty">검색 중...</div>}
+          {hasMore && !loading && (
+            <Button size="sm" variant="ghost" onClick={loadMore} className="global-search-more">
+              더 보기
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GlobalSearch;
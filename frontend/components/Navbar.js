@@ -4,6 +4,8 @@ import Image from 'next/image';
 import { Button, Avatar, Text } from '@vapor-ui/core';
 import { Flex, HStack, Box, Container } from './ui/Layout';
 import authService from '../services/authService';
+import GlobalSearch from './GlobalSearch';
+import NotificationBell from './NotificationBell';
 
 const Navbar = () => {
   const [currentUser, setCurrentUser] = useState(null);
@@ -97,6 +99,14 @@ const Navbar = () => {
                 >
                   새 채팅방
                 </Button>
+                <Button
+                  color="primary"
+                  size="md"
+                  onClick={() => handleNavigation('/saved')}
+                >
+                  저장한 메시지
+                </Button>
+                <GlobalSearch />
               </HStack>
             )}
           </Box>
@@ -105,6 +115,9 @@ const Navbar = () => {
           <Box>
             {currentUser ? (
               <HStack gap="150" align="center">
+                {/* Notifications */}
+                <NotificationBell />
+
                 {/* Profile Image */}
                 <Avatar.Root
                   size="md"
@@ -0,0 +1,148 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { BellOnOutlineIcon } from '@vapor-ui/icons';
+import { useNotifications } from '../hooks/useNotifications';
+
+const formatNotificationTime = (value) => new Date(value).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const getNotificationText = (notification) => {
+  const actorName = notification.actor?.name || '알 수 없는 사용자';
+  switch (notification.type) {
+    case 'mention':
+      return `${actorName}님이 회원님을 멘션했습니다.`;
+    case 'reply':
+      return `${actorName}님이 회원님의 메시지에 답장했습니다.`;
+    case 'reaction':
+      return `${actorName}님이 회원님의 메시지에 ${notification.reaction} 리액션을 남겼습니다.`;
+    default:
+      return `${actorName}님의 새 알림`;
+  }
+};
+
+const NotificationBell = () => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+  const router = useRouter();
+  const {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    error,
+    loadMore,
+    markAsRead,
+    markAllAsRead
+  } = useNotifications();
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  // 스레드 답글은 원본 메시지 위치로 이동
+  const handleSelect = useCallback((notification) => {
+    setIsOpen(false);
+    if (!notification.isRead) {
+      markAsRead(notification._id);
+    }
+    router.push({
+      pathname: '/chat',
+      query: {
+        room: notification.room,
+        message: notification.parentMessage || notification.message
+      }
+    });
+  }, [markAsRead, router]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+    }
+  }, []);
+
+  return (
+    <div className="notification-bell" ref={containerRef} onKeyDown={handleKeyDown}>
+      <IconButton
+        variant="ghost"
+        size="md"
+        onClick={() => setIsOpen(prev => !prev)}
+        aria-label={unreadCount > 0 ? `알림 ${unreadCount}개 읽지 않음` : '알림'}
+        aria-expanded={isOpen}
+      >
+        <BellOnOutlineIcon size={20} />
+      </IconButton>
+      {unreadCount > 0 && (
+        <span className="notification-badge" aria-hidden="true">
+          {unreadCount > 99 ? '99+' : unreadCount}
+        </span>
+      )}
+
+      {isOpen && (
+        <div className="notification-panel" role="dialog" aria-label="알림">
+          <div className="notification-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              알림
+            </Text>
+            <Button
+              size="sm"
+              variant="ghost"
+              onClick={markAllAsRead}
+              disabled={unreadCount === 0}
+            >
+              모두 읽음
+            </Button>
+          </div>
+
+          <div className="notification-list">
+            {error && <div className="notification-empty">{error}</div>}
+            {!error && !loading && notifications.length === 0 && (
+              <div className="notification-empty">새 알림이 없습니다.</div>
+            )}
+
+            {notifications.map(notification => (
+              <button
+                type="button"
+                key={notification._id}
+                className={`notification-item ${notification.isRead ? '' : 'unread'}`}
+                onClick={() => handleSelect(notification)}
+              >
+                <span className="notification-text">{getNotificationText(notification)}</span>
+                {notification.preview && (
+                  <span className="notification-preview">{notification.preview}</span>
+                )}
+                <span className="notification-meta">
+                  {notification.roomName && <span>{notification.roomName}</span>}
+                  <span>{formatNotificationTime(notification.createdAt)}</span>
+                </span>
+              </button>
+            ))}
+
+            {loading && <div className="notification-empty">불러오는 중...</div>}
+            {hasMore && !loading && (
+              <Button size="sm" variant="ghost" className="notification-more" onClick={loadMore}>
+                이전 알림 더 보기
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(NotificationBell);
@@ -11,8 +11,15 @@ import { Flex, HStack } from "../ui/Layout";
 import MarkdownToolbar from "./MarkdownToolbar";
 import EmojiPicker from "./EmojiPicker";
 import MentionDropdown from "./MentionDropdown";
+import CommandDropdown from "./CommandDropdown";
 import FilePreview from "./FilePreview";
+import ReplyPreview from "./ReplyPreview";
+import TypingIndicator from "./TypingIndicator";
+import RateLimitNotice from "./RateLimitNotice";
+import ScheduleMessageButton from "./ScheduleMessageButton";
+import CreatePollButton from "./CreatePollButton";
 import fileService from "../../services/fileService";
+import { useSlashCommands } from "../../hooks/useSlashCommands";
 
 const ChatInput = forwardRef(
   (
@@ -36,6 +43,11 @@ const ChatInput = forwardRef(
       setMentionFilter = () => {},
       setMentionIndex = () => {},
       room = null, // room prop 추가
+      replyTarget = null,
+      onReplyCancel = () => {},
+      currentUserId = null,
+      typingUsers = [],
+      rateLimit = null,
     },
     ref
   ) => {
@@ -50,6 +62,22 @@ const ChatInput = forwardRef(
     const [uploadError, setUploadError] = useState(null);
     const [isDragging, setIsDragging] = useState(false);
     const [mentionPosition, setMentionPosition] = useState({ top: 0, left: 0 });
+    const [commandIndex, setCommandIndex] = useState(0);
+    const [commandDismissed, setCommandDismissed] = useState(false);
+    const isSendRateLimited = rateLimit?.event === "chatMessage";
+    const { suggestions: commandSuggestions, hint: commandHint } =
+      useSlashCommands(message, room, currentUserId);
+    const showCommandList =
+      !commandDismissed &&
+      !showMentionList &&
+      files.length === 0 &&
+      (commandSuggestions.length > 0 || !!commandHint);
+
+    // 입력이 바뀌면 명령어 자동완성을 다시 표시
+    useEffect(() => {
+      setCommandIndex(0);
+      setCommandDismissed(false);
+    }, [message]);
 
     const handleFileValidationAndPreview = useCallback(
       async (file) => {
@@ -112,6 +140,9 @@ const ChatInput = forwardRef(
       async (e) => {
         e?.preventDefault();
 
+        // 메시지 전송 한도를 넘은 동안에는 입력 내용을 유지하고 보내지 않음
+        if (isSendRateLimited) return;
+
         if (files.length > 0) {
           try {
             const file = files[0];
@@ -139,7 +170,7 @@ const ChatInput = forwardRef(
           setMessage("");
         }
       },
-      [files, message, onSubmit, setMessage]
+      [files, message, onSubmit, setMessage, isSendRateLimited]
     );
 
     useEffect(() => {
@@ -197,6 +228,13 @@ const ChatInput = forwardRef(
       handleFileValidationAndPreview,
     ]);
 
+    // 답장 대상을 선택하면 바로 입력할 수 있도록 포커스
+    useEffect(() => {
+      if (replyTarget && messageInputRef?.current) {
+        messageInputRef.current.focus();
+      }
+    }, [replyTarget, messageInputRef]);
+
     const calculateMentionPosition = useCallback((textarea, atIndex) => {
       // Get all text before @ symbol
       const textBeforeAt = textarea.value.slice(0, atIndex);
@@ -359,6 +397,21 @@ const ChatInput = forwardRef(
       [message, setMessage, setShowMentionList, messageInputRef]
     );
 
+    const handleCommandSelect = useCallback(
+      (suggestion) => {
+        setMessage(suggestion.insertText);
+
+        setTimeout(() => {
+          if (messageInputRef.current) {
+            const newPosition = suggestion.insertText.length;
+            messageInputRef.current.focus();
+            messageInputRef.current.setSelectionRange(newPosition, newPosition);
+          }
+        }, 0);
+      },
+      [setMessage, messageInputRef]
+    );
+
     const handleKeyDown = useCallback(
       (e) => {
         if (showMentionList) {
@@ -393,6 +446,42 @@ const ChatInput = forwardRef(
               setShowMentionList(false);
               break;
 
+            default:
+              return;
+          }
+        } else if (
+          showCommandList &&
+          (commandSuggestions.length > 0 || e.key === "Escape")
+        ) {
+          const suggestionCount = commandSuggestions.length;
+
+          switch (e.key) {
+            case "ArrowDown":
+              e.preventDefault();
+              setCommandIndex((prev) =>
+                prev < suggestionCount - 1 ? prev + 1 : 0
+              );
+              break;
+
+            case "ArrowUp":
+              e.preventDefault();
+              setCommandIndex((prev) =>
+                prev > 0 ? prev - 1 : suggestionCount - 1
+              );
+              break;
+
+            case "Tab":
+            case "Enter":
+              if (e.shiftKey || e.nativeEvent.isComposing) return;
+              e.preventDefault();
+              handleCommandSelect(commandSuggestions[commandIndex] || commandSuggestions[0]);
+              break;
+
+            case "Escape":
+              e.preventDefault();
+              setCommandDismissed(true);
+              break;
+
             default:
               return;
           }
@@ -404,6 +493,9 @@ const ChatInput = forwardRef(
           }
         } else if (e.key === "Escape" && showEmojiPicker) {
           setShowEmojiPicker(false);
+        } else if (e.key === "Escape" && replyTarget) {
+          e.preventDefault();
+          onReplyCancel();
         }
       },
       [
@@ -414,10 +506,16 @@ const ChatInput = forwardRef(
         mentionIndex,
         getFilteredParticipants,
         handleMentionSelect,
+        showCommandList,
+        commandSuggestions,
+        commandIndex,
+        handleCommandSelect,
         handleSubmit,
         setMentionIndex,
         setShowMentionList,
         setShowEmojiPicker,
+        replyTarget,
+        onReplyCancel,
         room, // room 의존성 추가
       ]
     );
@@ -546,7 +644,16 @@ const ChatInput = forwardRef(
           }}
           onDrop={handleFileDrop}
         >
+          <TypingIndicator users={typingUsers} />
+          <RateLimitNotice rateLimit={rateLimit} />
+
           <div className="chat-input">
+            <ReplyPreview
+              replyTarget={replyTarget}
+              currentUserId={currentUserId}
+              onCancel={onReplyCancel}
+            />
+
             {files.length > 0 && (
               <FilePreview
                 files={files}
@@ -566,6 +673,17 @@ const ChatInput = forwardRef(
             </div>
 
             <div className="chat-input-main" style={{ position: "relative" }}>
+              {showCommandList && (
+                <div className="command-dropdown-container">
+                  <CommandDropdown
+                    suggestions={commandSuggestions}
+                    hint={commandHint}
+                    activeIndex={commandIndex}
+                    onSelect={handleCommandSelect}
+                    onMouseEnter={setCommandIndex}
+                  />
+                </div>
+              )}
               <textarea
                 ref={messageInputRef}
                 value={message}
@@ -607,7 +725,7 @@ const ChatInput = forwardRef(
                 color="primary"
                 size="md"
                 onClick={handleSubmit}
-                disabled={isDisabled || (!message.trim() && files.length === 0)}
+                disabled={isDisabled || isSendRateLimited || (!message.trim() && files.length === 0)}
                 aria-label="메시지 보내기"
                 style={{
                   position: "absolute",
@@ -675,6 +793,16 @@ const ChatInput = forwardRef(
                 >
                   <AttachFileOutlineIcon size={20} />
                 </IconButton>
+                <ScheduleMessageButton
+                  roomId={room?._id}
+                  message={message}
+                  disabled={isDisabled || files.length > 0}
+                  onScheduled={() => setMessage("")}
+                />
+                <CreatePollButton
+                  disabled={isDisabled}
+                  onCreate={onSubmit}
+                />
                 <input
                   type="file"
                   ref={fileInputRef}
@@ -1,6 +1,8 @@
 import React, { useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { Text } from '@vapor-ui/core';
-import { SystemMessage, FileMessage, UserMessage, AIMessage } from './Message';
+import { SystemMessage, FileMessage, UserMessage, AIMessage, PollMessage, DeletedMessage, OutgoingMessage } from './Message';
+import ThreadPane from './ThreadPane';
+import { compareMessages } from '../../utils/messageCursor';
 
 // ScrollHandler 클래스 정의
 class ScrollHandler {
@@ -18,6 +20,7 @@ class ScrollHandler {
     this.scrollBehavior = { current: 'smooth' };
     this.isLoadingRef = { current: false };
     this.loadMoreTriggeredRef = { current: false };
+    this.isLoadingNewerMessages = { current: false };
 
     // Constants
     this.SCROLL_THRESHOLD = 30;
@@ -117,7 +120,7 @@ class ScrollHandler {
   }
 
   shouldScrollToBottom(newMessage, isMine) {
-    if (this.isLoadingOldMessages.current || this.isRestoringScroll.current) {
+    if (this.isLoadingOldMessages.current || this.isRestoringScroll.current || this.isLoadingNewerMessages.current) {
       return false;
     }
     return isMine || this.isNearBottom.current;
@@ -147,6 +150,9 @@ class ScrollHandler {
       hasMoreMessages,
       loadingMessages,
       onLoadMore,
+      hasNewerMessages,
+      loadingNewerMessages,
+      onLoadNewer,
       onScrollPositionChange,
       onScroll
     } = options;
@@ -184,6 +190,21 @@ class ScrollHandler {
         }
       }
 
+      // 과거 구간으로 이동한 상태에서 하단에 닿으면 이후 메시지 로드
+      if (scrollInfo.isAtBottom && hasNewerMessages && !loadingNewerMessages && !this.isLoadingNewerMessages.current) {
+        this.isLoadingNewerMessages.current = true;
+        try {
+          await onLoadNewer?.();
+        } catch (error) {
+          console.error('Load newer error:', error);
+        } finally {
+          // 새로 추가된 메시지 때문에 하단으로 자동 스크롤되지 않도록 렌더링 후 해제
+          setTimeout(() => {
+            this.isLoadingNewerMessages.current = false;
+          }, this.SCROLL_DEBOUNCE_DELAY);
+        }
+      }
+
       onScrollPositionChange?.(scrollInfo);
       onScroll?.(scrollInfo);
     }, this.SCROLL_DEBOUNCE_DELAY);
@@ -259,14 +280,42 @@ EmptyMessages.displayName = 'EmptyMessages';
 const ChatMessages = ({ 
   messages = [], 
   streamingMessages = {}, 
+  outgoingMessages = {},
   currentUser = null,
   room = null,
   loadingMessages = false,
   hasMoreMessages = true,
   onScroll = () => {},
   onLoadMore = () => {},
+  hasNewerMessages = false,
+  loadingNewerMessages = false,
+  onLoadNewer = () => {},
+  onJumpToLatest = () => {},
   onReactionAdd = () => {},
   onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  onThreadOpen = () => {},
+  onReplyStart = () => {},
+  onPinToggle = () => {},
+  onQuoteClick = () => {},
+  onPollVote = async () => null,
+  onPollClose = async () => false,
+  onPollVotesFetch = async () => null,
+  onMessageForward = null,
+  bookmarkedMessages = null,
+  onBookmarkToggle = null,
+  onMessageRetry = () => {},
+  onMessageDiscard = () => {},
+  activeThread = null,
+  threadMessages = [],
+  threadHasMore = false,
+  threadLoading = false,
+  onThreadClose = () => {},
+  onThreadLoadMore = () => {},
+  onThreadSend = async () => false,
+  onThreadReactionAdd = () => {},
+  onThreadReactionRemove = () => {},
   messagesEndRef,
   socketRef,
   scrollToBottomOnNewMessage = true,
@@ -306,10 +355,13 @@ const ChatMessages = ({
       hasMoreMessages,
       loadingMessages,
       onLoadMore,
+      hasNewerMessages,
+      loadingNewerMessages,
+      onLoadNewer,
       onScrollPositionChange,
       onScroll
     });
-  }, [hasMoreMessages, loadingMessages, onLoadMore, onScrollPositionChange, onScroll]);
+  }, [hasMoreMessages, loadingMessages, onLoadMore, hasNewerMessages, loadingNewerMessages, onLoadNewer, onScrollPositionChange, onScroll]);
 
   // 새 메시지 도착 시 스크롤 처리
   useLayoutEffect(() => {
@@ -317,7 +369,7 @@ const ChatMessages = ({
       const newMessages = messages.slice(lastMessageCountRef.current);
       const lastMessage = newMessages[newMessages.length - 1];
       
-      const shouldScroll = scrollToBottomOnNewMessage && 
+      const shouldScroll = scrollToBottomOnNewMessage && !hasNewerMessages &&
         scrollHandler.current.shouldScrollToBottom(lastMessage, isMine(lastMessage));
 
       if (shouldScroll) {
@@ -326,7 +378,7 @@ const ChatMessages = ({
 
       lastMessageCountRef.current = messages.length;
     }
-  }, [messages, scrollToBottomOnNewMessage, isMine]);
+  }, [messages, scrollToBottomOnNewMessage, hasNewerMessages, isMine]);
 
   // 과거 메시지 로드 후 스크롤 위치 복원
   useLayoutEffect(() => {
@@ -353,6 +405,14 @@ const ChatMessages = ({
     }
   }, [streamingMessages, isMine]);
 
+  // 전송 중인 내 메시지 표시 시 스크롤 처리
+  const outgoingCount = Object.keys(outgoingMessages || {}).length;
+  useEffect(() => {
+    if (outgoingCount > 0 && !hasNewerMessages) {
+      scrollHandler.current.scrollToBottom('smooth');
+    }
+  }, [outgoingCount, hasNewerMessages]);
+
   // 초기 스크롤 설정
   useLayoutEffect(() => {
     if (!initialScrollRef.current && messages.length > 0) {
@@ -387,13 +447,18 @@ const ChatMessages = ({
     if (!Array.isArray(messages)) return [];
     
     const streamingArray = Object.values(streamingMessages || {});
-    const combinedMessages = [...messages, ...streamingArray];
-
-    return combinedMessages.sort((a, b) => {
+    const sortedMessages = [...messages, ...streamingArray].sort((a, b) => {
       if (!a?.timestamp || !b?.timestamp) return 0;
-      return new Date(a.timestamp) - new Date(b.timestamp);
+      return compareMessages(a, b);
     });
-  }, [messages, streamingMessages]);
+
+    // 전송 중인 메시지는 항상 목록 맨 아래에 보낸 순서대로 표시
+    const outgoingArray = Object.values(outgoingMessages || {})
+      .filter(msg => msg.room === room?._id)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    return [...sortedMessages, ...outgoingArray];
+  }, [messages, streamingMessages, outgoingMessages, room?._id]);
 
   const renderMessage = useCallback((msg, idx) => {
     if (!msg || !SystemMessage || !FileMessage || !UserMessage || !AIMessage) {
@@ -412,15 +477,50 @@ const ChatMessages = ({
       currentUser,
       room,
       onReactionAdd,
-      onReactionRemove
+      onReactionRemove,
+      onMessageEdit,
+      onMessageDelete,
+      onThreadOpen,
+      onReplyStart,
+      onPinToggle,
+      onQuoteClick,
+      onPollVote,
+      onPollClose,
+      onPollVotesFetch,
+      onMessageForward,
+      onBookmarkToggle
     };
 
     const MessageComponent = {
       system: SystemMessage,
       file: FileMessage,
-      ai: AIMessage
+      ai: AIMessage,
+      poll: PollMessage
     }[msg.type] || UserMessage;
 
+    if (msg.clientMessageId && msg.status) {
+      return (
+        <OutgoingMessage
+          key={msg._id}
+          msg={msg}
+          currentUser={currentUser}
+          onRetry={onMessageRetry}
+          onDiscard={onMessageDiscard}
+        />
+      );
+    }
+
+    if (msg.isDeleted) {
+      return (
+        <DeletedMessage
+          key={msg._id || `msg-${idx}`}
+          msg={msg}
+          currentUser={currentUser}
+          isMine={isMine(msg)}
+        />
+      );
+    }
+
     return (
       <MessageComponent
         key={msg._id || `msg-${idx}`}
@@ -430,30 +530,70 @@ const ChatMessages = ({
         content={msg.content}
         isMine={msg.type !== 'system' ? isMine(msg) : undefined}
         isStreaming={msg.type === 'ai' ? (msg.isStreaming || false) : undefined}
+        isBookmarked={!!bookmarkedMessages?.has(msg._id)}
         messageRef={msg}
         socketRef={socketRef}
       />
     );
-  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, socketRef]);
+  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, onMessageEdit, onMessageDelete, onThreadOpen, onReplyStart, onPinToggle, onQuoteClick, onPollVote, onPollClose, onPollVotesFetch, onMessageForward, bookmarkedMessages, onBookmarkToggle, onMessageRetry, onMessageDiscard, socketRef]);
 
-  return (
-    <div 
-      className="message-list" 
-      ref={containerRef}
-      role="log"
-      aria-live="polite"
-      aria-atomic="false"
-    >
-      {loadingMessages && <LoadingIndicator text="이전 메시지를 불러오는 중..." />}
-
-      {!loadingMessages && !hasMoreMessages && messages.length > 0 && (
-        <MessageHistoryEnd />
-      )}
+  // 스레드 원본은 본문 목록의 최신 상태(수정/삭제/리액션)를 우선 사용
+  const threadParent = useMemo(() => {
+    if (!activeThread) return null;
+    return messages.find(msg => msg._id === activeThread._id) || activeThread;
+  }, [activeThread, messages]);
 
-      {allMessages.length === 0 ? (
-        <EmptyMessages />
-      ) : (
-        allMessages.map((msg, idx) => renderMessage(msg, idx))
+  return (
+    <div className={`chat-messages-layout ${threadParent ? 'with-thread' : ''}`}>
+      <div 
+        className="message-list" 
+        ref={containerRef}
+        role="log"
+        aria-live="polite"
+        aria-atomic="false"
+      >
+        {loadingMessages && <LoadingIndicator text="이전 메시지를 불러오는 중..." />}
+
+        {!loadingMessages && !hasMoreMessages && messages.length > 0 && (
+          <MessageHistoryEnd />
+        )}
+
+        {allMessages.length === 0 ? (
+          <EmptyMessages />
+        ) : (
+          allMessages.map((msg, idx) => renderMessage(msg, idx))
+        )}
+
+        {loadingNewerMessages && <LoadingIndicator text="이후 메시지를 불러오는 중..." />}
+
+        {hasNewerMessages && (
+          <button
+            type="button"
+            className="jump-to-latest"
+            onClick={onJumpToLatest}
+          >
+            최신 메시지로 이동
+          </button>
+        )}
+      </div>
+
+      {threadParent && (
+        <ThreadPane
+          parentMessage={threadParent}
+          messages={threadMessages}
+          hasMore={threadHasMore}
+          loading={threadLoading}
+          currentUser={currentUser}
+          room={room}
+          socketRef={socketRef}
+          onClose={onThreadClose}
+          onLoadMore={onThreadLoadMore}
+          onSend={onThreadSend}
+          onReactionAdd={onThreadReactionAdd}
+          onReactionRemove={onThreadReactionRemove}
+          onMessageEdit={onMessageEdit}
+          onMessageDelete={onMessageDelete}
+        />
       )}
     </div>
   );
@@ -0,0 +1,59 @@
+import React, { useCallback, memo, useRef, useEffect } from 'react';
+
+const CommandDropdown = ({
+  suggestions = [],
+  hint = null,
+  activeIndex = 0,
+  onSelect = () => {},
+  onMouseEnter = () => {}
+}) => {
+  const itemRefs = useRef([]);
+
+  // 활성 항목이 보이도록 스크롤 조정
+  useEffect(() => {
+    itemRefs.current[activeIndex]?.scrollIntoView({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const handleKeyDown = useCallback((e, suggestion) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      onSelect(suggestion);
+    }
+  }, [onSelect]);
+
+  if (!suggestions.length && !hint) return null;
+
+  return (
+    <div
+      className="command-dropdown"
+      role="listbox"
+      aria-label="명령어 목록"
+    >
+      {hint && <div className="command-hint">{hint}</div>}
+      {suggestions.map((suggestion, index) => (
+        <div
+          key={suggestion.key}
+          ref={el => itemRefs.current[index] = el}
+          role="option"
+          aria-selected={index === activeIndex}
+          tabIndex={0}
+          className={`command-item ${index === activeIndex ? 'active' : ''}`}
+          onMouseDown={(e) => e.preventDefault()}
+          onClick={() => onSelect(suggestion)}
+          onKeyDown={(e) => handleKeyDown(e, suggestion)}
+          onMouseEnter={() => onMouseEnter(index)}
+        >
+          <span className="command-name">{suggestion.label}</span>
+          {suggestion.detail && suggestion.detail !== suggestion.label && (
+            <span className="command-usage">{suggestion.detail}</span>
+          )}
+          {suggestion.description && (
+            <span className="command-description">{suggestion.description}</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default memo(CommandDropdown);
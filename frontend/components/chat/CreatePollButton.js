@@ -0,0 +1,235 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { CloseOutlineIcon, PlusOutlineIcon, ChartOutlineIcon } from '@vapor-ui/icons';
+
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
+const MAX_DURATION = 30 * 24 * 60 * 60 * 1000;
+
+// Date를 datetime-local 입력값(YYYY-MM-DDTHH:mm, 로컬 시간)으로 변환
+const toLocalInputValue = (date) => {
+  const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return localDate.toISOString().slice(0, 16);
+};
+
+const createInitialState = () => ({
+  question: '',
+  options: Array(MIN_OPTIONS).fill(''),
+  multipleChoice: false,
+  anonymous: false,
+  closesAt: ''
+});
+
+const CreatePollButton = ({
+  disabled = false,
+  onCreate = () => {}
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [form, setForm] = useState(createInitialState);
+  const [error, setError] = useState('');
+  const containerRef = useRef(null);
+  const questionRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    questionRef.current?.focus();
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+    setError('');
+  }, []);
+
+  const handleOptionChange = useCallback((index, value) => {
+    setForm(prev => ({
+      ...prev,
+      options: prev.options.map((option, i) => (i === index ? value : option))
+    }));
+  }, []);
+
+  const handleOptionAdd = useCallback(() => {
+    setForm(prev => (
+      prev.options.length >= MAX_OPTIONS
+        ? prev
+        : { ...prev, options: [...prev.options, ''] }
+    ));
+  }, []);
+
+  const handleOptionRemove = useCallback((index) => {
+    setForm(prev => (
+      prev.options.length <= MIN_OPTIONS
+        ? prev
+        : { ...prev, options: prev.options.filter((_, i) => i !== index) }
+    ));
+  }, []);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+
+    const question = form.question.trim();
+    const options = form.options.map(option => option.trim()).filter(Boolean);
+
+    if (!question) {
+      setError('투표 질문을 입력해주세요.');
+      return;
+    }
+    if (options.length < MIN_OPTIONS) {
+      setError(`투표 항목을 ${MIN_OPTIONS}개 이상 입력해주세요.`);
+      return;
+    }
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+      setError('같은 투표 항목이 중복되었습니다.');
+      return;
+    }
+
+    let closesAt;
+    if (form.closesAt) {
+      const date = new Date(form.closesAt);
+      const delay = date.getTime() - Date.now();
+      if (isNaN(date) || delay <= 0) {
+        setError('마감 시간은 현재 이후여야 합니다.');
+        return;
+      }
+      if (delay > MAX_DURATION) {
+        setError('마감 시간은 30일 이내여야 합니다.');
+        return;
+      }
+      closesAt = date.toISOString();
+    }
+
+    onCreate({
+      type: 'poll',
+      content: question,
+      poll: {
+        options,
+        multipleChoice: form.multipleChoice,
+        anonymous: form.anonymous,
+        closesAt
+      }
+    });
+
+    setForm(createInitialState());
+    setError('');
+    setIsOpen(false);
+  }, [form, onCreate]);
+
+  return (
+    <div className="create-poll" ref={containerRef}>
+      <IconButton
+        variant="ghost"
+        size="md"
+        onClick={() => (isOpen ? handleClose() : setIsOpen(true))}
+        disabled={disabled}
+        aria-label="투표 만들기"
+        aria-expanded={isOpen}
+      >
+        <ChartOutlineIcon size={20} />
+      </IconButton>
+
+      {isOpen && (
+        <div className="create-poll-panel" role="dialog" aria-label="투표 만들기">
+          <div className="create-poll-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              투표 만들기
+            </Text>
+            <IconButton size="sm" variant="ghost" onClick={handleClose} aria-label="투표 만들기 닫기">
+              <CloseOutlineIcon size={16} />
+            </IconButton>
+          </div>
+
+          <form className="create-poll-form" onSubmit={handleSubmit}>
+            <input
+              ref={questionRef}
+              type="text"
+              value={form.question}
+              onChange={(e) => setForm(prev => ({ ...prev, question: e.target.value }))}
+              maxLength={300}
+              placeholder="질문을 입력하세요"
+              aria-label="투표 질문"
+            />
+
+            <div className="create-poll-options">
+              {form.options.map((option, index) => (
+                <div key={index} className="create-poll-option">
+                  <input
+                    type="text"
+                    value={option}
+                    onChange={(e) => handleOptionChange(index, e.target.value)}
+                    maxLength={100}
+                    placeholder={`항목 ${index + 1}`}
+                    aria-label={`투표 항목 ${index + 1}`}
+                  />
+                  {form.options.length > MIN_OPTIONS && (
+                    <IconButton
+                      size="sm"
+                      variant="ghost"
+                      onClick={() => handleOptionRemove(index)}
+                      aria-label={`투표 항목 ${index + 1} 삭제`}
+                    >
+                      <CloseOutlineIcon size={14} />
+                    </IconButton>
+                  )}
+                </div>
+              ))}
+              {form.options.length < MAX_OPTIONS && (
+                <Button type="button" size="sm" variant="ghost" onClick={handleOptionAdd}>
+                  <PlusOutlineIcon size={14} />
+                  항목 추가
+                </Button>
+              )}
+            </div>
+
+            <label className="create-poll-checkbox">
+              <input
+                type="checkbox"
+                checked={form.multipleChoice}
+                onChange={(e) => setForm(prev => ({ ...prev, multipleChoice: e.target.checked }))}
+              />
+              복수 선택 허용
+            </label>
+            <label className="create-poll-checkbox">
+              <input
+                type="checkbox"
+                checked={form.anonymous}
+                onChange={(e) => setForm(prev => ({ ...prev, anonymous: e.target.checked }))}
+              />
+              익명 투표
+            </label>
+            <label className="create-poll-deadline">
+              마감 시간 (선택)
+              <input
+                type="datetime-local"
+                value={form.closesAt}
+                min={toLocalInputValue(new Date())}
+                onChange={(e) => setForm(prev => ({ ...prev, closesAt: e.target.value }))}
+                aria-label="투표 마감 시간"
+              />
+            </label>
+
+            {error && (
+              <Text typography="body3" className="create-poll-error">
+                {error}
+              </Text>
+            )}
+
+            <Button type="submit" size="sm">
+              투표 올리기
+            </Button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(CreatePollButton);
@@ -0,0 +1,110 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Text } from '@vapor-ui/core';
+import { TimeIcon } from '@vapor-ui/icons';
+import axiosInstance from '../../services/axios';
+import { Toast } from '../Toast';
+
+const TTL_OPTIONS = [
+  { value: null, label: '끄기' },
+  { value: 3600, label: '1시간' },
+  { value: 86400, label: '1일' },
+  { value: 604800, label: '7일' }
+];
+
+const getTtlLabel = (ttl) => (
+  TTL_OPTIONS.find(option => option.value === ttl)?.label || '끄기'
+);
+
+const DisappearingMessagesMenu = ({
+  room = null,
+  currentUserId = null
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const containerRef = useRef(null);
+
+  const ttl = room?.disappearingMessageTtl || null;
+  const creatorId = room?.creator?._id || room?.creator;
+  const isOwner = !!currentUserId && creatorId === currentUserId;
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  // 변경된 설정은 roomUpdate 이벤트로 모든 참여자에게 반영된다
+  const handleSelect = useCallback(async (value) => {
+    if (!room?._id || saving || value === ttl) {
+      setIsOpen(false);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await axiosInstance.patch(`/api/rooms/${room._id}/settings`, {
+        disappearingMessageTtl: value
+      });
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Disappearing messages update error:', error);
+      Toast.error(error.response?.data?.message || '사라지는 메시지 설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  }, [room?._id, saving, ttl]);
+
+  if (!isOwner && !ttl) return null;
+
+  return (
+    <div className="disappearing-menu" ref={containerRef}>
+      <button
+        type="button"
+        className={`disappearing-menu-toggle ${ttl ? 'enabled' : ''} ${isOpen ? 'active' : ''}`}
+        onClick={() => isOwner && setIsOpen(prev => !prev)}
+        disabled={!isOwner}
+        title={ttl ? `메시지가 ${getTtlLabel(ttl)} 뒤 사라집니다` : '사라지는 메시지'}
+        aria-label="사라지는 메시지"
+        aria-expanded={isOpen}
+      >
+        <TimeIcon size={16} />
+        {ttl && <span className="disappearing-menu-label">{getTtlLabel(ttl)}</span>}
+      </button>
+
+      {isOpen && (
+        <div className="disappearing-menu-panel" role="menu" aria-label="사라지는 메시지 설정">
+          <div className="disappearing-menu-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              사라지는 메시지
+            </Text>
+            <Text typography="body3" color="neutral-weak">
+              이후 보내는 메시지가 선택한 시간 뒤 삭제됩니다.
+            </Text>
+          </div>
+          {TTL_OPTIONS.map(option => (
+            <button
+              key={option.label}
+              type="button"
+              role="menuitemradio"
+              aria-checked={option.value === ttl}
+              className={`disappearing-menu-option ${option.value === ttl ? 'selected' : ''}`}
+              onClick={() => handleSelect(option.value)}
+              disabled={saving}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(DisappearingMessagesMenu);
@@ -0,0 +1,252 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, Text } from '@vapor-ui/core';
+import { ExportOutlineIcon } from '@vapor-ui/icons';
+import axiosInstance from '../../services/axios';
+import socketService from '../../services/socket';
+import { Toast } from '../Toast';
+
+const FORMAT_OPTIONS = [
+  { value: 'json', label: 'JSON' },
+  { value: 'markdown', label: 'Markdown' },
+  { value: 'html', label: 'HTML' }
+];
+
+const STATUS_LABELS = {
+  pending: '대기 중',
+  processing: '준비 중',
+  completed: '완료',
+  failed: '실패'
+};
+
+const formatExportTime = (value) => new Date(value).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// Content-Disposition의 filename*(UTF-8) 또는 filename 값을 사용
+const getDownloadFileName = (contentDisposition, fallback) => {
+  const encoded = contentDisposition?.match(/filename\*=UTF-8''([^;]+)/i)?.[1];
+  if (encoded) return decodeURIComponent(encoded);
+  return contentDisposition?.match(/filename="([^"]+)"/i)?.[1] || fallback;
+};
+
+const saveBlob = (blob, fileName) => {
+  const blobUrl = window.URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = blobUrl;
+  link.download = fileName;
+  link.style.display = 'none';
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => window.URL.revokeObjectURL(blobUrl), 100);
+};
+
+// blob으로 받은 오류 응답에서 서버 메시지를 꺼냄
+const getBlobErrorMessage = async (error, fallback) => {
+  try {
+    const data = error.response?.data;
+    if (data instanceof Blob) {
+      return JSON.parse(await data.text()).message || fallback;
+    }
+    return data?.message || fallback;
+  } catch (parseError) {
+    return fallback;
+  }
+};
+
+const ExportTranscriptMenu = ({ room = null }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('markdown');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [exporting, setExporting] = useState(false);
+  const [recentExports, setRecentExports] = useState([]);
+  const containerRef = useRef(null);
+  const roomId = room?._id;
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const fetchRecentExports = useCallback(async () => {
+    if (!roomId) return;
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/exports`);
+      setRecentExports(response.data?.data || []);
+    } catch (error) {
+      console.error('Room exports fetch error:', error);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    if (isOpen) fetchRecentExports();
+  }, [isOpen, fetchRecentExports]);
+
+  const downloadExport = useCallback(async (exportId) => {
+    try {
+      const response = await axiosInstance.get(
+        `/api/rooms/${roomId}/exports/${exportId}/download`,
+        { responseType: 'blob' }
+      );
+      saveBlob(response.data, getDownloadFileName(response.headers['content-disposition'], 'transcript'));
+    } catch (error) {
+      console.error('Room export download error:', error);
+      Toast.error(await getBlobErrorMessage(error, '내보내기 파일을 다운로드하지 못했습니다.'));
+    }
+  }, [roomId]);
+
+  // 백그라운드 작업이 끝나면 개인 채널로 알림을 받음
+  useEffect(() => {
+    if (!roomId) return;
+
+    return socketService.onNotificationEvent((event, data) => {
+      if (event !== 'roomExportUpdated' || data?.export?.room !== roomId) return;
+
+      setRecentExports(prev => [
+        data.export,
+        ...prev.filter(item => item._id !== data.export._id)
+      ]);
+
+      if (data.export.status === 'completed') {
+        Toast.success('대화 기록이 준비되었습니다. 눌러서 다운로드하세요.', {
+          duration: 10000,
+          onClick: () => downloadExport(data.export._id)
+        });
+      } else if (data.export.status === 'failed') {
+        Toast.error(data.export.error || '대화 기록을 내보내지 못했습니다.');
+      }
+    });
+  }, [roomId, downloadExport]);
+
+  const handleExport = useCallback(async (e) => {
+    e.preventDefault();
+    if (!roomId || exporting) return;
+
+    try {
+      setExporting(true);
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/export`, {
+        // 날짜는 내 시간대 기준 하루 전체로 변환해서 전달
+        params: {
+          format,
+          ...(from && { from: new Date(`${from}T00:00:00`).toISOString() }),
+          ...(to && { to: new Date(`${to}T23:59:59.999`).toISOString() })
+        },
+        responseType: 'blob'
+      });
+
+      // 메시지가 많으면 서버가 백그라운드 작업으로 전환
+      if (response.status === 202) {
+        const result = JSON.parse(await response.data.text());
+        setRecentExports(prev => [result.data.export, ...prev]);
+        Toast.info(result.message);
+        return;
+      }
+
+      saveBlob(response.data, getDownloadFileName(response.headers['content-disposition'], 'transcript'));
+      setIsOpen(false);
+    } catch (error) {
+      console.error('Room export error:', error);
+      Toast.error(await getBlobErrorMessage(error, '대화 기록을 내보내지 못했습니다.'));
+    } finally {
+      setExporting(false);
+    }
+  }, [roomId, exporting, format, from, to]);
+
+  if (!roomId) return null;
+
+  return (
+    <div className="export-menu" ref={containerRef}>
+      <button
+        type="button"
+        className={`disappearing-menu-toggle ${isOpen ? 'active' : ''}`}
+        onClick={() => setIsOpen(prev => !prev)}
+        title="대화 기록 내보내기"
+        aria-label="대화 기록 내보내기"
+        aria-expanded={isOpen}
+      >
+        <ExportOutlineIcon size={16} />
+      </button>
+
+      {isOpen && (
+        <div className="export-menu-panel" role="dialog" aria-label="대화 기록 내보내기">
+          <form className="export-menu-form" onSubmit={handleExport}>
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              대화 기록 내보내기
+            </Text>
+
+            <div className="export-menu-formats" role="radiogroup" aria-label="형식">
+              {FORMAT_OPTIONS.map(option => (
+                <label key={option.value} className="export-menu-format">
+                  <input
+                    type="radio"
+                    name="export-format"
+                    value={option.value}
+                    checked={format === option.value}
+                    onChange={() => setFormat(option.value)}
+                  />
+                  {option.label}
+                </label>
+              ))}
+            </div>
+
+            <div className="export-menu-range">
+              <label>
+                시작일
+                <input type="date" value={from} max={to || undefined} onChange={(e) => setFrom(e.target.value)} />
+              </label>
+              <label>
+                종료일
+                <input type="date" value={to} min={from || undefined} onChange={(e) => setTo(e.target.value)} />
+              </label>
+            </div>
+
+            <Button type="submit" size="sm" color="primary" disabled={exporting}>
+              {exporting ? '내보내는 중...' : '내보내기'}
+            </Button>
+          </form>
+
+          {recentExports.length > 0 && (
+            <div className="export-menu-recent">
+              <Text typography="body3" color="neutral-weak">최근 백그라운드 내보내기</Text>
+              {recentExports.map(item => (
+                <div key={item._id} className={`export-menu-job ${item.status}`}>
+                  <span>
+                    {FORMAT_OPTIONS.find(option => option.value === item.format)?.label}
+                    {' · '}
+                    {formatExportTime(item.createdAt)}
+                  </span>
+                  {item.status === 'completed' ? (
+                    <button
+                      type="button"
+                      className="export-menu-download"
+                      onClick={() => downloadExport(item._id)}
+                    >
+                      다운로드
+                    </button>
+                  ) : (
+                    <span className="export-menu-status">{STATUS_LABELS[item.status]}</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(ExportTranscriptMenu);
@@ -1,7 +1,8 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ForwardMessageDialog from './ForwardMessageDialog';
 import ReadStatus from '../ReadStatus';
 
 const AIMessage = ({ 
@@ -11,10 +12,19 @@ const AIMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onReplyStart,
+  onPinToggle,
+  isBookmarked = false,
+  onBookmarkToggle,
+  onMessageForward,
   room = null,
   messageRef,
   socketRef
 }) => {
+  const [showForward, setShowForward] = useState(false);
+
   const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
@@ -49,7 +59,7 @@ const AIMessage = ({
   };
 
   return (
-    <div className="message-group yours">
+    <div className="message-group yours" data-message-id={msg._id}>
       <div className="message-sender-info">
         <PersistentAvatar 
           user={aiUser}
@@ -75,6 +85,8 @@ const AIMessage = ({
               participants={room.participants}
               readers={msg.readers}
               messageId={msg._id}
+              messageTimestamp={msg.timestamp}
+              roomId={msg.room}
               messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
@@ -92,7 +104,26 @@ const AIMessage = ({
         onReactionRemove={onReactionRemove}
         isMine={isMine}
         room={room}
+        onDelete={isStreaming ? null : onMessageDelete}
+        threadReplyCount={msg.threadReplyCount}
+        threadLastReplyAt={msg.threadLastReplyAt}
+        onOpenThread={onThreadOpen && !isStreaming ? () => onThreadOpen(msg) : null}
+        onReply={onReplyStart && !isStreaming ? () => onReplyStart(msg) : null}
+        isPinned={!!msg.isPinned}
+        onPinToggle={onPinToggle && !isStreaming ? () => onPinToggle(msg._id, !!msg.isPinned) : null}
+        isBookmarked={isBookmarked}
+        onBookmarkToggle={onBookmarkToggle && !isStreaming ? () => onBookmarkToggle(msg._id) : null}
+        onForward={onMessageForward && !isStreaming ? () => setShowForward(true) : null}
       />
+
+      {showForward && (
+        <ForwardMessageDialog
+          isOpen={showForward}
+          onClose={() => setShowForward(false)}
+          msg={msg}
+          onForward={onMessageForward}
+        />
+      )}
     </div>
   );
 };
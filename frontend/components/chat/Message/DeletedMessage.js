@@ -0,0 +1,54 @@
+import React from 'react';
+import PersistentAvatar from '../../common/PersistentAvatar';
+
+const DeletedMessage = ({
+  msg = {},
+  isMine = false,
+  currentUser = null
+}) => {
+  const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
+
+  const user = isMine ? currentUser : msg.sender;
+  const senderName = isMine
+    ? '나'
+    : msg.type === 'ai'
+      ? (msg.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
+      : msg.sender?.name;
+
+  return (
+    <div className="messages" data-message-id={msg._id}>
+      <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
+        <div className="message-sender-info">
+          {user && (
+            <PersistentAvatar
+              user={user}
+              size="lg"
+              showInitials={true}
+            />
+          )}
+          <span className="sender-name">{senderName}</span>
+        </div>
+        <div className={`message-bubble message-deleted ${isMine ? 'message-mine' : 'message-other'} last`}>
+          <div className="message-content">
+            삭제된 메시지입니다.
+          </div>
+          <div className="message-footer">
+            <div className="message-time mr-3">
+              {formattedTime}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(DeletedMessage);
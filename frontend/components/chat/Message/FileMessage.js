@@ -9,11 +9,16 @@ import {
   ExternalLinkIcon as ExternalLink,
   DownloadIcon as Download,
   ErrorCircleIcon as AlertCircle,
+  PinSetIcon,
+  TimeIcon,
 } from "@vapor-ui/icons";
 import { Button, Text, Callout } from "@vapor-ui/core";
 import PersistentAvatar from "../../common/PersistentAvatar";
 import MessageContent from "./MessageContent";
 import MessageActions from "./MessageActions";
+import MessageQuote from "./MessageQuote";
+import MessageForwardedFrom from "./MessageForwardedFrom";
+import ForwardMessageDialog from "./ForwardMessageDialog";
 import ReadStatus from "../ReadStatus";
 import fileService from "../../../services/fileService";
 import authService from "../../../services/authService";
@@ -24,12 +29,27 @@ const FileMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onReplyStart,
+  onPinToggle,
+  isBookmarked = false,
+  onBookmarkToggle,
+  onQuoteClick,
+  onMessageForward,
   room = null,
   messageRef,
   socketRef,
 }) => {
   const [error, setError] = useState(null);
   const [previewUrl, setPreviewUrl] = useState("");
+  const [showForward, setShowForward] = useState(false);
+
+  // 나를 멘션한 메시지면 본문에서 내 이름을 강조
+  const selfMentionName =
+    currentUser?.id && msg.mentions?.includes(currentUser.id)
+      ? currentUser.name
+      : null;
 
   useEffect(() => {
     if (msg?.file) {
@@ -349,7 +369,7 @@ const FileMessage = ({
   };
 
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? "mine" : "yours"}`}>
         <div className="message-sender-info">
           {renderAvatar()}
@@ -362,6 +382,8 @@ const FileMessage = ({
             isMine ? "message-mine" : "message-other"
           } last file-message`}
         >
+          <MessageForwardedFrom forwardedFrom={msg.forwardedFrom} />
+          <MessageQuote replyTo={msg.replyTo} onClick={onQuoteClick} />
           <div className="message-content">
             {error && (
               <Callout
@@ -384,7 +406,11 @@ const FileMessage = ({
             {renderFilePreview()}
             {msg.content && (
               <div className="mt-3">
-                <MessageContent content={msg.content} />
+                <MessageContent
+                  content={msg.content}
+                  selfMentionName={selfMentionName}
+                  linkPreviews={msg.metadata?.linkPreviews}
+                />
               </div>
             )}
           </div>
@@ -395,11 +421,26 @@ const FileMessage = ({
             >
               {formattedTime}
             </div>
+            {msg.isPinned && (
+              <span className="message-pinned-label" title="고정된 메시지">
+                <PinSetIcon size={12} />
+              </span>
+            )}
+            {msg.expiresAt && (
+              <span
+                className="message-expiry-label"
+                title={`${new Date(msg.expiresAt).toLocaleString("ko-KR")}에 사라짐`}
+              >
+                <TimeIcon size={12} />
+              </span>
+            )}
             <ReadStatus
               messageType={msg.type}
               participants={room.participants}
               readers={msg.readers}
               messageId={msg._id}
+              messageTimestamp={msg.timestamp}
+              roomId={msg.room}
               messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
@@ -415,8 +456,27 @@ const FileMessage = ({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          onDelete={onMessageDelete}
+          threadReplyCount={msg.threadReplyCount}
+          threadLastReplyAt={msg.threadLastReplyAt}
+          onOpenThread={onThreadOpen ? () => onThreadOpen(msg) : null}
+          onReply={onReplyStart ? () => onReplyStart(msg) : null}
+          isPinned={!!msg.isPinned}
+          onPinToggle={onPinToggle ? () => onPinToggle(msg._id, !!msg.isPinned) : null}
+          isBookmarked={isBookmarked}
+          onBookmarkToggle={onBookmarkToggle ? () => onBookmarkToggle(msg._id) : null}
+          onForward={onMessageForward ? () => setShowForward(true) : null}
         />
       </div>
+
+      {showForward && (
+        <ForwardMessageDialog
+          isOpen={showForward}
+          onClose={() => setShowForward(false)}
+          msg={msg}
+          onForward={onMessageForward}
+        />
+      )}
     </div>
   );
 };
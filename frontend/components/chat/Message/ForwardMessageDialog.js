@@ -0,0 +1,121 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Text } from '@vapor-ui/core';
+import { LockIcon, GroupIcon } from '@vapor-ui/icons';
+import { Modal } from '../../ui/Modal';
+import axiosInstance from '../../../services/axios';
+
+const ROOM_PAGE_SIZE = 50;
+const SEARCH_DEBOUNCE_DELAY = 300;
+
+// 내가 참여 중인 다른 채팅방을 골라 메시지를 전달
+const ForwardMessageDialog = ({
+  isOpen = false,
+  onClose,
+  msg = {},
+  onForward
+}) => {
+  const [rooms, setRooms] = useState([]);
+  const [search, setSearch] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [forwardingRoomId, setForwardingRoomId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await axiosInstance.get('/api/rooms', {
+          params: {
+            joined: true,
+            pageSize: ROOM_PAGE_SIZE,
+            sortField: 'name',
+            sortOrder: 'asc',
+            ...(search.trim() && { search: search.trim() })
+          }
+        });
+        if (cancelled) return;
+        setRooms((response.data?.data || []).filter(room => room._id !== msg.room));
+      } catch (error) {
+        if (cancelled) return;
+        console.error('Forward room list error:', error);
+        setError('채팅방 목록을 불러오지 못했습니다.');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, search ? SEARCH_DEBOUNCE_DELAY : 0);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [isOpen, search, msg.room]);
+
+  const handleSelect = useCallback(async (room) => {
+    if (forwardingRoomId) return;
+
+    setForwardingRoomId(room._id);
+    const forwarded = await onForward?.(msg._id, room);
+    setForwardingRoomId(null);
+
+    if (forwarded) {
+      onClose?.();
+    }
+  }, [forwardingRoomId, onForward, msg._id, onClose]);
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="메시지 전달" size="sm">
+      <div className="forward-dialog">
+        <input
+          type="search"
+          className="forward-dialog-search"
+          placeholder="채팅방 검색"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          aria-label="전달할 채팅방 검색"
+          autoFocus
+        />
+
+        <div className="forward-room-list" role="listbox" aria-label="전달할 채팅방">
+          {error && <div className="forward-empty">{error}</div>}
+          {!error && loading && rooms.length === 0 && (
+            <div className="forward-empty">불러오는 중...</div>
+          )}
+          {!error && !loading && rooms.length === 0 && (
+            <div className="forward-empty">전달할 수 있는 채팅방이 없습니다.</div>
+          )}
+
+          {rooms.map(room => (
+            <button
+              type="button"
+              key={room._id}
+              role="option"
+              aria-selected={forwardingRoomId === room._id}
+              className="forward-room-item"
+              onClick={() => handleSelect(room)}
+              disabled={!!forwardingRoomId}
+            >
+              <span className="forward-room-name">
+                {room.hasPassword && <LockIcon size={14} />}
+                {room.name}
+              </span>
+              <span className="forward-room-meta">
+                <GroupIcon size={14} />
+                {room.participants?.length || 0}
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <Text typography="body3" style={{ color: 'var(--vapor-color-text-muted)' }}>
+          원본 채팅방과 작성자 정보가 함께 표시됩니다.
+        </Text>
+      </div>
+    </Modal>
+  );
+};
+
+export default ForwardMessageDialog;
@@ -0,0 +1,47 @@
+import React, { useState } from 'react';
+
+// 서버에서 수집한 링크 미리보기(OpenGraph/트위터 카드) 카드
+const LinkPreviewCard = ({ preview }) => {
+  const [imageFailed, setImageFailed] = useState(false);
+
+  return (
+    <a
+      href={preview.url}
+      target="_blank"
+      rel="noopener noreferrer"
+      className="link-preview"
+    >
+      {preview.image && !imageFailed && (
+        <img
+          src={preview.image}
+          alt=""
+          className="link-preview-image"
+          loading="lazy"
+          referrerPolicy="no-referrer"
+          onError={() => setImageFailed(true)}
+        />
+      )}
+      <div className="link-preview-body">
+        {preview.siteName && <span className="link-preview-site">{preview.siteName}</span>}
+        <span className="link-preview-title">{preview.title}</span>
+        {preview.description && (
+          <span className="link-preview-description">{preview.description}</span>
+        )}
+      </div>
+    </a>
+  );
+};
+
+const LinkPreview = ({ previews = [] }) => {
+  if (!previews?.length) return null;
+
+  return (
+    <div className="link-previews">
+      {previews.map(preview => (
+        <LinkPreviewCard key={preview.url} preview={preview} />
+      ))}
+    </div>
+  );
+};
+
+export default React.memo(LinkPreview);
@@ -1,6 +1,6 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import ReactDOM from 'react-dom';
-import { LikeIcon, CopyIcon } from '@vapor-ui/icons';
+import { LikeIcon, CopyIcon, EditIcon, HistoryOutlineIcon, TrashIcon, DiscussionOutlineIcon, ReplyOutlineIcon, PinSetIcon, PinSetOutlineIcon, ShareOutlineIcon, BookmarkIcon, BookmarkOutlineIcon } from '@vapor-ui/icons';
 import { Button, IconButton } from '@vapor-ui/core';
 import EmojiPicker from '../EmojiPicker';
 import { Toast } from '../../Toast';
@@ -13,7 +13,19 @@ const MessageActions = ({
   onReactionAdd,
   onReactionRemove,
   isMine = false,
-  room = null
+  room = null,
+  onEdit = null,
+  onShowHistory = null,
+  onDelete = null,
+  threadReplyCount = 0,
+  threadLastReplyAt = null,
+  onOpenThread = null,
+  onReply = null,
+  isPinned = false,
+  onPinToggle = null,
+  onForward = null,
+  isBookmarked = false,
+  onBookmarkToggle = null
 }) => {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [tooltipStates, setTooltipStates] = useState({});
@@ -53,6 +65,16 @@ const MessageActions = ({
     }
   }, [messageContent]);
 
+  // 작성자 본인 또는 방장만 삭제 가능
+  const isRoomOwner = !!currentUserId &&
+    String(room?.creator?._id || room?.creator || '') === String(currentUserId);
+  const canDelete = !!onDelete && (isMine || isRoomOwner);
+
+  const handleDelete = useCallback(() => {
+    if (!window.confirm('이 메시지를 삭제하시겠습니까?')) return;
+    onDelete?.(messageId);
+  }, [messageId, onDelete]);
+
   const handleReactionSelect = useCallback((emoji) => {
     try {
       const emojiChar = emoji.native || emoji;
@@ -196,9 +218,39 @@ const MessageActions = ({
     return { top, left };
   }, []);
 
+  const renderThreadSummary = () => {
+    if (!onOpenThread || !threadReplyCount) return null;
+
+    const lastReplyTime = threadLastReplyAt
+      ? new Date(threadLastReplyAt).toLocaleString('ko-KR', {
+          month: 'short',
+          day: 'numeric',
+          hour: '2-digit',
+          minute: '2-digit',
+          hour12: false
+        })
+      : null;
+
+    return (
+      <button
+        type="button"
+        className="thread-summary"
+        onClick={onOpenThread}
+        aria-label={`답글 ${threadReplyCount}개 보기`}
+      >
+        <DiscussionOutlineIcon size={14} />
+        <span className="thread-summary-count">답글 {threadReplyCount}개</span>
+        {lastReplyTime && (
+          <span className="thread-summary-time">마지막 답글 {lastReplyTime}</span>
+        )}
+      </button>
+    );
+  };
+
   return (
     <div className={`flex flex-col ${isMine ? 'items-end' : 'items-start'}`} ref={containerRef}>
       {renderReactions()}
+      {renderThreadSummary()}
       
       <div className={`message-actions-wrapper ${isMine ? 'mine' : ''}`}>
         <div className="message-actions" style={{ display: 'flex', alignItems: 'center', gap: 'var(--vapor-space-100)' }}>
@@ -248,6 +300,88 @@ const MessageActions = ({
           >
             <CopyIcon size={16} />
           </IconButton>
+          {onReply && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onReply}
+              aria-label="답장"
+            >
+              <ReplyOutlineIcon size={16} />
+            </IconButton>
+          )}
+          {onOpenThread && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onOpenThread}
+              aria-label="스레드에서 답글"
+            >
+              <DiscussionOutlineIcon size={16} />
+            </IconButton>
+          )}
+          {onForward && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onForward}
+              aria-label="메시지 전달"
+            >
+              <ShareOutlineIcon size={16} />
+            </IconButton>
+          )}
+          {onPinToggle && (
+            <IconButton
+              size="sm"
+              variant={isPinned ? 'solid' : 'outline'}
+              onClick={onPinToggle}
+              aria-label={isPinned ? '고정 해제' : '메시지 고정'}
+            >
+              {isPinned ? <PinSetIcon size={16} /> : <PinSetOutlineIcon size={16} />}
+            </IconButton>
+          )}
+          {onBookmarkToggle && (
+            <IconButton
+              size="sm"
+              variant={isBookmarked ? 'solid' : 'outline'}
+              onClick={onBookmarkToggle}
+              aria-label={isBookmarked ? '저장 취소' : '메시지 저장'}
+              aria-pressed={isBookmarked}
+            >
+              {isBookmarked ? <BookmarkIcon size={16} /> : <BookmarkOutlineIcon size={16} />}
+            </IconButton>
+          )}
+          {isMine && onEdit && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onEdit}
+              aria-label="메시지 수정"
+            >
+              <EditIcon size={16} />
+            </IconButton>
+          )}
+          {onShowHistory && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onShowHistory}
+              aria-label="수정 기록 보기"
+            >
+              <HistoryOutlineIcon size={16} />
+            </IconButton>
+          )}
+          {canDelete && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              color="danger"
+              onClick={handleDelete}
+              aria-label="메시지 삭제"
+            >
+              <TrashIcon size={16} />
+            </IconButton>
+          )}
         </div>
       </div>
     </div>
@@ -262,7 +396,19 @@ MessageActions.defaultProps = {
   onReactionAdd: () => {},
   onReactionRemove: () => {},
   isMine: false,
-  room: null
+  room: null,
+  onEdit: null,
+  onShowHistory: null,
+  onDelete: null,
+  threadReplyCount: 0,
+  threadLastReplyAt: null,
+  onOpenThread: null,
+  onReply: null,
+  isPinned: false,
+  onPinToggle: null,
+  onForward: null,
+  isBookmarked: false,
+  onBookmarkToggle: null
 };
 
 export default React.memo(MessageActions);
\ No newline at end of file
@@ -8,8 +8,13 @@ import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { CopyIcon, CorrectOutlineIcon } from '@vapor-ui/icons';
 import { Text } from '@vapor-ui/core';
 import { Toast } from '../../Toast';
+import LinkPreview from './LinkPreview';
 
-const MessageContent = ({ content, isAI = false }) => {
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// selfMentionName: 현재 사용자가 멘션된 메시지일 때 강조할 사용자 이름
+// linkPreviews: 본문 URL의 미리보기 (message.metadata.linkPreviews)
+const MessageContent = ({ content, isAI = false, selfMentionName = null, linkPreviews = null }) => {
   const [copyingMap, setCopyingMap] = useState(new Map());
 
   // 복사 기능 구현
@@ -35,7 +40,11 @@ const MessageContent = ({ content, isAI = false }) => {
 
   // 멘션 패턴을 찾아서 React 엘리먼트로 변환하는 함수
   const renderContentWithMentions = useMemo(() => (text) => {
-    const mentionPattern = /@(wayneAI|consultingAI|[\w.-]+)/g;
+    // 이름에 공백이나 한글이 있어도 내 이름 전체가 하나의 멘션으로 잡히도록 먼저 비교
+    const selfPattern = selfMentionName
+      ? `${escapeRegExp(selfMentionName)}(?![\\p{L}\\p{N}_])|`
+      : '';
+    const mentionPattern = new RegExp(`@(${selfPattern}wayneAI|consultingAI|[\\w.-]+)`, 'gu');
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -55,9 +64,11 @@ const MessageContent = ({ content, isAI = false }) => {
         ? (mentionedName === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
         : mentionedName;
 
+      const isSelfMention = !!selfMentionName && mentionedName === selfMentionName;
+
       const mentionClass = isAIMention 
         ? `mention mention-bot ${mentionedName === 'wayneAI' ? 'mention-wayne' : 'mention-consulting'}`
-        : 'mention mention-user';
+        : `mention mention-user${isSelfMention ? ' mention-self' : ''}`;
 
       parts.push(
         <span
@@ -80,7 +91,7 @@ const MessageContent = ({ content, isAI = false }) => {
     }
 
     return parts;
-  }, []);
+  }, [selfMentionName]);
 
   // 마크다운 렌더링을 위한 커스텀 컴포넌트
   const components = useMemo(() => ({
@@ -237,12 +248,10 @@ const MessageContent = ({ content, isAI = false }) => {
   }
 
   // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
-  if (isPlainText && content.includes('@')) {
-    return <Text typography="body2" className="message-text">{renderContentWithMentions(content)}</Text>;
-  }
-
-  // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
-  return (
+  // 그 외 마크다운 콘텐츠의 경우 ReactMarkdown 사용
+  const body = isPlainText && content.includes('@') ? (
+    <Text typography="body2" className="message-text">{renderContentWithMentions(content)}</Text>
+  ) : (
     <ReactMarkdown
       remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
       components={components}
@@ -250,6 +259,17 @@ const MessageContent = ({ content, isAI = false }) => {
       {content}
     </ReactMarkdown>
   );
+
+  if (!linkPreviews?.length) {
+    return body;
+  }
+
+  return (
+    <>
+      {body}
+      <LinkPreview previews={linkPreviews} />
+    </>
+  );
 };
 
 export default React.memo(MessageContent);
\ No newline at end of file
@@ -0,0 +1,111 @@
+import React, { useState, useMemo, useEffect } from 'react';
+import { Button, Text, Badge } from '@vapor-ui/core';
+import { Modal } from '../../ui/Modal';
+import MessageContent from './MessageContent';
+
+const formatEditTime = (date) => new Date(date).toLocaleString('ko-KR', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const MessageEditHistory = ({
+  isOpen = false,
+  onClose,
+  msg = {},
+  room = null,
+  currentUserId = null
+}) => {
+  // editHistory에는 수정 직전의 내용이 쌓이므로, 각 버전의 작성 시각/작성자는 직전 수정 기록에서 가져온다
+  const versions = useMemo(() => {
+    const history = msg.editHistory || [];
+    if (history.length === 0) return [];
+
+    const participantMap = new Map(
+      (room?.participants || []).map(p => [String(p._id || p.id), p.name])
+    );
+
+    const getEditorName = (userId) => {
+      const userIdStr = String(userId?._id || userId);
+      if (userIdStr === String(currentUserId)) return '나';
+      return participantMap.get(userIdStr) || msg.sender?.name || '알 수 없는 사용자';
+    };
+
+    const contents = [...history.map(entry => entry.content), msg.content];
+
+    return contents.map((content, index) => {
+      const previousEdit = index > 0 ? history[index - 1] : null;
+      return {
+        content,
+        timestamp: previousEdit ? previousEdit.editedAt : msg.timestamp,
+        author: previousEdit ? getEditorName(previousEdit.editedBy) : getEditorName(msg.sender),
+        isOriginal: index === 0,
+        isCurrent: index === contents.length - 1
+      };
+    });
+  }, [msg.editHistory, msg.content, msg.timestamp, msg.sender, room?.participants, currentUserId]);
+
+  const [selectedIndex, setSelectedIndex] = useState(0);
+
+  // 모달을 열 때마다 최신 버전부터 보여준다
+  useEffect(() => {
+    if (isOpen) {
+      setSelectedIndex(Math.max(0, versions.length - 1));
+    }
+  }, [isOpen, versions.length]);
+
+  const selected = versions[selectedIndex];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="수정 기록" size="md">
+      {!selected ? (
+        <Text typography="body2">수정 기록이 없습니다.</Text>
+      ) : (
+        <div style={{ display: 'flex', flexDirection: 'column', gap: 'var(--vapor-space-200)' }}>
+          <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <div style={{ display: 'flex', alignItems: 'center', gap: 'var(--vapor-space-100)' }}>
+              <Text typography="subtitle2">
+                버전 {selectedIndex + 1} / {versions.length}
+              </Text>
+              {selected.isOriginal && <Badge color="secondary" size="sm">원본</Badge>}
+              {selected.isCurrent && <Badge color="primary" size="sm">현재</Badge>}
+            </div>
+            <Text typography="body3" style={{ color: 'var(--vapor-color-text-muted)' }}>
+              {selected.author} · {formatEditTime(selected.timestamp)}
+            </Text>
+          </div>
+
+          <div className="message-edit-history-content">
+            <MessageContent content={selected.content} />
+          </div>
+
+          <div style={{ display: 'flex', justifyContent: 'space-between' }}>
+            <Button
+              size="sm"
+              variant="outline"
+              color="secondary"
+              disabled={selectedIndex === 0}
+              onClick={() => setSelectedIndex(prev => Math.max(0, prev - 1))}
+            >
+              이전 버전
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              color="secondary"
+              disabled={selectedIndex === versions.length - 1}
+              onClick={() => setSelectedIndex(prev => Math.min(versions.length - 1, prev + 1))}
+            >
+              다음 버전
+            </Button>
+          </div>
+        </div>
+      )}
+    </Modal>
+  );
+};
+
+export default MessageEditHistory;
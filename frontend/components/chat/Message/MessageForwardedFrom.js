@@ -0,0 +1,41 @@
+import React from 'react';
+import { useRouter } from 'next/router';
+import { ShareOutlineIcon } from '@vapor-ui/icons';
+
+const formatForwardTime = (date) => new Date(date).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// 다른 채팅방에서 전달된 메시지의 원본 정보 (누르면 원본 위치로 이동)
+const MessageForwardedFrom = ({ forwardedFrom }) => {
+  const router = useRouter();
+  if (!forwardedFrom?.messageId) return null;
+
+  const handleClick = () => {
+    router.push(`/chat?room=${forwardedFrom.roomId}&message=${forwardedFrom.messageId}`);
+  };
+
+  return (
+    <button
+      type="button"
+      className="message-forwarded"
+      onClick={handleClick}
+      aria-label={`${forwardedFrom.roomName} 채팅방의 원본 메시지로 이동`}
+    >
+      <ShareOutlineIcon size={12} />
+      <span className="message-forwarded-source">
+        {forwardedFrom.roomName}에서 전달됨
+      </span>
+      <span className="message-forwarded-author">
+        {forwardedFrom.senderName || '알 수 없는 사용자'}
+        {forwardedFrom.timestamp && ` · ${formatForwardTime(forwardedFrom.timestamp)}`}
+      </span>
+    </button>
+  );
+};
+
+export default React.memo(MessageForwardedFrom);
@@ -0,0 +1,25 @@
+import React from 'react';
+
+const getQuoteText = (replyTo) => {
+  if (replyTo.isDeleted) return '삭제된 메시지입니다.';
+  if (replyTo.content) return replyTo.content;
+  return replyTo.type === 'file' ? '파일' : '';
+};
+
+const MessageQuote = ({ replyTo, onClick }) => {
+  if (!replyTo?.messageId) return null;
+
+  return (
+    <button
+      type="button"
+      className={`message-quote ${replyTo.isDeleted ? 'deleted' : ''}`}
+      onClick={() => onClick?.(replyTo.messageId)}
+      aria-label={`${replyTo.senderName}님의 메시지로 이동`}
+    >
+      <span className="message-quote-author">{replyTo.senderName}</span>
+      <span className="message-quote-text">{getQuoteText(replyTo)}</span>
+    </button>
+  );
+};
+
+export default React.memo(MessageQuote);
@@ -0,0 +1,72 @@
+import React from 'react';
+import { Button } from '@vapor-ui/core';
+import { TimeIcon } from '@vapor-ui/icons';
+import MessageContent from './MessageContent';
+import MessageQuote from './MessageQuote';
+import PersistentAvatar from '../../common/PersistentAvatar';
+
+// 서버 응답을 기다리는 중이거나 전송에 실패한 내 메시지
+const OutgoingMessage = ({
+  msg = {},
+  currentUser = null,
+  onRetry,
+  onDiscard
+}) => {
+  const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
+
+  const isFailed = msg.status === 'failed';
+
+  return (
+    <div className="messages" data-client-message-id={msg.clientMessageId}>
+      <div className="message-group mine">
+        <div className="message-sender-info">
+          {currentUser && (
+            <PersistentAvatar
+              user={currentUser}
+              size="lg"
+              showInitials={true}
+            />
+          )}
+          <span className="sender-name">나</span>
+        </div>
+        <div className={`message-bubble message-mine message-outgoing ${msg.status} last`}>
+          <MessageQuote replyTo={msg.replyTo} />
+          <div className="message-content">
+            <MessageContent content={msg.content} />
+          </div>
+          <div className="message-footer">
+            <div className="message-time mr-3">
+              {formattedTime}
+            </div>
+            {isFailed ? (
+              <div className="message-delivery-status failed" role="alert" title={msg.error || undefined}>
+                <span>전송 실패</span>
+                <Button size="sm" variant="ghost" onClick={() => onRetry?.(msg.clientMessageId)}>
+                  다시 보내기
+                </Button>
+                <Button size="sm" variant="ghost" onClick={() => onDiscard?.(msg.clientMessageId)}>
+                  삭제
+                </Button>
+              </div>
+            ) : (
+              <div className="message-delivery-status pending" aria-live="polite">
+                <TimeIcon size={12} />
+                <span>전송 중</span>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(OutgoingMessage);
@@ -0,0 +1,268 @@
+import React, { useMemo, useState, useCallback, useEffect } from 'react';
+import { Button } from '@vapor-ui/core';
+import { PinSetIcon, TimeIcon } from '@vapor-ui/icons';
+import MessageActions from './MessageActions';
+import MessageQuote from './MessageQuote';
+import PersistentAvatar from '../../common/PersistentAvatar';
+import ReadStatus from '../ReadStatus';
+import { generateColorFromEmail, getContrastTextColor } from '../../../utils/colorUtils';
+
+// setTimeout 최대 지연 (약 24.8일)
+const MAX_TIMER_DELAY = 2147483647;
+
+const PollMessage = ({
+  msg = {},
+  isMine = false,
+  currentUser = null,
+  onReactionAdd,
+  onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onReplyStart,
+  onPinToggle,
+  isBookmarked = false,
+  onBookmarkToggle,
+  onQuoteClick,
+  onPollVote,
+  onPollClose,
+  onPollVotesFetch,
+  room = null,
+  messageRef,
+  socketRef
+}) => {
+  const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
+
+  const avatarStyles = useMemo(() => {
+    const email = isMine ? currentUser?.email : msg.sender?.email;
+    if (!email) return {};
+    const backgroundColor = generateColorFromEmail(email);
+    const color = getContrastTextColor(backgroundColor);
+    return { backgroundColor, color };
+  }, [isMine, currentUser?.email, msg.sender?.email]);
+
+  const user = isMine ? currentUser : msg.sender;
+  const poll = msg.poll || { options: [] };
+  const currentUserId = currentUser?.id;
+
+  // 마감 시간이 지나면 다시 렌더링해 닫힌 상태로 표시
+  const [now, setNow] = useState(() => Date.now());
+  const closesAtTime = poll.closesAt ? new Date(poll.closesAt).getTime() : null;
+  const isClosed = !!poll.closedAt || (closesAtTime !== null && closesAtTime <= now);
+
+  useEffect(() => {
+    if (poll.closedAt || closesAtTime === null) return;
+    const delay = closesAtTime - Date.now();
+    if (delay <= 0 || delay > MAX_TIMER_DELAY) return;
+
+    const timer = setTimeout(() => setNow(Date.now()), delay);
+    return () => clearTimeout(timer);
+  }, [poll.closedAt, closesAtTime]);
+
+  // 실명 투표는 집계에 포함된 투표자 목록으로, 익명 투표는 서버에 내 선택을 조회
+  const namedVotes = useMemo(() => {
+    if (poll.anonymous || !currentUserId) return [];
+    return poll.options
+      .filter(option => option.voters?.some(voter => voter.toString() === currentUserId))
+      .map(option => option._id);
+  }, [poll.anonymous, poll.options, currentUserId]);
+
+  const [anonymousVotes, setAnonymousVotes] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  useEffect(() => {
+    if (!poll.anonymous || !msg._id || !onPollVotesFetch) return;
+    let cancelled = false;
+    onPollVotesFetch(msg._id).then(votes => {
+      if (!cancelled && votes) setAnonymousVotes(votes);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [poll.anonymous, msg._id, onPollVotesFetch]);
+
+  const myVotes = poll.anonymous ? anonymousVotes : namedVotes;
+
+  const participantNames = useMemo(() => {
+    const names = new Map();
+    (room?.participants || []).forEach(participant => {
+      names.set(participant._id?.toString() || participant.toString(), participant.name);
+    });
+    return names;
+  }, [room?.participants]);
+
+  const totalVotes = poll.options.reduce((sum, option) => sum + (option.voteCount || 0), 0);
+  const creatorId = room?.creator?._id || room?.creator;
+  const canClose = !isClosed && (isMine || (!!currentUserId && creatorId === currentUserId));
+
+  const handleOptionClick = useCallback(async (optionId) => {
+    if (isClosed || isSubmitting || !onPollVote) return;
+
+    const selected = myVotes.includes(optionId);
+    let nextVotes;
+    if (poll.multipleChoice) {
+      nextVotes = selected
+        ? myVotes.filter(id => id !== optionId)
+        : [...myVotes, optionId];
+    } else {
+      nextVotes = selected ? [] : [optionId];
+    }
+
+    setIsSubmitting(true);
+    const votes = await onPollVote(msg._id, nextVotes);
+    if (votes && poll.anonymous) {
+      setAnonymousVotes(votes);
+    }
+    setIsSubmitting(false);
+  }, [isClosed, isSubmitting, onPollVote, myVotes, poll.multipleChoice, poll.anonymous, msg._id]);
+
+  const handleClose = useCallback(() => {
+    if (!window.confirm('투표를 마감하시겠습니까? 마감 후에는 더 이상 투표할 수 없습니다.')) return;
+    onPollClose?.(msg._id);
+  }, [onPollClose, msg._id]);
+
+  const getVoterNames = (option) => {
+    if (poll.anonymous || !option.voters?.length) return '';
+    return option.voters
+      .map(voter => participantNames.get(voter.toString()) || '알 수 없는 사용자')
+      .join(', ');
+  };
+
+  const pollStatus = [
+    `${poll.voterCount || 0}명 참여`,
+    poll.multipleChoice ? '복수 선택' : '단일 선택',
+    poll.anonymous ? '익명' : null
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <div className="messages" data-message-id={msg._id}>
+      <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
+        <div className="message-sender-info">
+          <PersistentAvatar
+            user={user}
+            size="lg"
+            style={avatarStyles}
+            showInitials={true}
+          />
+          <span className="sender-name">
+            {isMine ? '나' : msg.sender?.name}
+          </span>
+        </div>
+        <div className={`message-bubble ${isMine ? 'message-mine' : 'message-other'} last relative group`}>
+          <MessageQuote replyTo={msg.replyTo} onClick={onQuoteClick} />
+          <div className={`message-content poll ${isClosed ? 'closed' : ''}`}>
+            <div className="poll-question">{msg.content}</div>
+            <div
+              className="poll-options"
+              role={poll.multipleChoice ? 'group' : 'radiogroup'}
+              aria-label={msg.content}
+            >
+              {poll.options.map(option => {
+                const selected = myVotes.includes(option._id);
+                const percent = totalVotes > 0
+                  ? Math.round(((option.voteCount || 0) / totalVotes) * 100)
+                  : 0;
+                const voterNames = getVoterNames(option);
+
+                return (
+                  <button
+                    key={option._id}
+                    type="button"
+                    className={`poll-option ${selected ? 'selected' : ''}`}
+                    role={poll.multipleChoice ? 'checkbox' : 'radio'}
+                    aria-checked={selected}
+                    disabled={isClosed || isSubmitting}
+                    onClick={() => handleOptionClick(option._id)}
+                    title={voterNames || undefined}
+                  >
+                    <span className="poll-option-bar" style={{ width: `${percent}%` }} />
+                    <span className="poll-option-text">{option.text}</span>
+                    <span className="poll-option-count">
+                      {option.voteCount || 0}표 ({percent}%)
+                    </span>
+                    {voterNames && (
+                      <span className="poll-option-voters">{voterNames}</span>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+            <div className="poll-meta">
+              <span className="poll-status">{pollStatus}</span>
+              {isClosed ? (
+                <span className="poll-closed-label">마감됨</span>
+              ) : poll.closesAt && (
+                <span className="poll-deadline">
+                  {new Date(poll.closesAt).toLocaleString('ko-KR')} 마감
+                </span>
+              )}
+              {canClose && (
+                <Button size="sm" variant="outline" color="secondary" onClick={handleClose}>
+                  투표 마감
+                </Button>
+              )}
+            </div>
+          </div>
+          <div className="message-footer">
+            <div className="message-time mr-3">
+              {formattedTime}
+            </div>
+            {msg.isPinned && (
+              <span className="message-pinned-label" title="고정된 메시지">
+                <PinSetIcon size={12} />
+              </span>
+            )}
+            {msg.expiresAt && (
+              <span
+                className="message-expiry-label"
+                title={`${new Date(msg.expiresAt).toLocaleString('ko-KR')}에 사라짐`}
+              >
+                <TimeIcon size={12} />
+              </span>
+            )}
+            <ReadStatus
+              messageType={msg.type}
+              participants={room.participants}
+              readers={msg.readers}
+              messageId={msg._id}
+              messageTimestamp={msg.timestamp}
+              roomId={msg.room}
+              messageRef={messageRef}
+              currentUserId={currentUser.id}
+              socketRef={socketRef}
+            />
+          </div>
+        </div>
+
+        <MessageActions
+          messageId={msg._id}
+          messageContent={msg.content}
+          reactions={msg.reactions}
+          currentUserId={currentUser?.id}
+          onReactionAdd={onReactionAdd}
+          onReactionRemove={onReactionRemove}
+          isMine={isMine}
+          room={room}
+          onDelete={onMessageDelete}
+          threadReplyCount={msg.threadReplyCount}
+          threadLastReplyAt={msg.threadLastReplyAt}
+          onOpenThread={onThreadOpen ? () => onThreadOpen(msg) : null}
+          onReply={onReplyStart ? () => onReplyStart(msg) : null}
+          isPinned={!!msg.isPinned}
+          onPinToggle={onPinToggle ? () => onPinToggle(msg._id, !!msg.isPinned) : null}
+          isBookmarked={isBookmarked}
+          onBookmarkToggle={onBookmarkToggle ? () => onBookmarkToggle(msg._id) : null}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(PollMessage);
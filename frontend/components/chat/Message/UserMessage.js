@@ -1,6 +1,12 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useCallback, useRef, useEffect } from 'react';
+import { Button } from '@vapor-ui/core';
+import { PinSetIcon, TimeIcon } from '@vapor-ui/icons';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import MessageEditHistory from './MessageEditHistory';
+import MessageQuote from './MessageQuote';
+import MessageForwardedFrom from './MessageForwardedFrom';
+import ForwardMessageDialog from './ForwardMessageDialog';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import ReadStatus from '../ReadStatus';
 import { generateColorFromEmail, getContrastTextColor } from '../../../utils/colorUtils';
@@ -11,6 +17,15 @@ const UserMessage = ({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageEdit,
+  onMessageDelete,
+  onThreadOpen,
+  onReplyStart,
+  onPinToggle,
+  isBookmarked = false,
+  onBookmarkToggle,
+  onQuoteClick,
+  onMessageForward,
   room = null,
   messageRef,
   socketRef
@@ -36,8 +51,62 @@ const UserMessage = ({
 
   const user = isMine ? currentUser : msg.sender;
 
+  // 나를 멘션한 메시지면 본문에서 내 이름을 강조
+  const selfMentionName = currentUser?.id && msg.mentions?.includes(currentUser.id)
+    ? currentUser.name
+    : null;
+
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const [showHistory, setShowHistory] = useState(false);
+  const [showForward, setShowForward] = useState(false);
+  const editInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isEditing && editInputRef.current) {
+      const input = editInputRef.current;
+      input.focus();
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }, [isEditing]);
+
+  const handleEditStart = useCallback(() => {
+    setEditContent(msg.content || '');
+    setIsEditing(true);
+  }, [msg.content]);
+
+  const handleEditCancel = useCallback(() => {
+    setIsEditing(false);
+    setEditContent('');
+  }, []);
+
+  const handleEditSave = useCallback(async () => {
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent || trimmedContent === msg.content) {
+      handleEditCancel();
+      return;
+    }
+
+    const success = await onMessageEdit?.(msg._id, trimmedContent);
+    if (success !== false) {
+      handleEditCancel();
+    }
+  }, [editContent, msg._id, msg.content, onMessageEdit, handleEditCancel]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleEditSave();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      handleEditCancel();
+    }
+  }, [handleEditSave, handleEditCancel]);
+
+  const hasEditHistory = msg.isEdited && msg.editHistory?.length > 0;
+
   return (
-    <div className="messages">
+    <div className="messages" data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           <PersistentAvatar
@@ -51,18 +120,80 @@ const UserMessage = ({
           </span>
         </div>
         <div className={`message-bubble ${isMine ? 'message-mine' : 'message-other'} last relative group`}>
+          <MessageForwardedFrom forwardedFrom={msg.forwardedFrom} />
+          <MessageQuote replyTo={msg.replyTo} onClick={onQuoteClick} />
           <div className="message-content">
-            <MessageContent content={msg.content} />
+            {isEditing ? (
+              <div className="message-edit-form">
+                <textarea
+                  ref={editInputRef}
+                  className="message-edit-input"
+                  value={editContent}
+                  onChange={(e) => setEditContent(e.target.value)}
+                  onKeyDown={handleEditKeyDown}
+                  rows={Math.min(editContent.split('\n').length, 8)}
+                  aria-label="메시지 수정"
+                />
+                <div className="message-edit-actions">
+                  <Button size="sm" variant="outline" color="secondary" onClick={handleEditCancel}>
+                    취소
+                  </Button>
+                  <Button size="sm" color="primary" onClick={handleEditSave} disabled={!editContent.trim()}>
+                    저장
+                  </Button>
+                </div>
+              </div>
+            ) : msg.metadata?.command === 'me' ? (
+              <div className="message-me">
+                <span className="message-me-name">{msg.sender?.name}</span>
+                <MessageContent
+                  content={msg.content}
+                  selfMentionName={selfMentionName}
+                  linkPreviews={msg.metadata?.linkPreviews}
+                />
+              </div>
+            ) : (
+              <MessageContent
+                content={msg.content}
+                selfMentionName={selfMentionName}
+                linkPreviews={msg.metadata?.linkPreviews}
+              />
+            )}
           </div>
           <div className="message-footer">
             <div className="message-time mr-3">
               {formattedTime}
             </div>
+            {msg.isPinned && (
+              <span className="message-pinned-label" title="고정된 메시지">
+                <PinSetIcon size={12} />
+              </span>
+            )}
+            {msg.expiresAt && (
+              <span
+                className="message-expiry-label"
+                title={`${new Date(msg.expiresAt).toLocaleString('ko-KR')}에 사라짐`}
+              >
+                <TimeIcon size={12} />
+              </span>
+            )}
+            {msg.isEdited && (
+              <button
+                type="button"
+                className="message-edited"
+                onClick={() => hasEditHistory && setShowHistory(true)}
+                title={msg.editedAt ? new Date(msg.editedAt).toLocaleString('ko-KR') : undefined}
+              >
+                (수정됨)
+              </button>
+            )}
             <ReadStatus 
               messageType={msg.type}
               participants={room.participants}
               readers={msg.readers}
               messageId={msg._id}
+              messageTimestamp={msg.timestamp}
+              roomId={msg.room}
               messageRef={messageRef}
               currentUserId={currentUser.id}
               socketRef={socketRef}
@@ -79,8 +210,39 @@ const UserMessage = ({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          onDelete={onMessageDelete}
+          threadReplyCount={msg.threadReplyCount}
+          threadLastReplyAt={msg.threadLastReplyAt}
+          onOpenThread={onThreadOpen ? () => onThreadOpen(msg) : null}
+          onReply={onReplyStart ? () => onReplyStart(msg) : null}
+          isPinned={!!msg.isPinned}
+          onPinToggle={onPinToggle ? () => onPinToggle(msg._id, !!msg.isPinned) : null}
+          isBookmarked={isBookmarked}
+          onBookmarkToggle={onBookmarkToggle ? () => onBookmarkToggle(msg._id) : null}
+          onEdit={isMine && !isEditing ? handleEditStart : null}
+          onShowHistory={hasEditHistory ? () => setShowHistory(true) : null}
+          onForward={onMessageForward ? () => setShowForward(true) : null}
         />
       </div>
+
+      {hasEditHistory && (
+        <MessageEditHistory
+          isOpen={showHistory}
+          onClose={() => setShowHistory(false)}
+          msg={msg}
+          room={room}
+          currentUserId={currentUser?.id}
+        />
+      )}
+
+      {showForward && (
+        <ForwardMessageDialog
+          isOpen={showForward}
+          onClose={() => setShowForward(false)}
+          msg={msg}
+          onForward={onMessageForward}
+        />
+      )}
     </div>
   );
 };
@@ -91,6 +253,7 @@ UserMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageEdit: () => {},
   room: null
 };
 
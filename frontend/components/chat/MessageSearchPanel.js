@@ -0,0 +1,201 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { SearchOutlineIcon, CloseOutlineIcon, DiscussionOutlineIcon } from '@vapor-ui/icons';
+import HighlightedText from '../common/HighlightedText';
+import { useMessageSearch } from '../../hooks/useMessageSearch';
+
+const TYPE_OPTIONS = [
+  { value: '', label: '전체 유형' },
+  { value: 'text', label: '텍스트' },
+  { value: 'file', label: '파일' },
+  { value: 'ai', label: 'AI' }
+];
+
+const getSenderName = (result, currentUserId) => {
+  if (result.type === 'ai') {
+    return result.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI';
+  }
+  if (result.sender?._id === currentUserId) {
+    return '나';
+  }
+  return result.sender?.name || '알 수 없음';
+};
+
+const MessageSearchPanel = ({
+  room = null,
+  currentUserId = null,
+  onJump = () => {},
+  onOpenThread = () => {}
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const inputRef = useRef(null);
+  const {
+    query,
+    filters,
+    results,
+    total,
+    hasMore,
+    loading,
+    error,
+    searched,
+    setQuery,
+    updateFilter,
+    search,
+    loadMore,
+    reset
+  } = useMessageSearch(room?._id);
+
+  useEffect(() => {
+    if (isOpen) {
+      inputRef.current?.focus();
+    }
+  }, [isOpen]);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+    reset();
+  }, [reset]);
+
+  const handleSubmit = useCallback((e) => {
+    e.preventDefault();
+    search();
+  }, [search]);
+
+  // 스레드 답글은 스레드를 열고, 일반 메시지는 본문에서 해당 위치로 이동
+  const handleResultClick = useCallback((result) => {
+    if (result.parentMessage) {
+      onOpenThread({ _id: result.parentMessage });
+      return;
+    }
+    onJump(result._id);
+  }, [onJump, onOpenThread]);
+
+  return (
+    <div className="message-search">
+      <IconButton
+        size="sm"
+        variant={isOpen ? 'solid' : 'outline'}
+        onClick={() => (isOpen ? handleClose() : setIsOpen(true))}
+        aria-label="메시지 검색"
+        aria-expanded={isOpen}
+      >
+        <SearchOutlineIcon size={16} />
+      </IconButton>
+
+      {isOpen && (
+        <div className="message-search-panel" role="dialog" aria-label="메시지 검색">
+          <div className="message-search-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              메시지 검색
+            </Text>
+            <IconButton size="sm" variant="ghost" onClick={handleClose} aria-label="검색 닫기">
+              <CloseOutlineIcon size={16} />
+            </IconButton>
+          </div>
+
+          <form className="message-search-form" onSubmit={handleSubmit}>
+            <input
+              ref={inputRef}
+              type="search"
+              className="message-search-input"
+              placeholder="검색어를 입력하세요"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              maxLength={100}
+            />
+            <div className="message-search-filters">
+              <select
+                value={filters.sender}
+                onChange={(e) => updateFilter('sender', e.target.value)}
+                aria-label="보낸 사람"
+              >
+                <option value="">모든 사람</option>
+                {(room?.participants || []).map(participant => (
+                  <option key={participant._id} value={participant._id}>
+                    {participant.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={filters.type}
+                onChange={(e) => updateFilter('type', e.target.value)}
+                aria-label="메시지 유형"
+              >
+                {TYPE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+              <input
+                type="date"
+                value={filters.from}
+                onChange={(e) => updateFilter('from', e.target.value)}
+                aria-label="시작 날짜"
+              />
+              <input
+                type="date"
+                value={filters.to}
+                onChange={(e) => updateFilter('to', e.target.value)}
+                aria-label="종료 날짜"
+              />
+            </div>
+            <Button type="submit" size="sm" disabled={!query.trim() || loading}>
+              검색
+            </Button>
+          </form>
+
+          <div className="message-search-results">
+            {error && <div className="message-search-empty">{error}</div>}
+            {!error && searched && results.length === 0 && !loading && (
+              <div className="message-search-empty">검색 결과가 없습니다.</div>
+            )}
+            {searched && results.length > 0 && (
+              <div className="message-search-count">검색 결과 {total}건</div>
+            )}
+            {results.map(result => (
+              <button
+                type="button"
+                key={result._id}
+                className="message-search-item"
+                onClick={() => handleResultClick(result)}
+              >
+                <span className="message-search-item-meta">
+                  <span className="message-search-item-author">
+                    {getSenderName(result, currentUserId)}
+                  </span>
+                  <span>
+                    {new Date(result.timestamp).toLocaleString('ko-KR', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric',
+                      hour: '2-digit',
+                      minute: '2-digit',
+                      hour12: false
+                    })}
+                  </span>
+                  {result.parentMessage && (
+                    <span className="message-search-item-thread">
+                      <DiscussionOutlineIcon size={12} /> 스레드
+                    </span>
+                  )}
+                </span>
+                <HighlightedText
+                  className="message-search-item-text"
+                  text={result.snippet}
+                  highlights={result.highlights}
+                />
+              </button>
+            ))}
+            {loading && <div className="message-search-empty">검색 중...</div>}
+            {hasMore && !loading && (
+              <Button size="sm" variant="ghost" onClick={loadMore} className="message-search-more">
+                더 보기
+              </Button>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(MessageSearchPanel);
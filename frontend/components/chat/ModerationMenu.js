@@ -0,0 +1,409 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, Text } from '@vapor-ui/core';
+import { WarningIcon } from '@vapor-ui/icons';
+import axiosInstance from '../../services/axios';
+import socketService from '../../services/socket';
+import { Toast } from '../Toast';
+
+const ACTION_LABELS = {
+  block: '차단',
+  mask: '가리기',
+  flag: '검토 요청'
+};
+
+const LINK_MODE_OPTIONS = [
+  { value: 'blocklist', label: '목록의 링크 금지' },
+  { value: 'allowlist', label: '목록의 링크만 허용' }
+];
+
+const formatFlagTime = (value) => new Date(value).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const splitLines = (value) => value.split(/[\n,]/).map(item => item.trim()).filter(Boolean);
+
+// 서버 설정을 입력 폼 값으로 변환 (설정하지 않은 규칙은 기본 옵션으로 채움)
+const toDraft = (rule) => {
+  const options = rule.config?.options || rule.defaultOptions || {};
+  return {
+    enabled: !!rule.config?.enabled,
+    action: rule.config?.action || rule.actions[0],
+    words: (options.words || []).join('\n'),
+    mode: options.mode || 'blocklist',
+    domains: (options.domains || []).join('\n'),
+    maxRepeats: options.maxRepeats ?? 3,
+    windowSeconds: options.windowSeconds ?? 60,
+    json: JSON.stringify(options, null, 2)
+  };
+};
+
+// 입력 폼 값을 규칙 옵션으로 변환 (내장 규칙 외에는 JSON으로 입력)
+const toOptions = (name, draft) => {
+  switch (name) {
+    case 'wordFilter':
+      return { words: splitLines(draft.words) };
+    case 'linkFilter':
+      return { mode: draft.mode, domains: splitLines(draft.domains) };
+    case 'spamFilter':
+      return {
+        maxRepeats: parseInt(draft.maxRepeats, 10),
+        windowSeconds: parseInt(draft.windowSeconds, 10)
+      };
+    default:
+      return JSON.parse(draft.json || '{}');
+  }
+};
+
+const ModerationMenu = ({
+  room = null,
+  currentUserId = null,
+  onJump = () => {}
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [tab, setTab] = useState('queue');
+  const [flags, setFlags] = useState([]);
+  const [pendingCount, setPendingCount] = useState(0);
+  const [rules, setRules] = useState([]);
+  const [drafts, setDrafts] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [reviewingId, setReviewingId] = useState(null);
+  const containerRef = useRef(null);
+
+  const roomId = room?._id;
+  const creatorId = room?.creator?._id || room?.creator;
+  const isOwner = !!currentUserId && creatorId === currentUserId;
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const fetchRules = useCallback(async () => {
+    if (!roomId || !isOwner) return;
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/moderation`);
+      const data = response.data?.data;
+      setRules(data?.rules || []);
+      setDrafts(Object.fromEntries((data?.rules || []).map(rule => [rule.name, toDraft(rule)])));
+      setPendingCount(data?.pendingCount || 0);
+    } catch (error) {
+      console.error('Moderation settings fetch error:', error);
+    }
+  }, [roomId, isOwner]);
+
+  const fetchQueue = useCallback(async () => {
+    if (!roomId || !isOwner) return;
+    try {
+      setLoading(true);
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/moderation/queue`);
+      setFlags(response.data?.data?.flags || []);
+      setPendingCount(response.data?.data?.pendingCount || 0);
+    } catch (error) {
+      console.error('Moderation queue fetch error:', error);
+      Toast.error(error.response?.data?.message || '검토 대기열을 불러오지 못했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId, isOwner]);
+
+  // 대기 중인 검토 수는 패널을 열지 않아도 버튼에 표시
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  useEffect(() => {
+    if (isOpen && tab === 'queue') fetchQueue();
+  }, [isOpen, tab, fetchQueue]);
+
+  useEffect(() => {
+    if (!roomId || !isOwner) return;
+
+    return socketService.onNotificationEvent((event, data) => {
+      if (event !== 'moderationQueueUpdated' || data?.roomId !== roomId) return;
+      setPendingCount(data.pendingCount);
+    });
+  }, [roomId, isOwner]);
+
+  const handleReview = useCallback(async (flagId, decision) => {
+    if (reviewingId) return;
+
+    try {
+      setReviewingId(flagId);
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/moderation/queue/${flagId}`, { decision });
+      setFlags(prev => prev.filter(flag => flag._id !== flagId));
+      Toast.success(response.data?.message);
+    } catch (error) {
+      console.error('Moderation review error:', error);
+      Toast.error(error.response?.data?.message || '메시지 검토 처리에 실패했습니다.');
+      if (error.response?.status === 409) fetchQueue();
+    } finally {
+      setReviewingId(null);
+    }
+  }, [roomId, reviewingId, fetchQueue]);
+
+  const handleJump = useCallback((messageId) => {
+    setIsOpen(false);
+    onJump(messageId);
+  }, [onJump]);
+
+  const updateDraft = useCallback((name, changes) => {
+    setDrafts(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+  }, []);
+
+  // 켜진 규칙만 저장 (끈 규칙은 설정을 지움)
+  const handleSave = useCallback(async (e) => {
+    e.preventDefault();
+    if (saving) return;
+
+    let moderation;
+    try {
+      moderation = Object.fromEntries(rules.map(rule => {
+        const draft = drafts[rule.name];
+        return [rule.name, draft?.enabled
+          ? { enabled: true, action: draft.action, options: toOptions(rule.name, draft) }
+          : null];
+      }));
+    } catch (error) {
+      Toast.error('규칙 옵션은 JSON 형식으로 입력해주세요.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await axiosInstance.patch(`/api/rooms/${roomId}/settings`, { moderation });
+      await fetchRules();
+      Toast.success('메시지 검토 설정을 저장했습니다.');
+    } catch (error) {
+      console.error('Moderation settings update error:', error);
+      Toast.error(error.response?.data?.message || '메시지 검토 설정 변경에 실패했습니다.');
+    } finally {
+      setSaving(false);
+    }
+  }, [roomId, rules, drafts, saving, fetchRules]);
+
+  const renderOptions = (rule, draft) => {
+    switch (rule.name) {
+      case 'wordFilter':
+        return (
+          <label className="moderation-rule-field">
+            금칙어 (한 줄에 하나)
+            <textarea
+              rows={3}
+              value={draft.words}
+              onChange={(e) => updateDraft(rule.name, { words: e.target.value })}
+            />
+          </label>
+        );
+      case 'linkFilter':
+        return (
+          <>
+            <label className="moderation-rule-field">
+              방식
+              <select
+                value={draft.mode}
+                onChange={(e) => updateDraft(rule.name, { mode: e.target.value })}
+              >
+                {LINK_MODE_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+            <label className="moderation-rule-field">
+              도메인 (한 줄에 하나, 하위 도메인 포함)
+              <textarea
+                rows={3}
+                value={draft.domains}
+                onChange={(e) => updateDraft(rule.name, { domains: e.target.value })}
+              />
+            </label>
+          </>
+        );
+      case 'spamFilter':
+        return (
+          <div className="moderation-rule-inline">
+            <label className="moderation-rule-field">
+              허용 횟수
+              <input
+                type="number"
+                min={1}
+                max={20}
+                value={draft.maxRepeats}
+                onChange={(e) => updateDraft(rule.name, { maxRepeats: e.target.value })}
+              />
+            </label>
+            <label className="moderation-rule-field">
+              확인 시간(초)
+              <input
+                type="number"
+                min={10}
+                max={3600}
+                value={draft.windowSeconds}
+                onChange={(e) => updateDraft(rule.name, { windowSeconds: e.target.value })}
+              />
+            </label>
+          </div>
+        );
+      default:
+        return (
+          <label className="moderation-rule-field">
+            옵션 (JSON)
+            <textarea
+              rows={3}
+              value={draft.json}
+              onChange={(e) => updateDraft(rule.name, { json: e.target.value })}
+            />
+          </label>
+        );
+    }
+  };
+
+  const getRuleLabel = (name) => rules.find(rule => rule.name === name)?.description || name;
+
+  if (!roomId || !isOwner) return null;
+
+  return (
+    <div className="moderation-menu" ref={containerRef}>
+      <button
+        type="button"
+        className={`disappearing-menu-toggle ${isOpen ? 'active' : ''}`}
+        onClick={() => setIsOpen(prev => !prev)}
+        title="메시지 검토"
+        aria-label="메시지 검토"
+        aria-expanded={isOpen}
+      >
+        <WarningIcon size={16} />
+        {pendingCount > 0 && (
+          <span className="moderation-menu-count">{pendingCount > 99 ? '99+' : pendingCount}</span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="moderation-menu-panel" role="dialog" aria-label="메시지 검토">
+          <div className="moderation-menu-tabs" role="tablist">
+            <button
+              type="button"
+              role="tab"
+              aria-selected={tab === 'queue'}
+              className={tab === 'queue' ? 'active' : ''}
+              onClick={() => setTab('queue')}
+            >
+              검토 대기 {pendingCount > 0 && `(${pendingCount})`}
+            </button>
+            <button
+              type="button"
+              role="tab"
+              aria-selected={tab === 'rules'}
+              className={tab === 'rules' ? 'active' : ''}
+              onClick={() => setTab('rules')}
+            >
+              규칙 설정
+            </button>
+          </div>
+
+          {tab === 'queue' ? (
+            <div className="moderation-queue">
+              {loading && flags.length === 0 ? (
+                <Text typography="body3" color="neutral-weak">불러오는 중...</Text>
+              ) : flags.length === 0 ? (
+                <Text typography="body3" color="neutral-weak">검토할 메시지가 없습니다.</Text>
+              ) : flags.map(flag => (
+                <div key={flag._id} className="moderation-queue-item">
+                  <div className="moderation-queue-meta">
+                    <span>{flag.sender?.name || '알 수 없음'}</span>
+                    <span>{formatFlagTime(flag.createdAt)}</span>
+                  </div>
+                  <button
+                    type="button"
+                    className="moderation-queue-content"
+                    onClick={() => handleJump(flag.message)}
+                  >
+                    {flag.content || '(내용 없음)'}
+                  </button>
+                  <ul className="moderation-queue-reasons">
+                    {flag.reasons.map(item => (
+                      <li key={item.rule}>{getRuleLabel(item.rule)}: {item.reason}</li>
+                    ))}
+                  </ul>
+                  <div className="moderation-queue-actions">
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleReview(flag._id, 'approve')}
+                      disabled={!!reviewingId}
+                    >
+                      그대로 두기
+                    </Button>
+                    <Button
+                      size="sm"
+                      color="danger"
+                      onClick={() => handleReview(flag._id, 'remove')}
+                      disabled={!!reviewingId}
+                    >
+                      삭제
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <form className="moderation-rules" onSubmit={handleSave}>
+              {rules.map(rule => {
+                const draft = drafts[rule.name];
+                if (!draft) return null;
+
+                return (
+                  <fieldset key={rule.name} className="moderation-rule">
+                    <legend>
+                      <label>
+                        <input
+                          type="checkbox"
+                          checked={draft.enabled}
+                          onChange={(e) => updateDraft(rule.name, { enabled: e.target.checked })}
+                        />
+                        {rule.description}
+                      </label>
+                    </legend>
+                    {draft.enabled && (
+                      <>
+                        <label className="moderation-rule-field">
+                          처리 방식
+                          <select
+                            value={draft.action}
+                            onChange={(e) => updateDraft(rule.name, { action: e.target.value })}
+                          >
+                            {rule.actions.map(action => (
+                              <option key={action} value={action}>{ACTION_LABELS[action]}</option>
+                            ))}
+                          </select>
+                        </label>
+                        {renderOptions(rule, draft)}
+                      </>
+                    )}
+                  </fieldset>
+                );
+              })}
+              <Button type="submit" size="sm" color="primary" disabled={saving}>
+                {saving ? '저장 중...' : '저장'}
+              </Button>
+            </form>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(ModerationMenu);
@@ -0,0 +1,135 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { IconButton, Text } from '@vapor-ui/core';
+import { PinSetOutlineIcon, CloseOutlineIcon } from '@vapor-ui/icons';
+
+const getSenderName = (pin, currentUserId) => {
+  if (pin.type === 'ai') {
+    return pin.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI';
+  }
+  if (pin.sender?._id === currentUserId) {
+    return '나';
+  }
+  return pin.sender?.name || '알 수 없음';
+};
+
+const getPreviewText = (pin) => {
+  if (pin.type === 'file') {
+    return pin.content || pin.file?.originalname || '파일';
+  }
+  return pin.content || '';
+};
+
+const PinnedMessagesDrawer = ({
+  pins = [],
+  pinLimit = null,
+  loading = false,
+  currentUserId = null,
+  onJump = () => {},
+  onUnpin = () => {}
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const handleJump = useCallback((messageId) => {
+    setIsOpen(false);
+    onJump(messageId);
+  }, [onJump]);
+
+  const handleUnpin = useCallback((e, messageId) => {
+    e.stopPropagation();
+    onUnpin(messageId, true);
+  }, [onUnpin]);
+
+  return (
+    <div className="pinned-drawer" ref={containerRef}>
+      <button
+        type="button"
+        className={`pinned-drawer-toggle ${isOpen ? 'active' : ''}`}
+        onClick={() => setIsOpen(prev => !prev)}
+        aria-label="고정된 메시지"
+        aria-expanded={isOpen}
+      >
+        <PinSetOutlineIcon size={16} />
+        <span className="pinned-drawer-count">{pins.length}</span>
+      </button>
+
+      {isOpen && (
+        <div className="pinned-drawer-panel" role="dialog" aria-label="고정된 메시지 목록">
+          <div className="pinned-drawer-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              고정된 메시지
+            </Text>
+            {pinLimit && (
+              <Text typography="body3" color="neutral-weak">
+                {pins.length}/{pinLimit}
+              </Text>
+            )}
+          </div>
+
+          <div className="pinned-drawer-list">
+            {loading && pins.length === 0 && (
+              <div className="pinned-drawer-empty">불러오는 중...</div>
+            )}
+            {!loading && pins.length === 0 && (
+              <div className="pinned-drawer-empty">고정된 메시지가 없습니다.</div>
+            )}
+            {pins.map(pin => (
+              <div
+                key={pin._id}
+                className="pinned-drawer-item"
+                role="button"
+                tabIndex={0}
+                onClick={() => handleJump(pin._id)}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter') handleJump(pin._id);
+                }}
+              >
+                <div className="pinned-drawer-item-body">
+                  <span className="pinned-drawer-item-author">
+                    {getSenderName(pin, currentUserId)}
+                  </span>
+                  <span className="pinned-drawer-item-text">{getPreviewText(pin)}</span>
+                  {pin.pinnedAt && (
+                    <span className="pinned-drawer-item-meta">
+                      {pin.pinnedBy?.name ? `${pin.pinnedBy.name}님이 ` : ''}
+                      {new Date(pin.pinnedAt).toLocaleString('ko-KR', {
+                        month: 'short',
+                        day: 'numeric',
+                        hour: '2-digit',
+                        minute: '2-digit',
+                        hour12: false
+                      })} 고정
+                    </span>
+                  )}
+                </div>
+                <IconButton
+                  size="sm"
+                  variant="ghost"
+                  onClick={(e) => handleUnpin(e, pin._id)}
+                  aria-label="고정 해제"
+                >
+                  <CloseOutlineIcon size={14} />
+                </IconButton>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(PinnedMessagesDrawer);
@@ -0,0 +1,30 @@
+import React, { useEffect, useState } from 'react';
+
+const getRemainingSeconds = (retryAt) => Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+
+// 무엇이 제한되었는지와 다시 시도할 수 있을 때까지 남은 시간을 표시
+const RateLimitNotice = ({ rateLimit = null }) => {
+  const [remaining, setRemaining] = useState(() => (
+    rateLimit ? getRemainingSeconds(rateLimit.retryAt) : 0
+  ));
+
+  useEffect(() => {
+    if (!rateLimit) return;
+
+    setRemaining(getRemainingSeconds(rateLimit.retryAt));
+    const timer = setInterval(() => {
+      setRemaining(getRemainingSeconds(rateLimit.retryAt));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [rateLimit]);
+
+  if (!rateLimit || remaining <= 0) return null;
+
+  return (
+    <div className="rate-limit-notice" role="status" aria-live="polite">
+      {rateLimit.reason || '요청이 너무 많습니다.'} {remaining}초 후에 다시 시도해주세요.
+    </div>
+  );
+};
+
+export default React.memo(RateLimitNotice);
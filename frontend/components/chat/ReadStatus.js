@@ -9,6 +9,8 @@ const ReadStatus = ({
   className = '',
   socketRef = null,
   messageId = null,
+  messageTimestamp = null,
+  roomId = null,
   messageRef = null, // 메시지 요소의 ref 추가
   currentUserId = null // 현재 사용자 ID 추가
 }) => {
@@ -48,6 +50,7 @@ const ReadStatus = ({
     try {
       // Socket.IO를 통해 서버에 읽음 상태 전송
       socketRef.current.emit('markMessagesAsRead', {
+        roomId,
         messageIds: [messageId]
       });
 
@@ -67,7 +70,7 @@ const ReadStatus = ({
     } catch (error) {
       console.error('Error marking message as read:', error);
     }
-  }, [messageId, currentUserId, hasMarkedAsRead, messageType, socketRef]);
+  }, [messageId, roomId, currentUserId, hasMarkedAsRead, messageType, socketRef]);
 
   // Intersection Observer 설정
   useEffect(() => {
@@ -117,8 +120,22 @@ const ReadStatus = ({
   }, [unreadCount, unreadParticipants]);
 
   // 읽음 상태 업데이트 핸들러
-  const handleReadStatusUpdate = useCallback(({ userId, messageIds, timestamp }) => {
-    if (!messageId || !messageIds.includes(messageId)) return;
+  // 읽음 커서(lastReadTimestamp, lastReadMessageId) 이전 메시지도 모두 읽은 것으로 처리
+  const handleReadStatusUpdate = useCallback(({
+    userId,
+    messageIds = [],
+    lastReadMessageId,
+    lastReadTimestamp,
+    timestamp
+  }) => {
+    if (!messageId) return;
+
+    const isBeforeCursor = !!(lastReadTimestamp && messageTimestamp) && (
+      new Date(messageTimestamp) < new Date(lastReadTimestamp) ||
+      (new Date(messageTimestamp).getTime() === new Date(lastReadTimestamp).getTime() &&
+        String(messageId) <= String(lastReadMessageId))
+    );
+    if (!messageIds.includes(messageId) && !isBeforeCursor) return;
 
     setCurrentReaders(prev => {
       if (prev.some(reader => reader.userId === userId)) {
@@ -130,7 +147,7 @@ const ReadStatus = ({
         readAt: timestamp || new Date()
       }];
     });
-  }, [messageId]);
+  }, [messageId, messageTimestamp]);
 
   // 참여자 업데이트 핸들러
   const handleParticipantsUpdate = useCallback((updatedParticipants) => {
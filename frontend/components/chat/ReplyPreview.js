@@ -0,0 +1,43 @@
+import React from 'react';
+import { IconButton } from '@vapor-ui/core';
+import { ReplyOutlineIcon, CloseOutlineIcon } from '@vapor-ui/icons';
+
+const getSenderName = (message, currentUserId) => {
+  if (message.type === 'ai') {
+    return message.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI';
+  }
+  if (message.sender?._id === currentUserId || message.sender?.id === currentUserId) {
+    return '나';
+  }
+  return message.sender?.name || '알 수 없음';
+};
+
+const ReplyPreview = ({ replyTarget, currentUserId, onCancel }) => {
+  if (!replyTarget) return null;
+
+  const previewText = replyTarget.content ||
+    replyTarget.file?.originalname ||
+    (replyTarget.type === 'file' ? '파일' : '');
+
+  return (
+    <div className="reply-preview" role="status">
+      <ReplyOutlineIcon size={16} />
+      <div className="reply-preview-body">
+        <span className="reply-preview-author">
+          {getSenderName(replyTarget, currentUserId)}님에게 답장
+        </span>
+        <span className="reply-preview-text">{previewText}</span>
+      </div>
+      <IconButton
+        size="sm"
+        variant="ghost"
+        onClick={onCancel}
+        aria-label="답장 취소"
+      >
+        <CloseOutlineIcon size={14} />
+      </IconButton>
+    </div>
+  );
+};
+
+export default React.memo(ReplyPreview);
@@ -0,0 +1,212 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { CalendarOutlineIcon, CloseOutlineIcon } from '@vapor-ui/icons';
+import { useScheduledMessages } from '../../hooks/useScheduledMessages';
+
+const DEFAULT_OFFSET = 60 * 60 * 1000; // 기본 예약 시간: 1시간 뒤
+
+// Date를 datetime-local 입력값(YYYY-MM-DDTHH:mm, 로컬 시간)으로 변환
+const toLocalInputValue = (date) => {
+  const localDate = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return localDate.toISOString().slice(0, 16);
+};
+
+const formatScheduledAt = (value) => new Date(value).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const ScheduleMessageButton = ({
+  roomId = null,
+  message = '',
+  disabled = false,
+  onScheduled = () => {}
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [scheduledAt, setScheduledAt] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const containerRef = useRef(null);
+  const {
+    scheduledMessages,
+    loading,
+    error,
+    fetchScheduledMessages,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage
+  } = useScheduledMessages(roomId);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    setScheduledAt(toLocalInputValue(new Date(Date.now() + DEFAULT_OFFSET)));
+    fetchScheduledMessages();
+
+    const handleClickOutside = (event) => {
+      if (!containerRef.current?.contains(event.target)) {
+        setIsOpen(false);
+        setEditing(null);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen, fetchScheduledMessages]);
+
+  const handleClose = useCallback(() => {
+    setIsOpen(false);
+    setEditing(null);
+  }, []);
+
+  const handleSchedule = useCallback(async (e) => {
+    e.preventDefault();
+    const content = message.trim();
+    if (!content || !scheduledAt || submitting) return;
+
+    setSubmitting(true);
+    const success = await scheduleMessage(content, new Date(scheduledAt).toISOString());
+    setSubmitting(false);
+
+    if (success) {
+      onScheduled();
+    }
+  }, [message, scheduledAt, submitting, scheduleMessage, onScheduled]);
+
+  const handleEditStart = useCallback((item) => {
+    setEditing({
+      id: item._id,
+      content: item.content,
+      scheduledAt: toLocalInputValue(new Date(item.scheduledAt))
+    });
+  }, []);
+
+  const handleEditSave = useCallback(async (e) => {
+    e.preventDefault();
+    if (!editing?.content.trim() || !editing.scheduledAt) return;
+
+    const success = await updateScheduledMessage(editing.id, {
+      content: editing.content.trim(),
+      scheduledAt: new Date(editing.scheduledAt).toISOString()
+    });
+    if (success) {
+      setEditing(null);
+    }
+  }, [editing, updateScheduledMessage]);
+
+  const canSchedule = !!message.trim() && !!scheduledAt && !submitting;
+
+  return (
+    <div className="schedule-message" ref={containerRef}>
+      <IconButton
+        variant="ghost"
+        size="md"
+        onClick={() => (isOpen ? handleClose() : setIsOpen(true))}
+        disabled={disabled || !roomId}
+        aria-label="예약 전송"
+        aria-expanded={isOpen}
+      >
+        <CalendarOutlineIcon size={20} />
+      </IconButton>
+
+      {isOpen && (
+        <div className="schedule-message-panel" role="dialog" aria-label="예약 전송">
+          <div className="schedule-message-header">
+            <Text typography="subtitle1" style={{ fontWeight: 'bold' }}>
+              예약 전송
+            </Text>
+            <IconButton size="sm" variant="ghost" onClick={handleClose} aria-label="예약 전송 닫기">
+              <CloseOutlineIcon size={16} />
+            </IconButton>
+          </div>
+
+          <form className="schedule-message-form" onSubmit={handleSchedule}>
+            <input
+              type="datetime-local"
+              value={scheduledAt}
+              min={toLocalInputValue(new Date())}
+              onChange={(e) => setScheduledAt(e.target.value)}
+              aria-label="예약 시간"
+            />
+            <Button type="submit" size="sm" disabled={!canSchedule}>
+              예약
+            </Button>
+          </form>
+          {!message.trim() && (
+            <Text typography="body3" className="schedule-message-hint">
+              메시지를 입력한 뒤 보낼 시간을 선택하세요.
+            </Text>
+          )}
+
+          <div className="schedule-message-list">
+            <Text typography="body3" className="schedule-message-list-title">
+              예약된 메시지
+            </Text>
+            {error && <div className="schedule-message-empty">{error}</div>}
+            {!error && !loading && scheduledMessages.length === 0 && (
+              <div className="schedule-message-empty">예약된 메시지가 없습니다.</div>
+            )}
+            {loading && <div className="schedule-message-empty">불러오는 중...</div>}
+
+            {scheduledMessages.map(item => (
+              editing?.id === item._id ? (
+                <form key={item._id} className="schedule-message-item editing" onSubmit={handleEditSave}>
+                  <textarea
+                    value={editing.content}
+                    onChange={(e) => setEditing(prev => ({ ...prev, content: e.target.value }))}
+                    rows={2}
+                    maxLength={10000}
+                    aria-label="예약 메시지 내용"
+                  />
+                  <input
+                    type="datetime-local"
+                    value={editing.scheduledAt}
+                    min={toLocalInputValue(new Date())}
+                    onChange={(e) => setEditing(prev => ({ ...prev, scheduledAt: e.target.value }))}
+                    aria-label="예약 시간 변경"
+                  />
+                  <div className="schedule-message-item-actions">
+                    <Button type="submit" size="sm" disabled={!editing.content.trim()}>
+                      저장
+                    </Button>
+                    <Button type="button" size="sm" variant="ghost" onClick={() => setEditing(null)}>
+                      취소
+                    </Button>
+                  </div>
+                </form>
+              ) : (
+                <div key={item._id} className={`schedule-message-item ${item.status}`}>
+                  <span className="schedule-message-item-time">
+                    {formatScheduledAt(item.scheduledAt)}
+                    {item.kind === 'reminder' && (
+                      <span className="schedule-message-item-kind">리마인더</span>
+                    )}
+                    {item.status === 'failed' && (
+                      <span className="schedule-message-item-failed" title={item.failureReason}>
+                        전송 실패
+                      </span>
+                    )}
+                  </span>
+                  <span className="schedule-message-item-text">{item.content}</span>
+                  <div className="schedule-message-item-actions">
+                    <Button size="sm" variant="ghost" onClick={() => handleEditStart(item)}>
+                      {item.status === 'failed' ? '다시 예약' : '수정'}
+                    </Button>
+                    <Button size="sm" variant="ghost" onClick={() => cancelScheduledMessage(item._id)}>
+                      예약 취소
+                    </Button>
+                  </div>
+                </div>
+              )
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(ScheduleMessageButton);
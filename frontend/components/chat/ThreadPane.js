@@ -0,0 +1,169 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { CloseOutlineIcon, SendIcon } from '@vapor-ui/icons';
+import { UserMessage, FileMessage, AIMessage, DeletedMessage } from './Message';
+
+const ThreadPane = ({
+  parentMessage = null,
+  messages = [],
+  hasMore = false,
+  loading = false,
+  currentUser = null,
+  room = null,
+  socketRef,
+  onClose = () => {},
+  onLoadMore = () => {},
+  onSend = async () => false,
+  onReactionAdd = () => {},
+  onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {}
+}) => {
+  const [replyContent, setReplyContent] = useState('');
+  const [sending, setSending] = useState(false);
+  const listRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  // 새 답글이 추가되면 하단으로 스크롤 (이전 답글 로드 시에는 유지)
+  useEffect(() => {
+    const lastMessageId = messages[messages.length - 1]?._id;
+    if (lastMessageId && lastMessageId !== lastMessageIdRef.current && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+    lastMessageIdRef.current = lastMessageId;
+  }, [messages]);
+
+  const isMine = useCallback((msg) => {
+    if (!msg?.sender || !currentUser?.id) return false;
+    return (msg.sender._id || msg.sender.id || msg.sender) === currentUser.id;
+  }, [currentUser?.id]);
+
+  const handleSend = useCallback(async () => {
+    if (!replyContent.trim() || sending) return;
+
+    setSending(true);
+    const success = await onSend(replyContent);
+    if (success) {
+      setReplyContent('');
+    }
+    setSending(false);
+  }, [replyContent, sending, onSend]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.nativeEvent.isComposing) {
+      e.preventDefault();
+      handleSend();
+    }
+  }, [handleSend]);
+
+  const renderThreadMessage = (msg, options = {}) => {
+    if (!msg) return null;
+
+    if (msg.isDeleted) {
+      return (
+        <DeletedMessage
+          key={msg._id}
+          msg={msg}
+          currentUser={currentUser}
+          isMine={isMine(msg)}
+        />
+      );
+    }
+
+    const MessageComponent = {
+      file: FileMessage,
+      ai: AIMessage
+    }[msg.type] || UserMessage;
+
+    return (
+      <MessageComponent
+        key={msg._id}
+        msg={msg}
+        content={msg.content}
+        currentUser={currentUser}
+        room={room}
+        isMine={isMine(msg)}
+        messageRef={msg}
+        socketRef={socketRef}
+        onReactionAdd={options.onReactionAdd || onReactionAdd}
+        onReactionRemove={options.onReactionRemove || onReactionRemove}
+        onMessageEdit={onMessageEdit}
+        onMessageDelete={onMessageDelete}
+      />
+    );
+  };
+
+  if (!parentMessage) return null;
+
+  return (
+    <aside className="thread-pane" aria-label="스레드">
+      <div className="thread-pane-header">
+        <div>
+          <Text typography="subtitle2">스레드</Text>
+          <Text typography="body3" style={{ color: 'var(--vapor-color-text-muted)', marginLeft: 'var(--vapor-space-100)' }}>
+            답글 {parentMessage.threadReplyCount || 0}개
+          </Text>
+        </div>
+        <IconButton
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+          aria-label="스레드 닫기"
+        >
+          <CloseOutlineIcon size={16} />
+        </IconButton>
+      </div>
+
+      <div className="thread-pane-messages" ref={listRef}>
+        <div className="thread-pane-parent">
+          {renderThreadMessage(parentMessage)}
+        </div>
+
+        {hasMore && (
+          <div className="thread-pane-load-more">
+            <Button
+              size="sm"
+              variant="ghost"
+              color="secondary"
+              onClick={onLoadMore}
+              disabled={loading}
+            >
+              {loading ? '불러오는 중...' : '이전 답글 더 보기'}
+            </Button>
+          </div>
+        )}
+
+        {!loading && messages.length === 0 && (
+          <Text typography="body3" className="thread-pane-empty">
+            아직 답글이 없습니다.
+          </Text>
+        )}
+
+        {messages.map(msg => renderThreadMessage(msg))}
+      </div>
+
+      <div className="thread-pane-input">
+        <textarea
+          className="thread-pane-textarea"
+          value={replyContent}
+          onChange={(e) => setReplyContent(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="스레드에 답글 남기기..."
+          rows={2}
+          aria-label="스레드 답글 입력"
+        />
+        <IconButton
+          size="md"
+          color="primary"
+          onClick={handleSend}
+          disabled={!replyContent.trim() || sending}
+          aria-label="답글 보내기"
+        >
+          <SendIcon size={16} />
+        </IconButton>
+      </div>
+    </aside>
+  );
+};
+
+export default React.memo(ThreadPane);
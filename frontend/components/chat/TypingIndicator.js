@@ -0,0 +1,28 @@
+import React from 'react';
+
+const formatTypingText = (users) => {
+  const [first, second] = users.map(user => user.name || '알 수 없음');
+
+  if (users.length === 1) {
+    return `${first}님이 입력 중입니다…`;
+  }
+  if (users.length === 2) {
+    return `${first}님과 ${second}님이 입력 중입니다…`;
+  }
+  return `${first}님 외 ${users.length - 1}명이 입력 중입니다…`;
+};
+
+const TypingIndicator = ({ users = [] }) => {
+  if (users.length === 0) return null;
+
+  return (
+    <div className="typing-indicator chat-typing-indicator" aria-live="polite">
+      <span></span>
+      <span></span>
+      <span></span>
+      <div className="chat-typing-text">{formatTypingText(users)}</div>
+    </div>
+  );
+};
+
+export default React.memo(TypingIndicator);
@@ -0,0 +1,26 @@
+import React from 'react';
+
+// 서버에서 계산한 강조 구간([start, end])을 <mark>로 감싸 렌더링
+const HighlightedText = ({ text = '', highlights = [], className = '' }) => {
+  if (!text) return null;
+
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start < cursor || start >= end) return;
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start));
+    }
+    parts.push(<mark key={index}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor));
+  }
+
+  return <span className={className}>{parts}</span>;
+};
+
+export default React.memo(HighlightedText);
@@ -0,0 +1,69 @@
+// hooks/useBookmarks.js
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+const BOOKMARKS_URL = '/api/users/me/bookmarks';
+
+// 현재 채팅방에서 내가 저장한 메시지 (메시지 ID → 북마크 ID)
+export const useBookmarks = (roomId) => {
+  const [bookmarkedMessages, setBookmarkedMessages] = useState(() => new Map());
+  const pendingRef = useRef(new Set());
+
+  useEffect(() => {
+    setBookmarkedMessages(new Map());
+    if (!roomId) return;
+
+    let cancelled = false;
+    axiosInstance.get(`${BOOKMARKS_URL}/rooms/${roomId}`)
+      .then(response => {
+        if (cancelled) return;
+        const bookmarks = response.data?.data?.bookmarks || [];
+        setBookmarkedMessages(new Map(bookmarks.map(bookmark => [bookmark.message, bookmark._id])));
+      })
+      .catch(error => {
+        if (!cancelled) console.error('Room bookmarks fetch error:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  const handleBookmarkToggle = useCallback(async (messageId) => {
+    if (!messageId || pendingRef.current.has(messageId)) return;
+
+    pendingRef.current.add(messageId);
+    const bookmarkId = bookmarkedMessages.get(messageId);
+
+    try {
+      if (bookmarkId) {
+        await axiosInstance.delete(`${BOOKMARKS_URL}/${bookmarkId}`);
+        setBookmarkedMessages(prev => {
+          const next = new Map(prev);
+          next.delete(messageId);
+          return next;
+        });
+        Toast.info('저장을 취소했습니다.');
+      } else {
+        const response = await axiosInstance.post(BOOKMARKS_URL, { messageId });
+        const bookmark = response.data?.data?.bookmark;
+        setBookmarkedMessages(prev => new Map(prev).set(messageId, bookmark._id));
+        Toast.success('메시지를 저장했습니다.');
+      }
+    } catch (error) {
+      console.error('Bookmark toggle error:', error);
+      Toast.error(error.response?.data?.message || '메시지 저장에 실패했습니다.');
+    } finally {
+      pendingRef.current.delete(messageId);
+    }
+  }, [bookmarkedMessages]);
+
+  return {
+    bookmarkedMessages,
+    handleBookmarkToggle
+  };
+};
+
+export default useBookmarks;
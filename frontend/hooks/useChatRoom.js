@@ -5,11 +5,22 @@ import socketService from '../services/socket';
 import { useFileHandling } from './useFileHandling';
 import { useMessageHandling } from './useMessageHandling';
 import { useReactionHandling } from './useReactionHandling';
+import { useMessageEditHandling } from './useMessageEditHandling';
+import { useMessageDeleteHandling } from './useMessageDeleteHandling';
+import { useThreadHandling } from './useThreadHandling';
+import { usePinHandling } from './usePinHandling';
+import { useTypingIndicator } from './useTypingIndicator';
+import { usePollHandling } from './usePollHandling';
+import { useMessageForwarding } from './useMessageForwarding';
+import { useBookmarks } from './useBookmarks';
+import { useRateLimit, isRateLimitError } from './useRateLimit';
+import { useMessageNavigation } from './useMessageNavigation';
 import { useAIMessageHandling } from './useAIMessageHandling';
 import { useScrollHandling } from './useScrollHandling';
 import { useSocketHandling } from './useSocketHandling';
 import { useRoomHandling } from './useRoomHandling';
 import { Toast } from '../components/Toast';
+import { encodeMessageCursor, compareMessages } from '../utils/messageCursor';
 
 const CLEANUP_REASONS = {
   DISCONNECT: 'disconnect',
@@ -29,6 +40,8 @@ export const useChatRoom = () => {
   const [connectionStatus, setConnectionStatus] = useState('checking');
   const [messageLoadError, setMessageLoadError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [hasNewerMessages, setHasNewerMessages] = useState(false);
+  const [loadingNewerMessages, setLoadingNewerMessages] = useState(false);
   
   // Refs
   const messageInputRef = useRef(null);
@@ -49,6 +62,7 @@ export const useChatRoom = () => {
   const previousScrollHeightRef = useRef(0);
   const isLoadingRef = useRef(false);
   const loadMoreTriggeredRef = useRef(false);
+  const hasNewerMessagesRef = useRef(false);
 
   // Socket handling setup
   const {
@@ -87,6 +101,17 @@ export const useChatRoom = () => {
     scrollToBottom
   );
 
+  // 서버 응답(ack)으로 받은 내 메시지를 목록에 반영 (이미 받은 메시지면 무시)
+  const handleAckedMessage = useCallback((message) => {
+    if (!message?._id || !mountedRef.current || hasNewerMessagesRef.current) return;
+    if (message.room !== router.query.room || processedMessageIds.current.has(message._id)) return;
+
+    processedMessageIds.current.add(message._id);
+    setMessages(prev => (
+      prev.some(msg => msg._id === message._id) ? prev : [...prev, message].sort(compareMessages)
+    ));
+  }, [router.query.room]);
+
   // Message handling hook
   const {
     message,
@@ -110,8 +135,39 @@ export const useChatRoom = () => {
     handleEmojiToggle,
     getFilteredParticipants,
     insertMention,
-    removeFilePreview
-  } = useMessageHandling(socketRef, currentUser, router);
+    removeFilePreview,
+    replyTarget,
+    handleReplyStart,
+    handleReplyCancel,
+    outgoingMessages,
+    retryMessage,
+    discardMessage,
+    handleMessageDelivered,
+    clearOutgoingMessages
+  } = useMessageHandling(socketRef, currentUser, router, undefined, undefined, {
+    onMessageDelivered: handleAckedMessage
+  });
+
+  // Thread handling hook
+  const {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadMessage,
+    handleThreadMessagesLoaded,
+    handleThreadUpdated,
+    handleThreadMessageUpdate,
+    handleThreadLinkPreviewsUpdate,
+    handleThreadMessageDeleted,
+    handleThreadMessagesExpired,
+    handleThreadReactionAdd,
+    handleThreadReactionRemove,
+    handleThreadReactionUpdate
+  } = useThreadHandling(socketRef, currentUser, setMessages);
 
   // Cleanup 함수 수정
   const cleanup = useCallback((reason = 'MANUAL') => {
@@ -139,11 +195,25 @@ export const useChatRoom = () => {
         socketRef.current.off('previousMessages');
         socketRef.current.off('previousMessagesLoaded');
         socketRef.current.off('participantsUpdate');
+        socketRef.current.off('roomUpdate');
         socketRef.current.off('aiMessageStart');
         socketRef.current.off('aiMessageChunk');
         socketRef.current.off('aiMessageComplete');
         socketRef.current.off('aiMessageError');
         socketRef.current.off('messageReactionUpdate');
+        socketRef.current.off('messageUpdated');
+        socketRef.current.off('linkPreviewsUpdated');
+        socketRef.current.off('messageDeleted');
+        socketRef.current.off('messagesExpired');
+        socketRef.current.off('typingUsers');
+        socketRef.current.off('rateLimited');
+        socketRef.current.off('reminder');
+        socketRef.current.off('mentioned');
+        socketRef.current.off('pollUpdated');
+        socketRef.current.off('messagePinned');
+        socketRef.current.off('messageUnpinned');
+        socketRef.current.off('threadMessagesLoaded');
+        socketRef.current.off('threadUpdated');
         socketRef.current.off('session_ended');
         socketRef.current.off('error');
       }
@@ -162,10 +232,14 @@ export const useChatRoom = () => {
       // Reset states only if needed
       if (reason === 'MANUAL' && mountedRef.current) {
         setStreamingMessages({});
+        clearOutgoingMessages();
         setError(null);
         setLoading(false);
         setLoadingMessages(false);
         setMessages([]);
+        hasNewerMessagesRef.current = false;
+        setHasNewerMessages(false);
+        closeThread();
         
         if (userRooms.current.size > 0) {
           userRooms.current.clear();
@@ -187,6 +261,8 @@ export const useChatRoom = () => {
   }, [
     setMessages, 
     setStreamingMessages, 
+    clearOutgoingMessages,
+    closeThread,
     setError, 
     setLoading, 
     setLoadingMessages, 
@@ -210,6 +286,65 @@ export const useChatRoom = () => {
     handleReactionUpdate
   } = useReactionHandling(socketRef, currentUser, messages, setMessages);
 
+  // Message edit handling hook
+  const {
+    handleMessageEdit,
+    handleMessageUpdate,
+    handleLinkPreviewsUpdate
+  } = useMessageEditHandling(socketRef, setMessages);
+
+  // Message delete handling hook
+  const {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessagesExpired
+  } = useMessageDeleteHandling(socketRef, setMessages);
+
+  // Pin handling hook
+  const {
+    pins,
+    pinLimit,
+    pinsLoading,
+    handlePinToggle,
+    handleMessagePinned,
+    handleMessageUnpinned,
+    handlePinsExpired
+  } = usePinHandling(socketRef, room?._id, setMessages);
+
+  // Poll handling hook
+  const {
+    handlePollVote,
+    handlePollClose,
+    fetchMyPollVotes,
+    handlePollUpdated
+  } = usePollHandling(setMessages);
+
+  // Message forwarding hook
+  const { handleMessageForward } = useMessageForwarding(router);
+
+  // Bookmark hook
+  const { bookmarkedMessages, handleBookmarkToggle } = useBookmarks(room?._id);
+
+  // Typing indicator hook
+  const {
+    typingUsers,
+    notifyTyping,
+    stopTyping,
+    handleTypingUsers
+  } = useTypingIndicator(socketRef, room?._id, currentUser?.id);
+
+  // Rate limit hook
+  const { rateLimit, handleRateLimited } = useRateLimit(room?._id);
+
+  // 입력창 내용이 있으면 입력 중 상태 전송, 비워지면(전송 포함) 중지
+  useEffect(() => {
+    if (message.trim()) {
+      notifyTyping();
+    } else {
+      stopTyping();
+    }
+  }, [message, notifyTyping, stopTyping]);
+
   // 메시지 처리 유틸리티 함수
   const processMessages = useCallback((loadedMessages, hasMore, isInitialLoad = false) => {
     try {
@@ -227,9 +362,7 @@ export const useChatRoom = () => {
         });
 
         // 기존 메시지와 새 메시지 결합 및 정렬
-        const allMessages = [...prev, ...newMessages].sort((a, b) => {
-          return new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
-        });
+        const allMessages = [...prev, ...newMessages].sort(compareMessages);
 
         // 중복 제거 (가장 최근 메시지 유지)
         const messageMap = new Map();
@@ -263,7 +396,7 @@ export const useChatRoom = () => {
 
     try {
       setLoadingMessages(true);
-      const firstMessageTimestamp = messages[0]?.timestamp;
+      const firstMessageCursor = encodeMessageCursor(messages[0]);
 
       if (loadMoreTimeoutRef.current) {
         clearTimeout(loadMoreTimeoutRef.current);
@@ -272,7 +405,7 @@ export const useChatRoom = () => {
       const responsePromise = new Promise((resolve, reject) => {
         socketRef.current.emit('fetchPreviousMessages', {
           roomId: router?.query?.room,
-          before: firstMessageTimestamp
+          before: firstMessageCursor
         });
 
         socketRef.current.once('previousMessagesLoaded', resolve);
@@ -303,6 +436,152 @@ export const useChatRoom = () => {
     }
   }, [socketRef, router?.query?.room, loadingMessages, messages, processMessages, setHasMoreMessages]);
 
+  // 최신 메시지 이후 구간을 보고 있는지 여부 (실시간 메시지 수신 처리에 사용)
+  const updateHasNewerMessages = useCallback((value) => {
+    hasNewerMessagesRef.current = value;
+    setHasNewerMessages(value);
+  }, []);
+
+  // 목록 전체를 새 구간으로 교체
+  const replaceMessages = useCallback((loadedMessages) => {
+    processedMessageIds.current = new Set(loadedMessages.map(msg => msg._id));
+    setMessages([...loadedMessages].sort(compareMessages));
+  }, [setMessages]);
+
+  // 소켓 요청 후 응답 이벤트를 기다리는 공통 함수
+  const requestMessages = useCallback((eventName, payload, responseEvent) => {
+    return new Promise((resolve, reject) => {
+      const socket = socketRef.current;
+      const timeoutId = setTimeout(() => {
+        socket.off(responseEvent, handleResponse);
+        socket.off('error', handleError);
+        reject(new Error('Message loading timed out'));
+      }, 10000);
+
+      function handleResponse(response) {
+        clearTimeout(timeoutId);
+        socket.off('error', handleError);
+        resolve(response);
+      }
+
+      function handleError(error) {
+        clearTimeout(timeoutId);
+        socket.off(responseEvent, handleResponse);
+        reject(error);
+      }
+
+      socket.once(responseEvent, handleResponse);
+      socket.once('error', handleError);
+      socket.emit(eventName, payload);
+    });
+  }, [socketRef]);
+
+  // 이후 메시지 로드 (특정 위치로 이동한 뒤 아래로 스크롤할 때)
+  const loadNewerMessages = useCallback(async () => {
+    if (!socketRef.current?.connected || loadingNewerMessages || !hasNewerMessagesRef.current) {
+      return;
+    }
+
+    const lastMessage = [...messages].reverse().find(msg => !msg.isStreaming);
+    const afterCursor = encodeMessageCursor(lastMessage);
+    if (!afterCursor) return;
+
+    try {
+      setLoadingNewerMessages(true);
+      const response = await requestMessages('fetchNewerMessages', {
+        roomId: router?.query?.room,
+        after: afterCursor
+      }, 'newerMessagesLoaded');
+
+      const newMessages = (response.messages || []).filter(msg => {
+        if (!msg._id || processedMessageIds.current.has(msg._id)) return false;
+        processedMessageIds.current.add(msg._id);
+        return true;
+      });
+
+      setMessages(prev => [...prev, ...newMessages].sort(compareMessages));
+      updateHasNewerMessages(!!response.hasMore);
+    } catch (error) {
+      console.error('Load newer messages error:', error);
+      Toast.error('메시지를 불러오는데 실패했습니다.');
+    } finally {
+      setLoadingNewerMessages(false);
+    }
+  }, [socketRef, loadingNewerMessages, messages, requestMessages, router?.query?.room, setMessages, updateHasNewerMessages]);
+
+  // 특정 메시지 앞뒤 구간 로드. 성공하면 기준 메시지 ID를 반환 (스레드 답글이면 원본 ID)
+  const loadMessagesAround = useCallback(async (messageId) => {
+    if (!socketRef.current?.connected || !messageId) return null;
+
+    try {
+      setLoadingMessages(true);
+      const response = await requestMessages('fetchMessagesAround', {
+        roomId: router?.query?.room,
+        messageId
+      }, 'messagesAroundLoaded');
+
+      replaceMessages(response.messages || []);
+      setHasMoreMessages(!!response.hasMoreBefore);
+      updateHasNewerMessages(!!response.hasMoreAfter);
+
+      return response.messageId;
+    } catch (error) {
+      console.error('Load messages around error:', error);
+      return null;
+    } finally {
+      setLoadingMessages(false);
+    }
+  }, [socketRef, requestMessages, router?.query?.room, replaceMessages, setHasMoreMessages, setLoadingMessages, updateHasNewerMessages]);
+
+  // 최신 메시지 구간으로 돌아가기
+  const jumpToLatest = useCallback(async () => {
+    if (!socketRef.current?.connected) return;
+
+    // 응답을 기다리는 동안 도착한 실시간 메시지도 목록에 반영
+    updateHasNewerMessages(false);
+
+    try {
+      setLoadingMessages(true);
+      const response = await requestMessages('fetchPreviousMessages', {
+        roomId: router?.query?.room
+      }, 'previousMessagesLoaded');
+
+      const loadedMessages = response.messages || [];
+      const newestLoaded = loadedMessages[loadedMessages.length - 1];
+
+      setMessages(prev => {
+        const liveMessages = newestLoaded
+          ? prev.filter(msg => compareMessages(msg, newestLoaded) > 0)
+          : prev;
+        const merged = new Map();
+        [...loadedMessages, ...liveMessages].forEach(msg => merged.set(msg._id, msg));
+        const result = Array.from(merged.values()).sort(compareMessages);
+        processedMessageIds.current = new Set(result.map(msg => msg._id));
+        return result;
+      });
+      setHasMoreMessages(!!response.hasMore);
+      requestAnimationFrame(() => scrollToBottom('auto'));
+    } catch (error) {
+      console.error('Jump to latest error:', error);
+      Toast.error('최신 메시지를 불러오는데 실패했습니다.');
+    } finally {
+      setLoadingMessages(false);
+    }
+  }, [socketRef, requestMessages, router?.query?.room, setMessages, setHasMoreMessages, setLoadingMessages, scrollToBottom, updateHasNewerMessages]);
+
+  // 메시지 이동 (인용 원본, 검색 결과, 고정 메시지 등)
+  const { scrollToMessage } = useMessageNavigation(messages, loadMessagesAround);
+
+  // 검색 결과 등 링크로 진입한 경우 해당 메시지로 이동
+  const linkedMessageRef = useRef(null);
+  useEffect(() => {
+    const targetId = router.query.message;
+    if (!isInitialized || !targetId || linkedMessageRef.current === targetId) return;
+
+    linkedMessageRef.current = targetId;
+    scrollToMessage(targetId);
+  }, [isInitialized, router.query.message, scrollToMessage]);
+
   // Event listeners setup
   const setupEventListeners = useCallback(() => {
     if (!socketRef.current || !mountedRef.current) return;
@@ -319,6 +598,20 @@ export const useChatRoom = () => {
       }));
     });
 
+    // 채팅방 설정 변경 이벤트
+    socketRef.current.on('roomUpdate', (updatedRoom) => {
+      if (!mountedRef.current || !updatedRoom?._id) return;
+      setRoom(prev => (
+        prev && prev._id === updatedRoom._id ?
+        {
+          ...prev,
+          topic: updatedRoom.topic || '',
+          disappearingMessageTtl: updatedRoom.disappearingMessageTtl ?? null
+        } :
+        prev
+      ));
+    });
+
     // 메시지 이벤트
     socketRef.current.on('message', message => {
       if (!message || !mountedRef.current || messageProcessingRef.current || !message._id) return;
@@ -327,6 +620,14 @@ export const useChatRoom = () => {
         return;
       }
 
+      // 내가 보낸 메시지가 저장되면 전송 중 표시 제거
+      handleMessageDelivered(message);
+
+      // 과거 구간을 보고 있는 동안의 새 메시지는 아래로 스크롤할 때 불러옴
+      if (hasNewerMessagesRef.current) {
+        return;
+      }
+
       console.log('Received message:', message);
       processedMessageIds.current.add(message._id);
 
@@ -376,6 +677,94 @@ export const useChatRoom = () => {
     socketRef.current.on('messageReactionUpdate', (data) => {
       if (!mountedRef.current) return;
       handleReactionUpdate(data);
+      handleThreadReactionUpdate(data);
+    });
+
+    // 메시지 수정 이벤트
+    socketRef.current.on('messageUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageUpdate(data);
+      handleThreadMessageUpdate(data);
+    });
+
+    // 링크 미리보기 수집 완료 이벤트
+    socketRef.current.on('linkPreviewsUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleLinkPreviewsUpdate(data);
+      handleThreadLinkPreviewsUpdate(data);
+    });
+
+    // 메시지 삭제 이벤트
+    socketRef.current.on('messageDeleted', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleted(data);
+      handleThreadMessageDeleted(data);
+    });
+
+    // 입력 중 사용자 목록 이벤트
+    socketRef.current.on('typingUsers', (data) => {
+      if (!mountedRef.current) return;
+      handleTypingUsers(data);
+    });
+
+    // 전송 속도 제한 안내 (입력창에 재시도 가능 시각까지 표시)
+    socketRef.current.on('rateLimited', (data) => {
+      if (!mountedRef.current) return;
+      handleRateLimited(data);
+    });
+
+    // /remind 명령어로 등록한 리마인더 알림
+    socketRef.current.on('reminder', (reminder) => {
+      if (!mountedRef.current || !reminder?.content) return;
+      Toast.info(`리마인더: ${reminder.content}`, { autoClose: false });
+    });
+
+    // 다른 채팅방에서 나를 멘션한 경우 알림 (현재 방은 메시지 강조로 표시)
+    socketRef.current.on('mentioned', (mention) => {
+      if (!mountedRef.current || !mention?.roomId) return;
+      if (mention.roomId === router.query.room) return;
+
+      const targetMessageId = mention.parentMessageId || mention.messageId;
+      Toast.info(`${mention.sender?.name}님이 ${mention.roomName}에서 회원님을 멘션했습니다: ${mention.content}`, {
+        duration: 6000,
+        onClick: () => router.push(`/chat?room=${mention.roomId}&message=${targetMessageId}`)
+      });
+    });
+
+    // 사라지는 메시지 만료 이벤트
+    socketRef.current.on('messagesExpired', (data) => {
+      if (!mountedRef.current) return;
+      handleMessagesExpired(data);
+      handleThreadMessagesExpired(data);
+      handlePinsExpired(data);
+    });
+
+    // 투표 집계 갱신 이벤트
+    socketRef.current.on('pollUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handlePollUpdated(data);
+    });
+
+    // 메시지 고정 이벤트
+    socketRef.current.on('messagePinned', (data) => {
+      if (!mountedRef.current) return;
+      handleMessagePinned(data);
+    });
+
+    socketRef.current.on('messageUnpinned', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageUnpinned(data);
+    });
+
+    // 스레드 이벤트
+    socketRef.current.on('threadMessagesLoaded', (data) => {
+      if (!mountedRef.current) return;
+      handleThreadMessagesLoaded(data);
+    });
+
+    socketRef.current.on('threadUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleThreadUpdated(data);
     });
 
     // 세션 이벤트
@@ -389,10 +778,17 @@ export const useChatRoom = () => {
     socketRef.current.on('error', (error) => {
       if (!mountedRef.current) return;
       console.error('Socket error:', error);
+      // 속도 제한은 입력창에서 안내하므로 채팅 화면 오류로 취급하지 않음
+      if (isRateLimitError(error)) return;
+      // 채팅방 검토 규칙으로 차단된 메시지는 알림만 표시
+      if (error?.code === 'MESSAGE_BLOCKED') {
+        Toast.error(error.message);
+        return;
+      }
       setError(error.message || '채팅 연결에 문제가 발생했습니다.');
     });
 
-  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, setHasMoreMessages, cleanup, router, handleReactionUpdate, setLoadingMessages, setError]);
+  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, handleMessageDelivered, setHasMoreMessages, cleanup, router, handleReactionUpdate, handleMessageUpdate, handleLinkPreviewsUpdate, handleMessageDeleted, handleMessagesExpired, handleMessagePinned, handleMessageUnpinned, handlePinsExpired, handleTypingUsers, handleRateLimited, handlePollUpdated, handleThreadReactionUpdate, handleThreadMessageUpdate, handleThreadLinkPreviewsUpdate, handleThreadMessageDeleted, handleThreadMessagesExpired, handleThreadMessagesLoaded, handleThreadUpdated, setLoadingMessages, setError]);
 
   // Room handling hook initialization
   const {
@@ -573,13 +969,21 @@ export const useChatRoom = () => {
     removeFilePreview: removeFile
   } = useFileHandling(socketRef, currentUser, router);
 
+  // 과거 구간을 보고 있을 때 메시지를 보내면 최신 구간으로 이동
+  const handleSubmitMessage = useCallback((...args) => {
+    if (hasNewerMessagesRef.current) {
+      jumpToLatest();
+    }
+    return handleMessageSubmit(...args);
+  }, [handleMessageSubmit, jumpToLatest]);
+
   // Enter key handler
   const handleKeyDown = useCallback((e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
-      handleMessageSubmit(e);
+      handleSubmitMessage(e);
     }
-  }, [handleMessageSubmit]);
+  }, [handleSubmitMessage]);
 
   return {
     // State
@@ -602,6 +1006,20 @@ export const useChatRoom = () => {
     isNearBottom,
     hasMoreMessages,
     loadingMessages,
+    hasNewerMessages,
+    loadingNewerMessages,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    replyTarget,
+    outgoingMessages,
+    pins,
+    pinLimit,
+    pinsLoading,
+    typingUsers,
+    rateLimit,
+    bookmarkedMessages,
     
     // Refs
     fileInputRef,
@@ -611,11 +1029,13 @@ export const useChatRoom = () => {
     
     // Handlers
     handleMessageChange,
-    handleMessageSubmit,
+    handleMessageSubmit: handleSubmitMessage,
     handleEmojiToggle,
     handleKeyDown,
     handleScroll,
     handleLoadMore: loadPreviousMessages,
+    handleLoadNewer: loadNewerMessages,
+    jumpToLatest,
     handleConnectionError,
     handleReconnect,
     getFilteredParticipants,
@@ -624,6 +1044,25 @@ export const useChatRoom = () => {
     removeFilePreview,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    handlePinToggle,
+    handlePollVote,
+    handlePollClose,
+    fetchMyPollVotes,
+    handleMessageForward,
+    handleBookmarkToggle,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadMessage,
+    handleThreadReactionAdd,
+    handleThreadReactionRemove,
+    handleReplyStart,
+    handleReplyCancel,
+    retryMessage,
+    discardMessage,
+    scrollToMessage,
     cleanup,
     
     // Setters
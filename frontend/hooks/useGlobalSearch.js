@@ -0,0 +1,130 @@
+// hooks/useGlobalSearch.js
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import axiosInstance from '../services/axios';
+
+const PAGE_SIZE = 20;
+const DEBOUNCE_DELAY = 300;
+
+// 다음 페이지 결과를 같은 채팅방 그룹에 이어 붙임
+const mergeGroups = (prevGroups, nextGroups) => {
+  const groupMap = new Map(prevGroups.map(group => [group.room._id, { ...group }]));
+
+  nextGroups.forEach(group => {
+    const existing = groupMap.get(group.room._id);
+    if (existing) {
+      existing.messages = [...existing.messages, ...group.messages];
+    } else {
+      groupMap.set(group.room._id, group);
+    }
+  });
+
+  return Array.from(groupMap.values());
+};
+
+export const useGlobalSearch = () => {
+  const [query, setQuery] = useState('');
+  const [rooms, setRooms] = useState([]);
+  const [groups, setGroups] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const requestIdRef = useRef(0);
+  const debounceRef = useRef(null);
+
+  const runSearch = useCallback(async (searchQuery, nextPage = 0) => {
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axiosInstance.get('/api/search', {
+        params: {
+          q: searchQuery,
+          page: nextPage,
+          pageSize: PAGE_SIZE
+        }
+      });
+
+      if (requestId !== requestIdRef.current) return;
+
+      const { data = {}, metadata = {} } = response.data || {};
+      if (nextPage === 0) {
+        setRooms(data.rooms || []);
+        setGroups(data.groups || []);
+      } else {
+        setGroups(prev => mergeGroups(prev, data.groups || []));
+      }
+      setTotal(metadata.total || 0);
+      setHasMore(!!metadata.hasMore);
+      setPage(nextPage);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Global search error:', error);
+      setError(error.response?.data?.message || '검색 중 오류가 발생했습니다.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, []);
+
+  const clearResults = useCallback(() => {
+    requestIdRef.current += 1;
+    setRooms([]);
+    setGroups([]);
+    setTotal(0);
+    setPage(0);
+    setHasMore(false);
+    setLoading(false);
+    setError(null);
+  }, []);
+
+  // 입력이 멈춘 뒤 검색
+  useEffect(() => {
+    if (debounceRef.current) {
+      clearTimeout(debounceRef.current);
+    }
+
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery) {
+      clearResults();
+      return;
+    }
+
+    debounceRef.current = setTimeout(() => {
+      runSearch(trimmedQuery, 0);
+    }, DEBOUNCE_DELAY);
+
+    return () => clearTimeout(debounceRef.current);
+  }, [query, runSearch, clearResults]);
+
+  const loadMore = useCallback(() => {
+    const trimmedQuery = query.trim();
+    if (loading || !hasMore || !trimmedQuery) return;
+    runSearch(trimmedQuery, page + 1);
+  }, [query, loading, hasMore, page, runSearch]);
+
+  const reset = useCallback(() => {
+    setQuery('');
+    clearResults();
+  }, [clearResults]);
+
+  return {
+    query,
+    rooms,
+    groups,
+    total,
+    hasMore,
+    loading,
+    error,
+    setQuery,
+    loadMore,
+    reset
+  };
+};
+
+export default useGlobalSearch;
@@ -0,0 +1,73 @@
+// hooks/useMessageDeleteHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useMessageDeleteHandling = (socketRef, setMessages) => {
+  const handleMessageDelete = useCallback(async (messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      await socketRef.current.emit('deleteMessage', { messageId });
+    } catch (error) {
+      console.error('Delete message error:', error);
+      Toast.error('메시지 삭제에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 삭제된 메시지는 목록에서 제거하지 않고 삭제 표시만 남긴다
+  const handleMessageDeleted = useCallback(({ messageId, deletedAt, deletedBy }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg => {
+        if (msg._id === messageId) {
+          return {
+            ...msg,
+            content: '',
+            file: null,
+            reactions: {},
+            metadata: {},
+            isDeleted: true,
+            deletedAt,
+            deletedBy
+          };
+        }
+
+        // 삭제된 메시지를 인용한 답장의 인용 내용도 숨김
+        if (msg.replyTo?.messageId === messageId) {
+          return {
+            ...msg,
+            replyTo: { ...msg.replyTo, content: '', isDeleted: true }
+          };
+        }
+
+        return msg;
+      })
+    );
+  }, [setMessages]);
+
+  // 만료된 사라지는 메시지는 삭제 표시 없이 목록에서 제거한다
+  const handleMessagesExpired = useCallback(({ messageIds = [] }) => {
+    if (messageIds.length === 0) return;
+    const expiredIds = new Set(messageIds);
+
+    setMessages(prevMessages =>
+      prevMessages
+        .filter(msg => !expiredIds.has(msg._id))
+        .map(msg => (
+          expiredIds.has(msg.replyTo?.messageId) ?
+          { ...msg, replyTo: { ...msg.replyTo, content: '', isDeleted: true } } :
+          msg
+        ))
+    );
+  }, [setMessages]);
+
+  return {
+    handleMessageDelete,
+    handleMessageDeleted,
+    handleMessagesExpired
+  };
+};
+
+export default useMessageDeleteHandling;
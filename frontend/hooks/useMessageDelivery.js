@@ -0,0 +1,125 @@
+// hooks/useMessageDelivery.js
+
+import { useState, useCallback, useRef } from 'react';
+import socketService from '../services/socket';
+
+export const DELIVERY_STATUS = {
+  PENDING: 'pending',
+  FAILED: 'failed'
+};
+
+const createClientMessageId = () => {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+// 서버 응답(ack)을 받기 전까지 전송 중인 메시지를 따로 보관하고,
+// 같은 clientMessageId로 재전송해 서버가 중복 저장하지 않도록 함
+// onDelivered: 서버가 응답으로 돌려준 저장된 메시지를 목록에 반영
+export const useMessageDelivery = (currentUser, { onDelivered } = {}) => {
+  const [outgoingMessages, setOutgoingMessages] = useState({});
+  const outgoingRef = useRef({});
+
+  const updateOutgoing = useCallback((updater) => {
+    setOutgoingMessages(prev => {
+      const next = updater(prev);
+      outgoingRef.current = next;
+      return next;
+    });
+  }, []);
+
+  const removeOutgoing = useCallback((clientMessageId) => {
+    updateOutgoing(prev => {
+      if (!prev[clientMessageId]) return prev;
+      const { [clientMessageId]: removed, ...rest } = prev;
+      return rest;
+    });
+  }, [updateOutgoing]);
+
+  const deliver = useCallback(async (clientMessageId, payload) => {
+    updateOutgoing(prev => prev[clientMessageId] ? {
+      ...prev,
+      [clientMessageId]: { ...prev[clientMessageId], status: DELIVERY_STATUS.PENDING, error: null }
+    } : prev);
+
+    try {
+      const response = await socketService.emitWithAck('chatMessage', payload);
+      removeOutgoing(clientMessageId);
+      // 재전송이 이미 저장된 메시지로 처리된 경우(duplicate)에는 'message' 이벤트가 다시 오지 않으므로 응답의 메시지로 반영
+      if (response?.message) {
+        onDelivered?.(response.message);
+      }
+      return response?.message || null;
+    } catch (error) {
+      console.error('[Chat] Message delivery error:', error);
+      updateOutgoing(prev => prev[clientMessageId] ? {
+        ...prev,
+        [clientMessageId]: {
+          ...prev[clientMessageId],
+          status: DELIVERY_STATUS.FAILED,
+          error: error?.message || '메시지 전송에 실패했습니다.'
+        }
+      } : prev);
+      return null;
+    }
+  }, [updateOutgoing, removeOutgoing, onDelivered]);
+
+  const sendMessage = useCallback((payload, preview = {}) => {
+    const clientMessageId = createClientMessageId();
+    const outgoingPayload = { ...payload, clientMessageId };
+
+    const outgoingMessage = {
+      _id: `local-${clientMessageId}`,
+      clientMessageId,
+      room: payload.room,
+      type: payload.type,
+      content: preview.content ?? payload.content ?? '',
+      replyTo: preview.replyTo,
+      sender: currentUser ? {
+        _id: currentUser.id,
+        name: currentUser.name,
+        email: currentUser.email,
+        profileImage: currentUser.profileImage
+      } : null,
+      timestamp: new Date().toISOString(),
+      status: DELIVERY_STATUS.PENDING,
+      payload: outgoingPayload
+    };
+
+    updateOutgoing(prev => ({ ...prev, [clientMessageId]: outgoingMessage }));
+    return deliver(clientMessageId, outgoingPayload);
+  }, [currentUser, deliver, updateOutgoing]);
+
+  const retryMessage = useCallback((clientMessageId) => {
+    const outgoingMessage = outgoingRef.current[clientMessageId];
+    if (!outgoingMessage || outgoingMessage.status !== DELIVERY_STATUS.FAILED) return null;
+    return deliver(clientMessageId, outgoingMessage.payload);
+  }, [deliver]);
+
+  const discardMessage = useCallback((clientMessageId) => {
+    removeOutgoing(clientMessageId);
+  }, [removeOutgoing]);
+
+  // 응답이 늦어 실패로 표시된 메시지가 실제로 저장되어 브로드캐스트된 경우
+  const handleMessageDelivered = useCallback((message) => {
+    if (!message?.clientMessageId) return;
+    removeOutgoing(message.clientMessageId);
+  }, [removeOutgoing]);
+
+  const clearOutgoingMessages = useCallback(() => {
+    updateOutgoing(() => ({}));
+  }, [updateOutgoing]);
+
+  return {
+    outgoingMessages,
+    sendMessage,
+    retryMessage,
+    discardMessage,
+    handleMessageDelivered,
+    clearOutgoingMessages
+  };
+};
+
+export default useMessageDelivery;
@@ -0,0 +1,60 @@
+// hooks/useMessageEditHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useMessageEditHandling = (socketRef, setMessages) => {
+  const handleMessageEdit = useCallback(async (messageId, content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!trimmedContent) {
+        Toast.error('메시지 내용을 입력해주세요.');
+        return false;
+      }
+
+      await socketRef.current.emit('editMessage', {
+        messageId,
+        content: trimmedContent
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Edit message error:', error);
+      Toast.error('메시지 수정에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  const handleMessageUpdate = useCallback(({ messageId, content, isEdited, editedAt, editHistory, mentions }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ?
+        { ...msg, content, isEdited, editedAt, editHistory, mentions: mentions || msg.mentions } :
+        msg
+      )
+    );
+  }, [setMessages]);
+
+  // 서버에서 링크 미리보기를 가져온 뒤 (또는 수정으로 URL이 사라진 뒤) 전송됨
+  const handleLinkPreviewsUpdate = useCallback(({ messageId, linkPreviews }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ?
+        { ...msg, metadata: { ...msg.metadata, linkPreviews } } :
+        msg
+      )
+    );
+  }, [setMessages]);
+
+  return {
+    handleMessageEdit,
+    handleMessageUpdate,
+    handleLinkPreviewsUpdate
+  };
+};
+
+export default useMessageEditHandling;
@@ -0,0 +1,33 @@
+// hooks/useMessageForwarding.js
+
+import { useCallback } from 'react';
+import socketService from '../services/socket';
+import { Toast } from '../components/Toast';
+
+export const useMessageForwarding = (router) => {
+  // 성공하면 전달된 채팅방으로 이동할 수 있는 알림을 띄움
+  const handleMessageForward = useCallback(async (messageId, targetRoom) => {
+    try {
+      const response = await socketService.sendWithAck('forwardMessage', {
+        messageId,
+        targetRoomId: targetRoom._id
+      });
+
+      Toast.success(`'${targetRoom.name}' 채팅방으로 메시지를 전달했습니다.`, {
+        duration: 5000,
+        onClick: () => router.push(`/chat?room=${targetRoom._id}&message=${response?.messageId}`)
+      });
+      return true;
+    } catch (error) {
+      console.error('Forward message error:', error);
+      Toast.error(error?.message || '메시지 전달에 실패했습니다.');
+      return false;
+    }
+  }, [router]);
+
+  return {
+    handleMessageForward
+  };
+};
+
+export default useMessageForwarding;
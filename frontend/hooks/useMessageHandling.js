@@ -1,8 +1,11 @@
 import { useState, useCallback } from 'react';
 import { Toast } from '../components/Toast';
 import fileService from '../services/fileService';
+import socketService from '../services/socket';
+import { useMessageDelivery } from './useMessageDelivery';
+import { isSlashCommand } from './useSlashCommands';
 
-export const useMessageHandling = (socketRef, currentUser, router, handleSessionError, messages = []) => {
+export const useMessageHandling = (socketRef, currentUser, router, handleSessionError, messages = [], { onMessageDelivered } = {}) => {
  const [message, setMessage] = useState('');
  const [showEmojiPicker, setShowEmojiPicker] = useState(false);
  const [showMentionList, setShowMentionList] = useState(false);
@@ -13,6 +16,37 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
  const [uploadProgress, setUploadProgress] = useState(0);
  const [uploadError, setUploadError] = useState(null);
  const [loadingMessages, setLoadingMessages] = useState(false);
+ const [replyTarget, setReplyTarget] = useState(null);
+ const {
+   outgoingMessages,
+   sendMessage,
+   retryMessage,
+   discardMessage,
+   handleMessageDelivered,
+   clearOutgoingMessages
+ } = useMessageDelivery(currentUser, { onDelivered: onMessageDelivered });
+
+ // 전송 중 말풍선에 표시할 답장 인용 정보
+ const buildReplyPreview = useCallback((target) => {
+   if (!target?._id) return undefined;
+   return {
+     messageId: target._id,
+     senderName: target.type === 'ai'
+       ? (target.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
+       : target.sender?.name,
+     type: target.type,
+     content: target.content
+   };
+ }, []);
+
+ const handleReplyStart = useCallback((targetMessage) => {
+   if (!targetMessage?._id) return;
+   setReplyTarget(targetMessage);
+ }, []);
+
+ const handleReplyCancel = useCallback(() => {
+   setReplyTarget(null);
+ }, []);
 
  const handleMessageChange = useCallback((e) => {
    const newValue = e.target.value;
@@ -90,12 +124,16 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
  }, [socketRef, router?.query?.room, loadingMessages, messages]);
 
  const handleMessageSubmit = useCallback(async (messageData) => {
-   if (!socketRef.current?.connected || !currentUser) {
-     console.error('[Chat] Cannot send message: Socket not connected');
-     Toast.error('채팅 서버와 연결이 끊어졌습니다.');
+   if (!currentUser) {
+     Toast.error('로그인 정보를 찾을 수 없습니다.');
      return;
    }
 
+   // 연결이 끊긴 동안 보낸 메시지는 전송 대기 상태로 표시했다가 재연결 후 전송
+   if (!socketRef.current?.connected) {
+     console.warn('[Chat] Socket not connected, message will be sent after reconnect');
+   }
+
    const roomId = router?.query?.room;
    if (!roomId) {
      Toast.error('채팅방 정보를 찾을 수 없습니다.');
@@ -119,10 +157,11 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
          throw new Error(uploadResponse.message || '파일 업로드에 실패했습니다.');
        }
 
-       socketRef.current.emit('chatMessage', {
+       sendMessage({
          room: roomId,
          type: 'file',
          content: messageData.content || '',
+         replyToId: replyTarget?._id,
          fileData: {
            _id: uploadResponse.data.file._id,
            filename: uploadResponse.data.file.filename,
@@ -130,21 +169,64 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
            mimetype: uploadResponse.data.file.mimetype,
            size: uploadResponse.data.file.size
          }
+       }, {
+         content: messageData.content || uploadResponse.data.file.originalname,
+         replyTo: buildReplyPreview(replyTarget)
        });
 
        setFilePreview(null);
        setMessage('');
+       setReplyTarget(null);
        setUploading(false);
        setUploadProgress(0);
 
+     } else if (messageData.type === 'poll') {
+       // 투표는 입력창과 별도로 작성하므로 입력 중인 메시지는 유지
+       sendMessage({
+         room: roomId,
+         type: 'poll',
+         content: messageData.content.trim(),
+         poll: messageData.poll,
+         replyToId: replyTarget?._id
+       }, {
+         replyTo: buildReplyPreview(replyTarget)
+       });
+
+       setReplyTarget(null);
+
+     } else if (isSlashCommand(messageData.content)) {
+       // 명령어는 전송 중 메시지로 표시하지 않고 결과만 알림
+       const content = messageData.content.trim();
+       setMessage('');
+       try {
+         const response = await socketService.sendWithAck('chatMessage', {
+           room: roomId,
+           type: 'text',
+           content,
+           replyToId: replyTarget?._id
+         });
+         if (response?.notice) {
+           Toast.success(response.notice);
+         }
+         setReplyTarget(null);
+       } catch (error) {
+         // 수정해서 다시 보낼 수 있도록 입력 내용 복원
+         setMessage(content);
+         Toast.error(error?.message || '명령어 실행에 실패했습니다.');
+       }
+
      } else if (messageData.content?.trim()) {
-       socketRef.current.emit('chatMessage', {
+       sendMessage({
          room: roomId,
          type: 'text',
-         content: messageData.content.trim()
+         content: messageData.content.trim(),
+         replyToId: replyTarget?._id
+       }, {
+         replyTo: buildReplyPreview(replyTarget)
        });
 
        setMessage('');
+       setReplyTarget(null);
      }
 
      setShowEmojiPicker(false);
@@ -166,7 +248,7 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
        setUploading(false);
      }
    }
- }, [currentUser, router, handleSessionError, socketRef]);
+ }, [currentUser, router, handleSessionError, socketRef, replyTarget, sendMessage, buildReplyPreview]);
 
  const handleEmojiToggle = useCallback(() => {
    setShowEmojiPicker(prev => !prev);
@@ -239,6 +321,8 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
    uploadProgress,
    uploadError,
    loadingMessages,
+   replyTarget,
+   outgoingMessages,
    setMessage,
    setShowEmojiPicker,
    setShowMentionList,
@@ -252,7 +336,13 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
    handleLoadMore,
    getFilteredParticipants,
    insertMention,
-   removeFilePreview
+   removeFilePreview,
+   handleReplyStart,
+   handleReplyCancel,
+   retryMessage,
+   discardMessage,
+   handleMessageDelivered,
+   clearOutgoingMessages
  };
 };
 
@@ -0,0 +1,83 @@
+// hooks/useMessageNavigation.js
+
+import { useCallback, useEffect, useRef } from 'react';
+import { Toast } from '../components/Toast';
+
+const HIGHLIGHT_DURATION = 2000;
+
+export const useMessageNavigation = (messages, loadMessagesAround) => {
+  const pendingTargetRef = useRef(null);
+  const highlightTimeoutRef = useRef(null);
+
+  const findMessageElement = useCallback((messageId) => {
+    if (typeof document === 'undefined') return null;
+    return document.querySelector(`.message-list [data-message-id="${messageId}"]`);
+  }, []);
+
+  const highlightElement = useCallback((element) => {
+    element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    element.classList.add('message-highlight');
+
+    if (highlightTimeoutRef.current) {
+      clearTimeout(highlightTimeoutRef.current);
+    }
+    highlightTimeoutRef.current = setTimeout(() => {
+      element.classList.remove('message-highlight');
+    }, HIGHLIGHT_DURATION);
+  }, []);
+
+  const highlightPendingTarget = useCallback(() => {
+    const targetId = pendingTargetRef.current;
+    if (!targetId) return;
+
+    const element = findMessageElement(targetId);
+    if (element) {
+      pendingTargetRef.current = null;
+      highlightElement(element);
+    }
+  }, [findMessageElement, highlightElement]);
+
+  // 화면에 있으면 바로 이동하고, 없으면 해당 메시지 주변 구간을 불러온 뒤 이동
+  const scrollToMessage = useCallback(async (messageId) => {
+    if (!messageId) return;
+
+    const element = findMessageElement(messageId);
+    if (element) {
+      pendingTargetRef.current = null;
+      highlightElement(element);
+      return;
+    }
+
+    pendingTargetRef.current = messageId;
+    const targetId = await loadMessagesAround(messageId);
+
+    if (pendingTargetRef.current !== messageId) return;
+
+    if (!targetId) {
+      pendingTargetRef.current = null;
+      Toast.info('메시지를 찾을 수 없습니다.');
+      return;
+    }
+
+    // 스레드 답글은 원본 메시지 위치로 이동
+    pendingTargetRef.current = String(targetId);
+    requestAnimationFrame(highlightPendingTarget);
+  }, [findMessageElement, highlightElement, loadMessagesAround, highlightPendingTarget]);
+
+  useEffect(() => {
+    if (!pendingTargetRef.current) return;
+    requestAnimationFrame(highlightPendingTarget);
+  }, [messages, highlightPendingTarget]);
+
+  useEffect(() => () => {
+    if (highlightTimeoutRef.current) {
+      clearTimeout(highlightTimeoutRef.current);
+    }
+  }, []);
+
+  return {
+    scrollToMessage
+  };
+};
+
+export default useMessageNavigation;
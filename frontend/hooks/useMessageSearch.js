@@ -0,0 +1,117 @@
+// hooks/useMessageSearch.js
+
+import { useState, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+
+const PAGE_SIZE = 20;
+
+const INITIAL_FILTERS = {
+  sender: '',
+  type: '',
+  from: '',
+  to: ''
+};
+
+// 날짜 입력값(YYYY-MM-DD)을 하루의 시작/끝 시각으로 변환
+const toDateBoundary = (value, endOfDay = false) => {
+  if (!value) return undefined;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`);
+  return isNaN(date) ? undefined : date.toISOString();
+};
+
+export const useMessageSearch = (roomId) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(INITIAL_FILTERS);
+  const [results, setResults] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [searched, setSearched] = useState(false);
+  const requestIdRef = useRef(0);
+
+  const runSearch = useCallback(async (nextPage = 0) => {
+    const trimmedQuery = query.trim();
+    if (!roomId || !trimmedQuery) return;
+
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/messages/search`, {
+        params: {
+          q: trimmedQuery,
+          sender: filters.sender || undefined,
+          type: filters.type || undefined,
+          from: toDateBoundary(filters.from),
+          to: toDateBoundary(filters.to, true),
+          page: nextPage,
+          pageSize: PAGE_SIZE
+        }
+      });
+
+      // 이전 검색 응답이 늦게 도착한 경우 무시
+      if (requestId !== requestIdRef.current) return;
+
+      const { data = [], metadata = {} } = response.data || {};
+      setResults(prev => (nextPage === 0 ? data : [...prev, ...data]));
+      setTotal(metadata.total || 0);
+      setHasMore(!!metadata.hasMore);
+      setPage(nextPage);
+      setSearched(true);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Message search error:', error);
+      setError(error.response?.data?.message || '메시지 검색 중 오류가 발생했습니다.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+      }
+    }
+  }, [roomId, query, filters]);
+
+  const search = useCallback(() => runSearch(0), [runSearch]);
+
+  const loadMore = useCallback(() => {
+    if (loading || !hasMore) return;
+    runSearch(page + 1);
+  }, [loading, hasMore, page, runSearch]);
+
+  const updateFilter = useCallback((name, value) => {
+    setFilters(prev => ({ ...prev, [name]: value }));
+  }, []);
+
+  const reset = useCallback(() => {
+    requestIdRef.current += 1;
+    setQuery('');
+    setFilters(INITIAL_FILTERS);
+    setResults([]);
+    setTotal(0);
+    setPage(0);
+    setHasMore(false);
+    setLoading(false);
+    setError(null);
+    setSearched(false);
+  }, []);
+
+  return {
+    query,
+    filters,
+    results,
+    total,
+    hasMore,
+    loading,
+    error,
+    searched,
+    setQuery,
+    updateFilter,
+    search,
+    loadMore,
+    reset
+  };
+};
+
+export default useMessageSearch;
@@ -0,0 +1,143 @@
+// hooks/useNotifications.js
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import socketService from '../services/socket';
+import { Toast } from '../components/Toast';
+
+const PAGE_SIZE = 20;
+
+export const useNotifications = (enabled = true) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const notificationsRef = useRef([]);
+
+  useEffect(() => {
+    notificationsRef.current = notifications;
+  }, [notifications]);
+
+  // before가 있으면 그 이전 알림을 이어서 불러옴
+  const fetchNotifications = useCallback(async (before = null) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get('/api/notifications', {
+        params: { limit: PAGE_SIZE, ...(before && { before }) }
+      });
+      const data = response.data?.data || {};
+      const items = data.notifications || [];
+
+      setNotifications(prev => {
+        if (!before) return items;
+        const existingIds = new Set(prev.map(item => item._id));
+        return [...prev, ...items.filter(item => !existingIds.has(item._id))];
+      });
+      setHasMore(!!data.hasMore);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Notifications fetch error:', error);
+      setError(error.response?.data?.message || '알림을 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const loadMore = useCallback(() => {
+    const last = notificationsRef.current[notificationsRef.current.length - 1];
+    if (!last || loading) return;
+    fetchNotifications(last.createdAt);
+  }, [fetchNotifications, loading]);
+
+  const markAsRead = useCallback(async (notificationId) => {
+    try {
+      const response = await axiosInstance.patch(`/api/notifications/${notificationId}/read`);
+      setNotifications(prev => prev.map(item =>
+        item._id === notificationId ? { ...item, isRead: true } : item
+      ));
+      setUnreadCount(response.data?.data?.unreadCount ?? 0);
+      return true;
+    } catch (error) {
+      console.error('Notification read error:', error);
+      return false;
+    }
+  }, []);
+
+  const markAllAsRead = useCallback(async () => {
+    try {
+      await axiosInstance.patch('/api/notifications/read-all');
+      setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      setUnreadCount(0);
+      return true;
+    } catch (error) {
+      console.error('Notifications read-all error:', error);
+      Toast.error(error.response?.data?.message || '알림 읽음 처리에 실패했습니다.');
+      return false;
+    }
+  }, []);
+
+  // 개인 채널 실시간 이벤트
+  const handleNotificationEvent = useCallback((event, data) => {
+    if (!data) return;
+
+    if (event === 'notification' && data.notification) {
+      setNotifications(prev => (
+        prev.some(item => item._id === data.notification._id)
+          ? prev
+          : [data.notification, ...prev]
+      ));
+      setUnreadCount(data.unreadCount ?? 0);
+      return;
+    }
+
+    if (event === 'notificationsUpdated') {
+      setUnreadCount(data.unreadCount ?? 0);
+
+      if (data.allRead) {
+        setNotifications(prev => prev.map(item => ({ ...item, isRead: true })));
+      } else if (data.readIds?.length) {
+        const readIds = new Set(data.readIds);
+        setNotifications(prev => prev.map(item =>
+          readIds.has(item._id) ? { ...item, isRead: true } : item
+        ));
+      }
+
+      // 원본 메시지가 삭제되어 알림이 사라진 경우 목록을 다시 불러옴
+      if (data.removed) {
+        fetchNotifications();
+      }
+    }
+  }, [fetchNotifications]);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    fetchNotifications();
+    const unsubscribe = socketService.onNotificationEvent(handleNotificationEvent);
+
+    // 소켓이 연결되지 않은 페이지에 있다가 돌아온 경우를 위해 포커스 시 다시 확인
+    const handleFocus = () => fetchNotifications();
+    window.addEventListener('focus', handleFocus);
+
+    return () => {
+      unsubscribe();
+      window.removeEventListener('focus', handleFocus);
+    };
+  }, [enabled, fetchNotifications, handleNotificationEvent]);
+
+  return {
+    notifications,
+    unreadCount,
+    hasMore,
+    loading,
+    error,
+    fetchNotifications,
+    loadMore,
+    markAsRead,
+    markAllAsRead
+  };
+};
+
+export default useNotifications;
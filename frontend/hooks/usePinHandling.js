@@ -0,0 +1,95 @@
+// hooks/usePinHandling.js
+
+import { useState, useCallback, useEffect } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const usePinHandling = (socketRef, roomId, setMessages) => {
+  const [pins, setPins] = useState([]);
+  const [pinLimit, setPinLimit] = useState(null);
+  const [pinsLoading, setPinsLoading] = useState(false);
+
+  const fetchPins = useCallback(async () => {
+    if (!roomId) return;
+
+    try {
+      setPinsLoading(true);
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/pins`);
+
+      if (response.data?.success) {
+        setPins(response.data.data.pins || []);
+        setPinLimit(response.data.data.pinLimit);
+      }
+    } catch (error) {
+      console.error('Fetch pins error:', error);
+      Toast.error('고정 메시지를 불러오는데 실패했습니다.');
+    } finally {
+      setPinsLoading(false);
+    }
+  }, [roomId]);
+
+  const handlePinToggle = useCallback(async (messageId, isPinned) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      await socketRef.current.emit(isPinned ? 'unpinMessage' : 'pinMessage', {
+        messageId
+      });
+    } catch (error) {
+      console.error('Pin toggle error:', error);
+      Toast.error(isPinned ? '고정 해제에 실패했습니다.' : '메시지 고정에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  const handleMessagePinned = useCallback(({ messageId, pinnedBy, pinnedAt }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ?
+        { ...msg, isPinned: true, pinnedBy, pinnedAt } :
+        msg
+      )
+    );
+    // 화면에 없는 메시지일 수 있으므로 목록은 서버에서 다시 받는다
+    fetchPins();
+  }, [setMessages, fetchPins]);
+
+  const handleMessageUnpinned = useCallback(({ messageId }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ?
+        { ...msg, isPinned: false, pinnedBy: null, pinnedAt: null } :
+        msg
+      )
+    );
+    setPins(prevPins => prevPins.filter(pin => pin._id !== messageId));
+  }, [setMessages]);
+
+  const handlePinsExpired = useCallback(({ messageIds = [] }) => {
+    if (messageIds.length === 0) return;
+    const expiredIds = new Set(messageIds);
+    setPins(prevPins => prevPins.filter(pin => !expiredIds.has(pin._id)));
+  }, []);
+
+  useEffect(() => {
+    setPins([]);
+    setPinLimit(null);
+    if (roomId) {
+      fetchPins();
+    }
+  }, [roomId, fetchPins]);
+
+  return {
+    pins,
+    pinLimit,
+    pinsLoading,
+    fetchPins,
+    handlePinToggle,
+    handleMessagePinned,
+    handleMessageUnpinned,
+    handlePinsExpired
+  };
+};
+
+export default usePinHandling;
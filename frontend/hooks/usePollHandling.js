@@ -0,0 +1,57 @@
+// hooks/usePollHandling.js
+
+import { useCallback } from 'react';
+import socketService from '../services/socket';
+import { Toast } from '../components/Toast';
+
+export const usePollHandling = (setMessages) => {
+  // 내 선택을 optionIds로 교체 (빈 배열이면 투표 취소), 성공하면 내 선택 목록 반환
+  const handlePollVote = useCallback(async (messageId, optionIds) => {
+    try {
+      const response = await socketService.sendWithAck('pollVote', { messageId, optionIds });
+      return response?.myVotes || [];
+    } catch (error) {
+      console.error('Poll vote error:', error);
+      Toast.error(error?.message || '투표에 실패했습니다.');
+      return null;
+    }
+  }, []);
+
+  const handlePollClose = useCallback(async (messageId) => {
+    try {
+      await socketService.sendWithAck('closePoll', { messageId });
+      return true;
+    } catch (error) {
+      console.error('Poll close error:', error);
+      Toast.error(error?.message || '투표 마감에 실패했습니다.');
+      return false;
+    }
+  }, []);
+
+  const fetchMyPollVotes = useCallback(async (messageId) => {
+    try {
+      const response = await socketService.sendWithAck('fetchPollVotes', { messageId });
+      return response?.myVotes || [];
+    } catch (error) {
+      console.error('Poll votes fetch error:', error);
+      return null;
+    }
+  }, []);
+
+  const handlePollUpdated = useCallback(({ messageId, poll }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ? { ...msg, poll } : msg
+      )
+    );
+  }, [setMessages]);
+
+  return {
+    handlePollVote,
+    handlePollClose,
+    fetchMyPollVotes,
+    handlePollUpdated
+  };
+};
+
+export default usePollHandling;
@@ -0,0 +1,39 @@
+// hooks/useRateLimit.js
+
+import { useState, useCallback, useEffect } from 'react';
+
+export const RATE_LIMITED = 'RATE_LIMITED';
+
+export const isRateLimitError = (error) => error?.code === RATE_LIMITED;
+
+// 서버가 보낸 rateLimited 이벤트를 재시도 가능 시각까지 보관
+export const useRateLimit = (roomId) => {
+  const [rateLimit, setRateLimit] = useState(null);
+
+  const handleRateLimited = useCallback(({ event, retryAfter = 1, reason } = {}) => {
+    setRateLimit({
+      event,
+      reason,
+      retryAt: Date.now() + retryAfter * 1000
+    });
+  }, []);
+
+  useEffect(() => {
+    if (!rateLimit) return;
+
+    const timer = setTimeout(() => setRateLimit(null), Math.max(0, rateLimit.retryAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [rateLimit]);
+
+  // 채팅방을 옮기면 초기화 (다른 채팅방의 버킷은 별개)
+  useEffect(() => {
+    setRateLimit(null);
+  }, [roomId]);
+
+  return {
+    rateLimit,
+    handleRateLimited
+  };
+};
+
+export default useRateLimit;
@@ -0,0 +1,126 @@
+// hooks/useSavedMessages.js
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+const BOOKMARKS_URL = '/api/users/me/bookmarks';
+const PAGE_SIZE = 20;
+
+// 저장한 메시지 페이지의 목록/필터 상태
+export const useSavedMessages = () => {
+  const [bookmarks, setBookmarks] = useState([]);
+  const [filters, setFilters] = useState({ rooms: [], tags: [] });
+  const [roomFilter, setRoomFilter] = useState('');
+  const [tagFilter, setTagFilter] = useState('');
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const nextCursorRef = useRef(null);
+  const requestIdRef = useRef(0);
+
+  const fetchFilters = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get(`${BOOKMARKS_URL}/filters`);
+      setFilters(response.data?.data || { rooms: [], tags: [] });
+    } catch (error) {
+      console.error('Bookmark filters fetch error:', error);
+    }
+  }, []);
+
+  // before가 있으면 그 이전 북마크를 이어서 불러옴
+  const fetchBookmarks = useCallback(async (before = null) => {
+    const requestId = ++requestIdRef.current;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get(BOOKMARKS_URL, {
+        params: {
+          limit: PAGE_SIZE,
+          ...(roomFilter && { room: roomFilter }),
+          ...(tagFilter && { tag: tagFilter }),
+          ...(before && { before })
+        }
+      });
+      // 필터가 바뀐 뒤 도착한 이전 응답은 무시
+      if (requestId !== requestIdRef.current) return;
+
+      const data = response.data?.data || {};
+      const items = data.bookmarks || [];
+
+      setBookmarks(prev => {
+        if (!before) return items;
+        const existingIds = new Set(prev.map(item => item._id));
+        return [...prev, ...items.filter(item => !existingIds.has(item._id))];
+      });
+      setHasMore(!!data.hasMore);
+      nextCursorRef.current = data.nextCursor || null;
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Bookmarks fetch error:', error);
+      setError(error.response?.data?.message || '저장한 메시지를 불러오는데 실패했습니다.');
+    } finally {
+      if (requestId === requestIdRef.current) setLoading(false);
+    }
+  }, [roomFilter, tagFilter]);
+
+  useEffect(() => {
+    fetchBookmarks();
+  }, [fetchBookmarks]);
+
+  useEffect(() => {
+    fetchFilters();
+  }, [fetchFilters]);
+
+  const loadMore = useCallback(() => {
+    if (!nextCursorRef.current || loading) return;
+    fetchBookmarks(nextCursorRef.current);
+  }, [fetchBookmarks, loading]);
+
+  const updateBookmark = useCallback(async (bookmarkId, changes) => {
+    try {
+      const response = await axiosInstance.patch(`${BOOKMARKS_URL}/${bookmarkId}`, changes);
+      const updated = response.data?.data?.bookmark;
+      setBookmarks(prev => prev.map(item =>
+        item._id === bookmarkId ? { ...item, note: updated.note, tags: updated.tags } : item
+      ));
+      fetchFilters();
+      return true;
+    } catch (error) {
+      console.error('Bookmark update error:', error);
+      Toast.error(error.response?.data?.message || '메모 저장에 실패했습니다.');
+      return false;
+    }
+  }, [fetchFilters]);
+
+  const removeBookmark = useCallback(async (bookmarkId) => {
+    try {
+      await axiosInstance.delete(`${BOOKMARKS_URL}/${bookmarkId}`);
+      setBookmarks(prev => prev.filter(item => item._id !== bookmarkId));
+      fetchFilters();
+      return true;
+    } catch (error) {
+      console.error('Bookmark delete error:', error);
+      Toast.error(error.response?.data?.message || '저장 취소에 실패했습니다.');
+      return false;
+    }
+  }, [fetchFilters]);
+
+  return {
+    bookmarks,
+    filters,
+    roomFilter,
+    tagFilter,
+    hasMore,
+    loading,
+    error,
+    setRoomFilter,
+    setTagFilter,
+    loadMore,
+    updateBookmark,
+    removeBookmark
+  };
+};
+
+export default useSavedMessages;
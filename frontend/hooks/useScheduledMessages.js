@@ -0,0 +1,102 @@
+// hooks/useScheduledMessages.js
+
+import { useState, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const useScheduledMessages = (roomId) => {
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const sortBySchedule = (items) => (
+    [...items].sort((a, b) => new Date(a.scheduledAt) - new Date(b.scheduledAt))
+  );
+
+  const fetchScheduledMessages = useCallback(async () => {
+    if (!roomId) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/scheduled-messages`);
+      setScheduledMessages(response.data?.data || []);
+    } catch (error) {
+      console.error('Scheduled messages fetch error:', error);
+      setError(error.response?.data?.message || '예약 메시지를 불러오는데 실패했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  const scheduleMessage = useCallback(async (content, scheduledAt) => {
+    if (!roomId) return false;
+
+    try {
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/scheduled-messages`, {
+        content,
+        scheduledAt
+      });
+      const created = response.data?.data;
+      if (created) {
+        setScheduledMessages(prev => sortBySchedule([...prev, created]));
+      }
+      Toast.success('메시지가 예약되었습니다.');
+      return true;
+    } catch (error) {
+      console.error('Schedule message error:', error);
+      Toast.error(error.response?.data?.message || '메시지 예약에 실패했습니다.');
+      return false;
+    }
+  }, [roomId]);
+
+  const updateScheduledMessage = useCallback(async (scheduledMessageId, changes) => {
+    if (!roomId) return false;
+
+    try {
+      const response = await axiosInstance.put(
+        `/api/rooms/${roomId}/scheduled-messages/${scheduledMessageId}`,
+        changes
+      );
+      const updated = response.data?.data;
+      if (updated) {
+        setScheduledMessages(prev => sortBySchedule(
+          prev.map(item => item._id === scheduledMessageId ? updated : item)
+        ));
+      }
+      Toast.success('예약 메시지가 수정되었습니다.');
+      return true;
+    } catch (error) {
+      console.error('Scheduled message update error:', error);
+      Toast.error(error.response?.data?.message || '예약 메시지 수정에 실패했습니다.');
+      return false;
+    }
+  }, [roomId]);
+
+  const cancelScheduledMessage = useCallback(async (scheduledMessageId) => {
+    if (!roomId) return false;
+
+    try {
+      await axiosInstance.delete(`/api/rooms/${roomId}/scheduled-messages/${scheduledMessageId}`);
+      setScheduledMessages(prev => prev.filter(item => item._id !== scheduledMessageId));
+      Toast.success('예약 메시지가 취소되었습니다.');
+      return true;
+    } catch (error) {
+      console.error('Scheduled message cancel error:', error);
+      Toast.error(error.response?.data?.message || '예약 메시지 취소에 실패했습니다.');
+      return false;
+    }
+  }, [roomId]);
+
+  return {
+    scheduledMessages,
+    loading,
+    error,
+    fetchScheduledMessages,
+    scheduleMessage,
+    updateScheduledMessage,
+    cancelScheduledMessage
+  };
+};
+
+export default useScheduledMessages;
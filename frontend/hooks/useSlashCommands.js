@@ -0,0 +1,108 @@
+// hooks/useSlashCommands.js
+
+import { useState, useEffect, useMemo } from 'react';
+import axiosInstance from '../services/axios';
+
+// 서버와 같은 규칙: "/" 바로 뒤에 영문자가 오면 명령어 ("//"로 시작하면 일반 메시지)
+export const isSlashCommand = (content) => (
+  typeof content === 'string' && /^\/[a-z]/i.test(content.trim())
+);
+
+// 명령어 목록은 자주 바뀌지 않으므로 한 번만 불러와 공유
+let commandsPromise = null;
+
+const fetchCommands = () => {
+  if (!commandsPromise) {
+    commandsPromise = axiosInstance.get('/api/commands')
+      .then(response => response.data?.data || [])
+      .catch(error => {
+        console.error('Slash commands fetch error:', error);
+        commandsPromise = null;
+        return [];
+      });
+  }
+  return commandsPromise;
+};
+
+const getArgumentState = (command, rest) => {
+  const tokens = rest.split(/\s+/).filter(Boolean);
+  const endsWithSpace = /\s$/.test(rest);
+  const argIndex = endsWithSpace || tokens.length === 0 ? tokens.length : tokens.length - 1;
+  const partial = endsWithSpace ? '' : (tokens[tokens.length - 1] || '');
+
+  // 마지막 인자는 남은 입력 전체를 받으므로 그 이후로는 더 제안하지 않음
+  const lastIndex = command.args.length - 1;
+  const schema = argIndex <= lastIndex ? command.args[argIndex] : command.args[lastIndex];
+
+  return { argIndex, partial, schema };
+};
+
+export const useSlashCommands = (message, room, currentUserId) => {
+  const [commands, setCommands] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchCommands().then(list => {
+      if (!cancelled) setCommands(list);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const creatorId = room?.creator?._id || room?.creator;
+  const isOwner = !!currentUserId && creatorId === currentUserId;
+
+  // suggestions: 선택 가능한 항목 (insertText로 입력창 내용을 교체)
+  // hint: 현재 명령어의 사용법
+  return useMemo(() => {
+    const empty = { suggestions: [], hint: null };
+    if (!message.startsWith('/') || commands.length === 0) return empty;
+
+    const available = commands.filter(command => command.permission !== 'owner' || isOwner);
+
+    // 명령어 이름 입력 중
+    const nameMatch = /^\/([a-z-]*)$/i.exec(message);
+    if (nameMatch) {
+      const prefix = nameMatch[1].toLowerCase();
+      return {
+        suggestions: available
+          .filter(command => command.name.startsWith(prefix))
+          .map(command => ({
+            key: command.name,
+            label: `/${command.name}`,
+            description: command.description,
+            detail: command.usage,
+            insertText: `/${command.name} `
+          })),
+        hint: null
+      };
+    }
+
+    // 인자 입력 중
+    const argsMatch = /^\/([a-z-]+)\s+([\s\S]*)$/i.exec(message);
+    const command = argsMatch && available.find(item => item.name === argsMatch[1].toLowerCase());
+    if (!command || command.args.length === 0) return empty;
+
+    const rest = argsMatch[2];
+    const { argIndex, partial, schema } = getArgumentState(command, rest);
+    if (argIndex > command.args.length - 1 || !schema.options?.length) {
+      return { suggestions: [], hint: command.usage };
+    }
+
+    const base = message.slice(0, message.length - partial.length);
+    return {
+      suggestions: schema.options
+        .filter(option => option.toLowerCase().startsWith(partial.toLowerCase()))
+        .map(option => ({
+          key: option,
+          label: option,
+          description: schema.placeholder,
+          insertText: `${base}${option} `
+        })),
+      hint: command.usage
+    };
+  }, [message, commands, isOwner]);
+};
+
+export default useSlashCommands;
@@ -0,0 +1,154 @@
+// hooks/useThreadHandling.js
+
+import { useState, useCallback, useRef } from 'react';
+import { Toast } from '../components/Toast';
+import { encodeMessageCursor, compareMessages } from '../utils/messageCursor';
+import { useMessageEditHandling } from './useMessageEditHandling';
+import { useMessageDeleteHandling } from './useMessageDeleteHandling';
+import { useReactionHandling } from './useReactionHandling';
+
+export const useThreadHandling = (socketRef, currentUser, setMessages) => {
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [threadHasMore, setThreadHasMore] = useState(false);
+  const [threadLoading, setThreadLoading] = useState(false);
+  const activeThreadIdRef = useRef(null);
+
+  // 스레드 답글에도 수정/삭제/리액션 갱신을 동일하게 적용
+  const {
+    handleMessageUpdate: handleThreadMessageUpdate,
+    handleLinkPreviewsUpdate: handleThreadLinkPreviewsUpdate
+  } = useMessageEditHandling(socketRef, setThreadMessages);
+  const {
+    handleMessageDeleted: handleThreadMessageDeleted,
+    handleMessagesExpired: removeExpiredThreadMessages
+  } = useMessageDeleteHandling(socketRef, setThreadMessages);
+  const {
+    handleReactionAdd: handleThreadReactionAdd,
+    handleReactionRemove: handleThreadReactionRemove,
+    handleReactionUpdate: handleThreadReactionUpdate
+  } = useReactionHandling(socketRef, currentUser, threadMessages, setThreadMessages);
+
+  const loadThreadMessages = useCallback((parentMessageId, before = null) => {
+    if (!socketRef.current?.connected || !parentMessageId) return;
+
+    setThreadLoading(true);
+    socketRef.current.emit('fetchThreadMessages', {
+      parentMessageId,
+      before
+    });
+  }, [socketRef]);
+
+  const openThread = useCallback((parentMessage) => {
+    if (!parentMessage?._id) return;
+
+    activeThreadIdRef.current = parentMessage._id;
+    setActiveThread(parentMessage);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    loadThreadMessages(parentMessage._id);
+  }, [loadThreadMessages]);
+
+  const closeThread = useCallback(() => {
+    activeThreadIdRef.current = null;
+    setActiveThread(null);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    setThreadLoading(false);
+  }, []);
+
+  // 스레드 원본 메시지가 만료되면 스레드를 닫는다
+  const handleThreadMessagesExpired = useCallback(({ messageIds = [] }) => {
+    if (messageIds.includes(activeThreadIdRef.current)) {
+      closeThread();
+      return;
+    }
+    removeExpiredThreadMessages({ messageIds });
+  }, [closeThread, removeExpiredThreadMessages]);
+
+  const loadMoreThreadMessages = useCallback(() => {
+    if (threadLoading || !threadHasMore || !activeThreadIdRef.current) return;
+    loadThreadMessages(activeThreadIdRef.current, encodeMessageCursor(threadMessages[0]));
+  }, [threadLoading, threadHasMore, threadMessages, loadThreadMessages]);
+
+  const sendThreadMessage = useCallback(async (content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!trimmedContent || !activeThreadIdRef.current) return false;
+
+      await socketRef.current.emit('threadMessage', {
+        parentMessageId: activeThreadIdRef.current,
+        content: trimmedContent
+      });
+
+      return true;
+    } catch (error) {
+      console.error('Thread message error:', error);
+      Toast.error('답글 전송에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  const handleThreadMessagesLoaded = useCallback(({ parentMessageId, parentMessage, messages = [], hasMore }) => {
+    if (parentMessageId !== activeThreadIdRef.current) return;
+
+    if (parentMessage) {
+      setActiveThread(parentMessage);
+    }
+
+    setThreadMessages(prev => {
+      const messageMap = new Map();
+      [...messages, ...prev].forEach(msg => messageMap.set(msg._id, msg));
+      return Array.from(messageMap.values()).sort(compareMessages);
+    });
+    setThreadHasMore(hasMore);
+    setThreadLoading(false);
+  }, []);
+
+  const handleThreadUpdated = useCallback(({ parentMessageId, threadReplyCount, threadLastReplyAt, message }) => {
+    // 본문 목록의 원본 메시지 카운터 갱신
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === parentMessageId ?
+        { ...msg, threadReplyCount, threadLastReplyAt } :
+        msg
+      )
+    );
+
+    if (parentMessageId !== activeThreadIdRef.current) return;
+
+    setActiveThread(prev => prev ? { ...prev, threadReplyCount, threadLastReplyAt } : prev);
+
+    if (message?._id) {
+      setThreadMessages(prev =>
+        prev.some(msg => msg._id === message._id) ? prev : [...prev, message]
+      );
+    }
+  }, [setMessages]);
+
+  return {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadMessage,
+    handleThreadMessagesLoaded,
+    handleThreadUpdated,
+    handleThreadMessageUpdate,
+    handleThreadLinkPreviewsUpdate,
+    handleThreadMessageDeleted,
+    handleThreadMessagesExpired,
+    handleThreadReactionAdd,
+    handleThreadReactionRemove,
+    handleThreadReactionUpdate
+  };
+};
+
+export default useThreadHandling;
@@ -0,0 +1,60 @@
+// hooks/useTypingIndicator.js
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+
+const TYPING_THROTTLE = 3000; // 입력 중에는 3초마다 typingStart 재전송
+const TYPING_IDLE_TIMEOUT = 4000; // 4초간 입력이 없으면 typingStop 전송
+
+export const useTypingIndicator = (socketRef, roomId, currentUserId) => {
+  const [typingUsers, setTypingUsers] = useState([]);
+  const isTypingRef = useRef(false);
+  const lastSentAtRef = useRef(0);
+  const idleTimerRef = useRef(null);
+
+  const stopTyping = useCallback(() => {
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = null;
+
+    if (!isTypingRef.current) return;
+    isTypingRef.current = false;
+    lastSentAtRef.current = 0;
+
+    if (socketRef.current?.connected && roomId) {
+      socketRef.current.emit('typingStop', { roomId });
+    }
+  }, [socketRef, roomId]);
+
+  const notifyTyping = useCallback(() => {
+    if (!socketRef.current?.connected || !roomId) return;
+
+    const now = Date.now();
+    if (!isTypingRef.current || now - lastSentAtRef.current >= TYPING_THROTTLE) {
+      socketRef.current.emit('typingStart', { roomId });
+      isTypingRef.current = true;
+      lastSentAtRef.current = now;
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+  }, [socketRef, roomId, stopTyping]);
+
+  const handleTypingUsers = useCallback(({ roomId: typingRoomId, users = [] }) => {
+    if (typingRoomId !== roomId) return;
+    setTypingUsers(users.filter(user => user.userId !== currentUserId));
+  }, [roomId, currentUserId]);
+
+  // 채팅방을 옮기거나 나가면 입력 중 상태 정리
+  useEffect(() => {
+    setTypingUsers([]);
+    return () => stopTyping();
+  }, [roomId, stopTyping]);
+
+  return {
+    typingUsers,
+    notifyTyping,
+    stopTyping,
+    handleTypingUsers
+  };
+};
+
+export default useTypingIndicator;
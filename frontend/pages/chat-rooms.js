@@ -40,6 +40,7 @@ const RETRY_CONFIG = {
 const SCROLL_THRESHOLD = 50;
 const SCROLL_DEBOUNCE_DELAY = 150;
 const INITIAL_PAGE_SIZE = 10;
+const UNREAD_COUNT_LIMIT = 100;
 
 const LoadingIndicator = ({ text }) => (
   <div className="loading-indicator">
@@ -522,7 +523,36 @@ function ChatRoomsComponent() {
           roomUpdated: (updatedRoom) => {
             setRooms(prev => {
               const updatedRooms = prev.map(room => 
-                room._id === updatedRoom._id ? updatedRoom : room
+                room._id === updatedRoom._id ? { ...room, ...updatedRoom } : room
+              );
+              previousRoomsRef.current = updatedRooms;
+              return updatedRooms;
+            });
+          },
+          // 참여 중인 채팅방의 새 메시지 (안 읽은 수, 마지막 메시지 갱신)
+          roomActivity: ({ roomId, lastMessage, senderId, mentions = [] }) => {
+            const isOwnMessage = senderId === currentUser.id;
+            setRooms(prev => {
+              const updatedRooms = prev.map(room => {
+                if (room._id !== roomId) return room;
+                return {
+                  ...room,
+                  lastMessage,
+                  unreadCount: isOwnMessage
+                    ? room.unreadCount || 0
+                    : Math.min((room.unreadCount || 0) + 1, UNREAD_COUNT_LIMIT),
+                  mentioned: room.mentioned || (!isOwnMessage && mentions.includes(currentUser.id))
+                };
+              });
+              previousRoomsRef.current = updatedRooms;
+              return updatedRooms;
+            });
+          },
+          // 다른 탭이나 채팅방에서 메시지를 읽은 경우
+          roomRead: ({ roomId, unreadCount, mentioned }) => {
+            setRooms(prev => {
+              const updatedRooms = prev.map(room =>
+                room._id === roomId ? { ...room, unreadCount, mentioned } : room
               );
               previousRoomsRef.current = updatedRooms;
               return updatedRooms;
@@ -534,6 +564,12 @@ function ChatRoomsComponent() {
           socket.on(event, handler);
         });
 
+        // 이미 연결된 소켓이면 connect 이벤트가 다시 오지 않으므로 바로 구독
+        if (socket.connected) {
+          setConnectionStatus(CONNECTION_STATUS.CONNECTED);
+          socket.emit('joinRoomList');
+        }
+
       } catch (error) {
         console.error('Socket connection error:', error);
         if (!isSubscribed) return;
@@ -552,6 +588,7 @@ function ChatRoomsComponent() {
     return () => {
       isSubscribed = false;
       if (socketRef.current) {
+        socketRef.current.emit('leaveRoomList');
         socketRef.current.disconnect();
         socketRef.current = null;
       }
@@ -607,7 +644,7 @@ function ChatRoomsComponent() {
           <StyledTableRow>
             <StyledTableHeader width="45%">채팅방</StyledTableHeader>
             <StyledTableHeader width="15%">참여자</StyledTableHeader>
-            <StyledTableHeader width="25%">생성일</StyledTableHeader>
+            <StyledTableHeader width="25%">최근 활동</StyledTableHeader>
             <StyledTableHeader width="15%">액션</StyledTableHeader>
           </StyledTableRow>
         </StyledTableHead>
@@ -615,7 +652,25 @@ function ChatRoomsComponent() {
           {rooms.map((room) => (
             <StyledTableRow key={room._id}>
               <StyledTableCell>
-                <Text typography="body1" style={{ fontWeight: 500, marginBottom: 'var(--vapor-space-050)' }}>{room.name}</Text>
+                <HStack gap="100" align="center" style={{ marginBottom: 'var(--vapor-space-050)' }}>
+                  <Text typography="body1" style={{ fontWeight: room.unreadCount > 0 ? 700 : 500 }}>{room.name}</Text>
+                  {room.mentioned && (
+                    <span className="room-mention-badge" title="나를 멘션한 메시지가 있습니다">@</span>
+                  )}
+                  {room.unreadCount > 0 && (
+                    <span className="room-unread-badge" aria-label={`안 읽은 메시지 ${room.unreadCount}개`}>
+                      {room.unreadCount > 99 ? '99+' : room.unreadCount}
+                    </span>
+                  )}
+                </HStack>
+                {room.lastMessage && (
+                  <div className="room-last-message">
+                    {room.lastMessage.sender?.name && (
+                      <span className="room-last-message-sender">{room.lastMessage.sender.name}: </span>
+                    )}
+                    <span>{room.lastMessage.content}</span>
+                  </div>
+                )}
                 {room.hasPassword && (
                   <HStack gap="050" align="center">
                     <LockIcon size={16} style={{ color: 'var(--vapor-color-warning)' }} />
@@ -631,7 +686,7 @@ function ChatRoomsComponent() {
               </StyledTableCell>
               <StyledTableCell>
                 <Text typography="body1" style={{ color: 'var(--vapor-color-text-muted)' }}>
-                  {new Date(room.createdAt).toLocaleString('ko-KR', {
+                  {new Date(room.lastMessage?.timestamp || room.createdAt).toLocaleString('ko-KR', {
                     year: 'numeric',
                     month: '2-digit',
                     day: '2-digit',
@@ -9,6 +9,11 @@ import { withAuth } from '../middleware/withAuth';
 import { useChatRoom } from '../hooks/useChatRoom';
 import ChatMessages from '../components/chat/ChatMessages';
 import ChatInput from '../components/chat/ChatInput';
+import PinnedMessagesDrawer from '../components/chat/PinnedMessagesDrawer';
+import DisappearingMessagesMenu from '../components/chat/DisappearingMessagesMenu';
+import MessageSearchPanel from '../components/chat/MessageSearchPanel';
+import ExportTranscriptMenu from '../components/chat/ExportTranscriptMenu';
+import ModerationMenu from '../components/chat/ModerationMenu';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const ChatPage = () => {
@@ -16,6 +21,9 @@ const ChatPage = () => {
     room,
     messages,
     streamingMessages,
+    outgoingMessages,
+    retryMessage,
+    discardMessage,
     connected,
     connectionStatus,
     messageLoadError,
@@ -47,9 +55,41 @@ const ChatPage = () => {
     error,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    pins,
+    pinLimit,
+    pinsLoading,
+    typingUsers,
+    rateLimit,
+    handlePinToggle,
+    handlePollVote,
+    handlePollClose,
+    fetchMyPollVotes,
+    handleMessageForward,
+    bookmarkedMessages,
+    handleBookmarkToggle,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    threadLoading,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadMessage,
+    handleThreadReactionAdd,
+    handleThreadReactionRemove,
+    replyTarget,
+    handleReplyStart,
+    handleReplyCancel,
+    scrollToMessage,
     loadingMessages,
     hasMoreMessages,
-    handleLoadMore
+    handleLoadMore,
+    hasNewerMessages,
+    loadingNewerMessages,
+    handleLoadNewer,
+    jumpToLatest
   } = useChatRoom();
 
   const renderParticipants = () => {
@@ -195,14 +235,42 @@ const ChatPage = () => {
       <ChatMessages
         messages={messages}
         streamingMessages={streamingMessages}
+        outgoingMessages={outgoingMessages}
         currentUser={currentUser}
         room={room}
         messagesEndRef={messagesEndRef}
         onReactionAdd={handleReactionAdd}
         onReactionRemove={handleReactionRemove}
+        onMessageEdit={handleMessageEdit}
+        onMessageDelete={handleMessageDelete}
+        onThreadOpen={openThread}
+        onReplyStart={handleReplyStart}
+        onPinToggle={handlePinToggle}
+        onQuoteClick={scrollToMessage}
+        onPollVote={handlePollVote}
+        onPollClose={handlePollClose}
+        onPollVotesFetch={fetchMyPollVotes}
+        onMessageForward={handleMessageForward}
+        bookmarkedMessages={bookmarkedMessages}
+        onBookmarkToggle={handleBookmarkToggle}
+        onMessageRetry={retryMessage}
+        onMessageDiscard={discardMessage}
+        activeThread={activeThread}
+        threadMessages={threadMessages}
+        threadHasMore={threadHasMore}
+        threadLoading={threadLoading}
+        onThreadClose={closeThread}
+        onThreadLoadMore={loadMoreThreadMessages}
+        onThreadSend={sendThreadMessage}
+        onThreadReactionAdd={handleThreadReactionAdd}
+        onThreadReactionRemove={handleThreadReactionRemove}
         loadingMessages={loadingMessages}
         hasMoreMessages={hasMoreMessages}
         onLoadMore={handleLoadMore}
+        hasNewerMessages={hasNewerMessages}
+        loadingNewerMessages={loadingNewerMessages}
+        onLoadNewer={handleLoadNewer}
+        onJumpToLatest={jumpToLatest}
         socketRef={socketRef}
       />
     );
@@ -246,11 +314,42 @@ const ChatPage = () => {
               <Text typography="heading4" style={{ fontWeight: 'bold' }} className="chat-room-title">
                 {room.name}
               </Text>
+              {room.topic && (
+                <Text typography="body3" className="chat-room-topic" title={room.topic}>
+                  {room.topic}
+                </Text>
+              )}
               {renderParticipants()}
             </Flex>
-            <Badge color={status.color === 'success' ? 'success' : status.color === 'warning' ? 'warning' : 'danger'}>
-              {status.label}
-            </Badge>
+            <Flex align="center" gap="200">
+              <MessageSearchPanel
+                room={room}
+                currentUserId={currentUser?.id}
+                onJump={scrollToMessage}
+                onOpenThread={openThread}
+              />
+              <PinnedMessagesDrawer
+                pins={pins}
+                pinLimit={pinLimit}
+                loading={pinsLoading}
+                currentUserId={currentUser?.id}
+                onJump={scrollToMessage}
+                onUnpin={handlePinToggle}
+              />
+              <DisappearingMessagesMenu
+                room={room}
+                currentUserId={currentUser?.id}
+              />
+              <ExportTranscriptMenu room={room} />
+              <ModerationMenu
+                room={room}
+                currentUserId={currentUser?.id}
+                onJump={scrollToMessage}
+              />
+              <Badge color={status.color === 'success' ? 'success' : status.color === 'warning' ? 'warning' : 'danger'}>
+                {status.label}
+              </Badge>
+            </Flex>
           </Flex>
         </Card.Header>
 
@@ -287,6 +386,11 @@ const ChatPage = () => {
               setShowMentionList(false);
             }}
             onFileRemove={removeFilePreview}
+            replyTarget={replyTarget}
+            onReplyCancel={handleReplyCancel}
+            currentUserId={currentUser?.id}
+            typingUsers={typingUsers}
+            rateLimit={rateLimit}
           />
         </Card.Footer>
       </Card.Root>
@@ -0,0 +1,237 @@
+import React, { useState, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { Button, Card, Text, Callout } from '@vapor-ui/core';
+import { ErrorCircleIcon, BookmarkIcon } from '@vapor-ui/icons';
+import { Flex, Stack, Box } from '../components/ui/Layout';
+import { withAuth } from '../middleware/withAuth';
+import { useSavedMessages } from '../hooks/useSavedMessages';
+
+const formatSavedTime = (value) => new Date(value).toLocaleString('ko-KR', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const getMessagePreview = (message) => {
+  if (message.type === 'file') {
+    return message.content || message.file?.originalname || '파일';
+  }
+  return message.content;
+};
+
+const getSenderName = (message) => {
+  if (message.type === 'ai') {
+    return message.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI';
+  }
+  return message.sender?.name || '알 수 없는 사용자';
+};
+
+const SavedMessageItem = ({ bookmark, onOpen, onUpdate, onRemove, onTagSelect }) => {
+  const [editing, setEditing] = useState(false);
+  const [note, setNote] = useState(bookmark.note || '');
+  const [tags, setTags] = useState((bookmark.tags || []).join(', '));
+  const [saving, setSaving] = useState(false);
+  const { message } = bookmark;
+
+  const startEditing = () => {
+    setNote(bookmark.note || '');
+    setTags((bookmark.tags || []).join(', '));
+    setEditing(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    const saved = await onUpdate(bookmark._id, { note, tags });
+    setSaving(false);
+    if (saved) setEditing(false);
+  };
+
+  return (
+    <li className="saved-item" data-bookmark-id={bookmark._id}>
+      <button type="button" className="saved-item-main" onClick={() => onOpen(bookmark)}>
+        <span className="saved-item-meta">
+          <span className="saved-item-room">{bookmark.roomName}</span>
+          <span>{getSenderName(message)} · {formatSavedTime(message.timestamp)}</span>
+        </span>
+        <span className="saved-item-content">{getMessagePreview(message)}</span>
+      </button>
+
+      {editing ? (
+        <form className="saved-item-edit" onSubmit={handleSave}>
+          <textarea
+            className="saved-item-note-input"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="나만 볼 수 있는 메모"
+            maxLength={500}
+            rows={2}
+            aria-label="메모"
+          />
+          <input
+            type="text"
+            className="saved-item-tags-input"
+            value={tags}
+            onChange={(e) => setTags(e.target.value)}
+            placeholder="태그 (쉼표로 구분)"
+            aria-label="태그"
+          />
+          <Flex gap="100" justify="flex-end">
+            <Button type="button" size="sm" variant="outline" color="secondary" onClick={() => setEditing(false)} disabled={saving}>
+              취소
+            </Button>
+            <Button type="submit" size="sm" color="primary" disabled={saving}>
+              {saving ? '저장 중...' : '저장'}
+            </Button>
+          </Flex>
+        </form>
+      ) : (
+        <>
+          {bookmark.note && <p className="saved-item-note">{bookmark.note}</p>}
+          {bookmark.tags?.length > 0 && (
+            <div className="saved-item-tags">
+              {bookmark.tags.map(tag => (
+                <button type="button" key={tag} className="saved-tag" onClick={() => onTagSelect(tag)}>
+                  #{tag}
+                </button>
+              ))}
+            </div>
+          )}
+          <Flex gap="100" justify="flex-end">
+            <Button size="sm" variant="ghost" onClick={startEditing}>
+              메모/태그 편집
+            </Button>
+            <Button size="sm" variant="ghost" color="danger" onClick={() => onRemove(bookmark._id)}>
+              저장 취소
+            </Button>
+          </Flex>
+        </>
+      )}
+    </li>
+  );
+};
+
+const SavedMessages = () => {
+  const router = useRouter();
+  const {
+    bookmarks,
+    filters,
+    roomFilter,
+    tagFilter,
+    hasMore,
+    loading,
+    error,
+    setRoomFilter,
+    setTagFilter,
+    loadMore,
+    updateBookmark,
+    removeBookmark
+  } = useSavedMessages();
+
+  // 스레드 답글은 원본 메시지 위치로 이동
+  const handleOpen = useCallback((bookmark) => {
+    router.push({
+      pathname: '/chat',
+      query: {
+        room: bookmark.room,
+        message: bookmark.message.parentMessage || bookmark.message._id
+      }
+    });
+  }, [router]);
+
+  const handleTagSelect = useCallback((tag) => {
+    setTagFilter(prev => (prev === tag ? '' : tag));
+  }, [setTagFilter]);
+
+  return (
+    <div className="auth-container">
+      <Card.Root className="chat-rooms-card">
+        <Card.Body className="card-body">
+          <Stack gap="300" align="center">
+            <Text typography="heading3">저장한 메시지</Text>
+          </Stack>
+
+          <Box mt="400">
+            <div className="saved-filters">
+              <select
+                className="saved-room-filter"
+                value={roomFilter}
+                onChange={(e) => setRoomFilter(e.target.value)}
+                aria-label="채팅방 필터"
+              >
+                <option value="">모든 채팅방</option>
+                {filters.rooms.map(room => (
+                  <option key={room._id} value={room._id}>
+                    {room.name} ({room.count})
+                  </option>
+                ))}
+              </select>
+              {filters.tags.length > 0 && (
+                <div className="saved-tag-filters" role="group" aria-label="태그 필터">
+                  {filters.tags.map(({ tag, count }) => (
+                    <button
+                      type="button"
+                      key={tag}
+                      className={`saved-tag ${tagFilter === tag ? 'active' : ''}`}
+                      aria-pressed={tagFilter === tag}
+                      onClick={() => handleTagSelect(tag)}
+                    >
+                      #{tag} {count}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </Box>
+
+          {error && (
+            <Box mt="400">
+              <Callout color="danger">
+                <Flex align="center" gap="200">
+                  <ErrorCircleIcon size={16} />
+                  <Text>{error}</Text>
+                </Flex>
+              </Callout>
+            </Box>
+          )}
+
+          <Box mt="400">
+            {bookmarks.length > 0 ? (
+              <ul className="saved-list">
+                {bookmarks.map(bookmark => (
+                  <SavedMessageItem
+                    key={bookmark._id}
+                    bookmark={bookmark}
+                    onOpen={handleOpen}
+                    onUpdate={updateBookmark}
+                    onRemove={removeBookmark}
+                    onTagSelect={handleTagSelect}
+                  />
+                ))}
+              </ul>
+            ) : !loading && !error && (
+              <div className="saved-empty">
+                <BookmarkIcon size={24} />
+                <Text typography="body1">
+                  {roomFilter || tagFilter ? '조건에 맞는 저장한 메시지가 없습니다.' : '저장한 메시지가 없습니다.'}
+                </Text>
+              </div>
+            )}
+            {loading && <div className="saved-empty">불러오는 중...</div>}
+            {hasMore && !loading && (
+              <Flex justify="center">
+                <Button size="sm" variant="ghost" onClick={loadMore}>
+                  더 보기
+                </Button>
+              </Flex>
+            )}
+          </Box>
+        </Card.Body>
+      </Card.Root>
+    </div>
+  );
+};
+
+export default withAuth(SavedMessages);
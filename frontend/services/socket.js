@@ -9,6 +9,12 @@ const CLEANUP_REASONS = {
   RECONNECT: 'reconnect'
 };
 
+const ACK_TIMEOUT = 10000; // 서버 응답(ack) 대기 시간
+const MESSAGE_QUEUE_TTL = 300000; // 재연결 후 다시 보낼 메시지의 최대 보관 시간
+const NOTIFICATION_EVENTS = ['notification', 'notificationsUpdated', 'roomExportUpdated', 'moderationQueueUpdated'];
+// 채팅방 참여자만 처리할 수 있는 이벤트 (재연결 직후에는 참여자 목록에서 빠져 있으므로 재입장 후 다시 보냄)
+const ROOM_BOUND_EVENTS = ['chatMessage'];
+
 class SocketService {
   constructor() {
     this.socket = null;
@@ -22,6 +28,8 @@ class SocketService {
     this.retryDelay = 1000;
     this.duplicateLoginTimeout = 30000;
     this.reactionHandlers = new Set();
+    // 알림 구독은 페이지 이동으로 소켓이 새로 만들어져도 유지
+    this.notificationHandlers = new Set();
     this.connected = false;
   }
 
@@ -123,9 +131,14 @@ class SocketService {
       this.isReconnecting = false;
       clearTimeout(connectionTimeout);
       this.startHeartbeat();
+      this.processMessageQueue();
       resolve(this.socket);
     });
 
+    this.socket.on('joinRoomSuccess', ({ roomId } = {}) => {
+      this.processMessageQueue(roomId);
+    });
+
     this.socket.on('disconnect', (reason) => {
       console.log('[Socket] Disconnected:', reason);
       this.connected = false;
@@ -174,15 +187,15 @@ class SocketService {
       this.handleSocketError(error);
     });
 
-    this.socket.on('reconnect', (attemptNumber) => {
+    // 재연결 이벤트는 Manager에서 발생하며, 대기 중인 메시지는 connect(채팅 메시지는 joinRoomSuccess) 이벤트에서 다시 전송
+    this.socket.io.on('reconnect', (attemptNumber) => {
       console.log(`[Socket] Reconnected after ${attemptNumber} attempts`);
       this.connected = true;
       this.reconnectAttempts = 0;
       this.isReconnecting = false;
-      this.processMessageQueue();
     });
 
-    this.socket.on('reconnect_failed', () => {
+    this.socket.io.on('reconnect_failed', () => {
       console.error('[Socket] Reconnection failed');
       this.cleanup(CLEANUP_REASONS.MANUAL);
       reject(new Error('Reconnection failed'));
@@ -192,6 +205,12 @@ class SocketService {
       console.log('[Socket] Message reaction:', data);
       this.reactionHandlers.forEach(handler => handler(data));
     });
+
+    NOTIFICATION_EVENTS.forEach(event => {
+      this.socket.on(event, (data) => {
+        this.notificationHandlers.forEach(handler => handler(event, data));
+      });
+    });
   }
 
   cleanup(reason = CLEANUP_REASONS.MANUAL) {
@@ -211,7 +230,7 @@ class SocketService {
     }
 
     if (reason !== CLEANUP_REASONS.RECONNECT) {
-      this.messageQueue = [];
+      this.rejectQueuedMessages(new Error('Socket connection closed'));
     }
 
     if (reason === CLEANUP_REASONS.MANUAL && this.socket) {
@@ -300,36 +319,104 @@ class SocketService {
     return this.socket;
   }
 
-  queueMessage(event, data) {
-    const message = { event, data, timestamp: Date.now() };
+  // resolve/reject가 있으면 재전송 후 서버 응답(ack)을 호출자에게 전달
+  queueMessage(event, data, { resolve, reject } = {}) {
+    const message = { event, data, timestamp: Date.now(), resolve, reject };
     this.messageQueue.push(message);
     console.log(`Message queued: ${event}`, message);
+    return message;
+  }
+
+  rejectQueuedMessages(error) {
+    const queuedMessages = this.messageQueue;
+    this.messageQueue = [];
+    queuedMessages.forEach(message => message.reject?.(error));
   }
 
-  processMessageQueue() {
+  // roomId가 있으면 그 채팅방에 (재)입장한 뒤이므로 해당 채팅방 메시지도 함께 전송
+  processMessageQueue(roomId = null) {
+    if (!this.socket?.connected || this.messageQueue.length === 0) return;
+
     const now = Date.now();
-    const validMessages = this.messageQueue.filter(msg => now - msg.timestamp < 300000);
+    const isReady = (message) => !ROOM_BOUND_EVENTS.includes(message.event) ||
+      (!!roomId && String(message.data?.room) === String(roomId));
+    const queuedMessages = this.messageQueue.filter(isReady);
+    this.messageQueue = this.messageQueue.filter(message => !isReady(message));
 
     let successCount = 0;
     let failureCount = 0;
 
-    while (validMessages.length > 0) {
-      const message = validMessages.shift();
+    queuedMessages.forEach(message => {
+      if (now - message.timestamp >= MESSAGE_QUEUE_TTL) {
+        failureCount++;
+        message.reject?.(new Error('Queued message expired'));
+        return;
+      }
+
       try {
-        this.socket.emit(message.event, message.data);
+        this.sendWithAck(message.event, message.data)
+          .then(response => message.resolve?.(response))
+          .catch(error => message.reject?.(error));
         successCount++;
         console.log(`Queued message sent: ${message.event}`);
       } catch (error) {
         failureCount++;
         console.error(`Error sending queued message (${message.event}):`, error);
+        message.reject?.(error);
       }
-    }
+    });
 
     if (successCount + failureCount > 0) {
       console.log(`Message queue processed: ${successCount} succeeded, ${failureCount} failed`);
     }
+  }
+
+  sendWithAck(event, data, timeout = ACK_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket?.connected) {
+        reject(new Error('Socket is not connected'));
+        return;
+      }
+
+      const timer = setTimeout(() => {
+        reject(new Error('Socket event timeout'));
+      }, timeout);
 
-    this.messageQueue = validMessages;
+      this.socket.emit(event, data, (response) => {
+        clearTimeout(timer);
+        if (response?.error) {
+          reject(response.error);
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  // 연결이 끊긴 동안에는 큐에 보관했다가 연결되면 다시 보내고, 서버 응답으로 완료
+  emitWithAck(event, data) {
+    if (this.socket?.connected) {
+      return this.sendWithAck(event, data);
+    }
+
+    return new Promise((resolve, reject) => {
+      let queuedMessage = null;
+      const expiryTimer = setTimeout(() => {
+        this.messageQueue = this.messageQueue.filter(message => message !== queuedMessage);
+        reject(new Error('Queued message expired'));
+      }, MESSAGE_QUEUE_TTL);
+
+      queuedMessage = this.queueMessage(event, data, {
+        resolve: (response) => {
+          clearTimeout(expiryTimer);
+          resolve(response);
+        },
+        reject: (error) => {
+          clearTimeout(expiryTimer);
+          reject(error);
+        }
+      });
+    });
   }
 
   async emit(event, data) {
@@ -338,25 +425,7 @@ class SocketService {
         await this.connect();
       }
       
-      return new Promise((resolve, reject) => {
-        if (!this.socket?.connected) {
-          reject(new Error('Socket is not connected'));
-          return;
-        }
-
-        const timeout = setTimeout(() => {
-          reject(new Error('Socket event timeout'));
-        }, 10000);
-
-        this.socket.emit(event, data, (response) => {
-          clearTimeout(timeout);
-          if (response?.error) {
-            reject(response.error);
-          } else {
-            resolve(response);
-          }
-        });
-      });
+      return this.sendWithAck(event, data);
     } catch (error) {
       console.error('Error emitting event:', error);
       this.queueMessage(event, data);
@@ -458,6 +527,15 @@ class SocketService {
     }
   }
 
+  // handler(event, data): event는 개인 채널 이벤트 ('notification', 'notificationsUpdated', 'roomExportUpdated', 'moderationQueueUpdated')
+  onNotificationEvent(handler) {
+    if (typeof handler !== 'function') {
+      throw new Error('Handler must be a function');
+    }
+    this.notificationHandlers.add(handler);
+    return () => this.notificationHandlers.delete(handler);
+  }
+
   onReactionUpdate(handler) {
     if (typeof handler !== 'function') {
       throw new Error('Handler must be a function');
@@ -0,0 +1,13 @@
+// 메시지 페이지 커서 유틸리티
+// 서버와 같은 "타임스탬프(ms)_메시지ID" 형식을 사용해 같은 시각의 메시지도 구분한다
+
+export const encodeMessageCursor = (message) => {
+  if (!message?.timestamp || !message?._id) return null;
+  return `${new Date(message.timestamp).getTime()}_${message._id}`;
+};
+
+export const compareMessages = (a, b) => {
+  const diff = new Date(a.timestamp || 0) - new Date(b.timestamp || 0);
+  if (diff !== 0) return diff;
+  return String(a._id || '').localeCompare(String(b._id || ''));
+};